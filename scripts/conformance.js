@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+
+/**
+ * Run the adapter conformance suite offline against the local provider simulator
+ * Usage: npm run conformance [-- provider ...]
+ * Defaults to every simulated provider, the mock provider and any configured plugins.
+ */
+
+import dotenv from 'dotenv';
+import VoiceRouter from '../src/routes/voice-router.js';
+import { VoiceSimulator } from '../src/services/voice-simulator.js';
+import { runConformanceSuite, OFFLINE_CONFORMANCE_PROVIDERS } from '../src/utils/adapter-conformance.js';
+import { getProviderPluginConfig } from '../src/config/voice-providers-config.js';
+
+dotenv.config();
+
+const simulator = new VoiceSimulator();
+await simulator.start();
+
+const router = new VoiceRouter({ providers: simulator.providers() });
+const { loaded: plugins } = await router.loadPlugins(getProviderPluginConfig());
+const providers = process.argv.slice(2).length ? process.argv.slice(2) : [...OFFLINE_CONFORMANCE_PROVIDERS, ...plugins];
+
+console.log(`🧪 Running adapter conformance suite against ${simulator.url}\n`);
+
+let failures = 0;
+
+for (const provider of providers) {
+    const report = await runConformanceSuite(router.getAdapterClass(provider), {
+        id: provider,
+        config: router.providers[provider]
+    });
+
+    console.log(`${report.passed ? '✅' : '❌'} ${provider} (${report.capabilities.join(', ')})`);
+    report.results.forEach(result => {
+        console.log(`   ${result.passed ? '✓' : '✗'} [${result.capability}] ${result.check}${result.error ? ` - ${result.error}` : ''}`);
+    });
+
+    if (!report.passed) failures++;
+}
+
+await simulator.stop();
+
+console.log(failures ? `\n❌ ${failures} provider(s) failed conformance` : '\n🎉 All providers conform');
+process.exit(failures ? 1 : 0);
@@ -148,6 +148,72 @@ export class ConfigManager {
         return userConfig ? userConfig.settings : { ...this.defaultSettings };
     }
 
+    /**
+     * Save a named routing policy (validate it against the provider catalog first)
+     * @param {string} userId - User identifier
+     * @param {string} name - Policy name
+     * @param {Object} policy - Policy definition
+     */
+    async setRoutingPolicy(userId, name, policy) {
+        if (!this.configs.has(userId)) {
+            this.configs.set(userId, {
+                providers: {},
+                settings: { ...this.defaultSettings },
+                created: new Date().toISOString(),
+                lastUsed: new Date().toISOString()
+            });
+        }
+
+        const userConfig = this.configs.get(userId);
+        userConfig.policies = {
+            ...userConfig.policies,
+            [name]: { ...policy, updated: new Date().toISOString() }
+        };
+        userConfig.lastUsed = new Date().toISOString();
+
+        this.configs.set(userId, userConfig);
+        await this.saveConfigurations();
+
+        return userConfig.policies[name];
+    }
+
+    /**
+     * Get a named routing policy
+     * @param {string} userId - User identifier
+     * @param {string} name - Policy name
+     */
+    getRoutingPolicy(userId, name) {
+        return this.configs.get(userId)?.policies?.[name] || null;
+    }
+
+    /**
+     * Get all routing policies for a user
+     * @param {string} userId - User identifier
+     */
+    getRoutingPolicies(userId) {
+        return this.configs.get(userId)?.policies || {};
+    }
+
+    /**
+     * Remove a named routing policy
+     * @param {string} userId - User identifier
+     * @param {string} name - Policy name
+     */
+    async removeRoutingPolicy(userId, name) {
+        const userConfig = this.configs.get(userId);
+        if (!userConfig?.policies?.[name]) {
+            return { success: false, error: 'Policy not found' };
+        }
+
+        delete userConfig.policies[name];
+        userConfig.lastUsed = new Date().toISOString();
+
+        this.configs.set(userId, userConfig);
+        await this.saveConfigurations();
+
+        return { success: true, policy: name, userId };
+    }
+
     /**
      * Remove provider configuration
      * @param {string} userId - User identifier
@@ -365,6 +431,7 @@ export class ConfigManager {
         const exportConfig = {
             providers: {},
             settings: userConfig.settings,
+            policies: userConfig.policies || {},
             created: userConfig.created,
             lastUsed: userConfig.lastUsed,
             exported: new Date().toISOString()
@@ -3,6 +3,8 @@
  * Open Router-style configuration for voice agents with BYOK support
  */
 
+import { VoiceError } from '../utils/error-handler.js';
+
 export const VOICE_PROVIDERS = {
   // Real-time Speech-to-Speech Providers
   'openai-realtime': {
@@ -33,11 +35,13 @@ export const VOICE_PROVIDERS = {
     models: ['nova-3', 'nova-2', 'whisper'],
     auth: 'token',
     endpoint: 'wss://api.deepgram.com/v1/listen',
+    restEndpoint: 'https://api.deepgram.com/v1/listen',
     features: {
       streaming: true,
       punctuation: true,
       profanityFilter: true,
       languageDetection: true,
+      speakerLabels: true,
       languages: ['en', 'es', 'fr', 'de', 'it', 'pt', 'nl', 'hi', 'ja', 'ko', 'zh', 'ru', 'ar']
     }
   },
@@ -51,6 +55,7 @@ export const VOICE_PROVIDERS = {
     models: ['universal-2', 'universal-1'],
     auth: 'token',
     endpoint: 'wss://api.assemblyai.com/v2/realtime/ws',
+    restEndpoint: 'https://api.assemblyai.com/v2',
     features: {
       streaming: true,
       speakerLabels: true,
@@ -77,6 +82,23 @@ export const VOICE_PROVIDERS = {
     }
   },
 
+  'openai-transcribe': {
+    name: 'OpenAI GPT-4o Transcribe',
+    type: 'stt',
+    capabilities: ['speech-to-text', 'pre-recorded', 'streaming-text'],
+    latency: '~1s',
+    pricing: '$0.006/minute (gpt-4o-transcribe), $0.003/minute (gpt-4o-mini-transcribe)',
+    models: ['gpt-4o-transcribe', 'gpt-4o-mini-transcribe'],
+    auth: 'bearer',
+    endpoint: 'https://api.openai.com/v1/audio/transcriptions',
+    features: {
+      streaming: true,
+      prompting: true,
+      logprobs: true,
+      languages: ['en', 'es', 'fr', 'de', 'it', 'pt', 'nl', 'hi', 'ja', 'ko', 'zh', 'ru', 'ar', 'many_more']
+    }
+  },
+
   'google-stt': {
     name: 'Google Cloud Speech-to-Text',
     type: 'stt',
@@ -86,11 +108,13 @@ export const VOICE_PROVIDERS = {
     models: ['latest', 'command_and_search', 'phone_call', 'video'],
     auth: 'service-account',
     endpoint: 'wss://speech.googleapis.com/v1/speech:streamingrecognize',
+    restEndpoint: 'https://speech.googleapis.com/v1',
     features: {
       streaming: true,
       adaptation: true,
       profanityFilter: true,
       languageDetection: true,
+      speakerLabels: true,
       languages: ['125+ languages and variants']
     }
   },
@@ -104,6 +128,8 @@ export const VOICE_PROVIDERS = {
     models: ['unified', 'conversation', 'dictation'],
     auth: 'subscription-key',
     endpoint: 'wss://{{region}}.stt.speech.microsoft.com/speech/recognition/conversation/cognitiveservices/v1',
+    restEndpoint: 'https://{{region}}.stt.speech.microsoft.com/speech/recognition/conversation/cognitiveservices/v1',
+    tokenEndpoint: 'https://{{region}}.api.cognitive.microsoft.com/sts/v1.0/issueToken',
     features: {
       streaming: true,
       customModels: true,
@@ -123,6 +149,8 @@ export const VOICE_PROVIDERS = {
     models: ['multilingual-v2', 'turbo-v2', 'eleven_english_v1'],
     auth: 'xi-api-key',
     endpoint: 'https://api.elevenlabs.io/v1/text-to-speech',
+    maxCharacters: 5000,
+    voicesEndpoint: 'https://api.elevenlabs.io/v1/voices',
     features: {
       streaming: true,
       voiceCloning: true,
@@ -132,6 +160,27 @@ export const VOICE_PROVIDERS = {
     }
   },
 
+  'openai-tts': {
+    name: 'OpenAI Text-to-Speech',
+    type: 'tts',
+    capabilities: ['text-to-speech', 'real-time'],
+    latency: '~500ms',
+    pricing: '$15/1M chars (tts-1), $30/1M chars (tts-1-hd), ~$0.015/min (gpt-4o-mini-tts)',
+    models: ['gpt-4o-mini-tts', 'tts-1', 'tts-1-hd'],
+    voices: ['alloy', 'ash', 'ballad', 'coral', 'echo', 'fable', 'nova', 'onyx', 'sage', 'shimmer', 'verse'],
+    formats: ['mp3', 'opus', 'aac', 'flac', 'wav', 'pcm'],
+    auth: 'bearer',
+    endpoint: 'https://api.openai.com/v1/audio/speech',
+    maxCharacters: 4096,
+    features: {
+      streaming: true,
+      instructions: true,
+      speed: true,
+      customVoices: false,
+      languages: ['57 languages']
+    }
+  },
+
   'playht': {
     name: 'PlayHT',
     type: 'tts',
@@ -141,6 +190,7 @@ export const VOICE_PROVIDERS = {
     models: ['PlayHT2.0-turbo', 'PlayHT2.0', 'PlayHT1.0'],
     auth: 'x-api-key',
     endpoint: 'https://api.play.ht/api/v2/tts',
+    voicesEndpoint: 'https://api.play.ht/api/v2/voices',
     features: {
       streaming: true,
       voiceCloning: true,
@@ -159,6 +209,7 @@ export const VOICE_PROVIDERS = {
     models: ['standard', 'wavenet', 'neural2', 'polyglot'],
     auth: 'service-account',
     endpoint: 'https://texttospeech.googleapis.com/v1/text:synthesize',
+    maxCharacters: 5000, // Bytes of text or SSML per request
     features: {
       streaming: false,
       customVoices: true,
@@ -177,6 +228,7 @@ export const VOICE_PROVIDERS = {
     models: ['neural', 'standard'],
     auth: 'subscription-key',
     endpoint: 'https://{{region}}.tts.speech.microsoft.com/cognitiveservices/v1',
+    tokenEndpoint: 'https://{{region}}.api.cognitive.microsoft.com/sts/v1.0/issueToken',
     features: {
       streaming: true,
       customVoices: true,
@@ -191,10 +243,11 @@ export const VOICE_PROVIDERS = {
     type: 'tts',
     capabilities: ['text-to-speech', 'neural-voices'],
     latency: '~600ms',
-    pricing: '$4.00 per 1M characters (Neural)',
+    pricing: '$4.00 per 1M characters (Standard), $16.00 per 1M (Neural)',
     models: ['standard', 'neural', 'long-form'],
     auth: 'aws-signature',
     endpoint: 'https://polly.{{region}}.amazonaws.com/v1/speech',
+    maxCharacters: 3000, // Billed characters; SSML tags are not counted
     features: {
       streaming: true,
       lexicons: true,
@@ -213,6 +266,7 @@ export const VOICE_PROVIDERS = {
     models: ['murf-ai'],
     auth: 'api-key',
     endpoint: 'https://api.murf.ai/v1/speech/generate',
+    voicesEndpoint: 'https://api.murf.ai/v1/speech/voices',
     features: {
       streaming: false,
       customization: true,
@@ -232,6 +286,7 @@ export const VOICE_PROVIDERS = {
     models: ['conversational-v1'],
     auth: 'xi-api-key',
     endpoint: 'wss://api.elevenlabs.io/v1/convai/conversation',
+    signedUrlEndpoint: 'https://api.elevenlabs.io/v1/convai/conversation/get_signed_url',
     features: {
       streaming: true,
       interruption: true,
@@ -251,6 +306,9 @@ export const VOICE_PROVIDERS = {
     models: ['watson-stt', 'watson-tts'],
     auth: 'iam-token',
     endpoint: 'https://api.us-south.speech-to-text.watson.cloud.ibm.com',
+    sttEndpoint: 'https://api.{{region}}.speech-to-text.watson.cloud.ibm.com/instances/{{instance_id}}',
+    ttsEndpoint: 'https://api.{{region}}.text-to-speech.watson.cloud.ibm.com/instances/{{instance_id}}',
+    tokenEndpoint: 'https://iam.cloud.ibm.com/identity/token',
     features: {
       streaming: true,
       customModels: true,
@@ -258,20 +316,246 @@ export const VOICE_PROVIDERS = {
       speakerLabels: true,
       languages: ['Multiple languages with domain specialization']
     }
+  },
+
+  // Offline Providers (locally installed binaries, no API key)
+  'local-whisper': {
+    name: 'Local Whisper (whisper.cpp)',
+    type: 'stt',
+    capabilities: ['speech-to-text', 'pre-recorded', 'offline'],
+    latency: 'Hardware dependent',
+    pricing: 'Free (runs locally)',
+    models: ['base.en', 'small.en', 'medium', 'large-v3'],
+    auth: 'none',
+    endpoint: null,
+    local: {
+      command: 'whisper-cli',
+      commandEnv: 'WHISPER_CPP_BIN',
+      modelsDir: 'models/whisper',
+      modelsDirEnv: 'WHISPER_CPP_MODELS_DIR',
+      defaultModel: 'ggml-base.en',
+      modelEnv: 'WHISPER_CPP_MODEL'
+    },
+    features: {
+      streaming: false,
+      offline: true,
+      translation: true,
+      languages: ['en', 'es', 'fr', 'de', 'it', 'pt', 'nl', 'hi', 'ja', 'ko', 'zh', 'ru', 'ar', 'many_more']
+    }
+  },
+
+  'local-piper': {
+    name: 'Local Piper TTS',
+    type: 'tts',
+    capabilities: ['text-to-speech', 'offline'],
+    latency: 'Hardware dependent',
+    pricing: 'Free (runs locally)',
+    models: ['en_US-lessac-medium', 'en_GB-alan-medium'],
+    auth: 'none',
+    endpoint: null,
+    local: {
+      command: 'piper',
+      commandEnv: 'PIPER_BIN',
+      modelsDir: 'models/piper',
+      modelsDirEnv: 'PIPER_MODELS_DIR',
+      defaultModel: 'en_US-lessac-medium',
+      modelEnv: 'PIPER_MODEL'
+    },
+    features: {
+      streaming: true,
+      offline: true,
+      customVoices: true,
+      languages: ['Depends on installed voice models']
+    }
+  },
+
+  // Testing
+  'mock': {
+    name: 'Mock Provider',
+    type: 'hybrid',
+    capabilities: ['speech-to-text', 'text-to-speech', 'speech-to-speech', 'pre-recorded'],
+    latency: 'Scriptable',
+    pricing: 'Free (deterministic test provider)',
+    models: ['mock-1'],
+    auth: 'none',
+    endpoint: null,
+    features: {
+      streaming: true,
+      scriptableErrors: true,
+      languages: ['en']
+    }
   }
 };
 
+/**
+ * Expand {{placeholder}} segments (e.g. {{region}}) in a provider endpoint template
+ * @param {string} template - Endpoint template from the provider configuration
+ * @param {Object} values - Placeholder values, typically the request options
+ * @returns {string} Resolved endpoint
+ */
+export function expandEndpointTemplate(template, values = {}) {
+  return template.replace(/{{\s*(\w+)\s*}}/g, (match, name) => {
+    const value = values[name];
+    if (value === undefined || value === null || value === '') {
+      throw new VoiceError(`Endpoint "${template}" requires a "${name}" option`, 'INVALID_REQUEST', { isRetryable: false });
+    }
+    return encodeURIComponent(value);
+  });
+}
+
+/**
+ * Equivalent options across providers, used when a request falls back to another provider.
+ * Each row lists interchangeable values keyed by provider; a provider missing from the row
+ * gets its own default. Values are what the adapter sends to the provider API.
+ */
+export const FALLBACK_OPTION_MAPPINGS = {
+  models: [
+    // Speech-to-text, most accurate
+    { 'whisper': 'whisper-1', 'openai-transcribe': 'gpt-4o-transcribe', 'deepgram': 'nova-3', 'assemblyai': 'universal-2', 'google-stt': 'latest', 'azure-stt': 'unified', 'local-whisper': 'large-v3' },
+    // Speech-to-text, fastest
+    { 'openai-transcribe': 'gpt-4o-mini-transcribe', 'deepgram': 'nova-2', 'assemblyai': 'universal-1', 'local-whisper': 'base.en' },
+    // Text-to-speech, highest quality
+    { 'openai-tts': 'tts-1-hd', 'elevenlabs': 'eleven_multilingual_v2', 'playht': 'PlayHT2.0', 'google-tts': 'neural2', 'azure-tts': 'neural', 'amazon-polly': 'neural' },
+    // Text-to-speech, lowest latency
+    { 'openai-tts': 'tts-1', 'elevenlabs': 'eleven_turbo_v2', 'playht': 'PlayHT2.0-turbo', 'google-tts': 'standard', 'azure-tts': 'standard', 'amazon-polly': 'standard' }
+  ],
+  voices: [
+    { 'openai-tts': 'alloy', 'openai-realtime': 'alloy' },
+    // Female
+    { 'openai-tts': 'nova', 'openai-realtime': 'shimmer', 'elevenlabs': '21m00Tcm4TlvDq8ikWAM', 'amazon-polly': 'Joanna', 'azure-tts': 'en-US-JennyNeural', 'google-tts': 'en-US-Neural2-F', 'murf': 'en-US-natalie', 'ibm-watson': 'en-US_AllisonV3Voice', 'local-piper': 'en_US-lessac-medium' },
+    // Male
+    { 'openai-tts': 'onyx', 'openai-realtime': 'echo', 'elevenlabs': 'pNInz6obpgDQGcFmaJgB', 'amazon-polly': 'Matthew', 'azure-tts': 'en-US-GuyNeural', 'google-tts': 'en-US-Neural2-D', 'murf': 'en-US-terrell', 'ibm-watson': 'en-US_MichaelV3Voice', 'local-piper': 'en_GB-alan-medium' }
+  ],
+  // Providers that only accept two-letter language codes (en rather than en-US)
+  isoLanguageProviders: ['whisper', 'openai-transcribe', 'local-whisper']
+};
+
+/**
+ * Translate request options from one provider to a fallback provider
+ * Model and voice go through FALLBACK_OPTION_MAPPINGS; values with no equivalent are dropped so the
+ * fallback uses its own default. Other options pass through unchanged.
+ * @param {Object} options - Options as given for the source provider
+ * @param {string} fromProvider - Provider the options were written for
+ * @param {string} toProvider - Fallback provider
+ * @param {Object} providers - Provider catalog
+ * @returns {Object} Options for the fallback provider
+ */
+export function translateProviderOptions(options, fromProvider, toProvider, providers = VOICE_PROVIDERS) {
+  if (fromProvider === toProvider) {
+    return { ...options };
+  }
+
+  const { model, voice, voice_id, language, ...rest } = options;
+  const translated = { ...rest };
+
+  const mapValue = (kind, value) => {
+    const row = FALLBACK_OPTION_MAPPINGS[kind].find(candidate => candidate[fromProvider] === value);
+    if (row) return row[toProvider];
+    // Unmapped values survive only if the fallback lists them itself under the same kind
+    return providers[toProvider]?.[kind]?.includes(value) ? value : undefined;
+  };
+
+  if (model) {
+    translated.model = mapValue('models', model);
+  }
+
+  if (voice_id || voice) {
+    translated.voice = mapValue('voices', voice_id || voice);
+  }
+
+  if (language) {
+    translated.language = FALLBACK_OPTION_MAPPINGS.isoLanguageProviders.includes(toProvider)
+      ? language.split(/[-_]/)[0].toLowerCase()
+      : language;
+  }
+
+  return Object.fromEntries(Object.entries(translated).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Adapter plugins to load at startup, read from the environment when called
+ * VOICE_PLUGIN_DIR is a directory of plugin modules; VOICE_PLUGIN_PACKAGES a comma-separated list of npm packages
+ * @param {Object} env - Environment variables
+ * @returns {Object} { directory, packages } for VoiceRouter.loadPlugins()
+ */
+export function getProviderPluginConfig(env = process.env) {
+  return {
+    directory: env.VOICE_PLUGIN_DIR || null,
+    packages: (env.VOICE_PLUGIN_PACKAGES || '').split(',').map(name => name.trim()).filter(Boolean)
+  };
+}
+
+/**
+ * Synthesized audio cache settings, read from the environment when called
+ * VOICE_CACHE=off disables it; VOICE_CACHE_DIR, VOICE_CACHE_MAX_MB and VOICE_CACHE_TTL_HOURS tune it
+ * @param {Object} env - Environment variables
+ * @returns {Object} Options for AudioCache
+ */
+export function getAudioCacheConfig(env = process.env) {
+  return {
+    enabled: !['off', 'false', '0'].includes((env.VOICE_CACHE || '').toLowerCase()),
+    directory: env.VOICE_CACHE_DIR || undefined,
+    maxBytes: env.VOICE_CACHE_MAX_MB ? Number(env.VOICE_CACHE_MAX_MB) * 1024 * 1024 : undefined,
+    ttl: env.VOICE_CACHE_TTL_HOURS ? Number(env.VOICE_CACHE_TTL_HOURS) * 60 * 60 * 1000 : undefined
+  };
+}
+
+/**
+ * Circuit breaker settings, read from the environment when called
+ * VOICE_BREAKER_SCOPE lists what breakers are keyed by besides the provider (credential, region, model);
+ * VOICE_BREAKER_WINDOW_MS, VOICE_BREAKER_MIN_REQUESTS, VOICE_BREAKER_FAILURE_RATE,
+ * VOICE_BREAKER_OPEN_MS and VOICE_BREAKER_PROBES tune them
+ * @param {Object} env - Environment variables
+ * @returns {Object} Options for VoiceErrorHandler's circuitBreaker (unset values keep the defaults)
+ */
+export function getCircuitBreakerConfig(env = process.env) {
+  const config = {
+    scope: env.VOICE_BREAKER_SCOPE !== undefined
+      ? env.VOICE_BREAKER_SCOPE.split(',').map(dimension => dimension.trim()).filter(Boolean)
+      : undefined,
+    window: env.VOICE_BREAKER_WINDOW_MS ? Number(env.VOICE_BREAKER_WINDOW_MS) : undefined,
+    minimumRequests: env.VOICE_BREAKER_MIN_REQUESTS ? Number(env.VOICE_BREAKER_MIN_REQUESTS) : undefined,
+    failureRateThreshold: env.VOICE_BREAKER_FAILURE_RATE ? Number(env.VOICE_BREAKER_FAILURE_RATE) : undefined,
+    openDuration: env.VOICE_BREAKER_OPEN_MS ? Number(env.VOICE_BREAKER_OPEN_MS) : undefined,
+    halfOpenProbes: env.VOICE_BREAKER_PROBES ? Number(env.VOICE_BREAKER_PROBES) : undefined
+  };
+
+  return Object.fromEntries(Object.entries(config).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Rate limits and concurrency bulkheads, read from the environment when called
+ * VOICE_RATE_LIMITS holds the limits as JSON (see utils/rate-limiter.js), e.g.
+ * {"provider":{"elevenlabs":{"rate":5,"concurrency":4}},"caller":{"*":{"rate":2}},"queueTimeout":5000}
+ * @param {Object} env - Environment variables
+ * @returns {Object} Options for RateLimiter (no limits when unset)
+ */
+export function getRateLimitConfig(env = process.env) {
+  if (!env.VOICE_RATE_LIMITS) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(env.VOICE_RATE_LIMITS);
+  } catch (error) {
+    throw new Error(`VOICE_RATE_LIMITS is not valid JSON: ${error.message}`);
+  }
+}
+
 export const PROVIDER_CATEGORIES = {
   'Real-time Speech-to-Speech': ['openai-realtime', 'elevenlabs-conversational'],
-  'Speech-to-Text': ['deepgram', 'assemblyai', 'whisper', 'google-stt', 'azure-stt'],
-  'Text-to-Speech': ['elevenlabs', 'playht', 'google-tts', 'azure-tts', 'amazon-polly', 'murf'],
-  'Enterprise/Hybrid': ['ibm-watson', 'azure-stt', 'google-stt']
+  'Speech-to-Text': ['deepgram', 'assemblyai', 'whisper', 'openai-transcribe', 'google-stt', 'azure-stt'],
+  'Text-to-Speech': ['elevenlabs', 'openai-tts', 'playht', 'google-tts', 'azure-tts', 'amazon-polly', 'murf'],
+  'Enterprise/Hybrid': ['ibm-watson', 'azure-stt', 'google-stt'],
+  'Offline': ['local-whisper', 'local-piper'],
+  'Testing': ['mock']
 };
 
 export const PRICING_MODELS = {
-  'per-minute': ['openai-realtime', 'deepgram', 'whisper'],
+  'per-minute': ['openai-realtime', 'deepgram', 'whisper', 'openai-transcribe'],
   'per-hour': ['assemblyai'],
-  'per-character': ['elevenlabs', 'playht', 'amazon-polly'],
+  'per-character': ['elevenlabs', 'openai-tts', 'playht', 'amazon-polly'],
   'subscription': ['murf'],
-  'usage-based': ['google-stt', 'google-tts', 'azure-stt', 'azure-tts', 'ibm-watson']
+  'usage-based': ['google-stt', 'google-tts', 'azure-stt', 'azure-tts', 'ibm-watson'],
+  'free': ['local-whisper', 'local-piper', 'mock']
 };
\ No newline at end of file
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { expandEndpointTemplate, translateProviderOptions } from './voice-providers-config.js';
+
+test('translateProviderOptions maps models and voices through equivalent rows', () => {
+  const options = translateProviderOptions({ model: 'tts-1-hd', voice: 'nova', speed: 1.2 }, 'openai-tts', 'elevenlabs');
+
+  assert.deepEqual(options, { model: 'eleven_multilingual_v2', voice: '21m00Tcm4TlvDq8ikWAM', speed: 1.2 });
+});
+
+test('translateProviderOptions reads voice_id as the voice', () => {
+  const options = translateProviderOptions({ voice_id: '21m00Tcm4TlvDq8ikWAM' }, 'elevenlabs', 'amazon-polly');
+
+  assert.deepEqual(options, { voice: 'Joanna' });
+});
+
+test('translateProviderOptions drops values the fallback has no equivalent for', () => {
+  const options = translateProviderOptions({ model: 'nova-3', voice: 'custom-clone' }, 'deepgram', 'murf');
+
+  assert.deepEqual(options, {});
+});
+
+test('translateProviderOptions keeps unmapped values the fallback lists in the same catalog', () => {
+  // "sage" has no mapping row but is one of openai-tts's own voices; "tts-1" is one of its models
+  const options = translateProviderOptions({ model: 'tts-1', voice: 'sage' }, 'openai-realtime', 'openai-tts');
+
+  assert.deepEqual(options, { model: 'tts-1', voice: 'sage' });
+});
+
+test('translateProviderOptions does not keep a voice because it matches a model name', () => {
+  const providers = { 'custom-tts': { models: ['studio'], voices: ['anna'] } };
+  const options = translateProviderOptions({ voice: 'studio' }, 'openai-tts', 'custom-tts', providers);
+
+  assert.deepEqual(options, {});
+});
+
+test('translateProviderOptions shortens languages for providers that take two-letter codes', () => {
+  assert.equal(translateProviderOptions({ language: 'en-US' }, 'deepgram', 'whisper').language, 'en');
+  assert.equal(translateProviderOptions({ language: 'en-US' }, 'whisper', 'deepgram').language, 'en-US');
+});
+
+test('translateProviderOptions returns the options unchanged for the same provider', () => {
+  const options = { model: 'anything', voice: 'custom-clone' };
+
+  assert.deepEqual(translateProviderOptions(options, 'elevenlabs', 'elevenlabs'), options);
+});
+
+test('expandEndpointTemplate fills placeholders and rejects missing ones as a caller error', () => {
+  assert.equal(expandEndpointTemplate('https://{{region}}.tts.speech.microsoft.com', { region: 'west europe' }), 'https://west%20europe.tts.speech.microsoft.com');
+  assert.throws(
+    () => expandEndpointTemplate('https://{{ region }}.api', {}),
+    error => error.type === 'INVALID_REQUEST' && error.isRetryable === false && /requires a "region" option/.test(error.message)
+  );
+});
@@ -4,30 +4,107 @@
  */
 
 import VoiceRouter from './voice-router.js';
-import { VOICE_PROVIDERS, PROVIDER_CATEGORIES } from '../config/voice-providers-config.js';
+import { PROVIDER_CATEGORIES, expandEndpointTemplate, getAudioCacheConfig, getCircuitBreakerConfig, getProviderPluginConfig, getRateLimitConfig } from '../config/voice-providers-config.js';
 import ConfigManager from '../config/config-manager.js';
 import AnalyticsTracker from '../services/analytics-tracker.js';
+import AudioCache from '../services/audio-cache.js';
+import ChunkedSynthesizer from '../services/chunked-synthesizer.js';
+import ProviderSelector, { parseCatalogLatency } from '../services/provider-selector.js';
+import { simulatorProviders } from '../services/voice-simulator.js';
+import { POLICY_NAME_PATTERN, validateRoutingPolicy } from '../utils/routing-policy.js';
+import { validateRetryPolicies } from '../utils/retry-policy.js';
+import { VoiceError } from '../utils/error-handler.js';
+import { AudioStitcher } from '../utils/audio-stitch.js';
+
+// Response content types for streamed synthesis
+const AUDIO_CONTENT_TYPES = {
+    'mp3': 'audio/mpeg',
+    'wav': 'audio/wav',
+    'pcm': 'audio/pcm',
+    'opus': 'audio/ogg',
+    'aac': 'audio/aac',
+    'flac': 'audio/flac'
+};
+
+// Hedge budget when a provider has neither observed nor catalog latency
+const DEFAULT_HEDGE_DELAY = 1000;
+
+// Furthest deadline a request may set with X-Request-Timeout or X-Request-Deadline
+const MAX_REQUEST_DEADLINE = 24 * 60 * 60 * 1000;
+
+// HTTP status returned for each error classification; anything else is a 500
+// (499 is the de facto status for a client that closed the connection first)
+const ERROR_HTTP_STATUS = {
+    INVALID_REQUEST: 400,
+    AUTHENTICATION_ERROR: 401,
+    QUOTA_EXCEEDED: 402,
+    AUTHORIZATION_ERROR: 403,
+    NOT_FOUND: 404,
+    PAYLOAD_TOO_LARGE: 413,
+    RATE_LIMIT_ERROR: 429,
+    RATE_LIMITED: 429,
+    SERVER_ERROR: 502,
+    NETWORK_ERROR: 502,
+    PROVIDER_UNAVAILABLE: 503,
+    NO_PROVIDER_AVAILABLE: 503,
+    TIMEOUT: 504,
+    DEADLINE_EXCEEDED: 504,
+    CANCELLED: 499
+};
 
 export class VoiceAPIEndpoints {
     constructor(app) {
         this.app = app;
-        this.voiceRouter = new VoiceRouter();
+        // Send provider traffic to a local simulator instead of the real APIs when configured
+        this.voiceRouter = new VoiceRouter({
+            providers: process.env.VOICE_SIMULATOR_URL ? simulatorProviders(process.env.VOICE_SIMULATOR_URL) : undefined,
+            circuitBreaker: getCircuitBreakerConfig(),
+            rateLimits: getRateLimitConfig()
+        });
         this.configManager = new ConfigManager();
         this.analyticsTracker = new AnalyticsTracker();
-        this.init();
+        this.audioCache = new AudioCache(getAudioCacheConfig());
+        this.chunkedSynthesizer = new ChunkedSynthesizer({ voiceRouter: this.voiceRouter });
+        this.providerSelector = new ProviderSelector({
+            voiceRouter: this.voiceRouter,
+            analyticsTracker: this.analyticsTracker
+        });
+
+        this.voiceRouter.onCircuitBreakerTransition(event => this.analyticsTracker.trackCircuitBreakerEvent(event));
+
+        // Plugins may ship their own pricing
+        this.voiceRouter.onProviderRegistered((provider, config) => {
+            if (config.costTable) {
+                this.analyticsTracker.registerCostTable(provider, config.costTable);
+            }
+        });
+
+        // Routes are registered up front so a failing init step cannot leave the server without them
+        this.setupRoutes();
+        this.ready = this.init().catch(error => {
+            console.error('❌ Voice API initialization failed:', error.message);
+        });
     }
 
     async init() {
         await this.configManager.init();
         await this.analyticsTracker.init();
-        this.setupRoutes();
+        await this.audioCache.init();
+        await this.voiceRouter.loadPlugins(getProviderPluginConfig());
     }
 
     setupRoutes() {
+        // Hold requests until stores and plugins have loaded
+        this.app.use('/v1/voice', (req, res, next) => this.ready.then(() => next()));
+
+        // Every request carries an AbortSignal that stops its provider work
+        this.app.use('/v1/voice', this.attachRequestSignal.bind(this));
+
         // API Info and Discovery Endpoints
         this.app.get('/v1/voice/models', this.getModels.bind(this));
         this.app.get('/v1/voice/providers', this.getProviders.bind(this));
         this.app.get('/v1/voice/providers/:provider', this.getProviderDetails.bind(this));
+        this.app.get('/v1/voice/providers/:provider/voices', this.getProviderVoices.bind(this));
         
         // Voice Processing Endpoints (OpenRouter-style)
         this.app.post('/v1/voice/transcribe', this.transcribe.bind(this));
@@ -51,6 +128,10 @@ export class VoiceAPIEndpoints {
         this.app.get('/v1/voice/config/providers', this.getUserProviders.bind(this));
         this.app.post('/v1/voice/config/settings', this.updateUserSettings.bind(this));
         this.app.get('/v1/voice/config/settings', this.getUserSettings.bind(this));
+        this.app.get('/v1/voice/config/policies', this.getRoutingPolicies.bind(this));
+        this.app.get('/v1/voice/config/policies/:name', this.getRoutingPolicy.bind(this));
+        this.app.put('/v1/voice/config/policies/:name', this.saveRoutingPolicy.bind(this));
+        this.app.delete('/v1/voice/config/policies/:name', this.removeRoutingPolicy.bind(this));
         this.app.delete('/v1/voice/config/clear', this.clearUserConfig.bind(this));
         this.app.get('/v1/voice/config/export', this.exportUserConfig.bind(this));
         
@@ -66,6 +147,10 @@ export class VoiceAPIEndpoints {
         this.app.get('/v1/voice/analytics/:provider', this.getProviderAnalytics.bind(this));
         this.app.get('/v1/voice/cost-report', this.getCostReport.bind(this));
         this.app.get('/v1/voice/cost-report/:period', this.getCostReportByPeriod.bind(this));
+
+        // Synthesized audio cache
+        this.app.get('/v1/voice/cache', this.getCacheStats.bind(this));
+        this.app.delete('/v1/voice/cache', this.clearCache.bind(this));
     }
 
     /**
@@ -76,7 +161,7 @@ export class VoiceAPIEndpoints {
         try {
             const models = [];
             
-            for (const [providerId, provider] of Object.entries(VOICE_PROVIDERS)) {
+            for (const [providerId, provider] of Object.entries(this.voiceRouter.providers)) {
                 provider.models.forEach(model => {
                     models.push({
                         id: `${providerId}/${model}`,
@@ -108,8 +193,8 @@ export class VoiceAPIEndpoints {
      */
     async getProviders(req, res) {
         try {
-            const { type } = req.query;
-            const providers = this.voiceRouter.listProviders(type);
+            const { type, capability } = req.query;
+            const providers = this.voiceRouter.listProviders(type, capability);
             
             res.json({
                 object: 'list',
@@ -118,12 +203,13 @@ export class VoiceAPIEndpoints {
                     name: config.name,
                     type: config.type,
                     capabilities: config.capabilities,
+                    adapter_capabilities: this.voiceRouter.getCapabilities(id),
                     pricing: config.pricing,
                     latency: config.latency,
                     models: config.models,
                     features: config.features
                 })),
-                categories: PROVIDER_CATEGORIES
+                categories: this.getProviderCategories()
             });
         } catch (error) {
             res.status(500).json({ error: error.message });
@@ -137,7 +223,7 @@ export class VoiceAPIEndpoints {
     async getProviderDetails(req, res) {
         try {
             const { provider } = req.params;
-            const providerConfig = VOICE_PROVIDERS[provider];
+            const providerConfig = this.voiceRouter.providers[provider];
             
             if (!providerConfig) {
                 return res.status(404).json({ error: 'Provider not found' });
@@ -146,6 +232,7 @@ export class VoiceAPIEndpoints {
             res.json({
                 id: provider,
                 ...providerConfig,
+                adapter_capabilities: this.voiceRouter.getCapabilities(provider),
                 usage_stats: this.voiceRouter.getUsageStats(provider)
             });
         } catch (error) {
@@ -153,6 +240,45 @@ export class VoiceAPIEndpoints {
         }
     }
 
+    /**
+     * List a TTS provider's voice catalog
+     * GET /v1/voice/providers/:provider/voices
+     * Uses the X-API-Key header, or the user's saved key for the provider
+     */
+    async getProviderVoices(req, res) {
+        try {
+            const { provider } = req.params;
+
+            if (!this.voiceRouter.providers[provider]) {
+                return res.status(404).json({ error: 'Provider not found' });
+            }
+
+            const savedConfig = this.configManager.getProviderConfig(this.getUserId(req), provider);
+            const apiKey = req.get('X-API-Key') || savedConfig?.apiKey;
+
+            if (!apiKey && this.voiceRouter.requiresApiKey(provider)) {
+                return res.status(400).json({ 
+                    error: 'An X-API-Key header or a saved provider configuration is required' 
+                });
+            }
+
+            const voices = await this.voiceRouter.listVoices(provider, apiKey, {
+                ...savedConfig?.options,
+                ...req.query
+            }, this.getUserId(req), req.abortSignal);
+
+            res.json({
+                object: 'list',
+                provider,
+                data: voices
+            });
+
+        } catch (error) {
+            console.error('List voices error:', error);
+            this.sendError(res, error, 'voices_list_error');
+        }
+    }
+
     /**
      * Speech-to-Text endpoint (OpenRouter style)
      * POST /v1/voice/transcribe
@@ -163,16 +289,34 @@ export class VoiceAPIEndpoints {
         
         try {
             const { 
-                provider, 
+                provider: requestedProvider, 
                 api_key, 
                 model, 
                 audio_file, 
                 audio_url,
                 language = 'en',
-                options = {} 
+                fallback_providers,
+                constraints,
+                policy,
+                hedge,
+                options: requestOptions = {} 
             } = req.body;
 
-            if (!provider || !api_key) {
+            const { provider, apiKey, fallbackProviders, options, selection, routing } = this.resolveProvider(req, {
+                provider: requestedProvider,
+                apiKey: api_key,
+                fallbackProviders: fallback_providers,
+                policy,
+                options: requestOptions,
+                type: 'stt',
+                capability: 'batch-stt',
+                operation: 'transcribe',
+                language,
+                model,
+                constraints
+            });
+
+            if (!provider || (!apiKey && this.voiceRouter.requiresApiKey(provider))) {
                 return res.status(400).json({ 
                     error: 'Provider and api_key are required' 
                 });
@@ -190,50 +334,63 @@ export class VoiceAPIEndpoints {
                 operation: 'transcribe',
                 model,
                 language,
+                experiment: routing?.experiment,
                 hasAudioFile: !!audio_file,
                 hasAudioUrl: !!audio_url
             });
 
-            const adapter = await this.voiceRouter.routeRequest({
-                provider,
-                apiKey: api_key,
-                type: 'stt',
-                options: { model, language, ...options }
-            });
-
-            await adapter.connect();
-
-            let result;
+            let audioBuffer;
             if (audio_file) {
                 // Handle base64 encoded audio
-                const audioBuffer = Buffer.from(audio_file, 'base64');
-                result = await adapter.process(audioBuffer, options);
+                audioBuffer = Buffer.from(audio_file, 'base64');
             } else if (audio_url) {
                 // Download audio from URL
-                const response = await fetch(audio_url);
-                const audioBuffer = await response.arrayBuffer();
-                result = await adapter.process(audioBuffer, options);
+                const response = await fetch(audio_url, { signal: req.abortSignal });
+                if (!response.ok) {
+                    throw new VoiceError(`Could not download audio_url (HTTP ${response.status})`, 'INVALID_REQUEST', { isRetryable: false });
+                }
+                audioBuffer = await response.arrayBuffer();
             }
 
-            await adapter.disconnect();
+            const routeConfig = {
+                ...this.getFallbackConfig(req, fallbackProviders),
+                provider,
+                apiKey,
+                type: 'stt',
+                capability: 'batch-stt',
+                options: { model, language, ...options },
+                execute: (adapter, hopOptions) => adapter.process(audioBuffer, hopOptions)
+            };
+            const served = hedge
+                ? await this.voiceRouter.routeWithHedge({ ...routeConfig, hedgeAfter: this.getHedgeDelay(provider, 'transcribe', hedge) })
+                : await this.voiceRouter.routeWithFallback(routeConfig);
+            const { result } = served;
 
             // Complete analytics tracking
             if (session) {
                 this.analyticsTracker.endOperation(sessionId, {
                     success: true,
+                    provider: served.provider,
+                    model: served.model,
                     usage: {
                         minutes: (session.duration || 0) / 60000,
                         characters: result.text?.length || 0
                     }
                 });
             }
+            this.trackHedgeAttempts(sessionId, served.attempts, { minutes: (session?.duration || 0) / 60000 });
 
             res.json({
                 object: 'transcription',
-                provider,
-                model,
+                provider: served.provider,
+                requested_provider: requestedProvider,
+                fallback: served.fallback,
+                hedge: served.attempts,
+                selection,
+                routing,
+                model: served.model,
                 text: result.text || result.transcript || result,
-                language,
+                language: served.options.language,
                 duration: result.duration,
                 confidence: result.confidence,
                 raw_response: result
@@ -241,19 +398,22 @@ export class VoiceAPIEndpoints {
 
         } catch (error) {
             console.error('Transcription error:', error);
+            const cancellation = this.getCancellation(req);
             
             // Track error in analytics
             if (session) {
-                this.analyticsTracker.trackError(sessionId, {
-                    type: 'transcription_error',
-                    message: error.message
-                });
+                if (cancellation) {
+                    this.analyticsTracker.trackCancellation(sessionId, cancellation);
+                } else {
+                    this.analyticsTracker.trackError(sessionId, {
+                        type: 'transcription_error',
+                        message: error.message
+                    });
+                }
+                this.trackHedgeAttempts(sessionId, error.metadata?.attempts);
             }
             
-            res.status(500).json({ 
-                error: error.message,
-                type: 'transcription_error'
-            });
+            this.sendError(res, cancellation || error, 'transcription_error');
         }
     }
 
@@ -262,55 +422,335 @@ export class VoiceAPIEndpoints {
      * POST /v1/voice/synthesize
      */
     async synthesize(req, res) {
+        const sessionId = this.generateSessionId();
+        let session = null;
+
         try {
             const { 
-                provider, 
+                provider: requestedProvider, 
                 api_key, 
                 model, 
                 text, 
                 voice, 
                 response_format = 'mp3',
-                options = {} 
+                stream = false,
+                fallback_providers,
+                constraints,
+                policy,
+                hedge,
+                cache = true,
+                chunking,
+                options: requestOptions = {} 
             } = req.body;
 
-            if (!provider || !api_key || !text) {
+            const { provider, apiKey, fallbackProviders, options, selection, routing } = this.resolveProvider(req, {
+                provider: requestedProvider,
+                apiKey: api_key,
+                fallbackProviders: fallback_providers,
+                policy,
+                options: requestOptions,
+                type: 'tts',
+                capability: 'batch-tts',
+                operation: 'synthesize',
+                language: requestOptions.language,
+                model,
+                constraints
+            });
+
+            if (!provider || (!apiKey && this.voiceRouter.requiresApiKey(provider)) || !text) {
                 return res.status(400).json({ 
                     error: 'Provider, api_key, and text are required' 
                 });
             }
 
-            const adapter = await this.voiceRouter.routeRequest({
+            // Long text is rendered in sentence-aligned chunks (hedging does not apply to those)
+            const chunkSize = this.chunkedSynthesizer.getChunkSize(provider, text, chunking);
+            const chunkConcurrency = this.chunkedSynthesizer.getConcurrency(chunking);
+            if (chunkSize && options.speech_marks) {
+                return res.status(400).json({
+                    error: 'speech_marks is not supported for chunked synthesis; shorten the text or set chunking: false'
+                });
+            }
+
+            // Speech marks are fetched alongside the audio, so those requests always go to the provider.
+            // Entries are keyed by credential too: only the key the provider accepted for them can read them back.
+            const cacheKey = cache !== false && this.audioCache.enabled && !options.speech_marks
+                ? this.audioCache.getKey({ provider, credential: apiKey, model, voice, format: response_format, text, options })
+                : null;
+            res.set('X-Voice-Cache', cacheKey ? 'MISS' : 'BYPASS');
+
+            const cached = cacheKey && await this.audioCache.get(cacheKey);
+            if (cached) {
+                // A hit skips the provider but still counts against the caller's rate limit
+                const permit = await this.voiceRouter.acquireCallerPermit({
+                    provider,
+                    caller: this.getUserId(req),
+                    signal: req.abortSignal
+                });
+
+                try {
+                    return this.sendCachedAudio(res, cached, {
+                        cacheKey,
+                        provider,
+                        requestedProvider,
+                        selection,
+                        routing,
+                        voice,
+                        text,
+                        stream,
+                        format: response_format
+                    });
+                } finally {
+                    permit.release();
+                }
+            }
+
+            // Only audio from the provider the key describes is stored; fallback audio sounds different
+            const storeAudio = (served, audio) => {
+                if (!cacheKey || served.provider !== provider) return;
+
+                this.audioCache.set(cacheKey, Buffer.from(audio), {
+                    provider,
+                    model: served.model,
+                    voice: served.options?.voice ?? voice,
+                    format: response_format,
+                    characters: text.length
+                }).catch(error => console.error('❌ Failed to cache audio:', error.message));
+            };
+
+            // Start analytics tracking
+            session = this.analyticsTracker.startOperation(sessionId, {
                 provider,
-                apiKey: api_key,
+                operation: 'synthesize',
+                model,
+                voice,
+                experiment: routing?.experiment,
+                textLength: text.length
+            });
+
+            const routeConfig = {
+                ...this.getFallbackConfig(req, fallbackProviders),
+                provider,
+                apiKey,
                 type: 'tts',
+                capability: 'batch-tts',
                 options: { model, voice, response_format, ...options }
-            });
+            };
 
-            await adapter.connect();
-            const audioBuffer = await adapter.process(text, { voice, ...options });
-            await adapter.disconnect();
+            // Chunked streams send each chunk, in order, as soon as it and those before it are ready
+            if (stream && chunkSize) {
+                const stitcher = new AudioStitcher(response_format);
+                const served = await this.chunkedSynthesizer.synthesize({
+                    ...routeConfig,
+                    text,
+                    maxCharacters: chunkSize,
+                    concurrency: chunkConcurrency,
+                    onChunk: (audio) => {
+                        if (!res.headersSent) {
+                            res.writeHead(200, {
+                                'Content-Type': AUDIO_CONTENT_TYPES[response_format] || 'application/octet-stream',
+                                'X-Voice-Provider': provider
+                            });
+                        }
+                        res.write(stitcher.append(audio));
+                    }
+                });
+                res.end();
+                storeAudio(served, served.result.audio);
+
+                this.analyticsTracker.endOperation(sessionId, {
+                    success: true,
+                    provider: served.provider,
+                    model: served.model,
+                    usage: { characters: text.length }
+                });
+                return;
+            }
+
+            // Stream audio as it is generated when the adapter can, otherwise fall back to one buffer.
+            // Streams stay on the requested provider (or its hedge): once audio is sent there is nothing to fall back to.
+            if (stream && this.voiceRouter.getCapabilities(provider).includes('streaming-tts')) {
+                const streamConfig = {
+                    provider,
+                    apiKey,
+                    caller: this.getUserId(req),
+                    signal: req.abortSignal,
+                    type: 'tts',
+                    capability: 'streaming-tts',
+                    options: { model, voice, response_format, ...options }
+                };
+
+                const chunks = [];
+                const writeAudio = async (adapter, streamOptions, current, attempt) => {
+                    for await (const chunk of adapter.stream(text, streamOptions)) {
+                        // A hedged attempt that lost the race stops here
+                        if (attempt && (attempt.signal.aborted || !attempt.firstByte())) return;
+
+                        if (!res.headersSent) {
+                            res.writeHead(200, {
+                                'Content-Type': AUDIO_CONTENT_TYPES[response_format] || 'application/octet-stream',
+                                'X-Voice-Provider': current
+                            });
+                        }
+                        chunks.push(Buffer.from(chunk));
+                        res.write(chunks[chunks.length - 1]);
+                    }
+                };
+
+                let served = { provider, model };
+                if (hedge) {
+                    served = await this.voiceRouter.routeWithHedge({
+                        ...this.getFallbackConfig(req, fallbackProviders),
+                        ...streamConfig,
+                        hedgeAfter: this.getHedgeDelay(provider, 'synthesize', hedge),
+                        execute: writeAudio
+                    });
+                    this.trackHedgeAttempts(sessionId, served.attempts, { characters: text.length });
+                } else {
+                    const adapter = await this.voiceRouter.acquireAdapter(streamConfig);
+
+                    let failed = true;
+                    try {
+                        await writeAudio(adapter, { voice, ...options }, provider);
+                        failed = false;
+                    } finally {
+                        await this.voiceRouter.releaseAdapter(adapter, { discard: failed });
+                    }
+                }
+                res.end();
+                storeAudio(served, Buffer.concat(chunks));
+
+                this.analyticsTracker.endOperation(sessionId, {
+                    success: true,
+                    provider: served.provider,
+                    model: served.model,
+                    usage: { characters: text.length }
+                });
+                return;
+            }
+
+            const batchConfig = {
+                ...routeConfig,
+                execute: async (adapter, hopOptions) => {
+                    const audio = await adapter.process(text, hopOptions);
+
+                    // Timing marks for providers that support them (e.g. Amazon Polly)
+                    const marks = hopOptions.speech_marks && typeof adapter.getSpeechMarks === 'function'
+                        ? await adapter.getSpeechMarks(text, hopOptions)
+                        : undefined;
+
+                    return { audio, marks };
+                }
+            };
+            let served;
+            if (chunkSize) {
+                served = await this.chunkedSynthesizer.synthesize({
+                    ...routeConfig,
+                    text,
+                    maxCharacters: chunkSize,
+                    concurrency: chunkConcurrency
+                });
+            } else if (hedge) {
+                served = await this.voiceRouter.routeWithHedge({ ...batchConfig, hedgeAfter: this.getHedgeDelay(provider, 'synthesize', hedge) });
+            } else {
+                served = await this.voiceRouter.routeWithFallback(batchConfig);
+            }
+            const { audio: audioBuffer, marks: speechMarks } = served.result;
+            storeAudio(served, audioBuffer);
+
+            // Complete analytics tracking
+            if (session) {
+                this.analyticsTracker.endOperation(sessionId, {
+                    success: true,
+                    provider: served.provider,
+                    model: served.model,
+                    usage: {
+                        characters: text.length
+                    }
+                });
+            }
+            this.trackHedgeAttempts(sessionId, served.attempts, { characters: text.length });
 
             // Return audio as base64 or stream
             const base64Audio = Buffer.from(audioBuffer).toString('base64');
 
             res.json({
                 object: 'audio',
-                provider,
-                model,
-                voice,
+                provider: served.provider,
+                requested_provider: requestedProvider,
+                cached: false,
+                fallback: served.fallback,
+                hedge: served.attempts,
+                chunks: served.chunks,
+                selection,
+                routing,
+                model: served.model,
+                voice: served.options.voice,
                 format: response_format,
                 audio: base64Audio,
                 text,
+                speech_marks: speechMarks,
                 duration_estimate: Math.ceil(text.length / 15) // Rough estimate
             });
 
         } catch (error) {
             console.error('Synthesis error:', error);
-            res.status(500).json({ 
-                error: error.message,
-                type: 'synthesis_error'
+            const cancellation = this.getCancellation(req);
+
+            // Track error in analytics
+            if (session) {
+                if (cancellation) {
+                    this.analyticsTracker.trackCancellation(sessionId, cancellation);
+                } else {
+                    this.analyticsTracker.trackError(sessionId, {
+                        type: 'synthesis_error',
+                        message: error.message
+                    });
+                }
+                this.trackHedgeAttempts(sessionId, error.metadata?.attempts, { characters: req.body.text?.length || 0 });
+            }
+
+            // A failed audio stream can only be cut short
+            if (res.headersSent) {
+                res.end();
+                return;
+            }
+
+            this.sendError(res, cancellation || error, 'synthesis_error');
+        }
+    }
+
+    /**
+     * Answer a synthesis request from the audio cache, in the shape the provider path would have
+     */
+    sendCachedAudio(res, { audio, entry }, { cacheKey, provider, requestedProvider, selection, routing, voice, text, stream, format }) {
+        this.analyticsTracker.trackCacheHit({ provider, model: entry.model, characters: text.length });
+        res.set({ 'X-Voice-Cache': 'HIT', 'X-Voice-Cache-Key': cacheKey });
+
+        if (stream) {
+            res.writeHead(200, {
+                'Content-Type': AUDIO_CONTENT_TYPES[format] || 'application/octet-stream',
+                'X-Voice-Provider': provider
             });
+            res.end(audio);
+            return;
         }
+
+        res.json({
+            object: 'audio',
+            provider,
+            requested_provider: requestedProvider,
+            cached: true,
+            fallback: false,
+            selection,
+            routing,
+            model: entry.model,
+            voice: entry.voice ?? voice,
+            format,
+            audio: audio.toString('base64'),
+            text,
+            duration_estimate: Math.ceil(text.length / 15) // Rough estimate
+        });
     }
 
     /**
@@ -320,21 +760,48 @@ export class VoiceAPIEndpoints {
     async chat(req, res) {
         try {
             const { 
-                provider, 
+                provider: requestedProvider, 
                 api_key, 
                 model, 
                 messages = [],
                 voice = 'alloy',
                 stream = false,
-                options = {} 
+                constraints,
+                policy,
+                options: requestOptions = {} 
             } = req.body;
 
-            if (!provider || !api_key || !messages.length) {
+            const { provider, apiKey, options, selection, routing } = this.resolveProvider(req, {
+                provider: requestedProvider,
+                apiKey: api_key,
+                policy,
+                options: requestOptions,
+                type: 'conversational',
+                capability: 'duplex-realtime',
+                operation: 'chat',
+                language: requestOptions.language,
+                model,
+                constraints
+            });
+
+            if (!provider || (!apiKey && this.voiceRouter.requiresApiKey(provider)) || !messages.length) {
                 return res.status(400).json({ 
                     error: 'Provider, api_key, and messages are required' 
                 });
             }
 
+            // Realtime sessions come from the connection pool when one is warm. Acquired before any
+            // streaming headers go out, so a rate limit or failed connect still gets a plain error response.
+            const adapter = await this.voiceRouter.acquireAdapter({
+                provider,
+                apiKey,
+                caller: this.getUserId(req),
+                signal: req.abortSignal,
+                type: 'conversational',
+                capability: 'duplex-realtime',
+                options: { model, voice, ...options }
+            });
+
             if (stream) {
                 // Set up Server-Sent Events for streaming
                 res.writeHead(200, {
@@ -343,21 +810,19 @@ export class VoiceAPIEndpoints {
                     'Connection': 'keep-alive',
                     'Access-Control-Allow-Origin': '*'
                 });
-            }
 
-            const adapter = await this.voiceRouter.routeRequest({
-                provider,
-                apiKey: api_key,
-                type: 'conversational',
-                options: { model, voice, ...options }
-            });
-
-            await adapter.connect();
-
-            if (stream) {
                 // Handle streaming response
                 adapter.onMessage((message) => {
-                    res.write(`data: ${JSON.stringify(message)}\\n\\n`);
+                    res.write(`data: ${JSON.stringify(message)}\n\n`);
+                });
+
+                // End the stream when the provider closes. The adapter goes back once the response is
+                // over; a client that left early has already aborted its provider work.
+                if (typeof adapter.onClose === 'function') {
+                    adapter.onClose(() => res.end());
+                }
+                res.on('close', () => {
+                    this.voiceRouter.releaseAdapter(adapter, { discard: !res.writableFinished }).catch(() => {});
                 });
                 
                 // Send messages to provider
@@ -366,13 +831,22 @@ export class VoiceAPIEndpoints {
                 });
             } else {
                 // Handle non-streaming response
-                const response = await adapter.process(messages, { voice, ...options });
+                let response;
+                try {
+                    response = await adapter.process(messages, { voice, ...options });
+                } catch (error) {
+                    await this.voiceRouter.releaseAdapter(adapter, { discard: true });
+                    throw error;
+                }
                 
-                await adapter.disconnect();
+                await this.voiceRouter.releaseAdapter(adapter);
 
                 res.json({
                     object: 'voice_chat_completion',
                     provider,
+                    requested_provider: requestedProvider,
+                    selection,
+                    routing,
                     model,
                     choices: [{
                         index: 0,
@@ -385,10 +859,7 @@ export class VoiceAPIEndpoints {
 
         } catch (error) {
             console.error('Chat error:', error);
-            res.status(500).json({ 
-                error: error.message,
-                type: 'chat_error'
-            });
+            this.sendError(res, this.getCancellation(req) || error, 'chat_error');
         }
     }
 
@@ -489,7 +960,7 @@ export class VoiceAPIEndpoints {
         try {
             const { provider, api_key, options = {} } = req.body;
 
-            if (!provider || !api_key) {
+            if (!provider || (!api_key && this.voiceRouter.requiresApiKey(provider))) {
                 return res.status(400).json({ 
                     error: 'Provider and api_key are required' 
                 });
@@ -504,16 +975,17 @@ export class VoiceAPIEndpoints {
                 });
             }
 
-            // Test connection to provider
+            // Test connection to provider; a successful socket is kept warm in the pool
             try {
-                const adapter = await this.voiceRouter.routeRequest({
+                const adapter = await this.voiceRouter.acquireAdapter({
                     provider,
                     apiKey: api_key,
+                    caller: this.getUserId(req),
+                    signal: req.abortSignal,
                     options
                 });
                 
-                await adapter.connect();
-                await adapter.disconnect();
+                await this.voiceRouter.releaseAdapter(adapter);
 
                 res.json({
                     valid: true,
@@ -521,10 +993,13 @@ export class VoiceAPIEndpoints {
                     message: 'Provider credentials are valid and connection successful'
                 });
             } catch (connectionError) {
+                const { error_type, provider_error } = this.describeError(connectionError);
                 res.json({
                     valid: false,
                     provider,
-                    error: `Connection failed: ${connectionError.message}`
+                    error: `Connection failed: ${connectionError.message}`,
+                    error_type,
+                    provider_error
                 });
             }
 
@@ -534,11 +1009,212 @@ export class VoiceAPIEndpoints {
     }
 
     // Helper methods
+
+    /**
+     * Fallback chain for a request: the request's fallback_providers, else the user's saved
+     * settings; each fallback uses the user's saved key for that provider. Retries follow
+     * the user's saved retry policies and stop when the request is aborted.
+     */
+    getFallbackConfig(req, fallbackProviders) {
+        const userId = this.getUserId(req);
+        const settings = this.configManager.getUserSettings(userId);
+
+        return {
+            caller: userId,
+            signal: req.abortSignal,
+            deadline: req.deadline,
+            fallbackProviders: fallbackProviders || settings.fallbackProviders || [],
+            resolveApiKey: (provider) => this.configManager.getProviderConfig(userId, provider)?.apiKey,
+            retries: settings.retries,
+            retryPolicies: settings.retryPolicies || {},
+            timeout: settings.timeout
+        };
+    }
+
+    /**
+     * Middleware giving each request an AbortSignal (req.abortSignal) that aborts with CANCELLED when
+     * the client disconnects before the response is complete, and with DEADLINE_EXCEEDED when the
+     * deadline set by the X-Request-Timeout or X-Request-Deadline header passes (req.deadline)
+     */
+    attachRequestSignal(req, res, next) {
+        let deadline;
+        try {
+            deadline = this.getRequestDeadline(req);
+        } catch (error) {
+            return this.sendError(res, error, 'invalid_request_error');
+        }
+
+        const controller = new AbortController();
+        const timer = deadline === null ? null : setTimeout(() => {
+            controller.abort(new VoiceError('Request deadline exceeded', 'DEADLINE_EXCEEDED', {
+                deadline: new Date(deadline).toISOString()
+            }));
+        }, Math.max(deadline - Date.now(), 0));
+
+        res.on('close', () => {
+            clearTimeout(timer);
+            if (!res.writableFinished) {
+                controller.abort(new VoiceError('Client disconnected before the response was complete', 'CANCELLED'));
+            }
+        });
+
+        req.abortSignal = controller.signal;
+        req.deadline = deadline;
+        next();
+    }
+
+    /**
+     * Deadline from X-Request-Timeout (ms from now) or X-Request-Deadline (ISO 8601 date or epoch ms);
+     * the earlier wins when both are sent
+     * @returns {number|null} Epoch ms, or null when the request sets no deadline
+     * @throws {VoiceError} INVALID_REQUEST for a malformed or too distant deadline
+     */
+    getRequestDeadline(req) {
+        const timeout = req.get('X-Request-Timeout');
+        const deadline = req.get('X-Request-Deadline');
+        const deadlines = [];
+
+        if (timeout !== undefined) {
+            const ms = Number(timeout);
+            if (!(ms > 0 && ms <= MAX_REQUEST_DEADLINE)) {
+                throw new VoiceError(`X-Request-Timeout must be a number of milliseconds up to ${MAX_REQUEST_DEADLINE}`, 'INVALID_REQUEST', { isRetryable: false });
+            }
+            deadlines.push(Date.now() + ms);
+        }
+
+        if (deadline !== undefined) {
+            const at = /^\d+$/.test(deadline) ? Number(deadline) : Date.parse(deadline);
+            if (Number.isNaN(at) || at - Date.now() > MAX_REQUEST_DEADLINE) {
+                throw new VoiceError('X-Request-Deadline must be an ISO 8601 date or epoch milliseconds within the next 24 hours', 'INVALID_REQUEST', { isRetryable: false });
+            }
+            deadlines.push(at);
+        }
+
+        return deadlines.length ? Math.min(...deadlines) : null;
+    }
+
+    /**
+     * Why the request was aborted (a CANCELLED or DEADLINE_EXCEEDED error), or null while it is live.
+     * Errors raised as provider work is torn down are reported as this instead.
+     */
+    getCancellation(req) {
+        return req.abortSignal?.aborted ? req.abortSignal.reason : null;
+    }
+
+    /**
+     * Resolve the provider for a request: a named routing policy takes precedence, then
+     * `provider: "auto"` picks the best scoring of the user's configured providers.
+     * The chosen provider runs with its saved key, and the rest of the ranking becomes
+     * the fallback chain unless the request names one. Other providers pass through unchanged.
+     */
+    resolveProvider(req, { provider, apiKey, fallbackProviders, policy, options = {}, ...request }) {
+        if (policy) {
+            return this.resolvePolicy(req, policy, { provider, apiKey, fallbackProviders, options, ...request });
+        }
+
+        if (provider !== 'auto') {
+            return { provider, apiKey, fallbackProviders, options };
+        }
+
+        const userId = this.getUserId(req);
+        const candidates = this.configManager.getUserProviders(userId)
+            .filter(({ provider, hasApiKey }) => hasApiKey || !this.voiceRouter.requiresApiKey(provider))
+            .map(({ provider }) => provider);
+
+        const { ranking, excluded } = this.providerSelector.select({
+            candidates,
+            resolveApiKey: (candidate) => this.configManager.getProviderConfig(userId, candidate)?.apiKey,
+            ...request
+        });
+        const selected = ranking[0].provider;
+
+        return {
+            provider: selected,
+            apiKey: this.configManager.getProviderConfig(userId, selected)?.apiKey,
+            fallbackProviders: fallbackProviders || ranking.slice(1).map(entry => entry.provider),
+            options,
+            selection: { provider: selected, ranking, excluded }
+        };
+    }
+
+    /**
+     * Route by one of the user's saved routing policies. The policy picks the provider, which
+     * runs with the user's saved key, and its options (e.g. an experiment arm's voice) win.
+     */
+    resolvePolicy(req, name, { provider, apiKey, fallbackProviders, options, type, language }) {
+        const userId = this.getUserId(req);
+        const policy = this.configManager.getRoutingPolicy(userId, name);
+
+        if (!policy) {
+            throw new VoiceError(`Routing policy "${name}" not found`, 'NOT_FOUND', { isRetryable: false });
+        }
+
+        const routing = this.voiceRouter.applyRoutingPolicy(name, policy, { type, userId, language });
+        const savedKey = this.configManager.getProviderConfig(userId, routing.provider)?.apiKey;
+
+        return {
+            provider: routing.provider,
+            apiKey: savedKey || (routing.provider === provider ? apiKey : undefined),
+            fallbackProviders,
+            options: { ...options, ...routing.options },
+            routing
+        };
+    }
+
+    /**
+     * First-byte budget before a hedged request fires its backup: the request's after_ms,
+     * else the provider's observed p90 latency, else its catalog latency
+     * @param {string} provider - Primary provider
+     * @param {string} operation - Analytics operation the latency is measured over
+     * @param {boolean|Object} hedge - Request's hedge option: true or { after_ms }
+     */
+    getHedgeDelay(provider, operation, hedge) {
+        return hedge.after_ms ??
+            this.analyticsTracker.getLatencyPercentile(provider, 90, { operation }) ??
+            parseCatalogLatency(this.voiceRouter.providers[provider]?.latency) ??
+            DEFAULT_HEDGE_DELAY;
+    }
+
+    /**
+     * Record the attempts of a hedged request other than the one tracked by its session
+     * (the winner, or the primary when every attempt failed)
+     */
+    trackHedgeAttempts(sessionId, attempts = [], usage = {}) {
+        // A failed fallback chain reports its attempt count instead
+        if (!Array.isArray(attempts)) {
+            return;
+        }
+
+        const tracked = attempts.find(attempt => attempt.outcome === 'won') ||
+            attempts.find(attempt => attempt.role === 'primary');
+
+        attempts
+            .filter(attempt => attempt !== tracked)
+            .forEach(attempt => this.analyticsTracker.trackHedgeAttempt(sessionId, attempt, usage));
+    }
+
+    /**
+     * Built-in categories plus those declared by registered plugins (config.category)
+     */
+    getProviderCategories() {
+        const categories = Object.fromEntries(
+            Object.entries(PROVIDER_CATEGORIES).map(([category, providers]) => [category, [...providers]])
+        );
+
+        for (const [provider, config] of Object.entries(this.voiceRouter.providers)) {
+            if (config.category && !categories[config.category]?.includes(provider)) {
+                categories[config.category] = [...(categories[config.category] || []), provider];
+            }
+        }
+
+        return categories;
+    }
+
     generateWebSocketURL(provider, apiKey, options) {
-        const baseURL = VOICE_PROVIDERS[provider]?.endpoint;
+        const baseURL = this.voiceRouter.providers[provider]?.endpoint;
         if (!baseURL) return null;
 
-        const url = new URL(baseURL);
+        const url = new URL(expandEndpointTemplate(baseURL, options));
         url.searchParams.set('api_key', apiKey);
         
         if (options.model) url.searchParams.set('model', options.model);
@@ -715,6 +1391,17 @@ export class VoiceAPIEndpoints {
      */
     async updateUserSettings(req, res) {
         try {
+            // null clears the retry policies back to the router's defaults
+            if (req.body.retryPolicies != null) {
+                const errors = validateRetryPolicies(req.body.retryPolicies, this.voiceRouter.providers);
+                if (errors.length) {
+                    return res.status(400).json({
+                        error: 'Invalid retry policies',
+                        details: errors
+                    });
+                }
+            }
+
             const userId = this.getUserId(req);
             const settings = await this.configManager.updateUserSettings(userId, req.body);
 
@@ -758,6 +1445,133 @@ export class VoiceAPIEndpoints {
         }
     }
 
+    /**
+     * List routing policies
+     * GET /v1/voice/config/policies
+     */
+    async getRoutingPolicies(req, res) {
+        try {
+            const userId = this.getUserId(req);
+
+            res.json({
+                object: 'list',
+                data: Object.entries(this.configManager.getRoutingPolicies(userId))
+                    .map(([name, policy]) => ({ object: 'routing_policy', name, policy }))
+            });
+
+        } catch (error) {
+            console.error('Get routing policies error:', error);
+            res.status(500).json({ 
+                error: error.message,
+                type: 'policy_get_error'
+            });
+        }
+    }
+
+    /**
+     * Get a routing policy
+     * GET /v1/voice/config/policies/:name
+     */
+    async getRoutingPolicy(req, res) {
+        try {
+            const { name } = req.params;
+            const policy = this.configManager.getRoutingPolicy(this.getUserId(req), name);
+
+            if (!policy) {
+                return res.status(404).json({ 
+                    error: 'Routing policy not found' 
+                });
+            }
+
+            res.json({
+                object: 'routing_policy',
+                name,
+                policy
+            });
+
+        } catch (error) {
+            console.error('Get routing policy error:', error);
+            res.status(500).json({ 
+                error: error.message,
+                type: 'policy_get_error'
+            });
+        }
+    }
+
+    /**
+     * Create or replace a routing policy; requests opt in with `policy: "<name>"`
+     * PUT /v1/voice/config/policies/:name
+     */
+    async saveRoutingPolicy(req, res) {
+        try {
+            const { name } = req.params;
+
+            if (!POLICY_NAME_PATTERN.test(name)) {
+                return res.status(400).json({ 
+                    error: 'Policy names may only contain letters, digits, ".", "_" and "-"' 
+                });
+            }
+
+            const errors = validateRoutingPolicy(req.body, this.voiceRouter.providers);
+            if (errors.length) {
+                return res.status(400).json({ 
+                    error: 'Invalid routing policy',
+                    details: errors
+                });
+            }
+
+            const userId = this.getUserId(req);
+            const policy = await this.configManager.setRoutingPolicy(userId, name, req.body);
+
+            res.json({
+                object: 'routing_policy',
+                name,
+                user_id: userId,
+                policy
+            });
+
+        } catch (error) {
+            console.error('Save routing policy error:', error);
+            res.status(500).json({ 
+                error: error.message,
+                type: 'policy_save_error'
+            });
+        }
+    }
+
+    /**
+     * Remove a routing policy
+     * DELETE /v1/voice/config/policies/:name
+     */
+    async removeRoutingPolicy(req, res) {
+        try {
+            const { name } = req.params;
+            const userId = this.getUserId(req);
+
+            const result = await this.configManager.removeRoutingPolicy(userId, name);
+
+            if (!result.success) {
+                return res.status(404).json({ 
+                    error: result.error || 'Routing policy not found' 
+                });
+            }
+
+            res.json({
+                object: 'routing_policy_deleted',
+                name,
+                user_id: userId,
+                success: true
+            });
+
+        } catch (error) {
+            console.error('Remove routing policy error:', error);
+            res.status(500).json({ 
+                error: error.message,
+                type: 'policy_delete_error'
+            });
+        }
+    }
+
     /**
      * Clear all user configuration
      * DELETE /v1/voice/config/clear
@@ -825,6 +1639,7 @@ export class VoiceAPIEndpoints {
             res.json({
                 object: 'system_health',
                 ...health,
+                connection_pools: this.voiceRouter.getPoolStats(),
                 timestamp: new Date().toISOString()
             });
 
@@ -845,19 +1660,23 @@ export class VoiceAPIEndpoints {
         try {
             const { provider } = req.params;
             const errorStats = this.voiceRouter.getErrorStats(provider);
-            const isAvailable = this.voiceRouter.isProviderAvailable(provider);
 
-            if (!errorStats) {
+            if (!errorStats?.stats) {
                 return res.status(404).json({ 
                     error: 'Provider not found' 
                 });
             }
 
+            // Breakers are kept per key, so availability is the caller's, using their saved key
+            const apiKey = this.configManager.getProviderConfig(this.getUserId(req), provider)?.apiKey;
+
             res.json({
                 object: 'provider_health',
                 provider,
-                available: isAvailable,
+                available: this.voiceRouter.isProviderAvailable(provider, this.voiceRouter.getBreakerScope(apiKey)),
                 ...errorStats,
+                circuitBreakerEvents: this.voiceRouter.getCircuitBreakerEvents(provider),
+                rateLimits: this.voiceRouter.getRateLimitState(provider),
                 timestamp: new Date().toISOString()
             });
 
@@ -878,7 +1697,7 @@ export class VoiceAPIEndpoints {
         try {
             const { provider } = req.params;
             
-            if (!VOICE_PROVIDERS[provider]) {
+            if (!this.voiceRouter.providers[provider]) {
                 return res.status(404).json({ 
                     error: 'Provider not found' 
                 });
@@ -967,13 +1786,15 @@ export class VoiceAPIEndpoints {
             const { 
                 provider, 
                 timeRange, 
-                operation 
+                operation,
+                experiment
             } = req.query;
 
             const analytics = this.analyticsTracker.getAnalytics({
                 provider,
                 timeRange: timeRange ? parseInt(timeRange) : null,
-                operation
+                operation,
+                experiment
             });
 
             res.json({
@@ -1000,7 +1821,7 @@ export class VoiceAPIEndpoints {
             const { provider } = req.params;
             const { timeRange, operation } = req.query;
 
-            if (!VOICE_PROVIDERS[provider]) {
+            if (!this.voiceRouter.providers[provider]) {
                 return res.status(404).json({ 
                     error: 'Provider not found' 
                 });
@@ -1082,6 +1903,114 @@ export class VoiceAPIEndpoints {
         }
     }
 
+    /**
+     * Get synthesized audio cache statistics
+     * GET /v1/voice/cache
+     */
+    async getCacheStats(req, res) {
+        try {
+            res.json({
+                object: 'audio_cache',
+                ...this.audioCache.getStats(),
+                savings: this.analyticsTracker.getCacheSavings(),
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('Get cache stats error:', error);
+            res.status(500).json({ 
+                error: error.message,
+                type: 'cache_stats_error'
+            });
+        }
+    }
+
+    /**
+     * Remove all cached audio
+     * DELETE /v1/voice/cache
+     */
+    async clearCache(req, res) {
+        try {
+            const removed = await this.audioCache.clear();
+
+            res.json({
+                object: 'audio_cache',
+                cleared: true,
+                removed,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('Clear cache error:', error);
+            res.status(500).json({ 
+                error: error.message,
+                type: 'cache_clear_error'
+            });
+        }
+    }
+
+    /**
+     * Error response for the provider-facing endpoints, with the HTTP status taken from the
+     * error's classification and Retry-After passed through from the provider. A stream that has
+     * already started gets the same body as a Server-Sent Events `error` event and is then ended.
+     * @param {Object} res - Express response
+     * @param {Error} error - Error raised while serving the request
+     * @param {string} type - Endpoint error type, e.g. 'synthesis_error'
+     */
+    sendError(res, error, type) {
+        // Nobody is left to answer
+        if (res.destroyed) {
+            return;
+        }
+
+        const description = this.describeError(error);
+        const retryAfter = description.retry_after_ms;
+        const body = {
+            error: error.message,
+            type,
+            ...description
+        };
+
+        if (res.headersSent) {
+            res.write(`event: error\ndata: ${JSON.stringify(body)}\n\n`);
+            res.end();
+            return;
+        }
+
+        if (retryAfter) {
+            res.set('Retry-After', String(Math.ceil(retryAfter / 1000)));
+        }
+
+        res.status(ERROR_HTTP_STATUS[description.error_type] || 500).json(body);
+    }
+
+    /**
+     * Stable error schema: { error_type, retryable, retry_after_ms, provider_error: { provider, status, code, message, request_id, retry_after_ms } }
+     * When every provider failed, the classification and provider details are those of the last failure
+     */
+    describeError(error) {
+        const cause = error?.type === 'ALL_PROVIDERS_FAILED' && error.metadata?.lastError
+            ? error.metadata.lastError
+            : error;
+        const details = cause?.metadata || {};
+        const fromProvider = details.status != null || details.code != null;
+
+        return {
+            error_type: cause?.type || 'UNKNOWN_ERROR',
+            retryable: cause?.isRetryable ?? true,
+            // From the provider's Retry-After, or the router's own rate limits
+            retry_after_ms: details.retryAfter ?? null,
+            provider_error: fromProvider ? {
+                provider: details.provider ?? null,
+                status: details.status ?? null,
+                code: details.code ?? null,
+                message: details.providerMessage ?? null,
+                request_id: details.requestId ?? null,
+                retry_after_ms: details.retryAfter ?? null
+            } : null
+        };
+    }
+
     // Helper method to generate session ID
     generateSessionId() {
         return 'sess_' + Math.random().toString(36).substr(2, 16) + Date.now().toString(36);
@@ -0,0 +1,195 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { setTimeout as delay } from 'timers/promises';
+import express from 'express';
+import { VoiceAPIEndpoints } from './voice-api-endpoints.js';
+import { BaseAdapter } from './voice-router.js';
+import { VOICE_PROVIDERS } from '../config/voice-providers-config.js';
+import AnalyticsTracker from '../services/analytics-tracker.js';
+import AudioCache from '../services/audio-cache.js';
+import { RateLimiter } from '../utils/rate-limiter.js';
+import { ProviderError } from '../utils/error-handler.js';
+
+// Init failures and fallbacks are logged; keep the test output to the results
+mock.method(console, 'log', () => {});
+const consoleError = mock.method(console, 'error', () => {});
+
+// The tracker loads and flushes data/voice-analytics.json from its constructor; keep it in memory
+mock.method(AnalyticsTracker.prototype, 'init', async () => {});
+
+/**
+ * Endpoints on an ephemeral port; init() is replaced so the config and analytics stores never touch data/
+ */
+async function startServer(t, init = async () => {}) {
+    class TestEndpoints extends VoiceAPIEndpoints {
+        init() {
+            return init(this);
+        }
+    }
+
+    const app = express();
+    app.use(express.json());
+    const endpoints = new TestEndpoints(app);
+
+    const server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    t.after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+
+    return { endpoints, url: `http://127.0.0.1:${server.address().port}/v1/voice` };
+}
+
+const post = (url, body) => fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+});
+
+test('routes are served once init settles, even when init fails', async (t) => {
+    const { url } = await startServer(t, async () => {
+        throw new Error('Cannot read data/voice-config.json');
+    });
+
+    const response = await fetch(`${url}/providers/mock`);
+
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).id, 'mock');
+    assert.ok(consoleError.mock.calls.some(call => call.arguments.includes('Cannot read data/voice-config.json')));
+});
+
+test('requests wait for plugins loaded during init', async (t) => {
+    let finishInit;
+    const { url } = await startServer(t, endpoints => new Promise(resolve => {
+        finishInit = () => {
+            endpoints.voiceRouter.registerProvider('in-house', {
+                name: 'In-house TTS', type: 'tts', capabilities: ['text-to-speech'], models: ['house-1'], auth: 'none'
+            }, class extends BaseAdapter {
+                static capabilities = ['batch-tts'];
+                async connect() {}
+                async disconnect() {}
+                async process(text) { return Buffer.from(text); }
+            });
+            resolve();
+        };
+    }));
+
+    let answered = false;
+    const pending = fetch(`${url}/providers/in-house`).then(response => {
+        answered = true;
+        return response;
+    });
+
+    await delay(30);
+    assert.equal(answered, false);
+
+    finishInit();
+    const response = await pending;
+    assert.equal(response.status, 200);
+    assert.deepEqual((await response.json()).adapter_capabilities, ['batch-tts']);
+});
+
+test('a request naming an unknown or mismatched routing policy is rejected as a caller error', async (t) => {
+    const { endpoints, url } = await startServer(t);
+    endpoints.getUserId = () => 'tester';
+    endpoints.configManager.configs.set('tester', { policies: { 'stt-only': { type: 'stt', provider: 'mock' } } });
+
+    const missing = await post(`${url}/synthesize`, { policy: 'missing', text: 'Hello there.' });
+    assert.equal(missing.status, 404);
+    assert.equal((await missing.json()).error_type, 'NOT_FOUND');
+
+    const mismatched = await post(`${url}/synthesize`, { policy: 'stt-only', text: 'Hello there.' });
+    assert.equal(mismatched.status, 400);
+    assert.deepEqual(await mismatched.json().then(({ error_type, retryable }) => ({ error_type, retryable })), { error_type: 'INVALID_REQUEST', retryable: false });
+});
+
+/**
+ * Audio cache in a temp directory, replacing the endpoints' data/audio-cache store
+ */
+async function useTempCache(t, endpoints) {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'voice-cache-'));
+    t.after(() => fs.rm(directory, { recursive: true, force: true }));
+
+    endpoints.audioCache = new AudioCache({ directory });
+    await endpoints.audioCache.init();
+    return endpoints.audioCache;
+}
+
+test('cached audio is only served to the API key it was synthesized with', async (t) => {
+    const { endpoints, url } = await startServer(t);
+    const cache = await useTempCache(t, endpoints);
+    const MockAdapter = endpoints.voiceRouter.getAdapterClass('mock');
+    const synthesized = [];
+
+    endpoints.voiceRouter.registerProvider('keyed-tts', { ...VOICE_PROVIDERS.mock, name: 'Keyed TTS', auth: 'bearer' }, class extends MockAdapter {
+        async process(text) {
+            if (this.apiKey !== 'sk-valid') {
+                throw new ProviderError('Invalid API key', { provider: 'keyed-tts', status: 401 });
+            }
+            synthesized.push(this.apiKey);
+            return Buffer.from(text);
+        }
+    });
+    const request = apiKey => post(`${url}/synthesize`, { provider: 'keyed-tts', api_key: apiKey, text: 'Please hold.' });
+
+    const first = await request('sk-valid');
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('x-voice-cache'), 'MISS');
+    while (!cache.entries.size) await delay(5);
+
+    const forged = await request('sk-forged');
+    assert.equal(forged.headers.get('x-voice-cache'), 'MISS');
+    assert.notEqual(forged.status, 200);
+
+    const repeat = await request('sk-valid');
+    assert.equal(repeat.headers.get('x-voice-cache'), 'HIT');
+    assert.equal((await repeat.json()).cached, true);
+    assert.deepEqual(synthesized, ['sk-valid']);
+});
+
+test('cache hits count against the caller\'s rate limit', async (t) => {
+    const { endpoints, url } = await startServer(t);
+    const cache = await useTempCache(t, endpoints);
+    endpoints.voiceRouter.rateLimiter = new RateLimiter({ caller: { '*': { rate: 0.001, burst: 1 } } });
+
+    await cache.set(cache.getKey({ provider: 'mock', format: 'mp3', text: 'Please hold.' }), Buffer.from('hold music'));
+    const request = () => post(`${url}/synthesize`, { provider: 'mock', text: 'Please hold.' });
+
+    const hit = await request();
+    assert.equal(hit.status, 200);
+    assert.equal(hit.headers.get('x-voice-cache'), 'HIT');
+
+    const limited = await request();
+    assert.equal(limited.status, 429);
+    assert.equal((await limited.json()).error_type, 'RATE_LIMITED');
+});
+
+test('malformed chunking settings and unsplittable text are rejected with 400', async (t) => {
+    const { url } = await startServer(t);
+    const synthesize = body => post(`${url}/synthesize`, { provider: 'mock', cache: false, ...body });
+
+    for (const chunking of [{ max_characters: 10 }, { max_characters: 'lots' }, 'always']) {
+        const response = await synthesize({ text: 'Hello there.', chunking });
+        assert.equal(response.status, 400, JSON.stringify(chunking));
+        assert.equal((await response.json()).error_type, 'INVALID_REQUEST');
+    }
+
+    const unclosed = await synthesize({ text: '<speak><p>Hello there.</speak>', chunking: true });
+    assert.equal(unclosed.status, 400);
+    assert.match((await unclosed.json()).error, /unclosed element/);
+});
+
+test('a chunking concurrency that is not a positive whole number is rejected with 400', async (t) => {
+    const { url } = await startServer(t);
+
+    for (const concurrency of [0, 2.5, 'fast']) {
+        const response = await post(`${url}/synthesize`, { provider: 'mock', cache: false, text: 'Hello there.', chunking: { concurrency } });
+        assert.equal(response.status, 400, String(concurrency));
+        assert.equal((await response.json()).error_type, 'INVALID_REQUEST');
+    }
+});
@@ -3,23 +3,62 @@
  * Supports Bring Your Own Key (BYOK) for multiple voice providers
  */
 
-import { VOICE_PROVIDERS } from '../config/voice-providers-config.js';
+import { VOICE_PROVIDERS, expandEndpointTemplate, translateProviderOptions } from '../config/voice-providers-config.js';
 import { WebSocket } from 'ws';
-import { VoiceErrorHandler, VoiceError } from '../utils/error-handler.js';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { pathToFileURL } from 'url';
+import { VoiceErrorHandler, VoiceError, ProviderError } from '../utils/error-handler.js';
+import { providerErrorFromResponse, providerErrorFromBody, providerErrorFromEvent } from '../utils/provider-errors.js';
+import { signAwsRequest } from '../utils/aws-signature.js';
+import { parseServiceAccount, getServiceAccountToken } from '../utils/google-auth.js';
+import { validateRoutingPolicy, evaluateRoutingPolicy } from '../utils/routing-policy.js';
+import { RateLimiter } from '../utils/rate-limiter.js';
+
+// Request types map onto the capability names used in the provider catalog
+const REQUEST_TYPE_CAPABILITIES = {
+    'stt': 'speech-to-text',
+    'tts': 'text-to-speech',
+    'conversational': 'speech-to-speech'
+};
 
 export class VoiceRouter {
     constructor(options = {}) {
-        this.providers = VOICE_PROVIDERS;
-        this.activeConnections = new Map();
+        // Copied so runtime registrations never leak into the shared catalog
+        this.providers = { ...(options.providers || VOICE_PROVIDERS) };
+        this.adapters = new Map(Object.entries(BUILT_IN_ADAPTERS));
+        this.registrationCallbacks = [];
         this.usage = new Map(); // Track usage per provider
+
+        // Warm connections for adapters that hold a socket, keyed by provider, key and connection options
+        this.activeConnections = new Map();
+        this.connectionLeases = new WeakMap(); // Leased adapter -> pool key (null when not pooled)
+        this.poolOptions = {
+            maxSize: 4,             // Connections per pool, leased or idle
+            idleTimeout: 60000,     // Close idle connections after this long
+            pingInterval: 15000,    // Health-check idle connections this often
+            acquireTimeout: 10000,  // Wait this long for a connection when the pool is full
+            ...options.pool
+        };
         
         // Initialize error handler
         this.errorHandler = new VoiceErrorHandler({
+            providers: Object.keys(this.providers),
             maxRetries: options.maxRetries || 3,
             retryDelay: options.retryDelay || 1000,
             circuitBreakerThreshold: options.circuitBreakerThreshold || 5,
-            circuitBreakerTimeout: options.circuitBreakerTimeout || 30000
+            circuitBreakerTimeout: options.circuitBreakerTimeout || 30000,
+            retryPolicy: options.retryPolicy,
+            retryPolicies: options.retryPolicies,
+            circuitBreaker: options.circuitBreaker
         });
+
+        // Token buckets and concurrency bulkheads, checked before an adapter is created
+        this.rateLimiter = new RateLimiter(options.rateLimits);
+        this.rateLimitPermits = new WeakMap(); // Adapter -> permit, returned by releaseAdapter()
     }
 
     /**
@@ -29,29 +68,61 @@ export class VoiceRouter {
      * @param {string} config.apiKey - User's API key for the provider
      * @param {Object} config.options - Provider-specific options
      * @param {string} config.type - Request type: 'stt', 'tts', 'realtime', 'conversational'
-     * @returns {Object} Provider adapter instance
+     * @param {string} config.capability - Adapter capability the caller will use (see ADAPTER_CAPABILITIES)
+     * @param {string} config.caller - Caller identity for per-caller rate limits
+     * @param {AbortSignal} config.signal - Request's signal; aborting it stops the adapter's provider work
+     * @returns {Object} Provider adapter instance; hand it back with releaseAdapter() to free its rate limit slot
+     * @throws {VoiceError} NOT_FOUND for an unknown provider, INVALID_REQUEST for a missing key or a type or
+     *   capability the provider lacks; neither counts against the provider's circuit breaker
      */
     async routeRequest(config) {
-        const { provider, apiKey, options = {}, type } = config;
+        const { provider, apiKey, options = {}, type, capability, caller, signal } = config;
 
         if (!this.providers[provider]) {
-            throw new Error(`Provider "${provider}" not supported. Available providers: ${Object.keys(this.providers).join(', ')}`);
+            throw new VoiceError(
+                `Provider "${provider}" not supported. Available providers: ${Object.keys(this.providers).join(', ')}`,
+                'NOT_FOUND',
+                { provider, isRetryable: false }
+            );
         }
 
-        if (!apiKey) {
-            throw new Error(`API key required for provider "${provider}"`);
+        if (!apiKey && this.requiresApiKey(provider)) {
+            throw new VoiceError(`API key required for provider "${provider}"`, 'INVALID_REQUEST', { provider, isRetryable: false });
         }
 
         const providerConfig = this.providers[provider];
 
         // Validate provider supports requested type
-        if (type && !providerConfig.capabilities.includes(type) && providerConfig.type !== type) {
-            throw new Error(`Provider "${provider}" does not support "${type}". Supported: ${providerConfig.capabilities.join(', ')}`);
+        if (type && !this.supportsType(providerConfig, type)) {
+            throw new VoiceError(
+                `Provider "${provider}" does not support "${type}". Supported: ${providerConfig.capabilities.join(', ')}`,
+                'INVALID_REQUEST',
+                { provider, isRetryable: false }
+            );
         }
 
         // Create appropriate adapter based on provider
         const AdapterClass = this.getAdapterClass(provider);
-        const adapter = new AdapterClass(providerConfig, apiKey, options);
+
+        if (capability && !AdapterClass.capabilities.includes(capability)) {
+            throw new VoiceError(
+                `Provider "${provider}" does not support ${capability}. Adapter capabilities: ${AdapterClass.capabilities.join(', ')}`,
+                'INVALID_REQUEST',
+                { provider, isRetryable: false }
+            );
+        }
+
+        // Wait for a rate limit slot (or fail with RATE_LIMITED) before any provider work
+        const permit = await this.rateLimiter.acquire({ provider, apiKey, caller, signal });
+
+        let adapter;
+        try {
+            adapter = new AdapterClass(providerConfig, apiKey, options, { type, provider, signal });
+        } catch (error) {
+            permit.release();
+            throw error;
+        }
+        this.rateLimitPermits.set(adapter, permit);
 
         // Track usage
         this.trackUsage(provider, 'request');
@@ -59,32 +130,402 @@ export class VoiceRouter {
         return adapter;
     }
 
+    /**
+     * Local and mock providers (auth: 'none') run without credentials
+     */
+    requiresApiKey(provider) {
+        return this.providers[provider]?.auth !== 'none';
+    }
+
+    /**
+     * Check whether a provider handles a request type, by type or capability
+     */
+    supportsType(providerConfig, type) {
+        return providerConfig.type === type ||
+            providerConfig.capabilities.includes(type) ||
+            providerConfig.capabilities.includes(REQUEST_TYPE_CAPABILITIES[type]);
+    }
+
+    /**
+     * Lease a connected adapter, reusing a warm pooled connection when the adapter holds one
+     * (see BaseAdapter.poolable). Hand it back with releaseAdapter() when done.
+     * @param {Object} config - As for routeRequest
+     * @returns {Promise<BaseAdapter>} Connected adapter
+     */
+    async acquireAdapter(config) {
+        const adapter = await this.routeRequest(config);
+
+        try {
+            const leased = await this.leaseConnection(adapter, config);
+
+            // A warm pooled connection may stand in for the new adapter; the request's slot and signal go with it
+            if (leased !== adapter) {
+                this.rateLimitPermits.set(leased, this.rateLimitPermits.get(adapter));
+                this.rateLimitPermits.delete(adapter);
+                adapter.bindSignal(null);
+                leased.bindSignal(config.signal);
+            }
+            return leased;
+        } catch (error) {
+            this.releaseRateLimit(adapter);
+            throw error;
+        }
+    }
+
+    /**
+     * Connect a new adapter, or take a pooled connection in its place
+     */
+    async leaseConnection(adapter, config) {
+        if (!adapter.poolable) {
+            await adapter.connect();
+            this.connectionLeases.set(adapter, null);
+            return adapter;
+        }
+
+        const key = this.getPoolKey(config.provider, config.apiKey, adapter);
+        const pool = this.activeConnections.get(key) || { provider: config.provider, idle: [], leased: new Set(), waiters: [] };
+        this.activeConnections.set(key, pool);
+
+        for (;;) {
+            while (pool.idle.length) {
+                const pooled = this.takeIdleConnection(pool);
+                if (pooled.isHealthy()) {
+                    pool.leased.add(pooled);
+                    this.connectionLeases.set(pooled, key);
+                    return pooled;
+                }
+                pooled.disconnect().catch(() => {});
+            }
+
+            if (pool.leased.size < this.poolOptions.maxSize) break;
+
+            // Full: take over the next released connection, or retry once a slot frees up
+            const released = await this.waitForConnection(pool);
+            if (released) {
+                this.connectionLeases.set(released, key);
+                return released;
+            }
+        }
+
+        pool.leased.add(adapter);
+        try {
+            await adapter.connect();
+        } catch (error) {
+            pool.leased.delete(adapter);
+            this.handOverConnection(key, pool, null);
+            throw error;
+        }
+
+        this.connectionLeases.set(adapter, key);
+        return adapter;
+    }
+
+    /**
+     * Return a leased adapter. Healthy pooled connections are reset and kept warm for the
+     * next lease; everything else is disconnected. Safe to call more than once.
+     * @param {BaseAdapter} adapter - Adapter from acquireAdapter()
+     * @param {Object} options
+     * @param {boolean} options.discard - Close the connection instead of pooling it, e.g. after an error
+     */
+    async releaseAdapter(adapter, { discard = false } = {}) {
+        this.releaseRateLimit(adapter);
+        if (!adapter || !this.connectionLeases.has(adapter)) return;
+
+        const key = this.connectionLeases.get(adapter);
+        const pool = key && this.activeConnections.get(key);
+        this.connectionLeases.delete(adapter);
+        adapter.bindSignal(null);
+
+        if (!pool) {
+            await adapter.disconnect().catch(() => {});
+            return;
+        }
+
+        // The connection keeps its slot while it resets, so the pool cannot overfill
+        const reusable = !discard && adapter.isHealthy() && await adapter.reset().catch(() => false);
+        pool.leased.delete(adapter);
+
+        if (!reusable) {
+            await adapter.disconnect().catch(() => {});
+            this.handOverConnection(key, pool, null);
+            return;
+        }
+
+        this.handOverConnection(key, pool, adapter);
+    }
+
+    /**
+     * Take a per-caller rate limit slot for a request answered without calling the provider,
+     * e.g. from the audio cache; provider and key limits only meter provider calls
+     * @param {Object} config - { provider, caller, signal }
+     * @returns {Promise<Object>} Permit whose release() must be called once the response is sent
+     * @throws {VoiceError} RATE_LIMITED when the caller is over its limit
+     */
+    acquireCallerPermit({ provider, caller, signal }) {
+        return this.rateLimiter.acquire({ provider, caller, signal, levels: ['caller'] });
+    }
+
+    /**
+     * Free the rate limit slot an adapter from routeRequest() holds; safe to call more than once
+     */
+    releaseRateLimit(adapter) {
+        this.rateLimitPermits.get(adapter)?.release();
+        this.rateLimitPermits.delete(adapter);
+    }
+
+    /**
+     * Rate limits, live bucket and bulkhead state and admission counts for a provider
+     */
+    getRateLimitState(provider) {
+        return this.rateLimiter.getState(provider);
+    }
+
+    /**
+     * Close idle pooled connections and stop waiting acquirers; leased connections close on release
+     */
+    async closeConnections() {
+        const closing = [];
+
+        for (const [key, pool] of this.activeConnections) {
+            while (pool.idle.length) {
+                closing.push(this.takeIdleConnection(pool).disconnect().catch(() => {}));
+            }
+            pool.waiters.splice(0).forEach(waiter => {
+                clearTimeout(waiter.timer);
+                waiter.reject(new Error(`Connection pool for ${pool.provider} closed`));
+            });
+            this.activeConnections.delete(key);
+        }
+
+        await Promise.all(closing);
+        return closing.length;
+    }
+
+    /**
+     * Pooled connection counts per provider
+     */
+    getPoolStats() {
+        const stats = {};
+
+        for (const pool of this.activeConnections.values()) {
+            const providerStats = stats[pool.provider] || { pools: 0, idle: 0, leased: 0, waiting: 0 };
+            providerStats.pools++;
+            providerStats.idle += pool.idle.length;
+            providerStats.leased += pool.leased.size;
+            providerStats.waiting += pool.waiters.length;
+            stats[pool.provider] = providerStats;
+        }
+
+        return stats;
+    }
+
+    /**
+     * Pools are per provider, per key and per connection options; keys are hashed, never stored
+     */
+    getPoolKey(provider, apiKey, adapter) {
+        const keyHash = crypto.createHash('sha256').update(String(apiKey ?? '')).digest('hex').slice(0, 16);
+        return `${provider}:${keyHash}:${adapter.connectionKey()}`;
+    }
+
+    takeIdleConnection(pool) {
+        const entry = pool.idle.pop();
+        clearTimeout(entry.idleTimer);
+        clearInterval(entry.pingTimer);
+        return entry.adapter;
+    }
+
+    waitForConnection(pool) {
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject };
+            waiter.timer = setTimeout(() => {
+                pool.waiters = pool.waiters.filter(other => other !== waiter);
+                reject(new Error(`Connection pool for ${pool.provider} is exhausted (${this.poolOptions.maxSize} connections in use)`));
+            }, this.poolOptions.acquireTimeout);
+            pool.waiters.push(waiter);
+        });
+    }
+
+    /**
+     * Give a released connection (or, when null, its freed slot) to the next waiter, else park it idle
+     */
+    handOverConnection(key, pool, adapter) {
+        const waiter = pool.waiters.shift();
+
+        if (waiter) {
+            clearTimeout(waiter.timer);
+            if (adapter) pool.leased.add(adapter);
+            waiter.resolve(adapter);
+            return;
+        }
+
+        if (!adapter) {
+            this.dropEmptyPool(key, pool);
+            return;
+        }
+
+        const entry = { adapter };
+        const evict = () => {
+            const index = pool.idle.indexOf(entry);
+            if (index === -1) return;
+
+            pool.idle.splice(index, 1);
+            clearTimeout(entry.idleTimer);
+            clearInterval(entry.pingTimer);
+            adapter.disconnect().catch(() => {});
+            this.dropEmptyPool(key, pool);
+        };
+
+        entry.idleTimer = setTimeout(evict, this.poolOptions.idleTimeout);
+        entry.pingTimer = setInterval(async () => {
+            if (!await adapter.ping().catch(() => false)) {
+                console.log(`🔌 Dropping pooled ${pool.provider} connection after a failed health ping`);
+                evict();
+            }
+        }, this.poolOptions.pingInterval);
+
+        // Idle connections never keep the process alive
+        entry.idleTimer.unref?.();
+        entry.pingTimer.unref?.();
+
+        pool.idle.push(entry);
+    }
+
+    dropEmptyPool(key, pool) {
+        if (!pool.idle.length && !pool.leased.size && !pool.waiters.length && this.activeConnections.get(key) === pool) {
+            this.activeConnections.delete(key);
+        }
+    }
+
+    /**
+     * Evaluate a routing policy to choose the provider for a request, before routeRequest()
+     * @param {string} name - Policy name
+     * @param {Object} policy - Policy definition (see utils/routing-policy.js)
+     * @param {Object} context - { type, userId, language, now }
+     * @returns {Object} { policy, rule, provider, options, experiment }
+     */
+    applyRoutingPolicy(name, policy, context = {}) {
+        const errors = validateRoutingPolicy(policy, this.providers);
+
+        if (errors.length) {
+            throw new VoiceError(`Routing policy "${name}" is invalid: ${errors.join('; ')}`, 'INVALID_REQUEST', { isRetryable: false });
+        }
+
+        if (policy.type && context.type && policy.type !== context.type) {
+            throw new VoiceError(`Routing policy "${name}" routes ${policy.type} requests, not ${context.type}`, 'INVALID_REQUEST', { isRetryable: false });
+        }
+
+        return evaluateRoutingPolicy(name, policy, context);
+    }
+
     /**
      * Get the appropriate adapter class for a provider
      */
     getAdapterClass(provider) {
-        const adapterMap = {
-            'openai-realtime': OpenAIRealtimeAdapter,
-            'deepgram': DeepgramAdapter,
-            'assemblyai': AssemblyAIAdapter,
-            'whisper': WhisperAdapter,
-            'elevenlabs': ElevenLabsAdapter,
-            'playht': PlayHTAdapter,
-            'google-stt': GoogleSTTAdapter,
-            'google-tts': GoogleTTSAdapter,
-            'azure-stt': AzureSTTAdapter,
-            'azure-tts': AzureTTSAdapter,
-            'amazon-polly': AmazonPollyAdapter,
-            'murf': MurfAdapter,
-            'elevenlabs-conversational': ElevenLabsConversationalAdapter,
-            'ibm-watson': IBMWatsonAdapter
-        };
+        const AdapterClass = this.adapters.get(provider);
 
-        if (!adapterMap[provider]) {
+        if (!AdapterClass) {
             throw new Error(`No adapter available for provider: ${provider}`);
         }
 
-        return adapterMap[provider];
+        return AdapterClass;
+    }
+
+    /**
+     * Adapter capabilities of a provider (see ADAPTER_CAPABILITIES)
+     */
+    getCapabilities(provider) {
+        return this.adapters.get(provider)?.capabilities || [];
+    }
+
+    /**
+     * Register a provider at runtime, e.g. an in-house adapter
+     * Wires the catalog entry, adapter and circuit breaker, then notifies registration listeners
+     * @param {string} id - Provider id used in requests
+     * @param {Object} config - Catalog entry, same shape as VOICE_PROVIDERS (optionally with costTable and category)
+     * @param {Function} AdapterClass - Adapter class satisfying ADAPTER_CONTRACT
+     */
+    registerProvider(id, config, AdapterClass) {
+        const errors = validateAdapterContract(id, config, AdapterClass);
+
+        if (errors.length) {
+            throw new Error(`Provider "${id}" does not satisfy the adapter contract: ${errors.join('; ')}`);
+        }
+
+        if (this.providers[id]) {
+            throw new Error(`Provider "${id}" is already registered`);
+        }
+
+        this.providers[id] = config;
+        this.adapters.set(id, AdapterClass);
+        this.errorHandler.registerProvider(id);
+
+        this.registrationCallbacks.forEach(callback => callback(id, config));
+
+        return config;
+    }
+
+    /**
+     * Listen for runtime provider registrations
+     */
+    onProviderRegistered(callback) {
+        this.registrationCallbacks.push(callback);
+    }
+
+    /**
+     * Load adapter plugins from a directory of modules and/or npm package names
+     * A plugin module's default export is a plugin ({ id, config, Adapter }), an array of plugins,
+     * or a function receiving { BaseAdapter } and returning either.
+     * Broken plugins are logged and skipped so they cannot take the router down.
+     * @param {Object} plugins
+     * @param {string} plugins.directory - Directory containing .js/.mjs plugin modules
+     * @param {string[]} plugins.packages - npm package names
+     * @returns {Promise<Object>} { loaded: [ids], failed: [{ source, error }] }
+     */
+    async loadPlugins({ directory = null, packages = [] } = {}) {
+        const sources = [...packages];
+
+        if (directory) {
+            const files = await fs.readdir(directory).catch(error => {
+                if (error.code !== 'ENOENT') {
+                    console.error(`❌ Failed to read provider plugin directory "${directory}": ${error.message}`);
+                }
+                return [];
+            });
+
+            files
+                .filter(file => /\.m?js$/.test(file))
+                .sort()
+                .forEach(file => sources.push(pathToFileURL(path.resolve(directory, file)).href));
+        }
+
+        const loaded = [];
+        const failed = [];
+
+        for (const source of sources) {
+            try {
+                const module = await import(source);
+                const exported = module.default ?? module.plugin;
+                const plugins = [].concat(typeof exported === 'function' ? await exported({ BaseAdapter }) : exported ?? []);
+
+                if (!plugins.length) {
+                    throw new Error('Module does not export a provider plugin');
+                }
+
+                for (const { id, config, Adapter } of plugins) {
+                    this.registerProvider(id, config, Adapter);
+                    loaded.push(id);
+                }
+            } catch (error) {
+                console.error(`❌ Failed to load provider plugin "${source}": ${error.message}`);
+                failed.push({ source, error: error.message });
+            }
+        }
+
+        if (loaded.length) {
+            console.log(`🔌 Loaded provider plugins: ${loaded.join(', ')}`);
+        }
+
+        return { loaded, failed };
     }
 
     /**
@@ -131,16 +572,38 @@ export class VoiceRouter {
     /**
      * List available providers with their capabilities
      */
-    listProviders(type = null) {
-        if (!type) {
+    listProviders(type = null, capability = null) {
+        if (!type && !capability) {
             return this.providers;
         }
 
         return Object.entries(this.providers)
-            .filter(([_, config]) => config.type === type || config.capabilities.includes(type))
+            .filter(([_, config]) => !type || this.supportsType(config, type))
+            .filter(([key]) => !capability || this.getCapabilities(key).includes(capability))
             .reduce((acc, [key, value]) => ({ ...acc, [key]: value }), {});
     }
 
+    /**
+     * List the voice catalog of a TTS provider
+     * @param {string} caller - Caller identity for per-caller rate limits
+     * @param {AbortSignal} signal - Request's signal
+     */
+    async listVoices(provider, apiKey, options = {}, caller = null, signal = null) {
+        const adapter = await this.routeRequest({ provider, apiKey, options, caller, signal });
+
+        if (typeof adapter.listVoices !== 'function') {
+            throw new Error(`Provider "${provider}" does not support voice listing`);
+        }
+
+        try {
+            await adapter.connect();
+            return await adapter.listVoices();
+        } finally {
+            this.releaseRateLimit(adapter);
+            await adapter.disconnect();
+        }
+    }
+
     /**
      * Validate provider configuration
      */
@@ -149,32 +612,342 @@ export class VoiceRouter {
             return { valid: false, error: `Provider "${provider}" not found` };
         }
 
-        if (!apiKey) {
+        if (!apiKey && this.requiresApiKey(provider)) {
             return { valid: false, error: 'API key is required' };
         }
 
-        // Provider-specific validation could go here
+        // Service-account providers accept a service-account JSON key (or a plain API key)
+        if (this.providers[provider].auth === 'service-account') {
+            try {
+                parseServiceAccount(apiKey);
+            } catch (error) {
+                return { valid: false, error: `Invalid service account key: ${error.message}` };
+            }
+        }
+
         return { valid: true };
     }
 
     /**
-     * Route request with error handling and fallback
-     * @param {Object} config - Request configuration including fallback providers
+     * Run an operation with retries, falling back along a provider chain
+     * Each hop builds the fallback provider's own adapter with its own key and translated options.
+     * @param {Object} config - Request configuration (as for routeRequest) plus:
+     * @param {string[]} config.fallbackProviders - Providers to try, in order, after the primary
+     * @param {Function} config.resolveApiKey - (provider) => key for a fallback provider, e.g. from ConfigManager
+     * @param {Function} config.execute - async (adapter, options, provider) => result, run on a connected adapter
+     * @param {number} config.retries - Retries per provider (see VoiceErrorHandler.executeWithFallback)
+     * @param {Object} config.retryPolicies - Retry policies keyed by provider id or "*" (see utils/retry-policy.js)
+     * @param {AbortSignal} config.signal - Request's signal: aborting it stops the attempt in flight and the fallback chain
+     * @param {number} config.deadline - Request's deadline (epoch ms), if it has one
+     * @returns {Promise<Object>} { result, provider, model, options, fallback } where provider is the one that served
      */
     async routeWithFallback(config) {
-        const { provider, fallbackProviders = [], ...restConfig } = config;
-        
+        const {
+            provider,
+            apiKey,
+            fallbackProviders = [],
+            resolveApiKey = () => null,
+            execute,
+            options = {},
+            retries,
+            retryPolicies,
+            timeout = 30000,
+            signal,
+            deadline,
+            ...routeConfig
+        } = config;
+
+        const { chain, apiKeys } = await this.resolveFallbackChain({ provider, apiKey, fallbackProviders, resolveApiKey, ...routeConfig });
+
         return await this.errorHandler.executeWithFallback(
-            () => this.routeRequest({ provider, ...restConfig }),
+            async (currentProvider, attemptSignal) => {
+                const hopOptions = translateProviderOptions(options, provider, currentProvider, this.providers);
+                const adapter = await this.acquireAdapter({
+                    ...routeConfig,
+                    provider: currentProvider,
+                    apiKey: apiKeys.get(currentProvider),
+                    options: hopOptions,
+                    signal: attemptSignal
+                });
+
+                let failed = true;
+                try {
+                    const result = await execute(adapter, hopOptions, currentProvider);
+                    failed = false;
+                    return {
+                        result,
+                        provider: currentProvider,
+                        model: hopOptions.model,
+                        options: hopOptions,
+                        fallback: currentProvider !== provider
+                    };
+                } finally {
+                    await this.releaseAdapter(adapter, { discard: failed });
+                }
+            },
             {
                 provider,
-                fallbackProviders,
-                retries: config.retries || 3,
-                timeout: config.timeout || 30000
+                fallbackProviders: chain,
+                retries,
+                retryPolicies,
+                timeout,
+                signal,
+                deadline,
+                getScope: (currentProvider) => this.getBreakerScope(
+                    apiKeys.get(currentProvider),
+                    translateProviderOptions(options, provider, currentProvider, this.providers)
+                )
             }
         );
     }
 
+    /**
+     * Fallback providers able to serve a request, with the key each one will use
+     * Skips fallbacks that cannot serve this request type or have no usable key.
+     * @returns {Promise<Object>} { chain: [providers], apiKeys: Map(provider => key) }
+     */
+    async resolveFallbackChain({ provider, apiKey, fallbackProviders = [], resolveApiKey = () => null, type, capability }) {
+        const apiKeys = new Map([[provider, apiKey]]);
+        const chain = [];
+
+        for (const candidate of fallbackProviders) {
+            const candidateConfig = this.providers[candidate];
+            if (candidate === provider || !candidateConfig || chain.includes(candidate)) continue;
+            if (type && !this.supportsType(candidateConfig, type)) continue;
+            if (capability && !this.getCapabilities(candidate).includes(capability)) continue;
+
+            const candidateKey = await resolveApiKey(candidate);
+            if (!candidateKey && this.requiresApiKey(candidate)) continue;
+
+            apiKeys.set(candidate, candidateKey);
+            chain.push(candidate);
+        }
+
+        return { chain, apiKeys };
+    }
+
+    /**
+     * Run an operation on the primary provider and, if it has not produced a first byte within
+     * hedgeAfter ms (or fails first), race a second request on a backup provider: the first
+     * usable fallback. The first attempt to respond wins and the other is aborted; when both
+     * fail, the ALL_PROVIDERS_FAILED error reports the primary's failure.
+     *
+     * execute receives an attempt handle as its fourth argument. Streaming callers call
+     * attempt.firstByte() on their first chunk (it returns false once another attempt has won)
+     * and stop when attempt.signal aborts; for buffered requests the completed result is the
+     * first byte.
+     * @param {Object} config - As for routeWithFallback, plus:
+     * @param {number} config.hedgeAfter - First-byte budget in ms before the backup is fired
+     * @param {AbortSignal} config.signal - Request's signal: aborting it aborts every attempt
+     * @returns {Promise<Object>} { result, provider, model, options, fallback, hedged, attempts }
+     */
+    async routeWithHedge(config) {
+        const {
+            provider,
+            apiKey,
+            fallbackProviders = [],
+            resolveApiKey = () => null,
+            execute,
+            options = {},
+            hedgeAfter = 1000,
+            timeout = 30000,
+            retries, // Hedging replaces retries: a slow or failed primary is covered by the backup
+            retryPolicies,
+            signal,
+            deadline, // Enforced through signal; there are no retries to plan around it
+            ...routeConfig
+        } = config;
+
+        if (signal?.aborted) {
+            throw this.errorHandler.createVoiceError(signal.reason, provider, 0);
+        }
+
+        const { chain, apiKeys } = await this.resolveFallbackChain({ provider, apiKey, fallbackProviders, resolveApiKey, ...routeConfig });
+        const scopeOf = (current) => this.getBreakerScope(
+            apiKeys.get(current),
+            translateProviderOptions(options, provider, current, this.providers)
+        );
+        let backup = chain.find(candidate => this.isProviderAvailable(candidate, scopeOf(candidate)));
+        const primaryAvailable = this.errorHandler.acquireCircuitBreaker(provider, scopeOf(provider));
+
+        if (!primaryAvailable && !backup) {
+            throw new VoiceError(
+                `Provider ${provider} is currently unavailable (circuit breaker open)`,
+                'PROVIDER_UNAVAILABLE',
+                { provider, circuitBreaker: true }
+            );
+        }
+
+        let cancel = null;
+        return await new Promise((resolve, reject) => {
+            const attempts = [];
+            let winner = null;
+            let hedgeTimer = null;
+            let lastError = null;
+            let primaryError = null;
+
+            const summarize = () => attempts.map(attempt => ({
+                provider: attempt.provider,
+                role: attempt.role,
+                outcome: attempt.outcome,
+                model: attempt.model,
+                startTime: attempt.startTime,
+                endTime: attempt.endTime,
+                error: attempt.error
+            }));
+
+            const launch = (current, role) => {
+                const controller = new AbortController();
+                const hopOptions = translateProviderOptions(options, provider, current, this.providers);
+                const attempt = {
+                    provider: current,
+                    role,
+                    model: hopOptions.model,
+                    options: hopOptions,
+                    outcome: 'pending',
+                    startTime: Date.now(),
+                    endTime: null,
+                    error: null,
+                    adapter: null,
+                    signal: controller.signal,
+                    firstByte: () => {
+                        if (!winner && attempt.outcome === 'pending') {
+                            winner = attempt;
+                            clearTimeout(hedgeTimer);
+                            attempts.filter(other => other !== attempt && other.outcome === 'pending').forEach(other => other.abort());
+                        }
+                        return winner === attempt;
+                    },
+                    abort: () => {
+                        attempt.outcome = 'aborted';
+                        attempt.endTime = Date.now();
+                        controller.abort();
+                        this.errorHandler.releaseCircuitBreaker(current, scopeOf(current));
+                        this.releaseAdapter(attempt.adapter, { discard: true });
+                    }
+                };
+
+                attempts.push(attempt);
+                this.errorHandler.recordRequest(current);
+
+                this.errorHandler.executeWithTimeout(async (timeoutSignal) => {
+                    const adapter = await this.acquireAdapter({
+                        ...routeConfig,
+                        provider: current,
+                        apiKey: apiKeys.get(current),
+                        options: hopOptions,
+                        signal: timeoutSignal
+                    });
+                    attempt.adapter = adapter;
+
+                    let failed = true;
+                    try {
+                        if (attempt.signal.aborted) return null;
+                        const result = await execute(adapter, hopOptions, current, attempt);
+                        failed = false;
+                        return result;
+                    } finally {
+                        await this.releaseAdapter(adapter, { discard: failed || attempt.signal.aborted });
+                    }
+                }, timeout, attempt.signal).then(
+                    result => {
+                        if (!attempt.firstByte()) return; // Lost the race; already aborted
+
+                        attempt.outcome = 'won';
+                        attempt.endTime = Date.now();
+                        this.errorHandler.recordSuccess(current, attempt.endTime - attempt.startTime, scopeOf(current));
+                        resolve({
+                            result,
+                            provider: current,
+                            model: hopOptions.model,
+                            options: hopOptions,
+                            fallback: current !== provider,
+                            hedged: attempts.length > 1,
+                            attempts: summarize()
+                        });
+                    },
+                    error => {
+                        if (attempt.outcome === 'aborted') return;
+
+                        lastError = this.errorHandler.createVoiceError(error, current, 0);
+                        attempt.outcome = 'failed';
+                        attempt.endTime = Date.now();
+                        attempt.error = lastError.message;
+                        if (role === 'primary') primaryError = lastError;
+                        this.errorHandler.recordError(current, lastError, attempt.endTime - attempt.startTime);
+                        this.errorHandler.updateCircuitBreaker(current, lastError, scopeOf(current));
+
+                        // A failure after the first byte cannot be hedged; the response is already underway
+                        if (winner === attempt) {
+                            reject(lastError);
+                            return;
+                        }
+
+                        hedge();
+                        settleIfExhausted();
+                    }
+                );
+            };
+
+            const hedge = () => {
+                clearTimeout(hedgeTimer);
+                if (winner || !backup || attempts.some(attempt => attempt.provider === backup)) return;
+
+                // The backup's breaker may have half-opened with its probe slots taken since the chain was checked
+                if (!this.errorHandler.acquireCircuitBreaker(backup, scopeOf(backup))) {
+                    backup = null;
+                    settleIfExhausted();
+                    return;
+                }
+
+                console.log(`🏁 Hedging ${provider} request with backup provider: ${backup}`);
+                launch(backup, primaryAvailable ? 'hedge' : 'backup');
+            };
+
+            const settleIfExhausted = () => {
+                if (winner || attempts.some(attempt => attempt.outcome === 'pending')) return;
+                if (backup && !attempts.some(attempt => attempt.provider === backup)) return;
+
+                if (!lastError) {
+                    reject(new VoiceError(
+                        `Provider ${provider} is currently unavailable (circuit breaker open)`,
+                        'PROVIDER_UNAVAILABLE',
+                        { provider, circuitBreaker: true }
+                    ));
+                    return;
+                }
+
+                // The primary is the provider the caller asked for, so its failure is the one reported
+                const reported = primaryError || lastError;
+                reject(new VoiceError(
+                    `All providers failed. ${primaryError ? `Primary ${provider}` : 'Last'} error: ${reported.message}`,
+                    'ALL_PROVIDERS_FAILED',
+                    {
+                        provider,
+                        fallbackProviders: backup ? [backup] : [],
+                        attempts: summarize(),
+                        lastError: reported.toJSON()
+                    }
+                ));
+            };
+
+            // The client left or the deadline passed: stop every attempt, win or lose
+            cancel = () => {
+                clearTimeout(hedgeTimer);
+                attempts.filter(attempt => attempt.outcome === 'pending').forEach(attempt => attempt.abort());
+                reject(this.errorHandler.createVoiceError(signal.reason, provider, 0));
+            };
+            signal?.addEventListener('abort', cancel, { once: true });
+
+            if (primaryAvailable) {
+                launch(provider, 'primary');
+                hedgeTimer = setTimeout(hedge, hedgeAfter);
+            } else {
+                hedge();
+            }
+        }).finally(() => signal?.removeEventListener('abort', cancel));
+    }
+
     /**
      * Get error statistics for providers
      */
@@ -198,21 +971,93 @@ export class VoiceRouter {
 
     /**
      * Check if provider is available
+     * @param {string} provider - Provider id
+     * @param {Object} scope - { credential, region, model } of the request; the unscoped breaker when omitted
+     */
+    isProviderAvailable(provider, scope = {}) {
+        return this.errorHandler.isProviderAvailable(provider, scope);
+    }
+
+    /**
+     * State of the circuit breaker a request in this scope would go through: CLOSED, OPEN or HALF_OPEN
+     */
+    getCircuitBreakerState(provider, scope = {}) {
+        const breaker = this.errorHandler.getCircuitBreaker(provider, scope);
+        breaker.refresh();
+        return breaker.state;
+    }
+
+    /**
+     * Circuit breaker scope of a request: its credential, and the region and model it targets
+     * (which of these key a breaker is configured with the circuitBreaker.scope option)
+     */
+    getBreakerScope(apiKey, options = {}) {
+        return { credential: apiKey, region: options.region, model: options.model };
+    }
+
+    /**
+     * Listen for circuit breaker state changes (see VoiceErrorHandler.onCircuitBreakerTransition)
+     */
+    onCircuitBreakerTransition(callback) {
+        this.errorHandler.onCircuitBreakerTransition(callback);
+    }
+
+    /**
+     * Recent circuit breaker transitions, optionally for one provider
      */
-    isProviderAvailable(provider) {
-        return this.errorHandler.isProviderAvailable(provider);
+    getCircuitBreakerEvents(provider = null) {
+        return this.errorHandler.getCircuitBreakerEvents(provider);
     }
 }
 
+// The live Deepgram socket is opened for 16 kHz mono linear16
+const DEEPGRAM_LIVE_BYTES_PER_SECOND = 32000;
+
+/**
+ * Ping a socket and wait for the pong
+ * @returns {Promise<boolean>} Whether the pong arrived in time
+ */
+function pingWebSocket(websocket, timeout = 5000) {
+    return new Promise((resolve) => {
+        if (websocket?.readyState !== WebSocket.OPEN) {
+            resolve(false);
+            return;
+        }
+
+        const onPong = () => {
+            clearTimeout(timer);
+            resolve(true);
+        };
+        const timer = setTimeout(() => {
+            websocket.off('pong', onPong);
+            resolve(false);
+        }, timeout);
+
+        websocket.once('pong', onPong);
+        websocket.ping();
+    });
+}
+
 /**
  * Base adapter class for voice providers
  */
 class BaseAdapter {
-    constructor(config, apiKey, options = {}) {
+    // Capabilities from ADAPTER_CAPABILITIES that this adapter implements
+    static capabilities = [];
+
+    // Adapters holding a socket can be pooled by VoiceRouter and reused across requests;
+    // they implement isHealthy(), ping() and reset() for their connection
+    static poolable = false;
+
+    constructor(config, apiKey, options = {}, context = {}) {
         this.config = config;
         this.apiKey = apiKey;
         this.options = options;
+        this.requestType = context.type || null; // Routed request type, e.g. 'stt' or 'tts'
+        this.provider = context.provider || null; // Provider id, selects the error body parser
         this.isConnected = false;
+        this.signal = null;
+        this.bindSignal(context.signal);
     }
 
     async connect() {
@@ -226,19 +1071,219 @@ class BaseAdapter {
     async process(input) {
         throw new Error('process() must be implemented by adapter');
     }
-}
 
-/**
- * OpenAI Realtime API Adapter
- */
-class OpenAIRealtimeAdapter extends BaseAdapter {
-    constructor(config, apiKey, options = {}) {
-        super(config, apiKey, options);
-        this.websocket = null;
+    supports(capability) {
+        return this.constructor.capabilities.includes(capability);
     }
 
-    async connect() {
-        return new Promise((resolve, reject) => {
+    get poolable() {
+        return this.constructor.poolable;
+    }
+
+    /**
+     * Identifies connections interchangeable with this one: leases only reuse a pooled
+     * connection opened with the same request type and options
+     */
+    connectionKey() {
+        return JSON.stringify([this.requestType, Object.entries(this.options).sort(([a], [b]) => a.localeCompare(b))]);
+    }
+
+    isHealthy() {
+        return this.isConnected;
+    }
+
+    /**
+     * Health check for an idle pooled connection
+     * @returns {Promise<boolean>}
+     */
+    async ping() {
+        return this.isHealthy();
+    }
+
+    /**
+     * Clear per-lease state before a pooled connection is reused
+     * @returns {Promise<boolean>} false when the connection cannot be reused
+     */
+    async reset() {
+        return true;
+    }
+
+    /**
+     * Tie the adapter to the AbortSignal of the request it serves: when the request is cancelled or
+     * runs out of time, abort() stops the provider work. Pooled connections are rebound on every
+     * lease and unbound when returned, so a finished request cannot close a reused socket.
+     * @param {AbortSignal|null} signal
+     */
+    bindSignal(signal = null) {
+        this.unbindSignal?.();
+        this.unbindSignal = null;
+        this.signal = signal || null;
+
+        if (!signal) return;
+
+        const onAbort = () => this.abort(signal.reason);
+        if (signal.aborted) {
+            onAbort();
+            return;
+        }
+        signal.addEventListener('abort', onAbort, { once: true });
+        this.unbindSignal = () => signal.removeEventListener('abort', onAbort);
+    }
+
+    /**
+     * Stop in-flight provider work. Requests made with this.fetch() abort on their own;
+     * socket adapters close their socket, and adapters holding other resources override this.
+     * @param {*} reason - The signal's abort reason
+     */
+    abort(reason) {
+        if (this.websocket && this.websocket.readyState !== WebSocket.CLOSED) {
+            this.websocket.terminate();
+        }
+    }
+
+    /**
+     * fetch() that aborts with the request
+     */
+    fetch(url, init = {}) {
+        const signals = [this.signal, init.signal].filter(Boolean);
+        return fetch(url, {
+            ...init,
+            signal: signals.length > 1 ? AbortSignal.any(signals) : signals[0]
+        });
+    }
+
+    /**
+     * Wait between polls; rejects with the abort reason as soon as the request is aborted
+     */
+    wait(ms) {
+        const signal = this.signal;
+
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(signal.reason);
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Typed error for a failed provider response: status, provider error code, Retry-After and request id
+     * @param {Response} response - Non-ok fetch() response
+     * @param {string} label - Message prefix, e.g. 'Deepgram API'
+     * @returns {Promise<ProviderError>}
+     */
+    async responseError(response, label = this.config.name) {
+        return providerErrorFromResponse(response, { provider: this.provider, label });
+    }
+
+    /**
+     * Reject a WebSocket connect with a typed error, including the provider's answer when the
+     * handshake itself is refused (e.g. 401 for a bad key, 429 when over the connection limit)
+     */
+    rejectOnSocketError(websocket, reject, label = this.config.name) {
+        websocket.on('unexpected-response', (request, response) => {
+            const chunks = [];
+            response.on('data', chunk => chunks.push(chunk));
+            response.on('end', () => {
+                reject(providerErrorFromBody(Buffer.concat(chunks).toString(), {
+                    provider: this.provider,
+                    label,
+                    status: response.statusCode,
+                    headers: new Headers(Object.entries(response.headers).map(([name, value]) => [name, [].concat(value).join(', ')]))
+                }));
+                request.destroy();
+            });
+        });
+        websocket.on('error', reject);
+    }
+
+    /**
+     * Parse a JSON frame from the provider's socket. A malformed or binary frame is reported as the
+     * socket's 'error' event and yields null, rather than throwing inside the socket's event handler
+     * where nothing can catch it.
+     * @returns {Object|null}
+     */
+    parseSocketMessage(data, label = this.config.name) {
+        try {
+            return JSON.parse(data.toString());
+        } catch (error) {
+            const parseError = new VoiceError(`${label} sent a malformed message: ${error.message}`, 'PARSE_ERROR', { provider: this.provider });
+            if (this.websocket?.listenerCount('error')) {
+                this.websocket.emit('error', parseError);
+            } else {
+                console.error(`❌ ${parseError.message}`);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Resolve {{placeholder}} segments in an endpoint template from options
+     */
+    resolveEndpoint(template = this.config.endpoint, values = {}) {
+        return expandEndpointTemplate(template, { ...this.options, ...values });
+    }
+
+    /**
+     * Map short language codes ("en") to the full locales ("en-US") some providers require
+     */
+    toLocale(language = 'en') {
+        if (language.includes('-')) {
+            return language;
+        }
+
+        const locales = {
+            en: 'en-US', es: 'es-ES', fr: 'fr-FR', de: 'de-DE', it: 'it-IT', pt: 'pt-BR',
+            nl: 'nl-NL', hi: 'hi-IN', ja: 'ja-JP', ko: 'ko-KR', zh: 'zh-CN', ru: 'ru-RU', ar: 'ar-SA'
+        };
+
+        return locales[language] || `${language}-${language.toUpperCase()}`;
+    }
+}
+
+/**
+ * OpenAI Realtime API Adapter
+ */
+class OpenAIRealtimeAdapter extends BaseAdapter {
+    static capabilities = ['duplex-realtime'];
+    static poolable = true;
+
+    constructor(config, apiKey, options = {}, context = {}) {
+        super(config, apiKey, options, context);
+        this.websocket = null;
+
+        // Conversation state, tracked so a pooled session can be cleared between leases
+        this.conversationItems = new Set();
+        this.responseActive = false;
+        this.trackConversation = (data) => {
+            const event = this.parseSocketMessage(data);
+
+            if (!event) {
+                return;
+            } else if (event.type === 'conversation.item.created') {
+                this.conversationItems.add(event.item.id);
+            } else if (event.type === 'conversation.item.deleted') {
+                this.conversationItems.delete(event.item_id);
+            } else if (event.type === 'response.created') {
+                this.responseActive = true;
+            } else if (event.type === 'response.done') {
+                this.responseActive = false;
+            }
+        };
+    }
+
+    async connect() {
+        return new Promise((resolve, reject) => {
             const url = `${this.config.endpoint}?model=${this.options.model || 'gpt-4o-realtime-preview-2024-12-17'}`;
             
             this.websocket = new WebSocket(url, {
@@ -250,6 +1295,7 @@ class OpenAIRealtimeAdapter extends BaseAdapter {
 
             this.websocket.on('open', () => {
                 this.isConnected = true;
+                this.websocket.on('message', this.trackConversation);
                 // Send session configuration
                 this.websocket.send(JSON.stringify({
                     type: 'session.update',
@@ -268,7 +1314,7 @@ class OpenAIRealtimeAdapter extends BaseAdapter {
                 resolve();
             });
 
-            this.websocket.on('error', reject);
+            this.rejectOnSocketError(this.websocket, reject);
         });
     }
 
@@ -279,19 +1325,133 @@ class OpenAIRealtimeAdapter extends BaseAdapter {
         }
     }
 
+    isHealthy() {
+        return this.isConnected && this.websocket?.readyState === WebSocket.OPEN;
+    }
+
+    async ping() {
+        return pingWebSocket(this.websocket);
+    }
+
+    /**
+     * Delete the lease's conversation items so the next lease starts with an empty conversation.
+     * A session with a response still in flight is not reused.
+     */
+    async reset() {
+        this.websocket.removeAllListeners('message');
+        this.websocket.on('message', this.trackConversation);
+        this.responsePending = false;
+
+        if (this.responseActive) return false;
+        if (this.conversationItems.size === 0) return true;
+
+        return await new Promise((resolve) => {
+            const finish = (reusable) => {
+                clearTimeout(timer);
+                this.websocket.off('message', onMessage);
+                resolve(reusable);
+            };
+            const onMessage = (data) => {
+                const event = this.parseSocketMessage(data);
+                if (!event || event.type === 'error') finish(false);
+                else if (this.conversationItems.size === 0) finish(true);
+            };
+            const timer = setTimeout(() => finish(false), 5000);
+
+            this.websocket.on('message', onMessage);
+            this.conversationItems.forEach(itemId => {
+                this.websocket.send(JSON.stringify({ type: 'conversation.item.delete', item_id: itemId }));
+            });
+        });
+    }
+
+    /**
+     * Send a native Realtime event, or a { role, content } chat message as a conversation item
+     * User messages request a response once the current batch of sends is done
+     */
     send(message) {
         if (!this.isConnected) {
             throw new Error('Not connected to OpenAI Realtime API');
         }
-        this.websocket.send(JSON.stringify(message));
+
+        if (message.type || !message.role) {
+            this.websocket.send(JSON.stringify(message));
+            return;
+        }
+
+        this.websocket.send(JSON.stringify({
+            type: 'conversation.item.create',
+            item: {
+                type: 'message',
+                role: message.role,
+                content: [{ type: message.role === 'assistant' ? 'text' : 'input_text', text: message.content }]
+            }
+        }));
+
+        if (message.role === 'user' && !this.responsePending) {
+            this.responsePending = true;
+            queueMicrotask(() => {
+                this.responsePending = false;
+                this.websocket.send(JSON.stringify({ type: 'response.create' }));
+            });
+        }
     }
 
     onMessage(callback) {
         if (this.websocket) {
             this.websocket.on('message', (data) => {
-                callback(JSON.parse(data.toString()));
+                const event = this.parseSocketMessage(data);
+                if (event) callback(event);
+            });
+        }
+    }
+
+    /**
+     * Non-streaming turn: send the messages and resolve with the model's text response
+     */
+    async process(messages, options = {}) {
+        if (!this.isConnected) {
+            await this.connect();
+        }
+
+        const timeout = options.response_timeout || 30000;
+        const signal = this.signal;
+        let timer;
+        let onAbort;
+
+        const response = new Promise((resolve, reject) => {
+            let content = '';
+            timer = setTimeout(() => reject(new VoiceError('OpenAI Realtime response timeout', 'TIMEOUT', { provider: this.provider, timeout })), timeout);
+
+            // abort() closes the socket; stop waiting for a response that will not come
+            onAbort = () => reject(signal.reason);
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            this.onMessage((event) => {
+                if (event.type === 'response.text.delta' || event.type === 'response.audio_transcript.delta') {
+                    content += event.delta;
+                } else if (event.type === 'response.done') {
+                    resolve({ content, usage: event.response?.usage });
+                } else if (event.type === 'error') {
+                    reject(providerErrorFromEvent(event.error, { provider: this.provider, label: 'OpenAI Realtime API' }));
+                }
             });
+        });
+
+        let content, usage;
+        try {
+            [].concat(messages).forEach(message => this.send(message));
+            ({ content, usage } = await response);
+        } finally {
+            // A pooled adapter outlives this turn; leave nothing attached to the request's signal
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
         }
+
+        return {
+            message: { role: 'assistant', content },
+            usage: usage || {}
+        };
     }
 }
 
@@ -299,16 +1459,23 @@ class OpenAIRealtimeAdapter extends BaseAdapter {
  * ElevenLabs TTS Adapter
  */
 class ElevenLabsAdapter extends BaseAdapter {
+    static capabilities = ['batch-tts'];
+
     async connect() {
         // HTTP-based API, no persistent connection needed
         this.isConnected = true;
     }
 
+    async disconnect() {
+        this.isConnected = false;
+    }
+
     async process(text, options = {}) {
-        const voiceId = options.voice_id || 'pNInz6obpgDQGcFmaJgB'; // Default voice
-        const model = options.model || 'eleven_multilingual_v2';
+        const opts = { ...this.options, ...options };
+        const voiceId = opts.voice_id || opts.voice || 'pNInz6obpgDQGcFmaJgB'; // Default voice
+        const model = opts.model || 'eleven_multilingual_v2';
         
-        const response = await fetch(`${this.config.endpoint}/${voiceId}`, {
+        const response = await this.fetch(`${this.config.endpoint}/${voiceId}`, {
             method: 'POST',
             headers: {
                 'Accept': 'audio/mpeg',
@@ -319,33 +1486,71 @@ class ElevenLabsAdapter extends BaseAdapter {
                 text,
                 model_id: model,
                 voice_settings: {
-                    stability: options.stability || 0.5,
-                    similarity_boost: options.similarity_boost || 0.8,
-                    style: options.style || 0,
-                    use_speaker_boost: options.speaker_boost || true
+                    stability: opts.stability || 0.5,
+                    similarity_boost: opts.similarity_boost || 0.8,
+                    style: opts.style || 0,
+                    use_speaker_boost: opts.speaker_boost || true
                 }
             })
         });
 
         if (!response.ok) {
-            const error = await response.text();
-            throw new Error(`ElevenLabs API error: ${error}`);
+            throw await this.responseError(response, 'ElevenLabs API');
         }
 
         return await response.arrayBuffer();
     }
+
+    async listVoices() {
+        const response = await this.fetch(this.config.voicesEndpoint, {
+            headers: {
+                'xi-api-key': this.apiKey
+            }
+        });
+
+        if (!response.ok) {
+            throw await this.responseError(response, 'ElevenLabs API');
+        }
+
+        const { voices = [] } = await response.json();
+
+        return voices.map(voice => ({
+            voice_id: voice.voice_id,
+            name: voice.name,
+            language: voice.labels?.language || null,
+            gender: voice.labels?.gender || null,
+            category: voice.category,
+            preview_url: voice.preview_url
+        }));
+    }
 }
 
 /**
  * Deepgram STT Adapter
  */
 class DeepgramAdapter extends BaseAdapter {
-    constructor(config, apiKey, options = {}) {
-        super(config, apiKey, options);
+    static capabilities = ['batch-stt', 'streaming-stt'];
+    static poolable = true;
+
+    constructor(config, apiKey, options = {}, context = {}) {
+        super(config, apiKey, options, context);
         this.websocket = null;
+        this.audioSeconds = 0; // Audio sent on the live socket so far
+        this.leaseOffset = 0;  // Stream time at which the current lease started
+    }
+
+    // Only the live socket is worth pooling; pre-recorded requests are plain HTTP
+    get poolable() {
+        return !!this.options.streaming || this.requestType === 'realtime';
     }
 
     async connect() {
+        // Pre-recorded transcription is plain HTTP; only open the live socket for streaming
+        if (!this.options.streaming && this.requestType !== 'realtime') {
+            this.isConnected = true;
+            return;
+        }
+
         return new Promise((resolve, reject) => {
             const params = new URLSearchParams({
                 encoding: 'linear16',
@@ -370,45 +1575,169 @@ class DeepgramAdapter extends BaseAdapter {
                 resolve();
             });
 
-            this.websocket.on('error', reject);
+            this.rejectOnSocketError(this.websocket, reject);
         });
     }
 
     async disconnect() {
         if (this.websocket) {
             this.websocket.close();
-            this.isConnected = false;
+            this.websocket = null;
         }
+        this.isConnected = false;
+    }
+
+    isHealthy() {
+        return this.isConnected && this.websocket?.readyState === WebSocket.OPEN;
+    }
+
+    /**
+     * KeepAlive stops Deepgram closing a socket that is not receiving audio
+     */
+    async ping() {
+        if (!this.isHealthy()) return false;
+
+        this.websocket.send(JSON.stringify({ type: 'KeepAlive' }));
+        return pingWebSocket(this.websocket);
+    }
+
+    /**
+     * Flush the lease's audio and start the next lease's clock where this one ended;
+     * results for earlier audio are dropped so they never reach the next lease
+     */
+    async reset() {
+        this.websocket.removeAllListeners('message');
+        this.websocket.send(JSON.stringify({ type: 'Finalize' }));
+        this.leaseOffset = this.audioSeconds;
+        return true;
     }
 
     sendAudio(audioData) {
-        if (!this.isConnected) {
+        if (!this.isConnected || !this.websocket) {
             throw new Error('Not connected to Deepgram');
         }
         this.websocket.send(audioData);
+        this.audioSeconds += audioData.length / DEEPGRAM_LIVE_BYTES_PER_SECOND;
     }
 
     onTranscription(callback) {
         if (this.websocket) {
             this.websocket.on('message', (data) => {
-                const result = JSON.parse(data.toString());
-                callback(result);
+                const result = this.parseSocketMessage(data);
+                if (result?.type !== 'Results' || (result.start ?? 0) < this.leaseOffset - 0.001) return;
+
+                const alternative = result.channel?.alternatives?.[0] || {};
+                callback({
+                    text: alternative.transcript || '',
+                    is_final: !!result.is_final,
+                    confidence: alternative.confidence,
+                    words: (alternative.words || []).map(word => this.normalizeWord(word, this.leaseOffset)),
+                    raw: result
+                });
             });
         }
     }
+
+    /**
+     * @param {Object} word - Deepgram word
+     * @param {number} offset - Seconds to subtract from timings (live results on a pooled socket)
+     */
+    normalizeWord(word, offset = 0) {
+        return {
+            text: word.punctuated_word || word.word,
+            start: offset ? word.start - offset : word.start,
+            end: offset ? word.end - offset : word.end,
+            confidence: word.confidence,
+            speaker: word.speaker ?? null
+        };
+    }
+
+    /**
+     * Pre-recorded transcription of an audio buffer or a hosted audio URL
+     */
+    async process(input, options = {}) {
+        const opts = { ...this.options, ...options };
+        const isUrl = typeof input === 'string';
+
+        const params = new URLSearchParams({
+            model: opts.model || 'nova-3',
+            smart_format: String(opts.smart_format !== false),
+            punctuate: String(opts.punctuate !== false)
+        });
+
+        if (opts.detect_language) {
+            params.set('detect_language', 'true');
+        } else {
+            params.set('language', opts.language || 'en');
+        }
+
+        if (opts.diarize || opts.speaker_labels) params.set('diarize', 'true');
+        if (opts.utterances) params.set('utterances', 'true');
+        if (opts.paragraphs) params.set('paragraphs', 'true');
+        if (opts.profanity_filter) params.set('profanity_filter', 'true');
+        [].concat(opts.keyterm || []).forEach(term => params.append('keyterm', term));
+        [].concat(opts.redact || []).forEach(entity => params.append('redact', entity));
+
+        const response = await this.fetch(`${this.config.restEndpoint}?${params}`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Token ${this.apiKey}`,
+                'Content-Type': isUrl ? 'application/json' : (opts.content_type || 'audio/*')
+            },
+            body: isUrl ? JSON.stringify({ url: input }) : Buffer.from(input)
+        });
+
+        if (!response.ok) {
+            throw await this.responseError(response, 'Deepgram API');
+        }
+
+        const result = await response.json();
+        const channel = result.results?.channels?.[0] || {};
+        const alternative = channel.alternatives?.[0] || {};
+
+        const words = (alternative.words || []).map(word => this.normalizeWord(word));
+
+        return {
+            id: result.metadata?.request_id,
+            text: alternative.transcript,
+            language: channel.detected_language || params.get('language'),
+            duration: result.metadata?.duration,
+            confidence: alternative.confidence,
+            words,
+            speakers: [...new Set(words.map(w => w.speaker).filter(speaker => speaker !== null))],
+            utterances: (result.results?.utterances || []).map(utterance => ({
+                speaker: utterance.speaker ?? null,
+                text: utterance.transcript,
+                start: utterance.start,
+                end: utterance.end,
+                confidence: utterance.confidence
+            })),
+            paragraphs: alternative.paragraphs?.paragraphs || null
+        };
+    }
 }
 
 /**
  * Whisper API Adapter (File-based)
  */
 class WhisperAdapter extends BaseAdapter {
+    static capabilities = ['batch-stt'];
+
     async connect() {
         this.isConnected = true;
     }
 
-    async process(audioFile, options = {}) {
+    async disconnect() {
+        this.isConnected = false;
+    }
+
+    buildFormData(audioFile, options = {}) {
+        // The API infers the audio format from the file name, so give it a matching extension
+        const file = audioFile instanceof Blob ? audioFile : new Blob([Buffer.from(audioFile)]);
+        const filename = options.filename || `audio.${detectAudioFormat(audioFile)}`;
+
         const formData = new FormData();
-        formData.append('file', audioFile);
+        formData.append('file', file, filename);
         formData.append('model', options.model || 'whisper-1');
         formData.append('language', options.language || 'en');
         formData.append('response_format', options.format || 'json');
@@ -417,7 +1746,11 @@ class WhisperAdapter extends BaseAdapter {
             formData.append('prompt', options.prompt);
         }
 
-        const response = await fetch(this.config.endpoint, {
+        return formData;
+    }
+
+    async transcriptionRequest(formData) {
+        const response = await this.fetch(this.config.endpoint, {
             method: 'POST',
             headers: {
                 'Authorization': `Bearer ${this.apiKey}`
@@ -426,63 +1759,2354 @@ class WhisperAdapter extends BaseAdapter {
         });
 
         if (!response.ok) {
-            const error = await response.text();
-            throw new Error(`Whisper API error: ${error}`);
+            throw await this.responseError(response, `${this.config.name} API`);
         }
 
+        return response;
+    }
+
+    async process(audioFile, options = {}) {
+        const opts = { ...this.options, ...options };
+        const response = await this.transcriptionRequest(this.buildFormData(audioFile, opts));
         return await response.json();
     }
 }
 
-// Placeholder adapters for other providers (to be implemented)
-class AssemblyAIAdapter extends BaseAdapter {
-    async connect() { this.isConnected = true; }
-    async process(input) { throw new Error('AssemblyAI adapter not yet implemented'); }
-}
+/**
+ * OpenAI gpt-4o-transcribe Adapter
+ * Same transcription endpoint as Whisper, with optional streaming of text deltas
+ */
+class OpenAITranscribeAdapter extends WhisperAdapter {
+    constructor(config, apiKey, options = {}, context = {}) {
+        super(config, apiKey, options, context);
+        this.transcriptionCallbacks = [];
+    }
 
-class PlayHTAdapter extends BaseAdapter {
-    async connect() { this.isConnected = true; }
-    async process(input) { throw new Error('PlayHT adapter not yet implemented'); }
-}
+    onTranscription(callback) {
+        this.transcriptionCallbacks.push(callback);
+    }
 
-class GoogleSTTAdapter extends BaseAdapter {
-    async connect() { this.isConnected = true; }
-    async process(input) { throw new Error('Google STT adapter not yet implemented'); }
-}
+    async process(audioFile, options = {}) {
+        const opts = { ...this.options, ...options };
+        const stream = !!opts.stream || this.transcriptionCallbacks.length > 0;
 
-class GoogleTTSAdapter extends BaseAdapter {
-    async connect() { this.isConnected = true; }
-    async process(input) { throw new Error('Google TTS adapter not yet implemented'); }
-}
+        const formData = this.buildFormData(audioFile, {
+            ...opts,
+            model: opts.model || 'gpt-4o-transcribe',
+            format: 'json'
+        });
 
-class AzureSTTAdapter extends BaseAdapter {
-    async connect() { this.isConnected = true; }
-    async process(input) { throw new Error('Azure STT adapter not yet implemented'); }
-}
+        if (stream) formData.append('stream', 'true');
+        if (opts.include_logprobs) formData.append('include[]', 'logprobs');
 
-class AzureTTSAdapter extends BaseAdapter {
-    async connect() { this.isConnected = true; }
-    async process(input) { throw new Error('Azure TTS adapter not yet implemented'); }
-}
+        const response = await this.transcriptionRequest(formData);
+        const language = opts.language || 'en';
 
-class AmazonPollyAdapter extends BaseAdapter {
-    async connect() { this.isConnected = true; }
-    async process(input) { throw new Error('Amazon Polly adapter not yet implemented'); }
-}
+        if (!stream) {
+            const result = await response.json();
+            return { text: result.text, language, usage: result.usage, logprobs: result.logprobs };
+        }
 
-class MurfAdapter extends BaseAdapter {
-    async connect() { this.isConnected = true; }
-    async process(input) { throw new Error('Murf adapter not yet implemented'); }
-}
+        let text = '';
+        let usage;
 
-class ElevenLabsConversationalAdapter extends BaseAdapter {
-    async connect() { this.isConnected = true; }
-    async process(input) { throw new Error('ElevenLabs Conversational adapter not yet implemented'); }
-}
+        for await (const event of parseServerSentEvents(response.body)) {
+            if (event.type === 'transcript.text.delta') {
+                text += event.delta;
+                this.transcriptionCallbacks.forEach(callback => callback({ text: event.delta, is_final: false, raw: event }));
+            } else if (event.type === 'transcript.text.done') {
+                text = event.text;
+                usage = event.usage;
+                this.transcriptionCallbacks.forEach(callback => callback({ text, is_final: true, raw: event }));
+            }
+        }
 
-class IBMWatsonAdapter extends BaseAdapter {
-    async connect() { this.isConnected = true; }
-    async process(input) { throw new Error('IBM Watson adapter not yet implemented'); }
+        return { text, language, usage };
+    }
 }
 
+/**
+ * OpenAI Text-to-Speech Adapter (/v1/audio/speech)
+ */
+class OpenAITTSAdapter extends BaseAdapter {
+    static capabilities = ['batch-tts', 'streaming-tts'];
+
+    async connect() {
+        // HTTP-based API, no persistent connection needed
+        this.isConnected = true;
+    }
+
+    async disconnect() {
+        this.isConnected = false;
+    }
+
+    async requestSpeech(text, options = {}) {
+        const opts = { ...this.options, ...options };
+        const formatAliases = { ogg: 'opus' };
+        const format = formatAliases[opts.response_format] || opts.response_format;
+
+        const body = {
+            model: opts.model || 'gpt-4o-mini-tts',
+            input: text,
+            voice: opts.voice_id || opts.voice || 'alloy',
+            response_format: this.config.formats.includes(format) ? format : 'mp3'
+        };
+
+        if (opts.speed) body.speed = Math.max(0.25, Math.min(4, opts.speed));
+        // Tone and delivery instructions are only honoured by gpt-4o-mini-tts
+        if (opts.instructions) body.instructions = opts.instructions;
+
+        const response = await this.fetch(this.config.endpoint, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${this.apiKey}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+
+        if (!response.ok) {
+            throw await this.responseError(response, 'OpenAI TTS API');
+        }
+
+        return response;
+    }
+
+    async process(text, options = {}) {
+        const response = await this.requestSpeech(text, options);
+        return await response.arrayBuffer();
+    }
+
+    /**
+     * Yield audio chunks as they are generated
+     */
+    async *stream(text, options = {}) {
+        const response = await this.requestSpeech(text, options);
+        for await (const chunk of response.body) {
+            yield Buffer.from(chunk);
+        }
+    }
+
+    async listVoices() {
+        return this.config.voices.map(voice => ({
+            voice_id: voice,
+            name: voice.charAt(0).toUpperCase() + voice.slice(1),
+            language: null,
+            gender: null
+        }));
+    }
+}
+
+/**
+ * AssemblyAI STT Adapter
+ * Pre-recorded transcription via upload + polling, streaming via the realtime WebSocket
+ */
+class AssemblyAIAdapter extends BaseAdapter {
+    static capabilities = ['batch-stt', 'streaming-stt'];
+
+    constructor(config, apiKey, options = {}, context = {}) {
+        super(config, apiKey, options, context);
+        this.websocket = null;
+        this.sessionId = null;
+    }
+
+    async connect() {
+        // Only open the realtime socket when streaming is requested
+        if (!this.options.streaming) {
+            this.isConnected = true;
+            return;
+        }
+
+        return new Promise((resolve, reject) => {
+            const params = new URLSearchParams({
+                sample_rate: this.options.sample_rate || 16000
+            });
+
+            if (this.options.word_boost) {
+                params.set('word_boost', JSON.stringify(this.options.word_boost));
+            }
+
+            const url = `${this.config.endpoint}?${params}`;
+
+            this.websocket = new WebSocket(url, {
+                headers: {
+                    'Authorization': this.apiKey
+                }
+            });
+
+            this.websocket.on('message', (data) => {
+                const message = this.parseSocketMessage(data);
+                if (message?.message_type === 'SessionBegins') {
+                    this.sessionId = message.session_id;
+                    this.isConnected = true;
+                    resolve();
+                }
+            });
+
+            this.websocket.on('close', (code, reason) => {
+                this.isConnected = false;
+                if (!this.sessionId) {
+                    reject(new Error(`AssemblyAI realtime connection closed (${code}): ${reason}`));
+                }
+            });
+
+            this.rejectOnSocketError(this.websocket, reject);
+        });
+    }
+
+    async disconnect() {
+        if (this.websocket) {
+            if (this.websocket.readyState === WebSocket.OPEN) {
+                this.websocket.send(JSON.stringify({ terminate_session: true }));
+            }
+            this.websocket.close();
+            this.websocket = null;
+        }
+        this.isConnected = false;
+    }
+
+    sendAudio(audioData) {
+        if (!this.isConnected || !this.websocket) {
+            throw new Error('Not connected to AssemblyAI realtime');
+        }
+        this.websocket.send(JSON.stringify({
+            audio_data: Buffer.from(audioData).toString('base64')
+        }));
+    }
+
+    onTranscription(callback) {
+        if (this.websocket) {
+            this.websocket.on('message', (data) => {
+                const message = this.parseSocketMessage(data);
+                if (message?.message_type === 'PartialTranscript' || message?.message_type === 'FinalTranscript') {
+                    callback({
+                        text: message.text,
+                        is_final: message.message_type === 'FinalTranscript',
+                        confidence: message.confidence,
+                        words: (message.words || []).map(word => this.normalizeWord(word)),
+                        raw: message
+                    });
+                }
+            });
+        }
+    }
+
+    async process(input, options = {}) {
+        const opts = { ...this.options, ...options };
+
+        // Accept either a public URL or raw audio to upload
+        const audioUrl = typeof input === 'string' ? input : await this.upload(input);
+
+        const request = {
+            audio_url: audioUrl,
+            language_code: opts.language || 'en',
+            punctuate: opts.punctuate !== false,
+            format_text: opts.format_text !== false,
+            speaker_labels: !!(opts.speaker_labels || opts.diarize),
+            sentiment_analysis: !!opts.sentiment_analysis,
+            iab_categories: !!(opts.topic_detection || opts.iab_categories)
+        };
+
+        if (opts.speakers_expected) request.speakers_expected = opts.speakers_expected;
+        if (opts.speech_model) request.speech_model = opts.speech_model;
+        if (opts.word_boost) request.word_boost = opts.word_boost;
+
+        const response = await this.fetch(`${this.config.restEndpoint}/transcript`, {
+            method: 'POST',
+            headers: {
+                'Authorization': this.apiKey,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(request)
+        });
+
+        if (!response.ok) {
+            throw await this.responseError(response, 'AssemblyAI API');
+        }
+
+        const job = await response.json();
+        const transcript = await this.pollTranscript(job.id, opts);
+
+        return this.normalizeTranscript(transcript);
+    }
+
+    /**
+     * Upload raw audio and return the private URL AssemblyAI assigns to it
+     */
+    async upload(audioData) {
+        const response = await this.fetch(`${this.config.restEndpoint}/upload`, {
+            method: 'POST',
+            headers: {
+                'Authorization': this.apiKey,
+                'Content-Type': 'application/octet-stream'
+            },
+            body: Buffer.from(audioData)
+        });
+
+        if (!response.ok) {
+            throw await this.responseError(response, 'AssemblyAI upload');
+        }
+
+        const { upload_url } = await response.json();
+        return upload_url;
+    }
+
+    /**
+     * Poll a transcript job until it completes or fails
+     */
+    async pollTranscript(transcriptId, options = {}) {
+        const interval = options.poll_interval || 3000;
+        const deadline = Date.now() + (options.poll_timeout || 300000);
+
+        while (Date.now() < deadline) {
+            const response = await this.fetch(`${this.config.restEndpoint}/transcript/${transcriptId}`, {
+                headers: { 'Authorization': this.apiKey }
+            });
+
+            if (!response.ok) {
+                throw await this.responseError(response, 'AssemblyAI API');
+            }
+
+            const transcript = await response.json();
+
+            if (transcript.status === 'completed') {
+                return transcript;
+            }
+
+            if (transcript.status === 'error') {
+                throw new Error(`AssemblyAI transcription failed: ${transcript.error}`);
+            }
+
+            await this.wait(interval);
+        }
+
+        throw new VoiceError(`AssemblyAI transcription timeout for job ${transcriptId}`, 'TIMEOUT', { provider: this.provider });
+    }
+
+    normalizeWord(word) {
+        return {
+            text: word.text,
+            start: word.start / 1000,
+            end: word.end / 1000,
+            confidence: word.confidence,
+            speaker: word.speaker || null
+        };
+    }
+
+    normalizeTranscript(transcript) {
+        const utterances = (transcript.utterances || []).map(utterance => ({
+            speaker: utterance.speaker,
+            text: utterance.text,
+            start: utterance.start / 1000,
+            end: utterance.end / 1000,
+            confidence: utterance.confidence
+        }));
+
+        return {
+            id: transcript.id,
+            text: transcript.text,
+            language: transcript.language_code,
+            duration: transcript.audio_duration,
+            confidence: transcript.confidence,
+            words: (transcript.words || []).map(word => this.normalizeWord(word)),
+            speakers: [...new Set(utterances.map(u => u.speaker))],
+            utterances,
+            sentiment: transcript.sentiment_analysis_results || null,
+            topics: transcript.iab_categories_result?.summary || null
+        };
+    }
+}
+
+/**
+ * Amazon Polly TTS Adapter
+ * Requests are signed with AWS SigV4 using credentials supplied through BYOK
+ */
+class AmazonPollyAdapter extends BaseAdapter {
+    static capabilities = ['batch-tts'];
+
+    constructor(config, apiKey, options = {}, context = {}) {
+        super(config, apiKey, options, context);
+        this.credentials = this.resolveCredentials(apiKey, options);
+        this.region = options.region || this.credentials.region || 'us-east-1';
+    }
+
+    async connect() {
+        // HTTP-based API, no persistent connection needed
+        this.isConnected = true;
+    }
+
+    async disconnect() {
+        this.isConnected = false;
+    }
+
+    /**
+     * Accepts "ACCESS_KEY_ID:SECRET_ACCESS_KEY[:SESSION_TOKEN]", a JSON credentials
+     * object, or an access key id with the secret passed in options
+     */
+    resolveCredentials(apiKey, options = {}) {
+        let credentials = {};
+
+        if (typeof apiKey === 'string' && apiKey.trim().startsWith('{')) {
+            let parsed;
+            try {
+                parsed = JSON.parse(apiKey);
+            } catch (error) {
+                throw new VoiceError(`Amazon Polly credentials are not valid JSON: ${error.message}`, 'AUTHENTICATION_ERROR', { isRetryable: false });
+            }
+            credentials = {
+                accessKeyId: parsed.accessKeyId || parsed.access_key_id,
+                secretAccessKey: parsed.secretAccessKey || parsed.secret_access_key,
+                sessionToken: parsed.sessionToken || parsed.session_token,
+                region: parsed.region
+            };
+        } else if (typeof apiKey === 'string' && apiKey.includes(':')) {
+            const [accessKeyId, secretAccessKey, sessionToken] = apiKey.split(':');
+            credentials = { accessKeyId, secretAccessKey, sessionToken };
+        } else {
+            credentials = { accessKeyId: apiKey };
+        }
+
+        return {
+            accessKeyId: options.access_key_id || credentials.accessKeyId,
+            secretAccessKey: options.secret_access_key || credentials.secretAccessKey,
+            sessionToken: options.session_token || credentials.sessionToken,
+            region: credentials.region
+        };
+    }
+
+    get endpoint() {
+        return this.resolveEndpoint(this.config.endpoint, { region: this.region });
+    }
+
+    buildRequest(text, options = {}) {
+        const opts = { ...this.options, ...options };
+        const isSsml = opts.text_type === 'ssml' || /^\s*<speak[\s>]/.test(text);
+        const formatMap = { mp3: 'mp3', ogg: 'ogg_vorbis', ogg_vorbis: 'ogg_vorbis', pcm: 'pcm', json: 'json' };
+
+        const request = {
+            Text: text,
+            TextType: isSsml ? 'ssml' : 'text',
+            VoiceId: opts.voice_id || opts.voice || 'Joanna',
+            Engine: opts.engine || opts.model || 'standard',
+            OutputFormat: formatMap[opts.response_format] || 'mp3'
+        };
+
+        if (opts.sample_rate) request.SampleRate = String(opts.sample_rate);
+        if (opts.language_code) request.LanguageCode = opts.language_code;
+        if (opts.lexicons) request.LexiconNames = opts.lexicons;
+
+        return request;
+    }
+
+    async synthesizeSpeech(request) {
+        const body = JSON.stringify(request);
+        const headers = signAwsRequest({
+            method: 'POST',
+            url: this.endpoint,
+            service: 'polly',
+            region: this.region,
+            credentials: this.credentials,
+            headers: { 'content-type': 'application/json' },
+            body
+        });
+
+        const response = await this.fetch(this.endpoint, {
+            method: 'POST',
+            headers,
+            body
+        });
+
+        if (!response.ok) {
+            throw await this.responseError(response, 'Amazon Polly API');
+        }
+
+        return response;
+    }
+
+    async process(text, options = {}) {
+        const response = await this.synthesizeSpeech(this.buildRequest(text, options));
+        return await response.arrayBuffer();
+    }
+
+    /**
+     * Fetch speech marks (word/sentence/viseme/ssml timings) for the text
+     */
+    async getSpeechMarks(text, options = {}) {
+        const request = this.buildRequest(text, options);
+        request.OutputFormat = 'json';
+        request.SpeechMarkTypes = options.speech_marks || ['word', 'sentence'];
+
+        const response = await this.synthesizeSpeech(request);
+        const marks = await response.text();
+
+        return marks
+            .split('\n')
+            .filter(line => line.trim())
+            .map(line => JSON.parse(line));
+    }
+}
+
+// Azure access tokens are valid for 10 minutes and shared across STT and TTS
+const azureTokenCache = new Map();
+
+/**
+ * Shared base for Azure Speech adapters
+ * Handles region-aware endpoints and the subscription key -> bearer token exchange
+ */
+class AzureSpeechAdapter extends BaseAdapter {
+    constructor(config, apiKey, options = {}, context = {}) {
+        super(config, apiKey, options, context);
+        this.region = options.region;
+    }
+
+    async disconnect() {
+        this.isConnected = false;
+    }
+
+    /**
+     * Exchange the subscription key for a bearer token, cached until shortly before expiry
+     */
+    async getAccessToken() {
+        const cacheKey = `${this.region}:${crypto.createHash('sha256').update(this.apiKey).digest('hex')}`;
+        const cached = azureTokenCache.get(cacheKey);
+
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.token;
+        }
+
+        const response = await this.fetch(this.resolveEndpoint(this.config.tokenEndpoint), {
+            method: 'POST',
+            headers: {
+                'Ocp-Apim-Subscription-Key': this.apiKey,
+                'Content-Length': '0'
+            }
+        });
+
+        if (!response.ok) {
+            throw await this.responseError(response, 'Azure token exchange');
+        }
+
+        const token = await response.text();
+        azureTokenCache.set(cacheKey, {
+            token,
+            expiresAt: this.getTokenExpiry(token) - 60000 // Refresh a minute early
+        });
+
+        return token;
+    }
+
+    getTokenExpiry(token) {
+        try {
+            const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString());
+            if (payload.exp) {
+                return payload.exp * 1000;
+            }
+        } catch (error) {
+            // Opaque token, fall back to the documented lifetime
+        }
+        return Date.now() + 10 * 60 * 1000;
+    }
+}
+
+/**
+ * Azure Speech STT Adapter
+ * Short audio recognition over REST, streaming recognition over the speech WebSocket protocol
+ */
+class AzureSTTAdapter extends AzureSpeechAdapter {
+    static capabilities = ['batch-stt', 'streaming-stt'];
+
+    constructor(config, apiKey, options = {}, context = {}) {
+        super(config, apiKey, options, context);
+        this.websocket = null;
+        this.requestId = null;
+        this.headerSent = false;
+    }
+
+    async connect() {
+        // Only open the recognition socket when streaming is requested
+        if (!this.options.streaming) {
+            this.isConnected = true;
+            return;
+        }
+
+        const token = await this.getAccessToken();
+
+        return new Promise((resolve, reject) => {
+            const params = new URLSearchParams({
+                language: this.toLocale(this.options.language),
+                format: 'detailed',
+                profanity: this.options.profanity || 'masked'
+            });
+
+            if (this.options.endpoint_id) {
+                params.set('cid', this.options.endpoint_id);
+            }
+
+            const url = `${this.resolveEndpoint()}?${params}`;
+            this.requestId = crypto.randomUUID().replace(/-/g, '');
+
+            this.websocket = new WebSocket(url, {
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'X-ConnectionId': crypto.randomUUID().replace(/-/g, '')
+                }
+            });
+
+            this.websocket.on('open', () => {
+                this.isConnected = true;
+                this.websocket.send(this.buildTextMessage('speech.config', 'application/json', {
+                    context: {
+                        system: { version: '1.0.0' },
+                        os: { platform: 'Node.js', name: process.platform, version: process.version },
+                        audio: { source: { connectivity: 'Unknown', type: 'Stream' } }
+                    }
+                }));
+                resolve();
+            });
+
+            this.rejectOnSocketError(this.websocket, reject);
+        });
+    }
+
+    async disconnect() {
+        if (this.websocket) {
+            if (this.websocket.readyState === WebSocket.OPEN) {
+                // An empty audio message marks the end of the stream
+                this.websocket.send(this.buildAudioMessage(Buffer.alloc(0)));
+            }
+            this.websocket.close();
+            this.websocket = null;
+        }
+        this.isConnected = false;
+    }
+
+    sendAudio(audioData) {
+        if (!this.isConnected || !this.websocket) {
+            throw new Error('Not connected to Azure Speech');
+        }
+
+        let chunk = Buffer.from(audioData);
+
+        // The service expects the stream to start with a WAV header
+        if (!this.headerSent) {
+            if (chunk.subarray(0, 4).toString() !== 'RIFF') {
+                chunk = Buffer.concat([createWavHeader(this.options.sample_rate || 16000), chunk]);
+            }
+            this.headerSent = true;
+        }
+
+        this.websocket.send(this.buildAudioMessage(chunk));
+    }
+
+    onTranscription(callback) {
+        if (this.websocket) {
+            this.websocket.on('message', (data, isBinary) => {
+                if (isBinary) return;
+
+                const { path, body } = this.parseMessage(data.toString());
+
+                if (path === 'speech.hypothesis') {
+                    callback({
+                        text: body.Text,
+                        is_final: false,
+                        offset: body.Offset / 10000000,
+                        raw: body
+                    });
+                } else if (path === 'speech.phrase' && body.RecognitionStatus === 'Success') {
+                    const best = body.NBest?.[0] || {};
+                    callback({
+                        text: body.DisplayText || best.Display,
+                        is_final: true,
+                        confidence: best.Confidence,
+                        offset: body.Offset / 10000000,
+                        duration: body.Duration / 10000000,
+                        raw: body
+                    });
+                }
+            });
+        }
+    }
+
+    async process(audioData, options = {}) {
+        const opts = { ...this.options, ...options };
+        const token = await this.getAccessToken();
+
+        const params = new URLSearchParams({
+            language: this.toLocale(opts.language),
+            format: 'detailed',
+            profanity: opts.profanity || 'masked'
+        });
+
+        if (opts.endpoint_id) {
+            params.set('cid', opts.endpoint_id);
+        }
+
+        const response = await this.fetch(`${this.resolveEndpoint(this.config.restEndpoint)}?${params}`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': opts.content_type || `audio/wav; codecs=audio/pcm; samplerate=${opts.sample_rate || 16000}`,
+                'Accept': 'application/json'
+            },
+            body: Buffer.from(audioData)
+        });
+
+        if (!response.ok) {
+            throw await this.responseError(response, 'Azure STT API');
+        }
+
+        const result = await response.json();
+
+        if (result.RecognitionStatus !== 'Success') {
+            throw new Error(`Azure STT recognition failed: ${result.RecognitionStatus}`);
+        }
+
+        const best = result.NBest?.[0] || {};
+
+        return {
+            text: result.DisplayText || best.Display,
+            language: params.get('language'),
+            duration: result.Duration / 10000000,
+            confidence: best.Confidence,
+            words: (best.Words || []).map(word => ({
+                text: word.Word,
+                start: word.Offset / 10000000,
+                end: (word.Offset + word.Duration) / 10000000,
+                confidence: word.Confidence
+            })),
+            alternatives: (result.NBest || []).map(alt => ({
+                text: alt.Display,
+                confidence: alt.Confidence
+            }))
+        };
+    }
+
+    buildTextMessage(path, contentType, body) {
+        return [
+            `Path: ${path}`,
+            `X-RequestId: ${this.requestId}`,
+            `X-Timestamp: ${new Date().toISOString()}`,
+            `Content-Type: ${contentType}`,
+            '',
+            JSON.stringify(body)
+        ].join('\r\n');
+    }
+
+    /**
+     * Binary frames carry a 2-byte big-endian header length, the headers, then audio
+     */
+    buildAudioMessage(audio) {
+        const headers = Buffer.from([
+            'Path: audio',
+            `X-RequestId: ${this.requestId}`,
+            `X-Timestamp: ${new Date().toISOString()}`,
+            'Content-Type: audio/x-wav',
+            ''
+        ].join('\r\n'));
+
+        const prefix = Buffer.alloc(2);
+        prefix.writeUInt16BE(headers.length, 0);
+
+        return Buffer.concat([prefix, headers, audio]);
+    }
+
+    parseMessage(message) {
+        const separator = message.indexOf('\r\n\r\n');
+        const headerBlock = separator === -1 ? message : message.slice(0, separator);
+        const bodyText = separator === -1 ? '' : message.slice(separator + 4);
+
+        const pathLine = headerBlock.split('\r\n').find(line => line.toLowerCase().startsWith('path:'));
+        const path = pathLine ? pathLine.slice(5).trim() : null;
+
+        let body = {};
+        try {
+            body = bodyText ? JSON.parse(bodyText) : {};
+        } catch (error) {
+            body = { text: bodyText };
+        }
+
+        return { path, body };
+    }
+}
+
+/**
+ * Azure Speech TTS Adapter
+ * SSML-based synthesis with neural voice and speaking style selection
+ */
+class AzureTTSAdapter extends AzureSpeechAdapter {
+    static capabilities = ['batch-tts'];
+
+    async connect() {
+        // HTTP-based API, no persistent connection needed
+        this.isConnected = true;
+    }
+
+    async process(text, options = {}) {
+        const opts = { ...this.options, ...options };
+        const token = await this.getAccessToken();
+
+        const formatMap = {
+            mp3: 'audio-24khz-48kbitrate-mono-mp3',
+            wav: 'riff-24khz-16bit-mono-pcm',
+            pcm: 'raw-24khz-16bit-mono-pcm',
+            ogg: 'ogg-24khz-16bit-mono-opus',
+            opus: 'ogg-24khz-16bit-mono-opus'
+        };
+
+        const response = await this.fetch(this.resolveEndpoint(), {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/ssml+xml',
+                'X-Microsoft-OutputFormat': opts.output_format || formatMap[opts.response_format] || formatMap.mp3,
+                'User-Agent': 'voice-api-router'
+            },
+            body: this.buildSsml(text, opts)
+        });
+
+        if (!response.ok) {
+            throw await this.responseError(response, 'Azure TTS API');
+        }
+
+        return await response.arrayBuffer();
+    }
+
+    /**
+     * Wrap plain text in SSML with the selected voice, style and prosody;
+     * text that is already SSML is sent unchanged
+     */
+    buildSsml(text, options = {}) {
+        if (/^\s*<speak[\s>]/.test(text)) {
+            return text;
+        }
+
+        const locale = this.toLocale(options.language);
+        const voice = options.voice_id || options.voice || 'en-US-JennyNeural';
+
+        let content = escapeXml(text);
+
+        if (options.rate || options.pitch || options.volume) {
+            const prosody = ['rate', 'pitch', 'volume']
+                .filter(attr => options[attr])
+                .map(attr => `${attr}="${escapeXml(String(options[attr]))}"`)
+                .join(' ');
+            content = `<prosody ${prosody}>${content}</prosody>`;
+        }
+
+        if (options.style) {
+            const degree = options.style_degree ? ` styledegree="${escapeXml(String(options.style_degree))}"` : '';
+            const role = options.role ? ` role="${escapeXml(options.role)}"` : '';
+            content = `<mstts:express-as style="${escapeXml(options.style)}"${degree}${role}>${content}</mstts:express-as>`;
+        }
+
+        return `<speak version="1.0" xmlns="http://www.w3.org/2001/10/synthesis" ` +
+            `xmlns:mstts="https://www.w3.org/2001/mstts" xml:lang="${escapeXml(locale)}">` +
+            `<voice name="${escapeXml(voice)}">${content}</voice></speak>`;
+    }
+}
+
+/**
+ * Shared base for Google Cloud adapters
+ * Authenticates with a service-account JSON key (OAuth via signed JWT) or a plain API key
+ */
+class GoogleCloudAdapter extends BaseAdapter {
+    constructor(config, apiKey, options = {}, context = {}) {
+        super(config, apiKey, options, context);
+        this.serviceAccount = parseServiceAccount(apiKey);
+    }
+
+    async connect() {
+        // HTTP-based API, no persistent connection needed
+        this.isConnected = true;
+    }
+
+    async disconnect() {
+        this.isConnected = false;
+    }
+
+    /**
+     * Send an authenticated JSON request to a Google Cloud API
+     */
+    async request(url, { method = 'POST', body } = {}) {
+        const target = new URL(url);
+        const headers = { 'Content-Type': 'application/json' };
+
+        if (this.serviceAccount) {
+            headers['Authorization'] = `Bearer ${await getServiceAccountToken(this.serviceAccount)}`;
+        } else {
+            target.searchParams.set('key', this.apiKey);
+        }
+
+        const response = await this.fetch(target, {
+            method,
+            headers,
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        if (!response.ok) {
+            throw await this.responseError(response, `${this.config.name} API`);
+        }
+
+        return await response.json();
+    }
+}
+
+/**
+ * Google Cloud Speech-to-Text Adapter
+ * Uses recognize for short audio and longrunningrecognize for long or Cloud Storage audio
+ */
+class GoogleSTTAdapter extends GoogleCloudAdapter {
+    static capabilities = ['batch-stt'];
+
+    async process(input, options = {}) {
+        const opts = { ...this.options, ...options };
+        const isUri = typeof input === 'string';
+        const audio = isUri ? { uri: input } : { content: Buffer.from(input).toString('base64') };
+
+        // Synchronous recognition is limited to ~1 minute / 10MB of audio
+        const longRunning = opts.long_running || isUri || Buffer.byteLength(input) > 10 * 1024 * 1024;
+
+        const request = {
+            config: this.buildRecognitionConfig(opts),
+            audio
+        };
+
+        let response;
+        if (longRunning) {
+            const operation = await this.request(`${this.config.restEndpoint}/speech:longrunningrecognize`, { body: request });
+            response = await this.pollOperation(operation.name, opts);
+        } else {
+            response = await this.request(`${this.config.restEndpoint}/speech:recognize`, { body: request });
+        }
+
+        return this.normalizeResponse(response, request.config.languageCode);
+    }
+
+    buildRecognitionConfig(options = {}) {
+        const config = {
+            languageCode: this.toLocale(options.language),
+            enableAutomaticPunctuation: options.punctuate !== false,
+            enableWordTimeOffsets: true,
+            enableWordConfidence: true,
+            profanityFilter: !!options.profanity_filter
+        };
+
+        // WAV and FLAC headers carry encoding and sample rate, so these are optional
+        if (options.encoding) config.encoding = options.encoding;
+        if (options.sample_rate) config.sampleRateHertz = options.sample_rate;
+        if (options.model) config.model = options.model === 'latest' ? 'latest_long' : options.model;
+        if (options.phrases) config.speechContexts = [{ phrases: options.phrases }];
+        if (options.alternative_languages) config.alternativeLanguageCodes = options.alternative_languages;
+
+        if (options.diarize || options.speaker_labels) {
+            config.diarizationConfig = {
+                enableSpeakerDiarization: true,
+                minSpeakerCount: options.min_speakers || 1,
+                maxSpeakerCount: options.max_speakers || options.speakers_expected || 6
+            };
+        }
+
+        return config;
+    }
+
+    /**
+     * Poll a long-running recognition operation until it is done
+     */
+    async pollOperation(name, options = {}) {
+        const interval = options.poll_interval || 3000;
+        const deadline = Date.now() + (options.poll_timeout || 600000);
+
+        while (Date.now() < deadline) {
+            const operation = await this.request(`${this.config.restEndpoint}/operations/${name}`, { method: 'GET' });
+
+            if (operation.done) {
+                if (operation.error) {
+                    throw new Error(`Google STT operation failed: ${operation.error.message}`);
+                }
+                return operation.response || {};
+            }
+
+            await this.wait(interval);
+        }
+
+        throw new VoiceError(`Google STT operation timeout for ${name}`, 'TIMEOUT', { provider: this.provider });
+    }
+
+    normalizeResponse(response, languageCode) {
+        const results = response.results || [];
+        const alternatives = results.map(result => result.alternatives?.[0]).filter(Boolean);
+
+        // With diarization the final result repeats every word with its speaker tag
+        const diarized = results.length > 0 && results[results.length - 1].alternatives?.[0]?.words?.some(w => w.speakerTag);
+        const wordSource = diarized ? [results[results.length - 1].alternatives[0]] : alternatives;
+
+        const words = wordSource.flatMap(alt => alt.words || []).map(word => ({
+            text: word.word,
+            start: parseDuration(word.startTime),
+            end: parseDuration(word.endTime),
+            confidence: word.confidence,
+            speaker: word.speakerTag || null
+        }));
+
+        const transcripts = diarized ? alternatives.slice(0, -1) : alternatives;
+        const confidences = transcripts.map(alt => alt.confidence).filter(c => typeof c === 'number');
+
+        return {
+            text: transcripts.map(alt => alt.transcript.trim()).join(' '),
+            language: results[0]?.languageCode || languageCode,
+            duration: parseDuration(response.totalBilledTime || results[results.length - 1]?.resultEndTime),
+            confidence: confidences.length ? confidences.reduce((a, b) => a + b, 0) / confidences.length : undefined,
+            words,
+            speakers: [...new Set(words.map(w => w.speaker).filter(Boolean))]
+        };
+    }
+}
+
+/**
+ * Google Cloud Text-to-Speech Adapter
+ */
+class GoogleTTSAdapter extends GoogleCloudAdapter {
+    static capabilities = ['batch-tts'];
+
+    async process(text, options = {}) {
+        const opts = { ...this.options, ...options };
+        const isSsml = opts.text_type === 'ssml' || /^\s*<speak[\s>]/.test(text);
+        const encodingMap = { mp3: 'MP3', wav: 'LINEAR16', pcm: 'LINEAR16', ogg: 'OGG_OPUS', opus: 'OGG_OPUS', mulaw: 'MULAW', alaw: 'ALAW' };
+        const voiceName = opts.voice_id || opts.voice;
+
+        const audioConfig = {
+            audioEncoding: encodingMap[opts.response_format] || 'MP3'
+        };
+
+        if (opts.speaking_rate || opts.speed) audioConfig.speakingRate = opts.speaking_rate || opts.speed;
+        if (opts.pitch) audioConfig.pitch = opts.pitch;
+        if (opts.volume_gain_db) audioConfig.volumeGainDb = opts.volume_gain_db;
+        if (opts.sample_rate) audioConfig.sampleRateHertz = opts.sample_rate;
+
+        // Device audio profiles, e.g. 'telephony-class-application' or 'headphone-class-device'
+        const profiles = opts.audio_profile || opts.effects_profile_id;
+        if (profiles) audioConfig.effectsProfileId = Array.isArray(profiles) ? profiles : [profiles];
+
+        const result = await this.request(this.config.endpoint, {
+            body: {
+                input: isSsml ? { ssml: text } : { text },
+                voice: {
+                    // Voice names embed their locale, e.g. 'en-GB-Neural2-A'
+                    languageCode: opts.language ? this.toLocale(opts.language) : (voiceName?.split('-').slice(0, 2).join('-') || 'en-US'),
+                    ...(voiceName && { name: voiceName }),
+                    ...(opts.gender && { ssmlGender: opts.gender.toUpperCase() })
+                },
+                audioConfig
+            }
+        });
+
+        return Buffer.from(result.audioContent, 'base64');
+    }
+}
+
+/**
+ * ElevenLabs Conversational AI Adapter
+ * Duplex WebSocket session with an ElevenLabs agent, normalized for /v1/voice/chat
+ */
+class ElevenLabsConversationalAdapter extends BaseAdapter {
+    static capabilities = ['duplex-realtime'];
+
+    constructor(config, apiKey, options = {}, context = {}) {
+        super(config, apiKey, options, context);
+        this.websocket = null;
+        this.conversationId = null;
+        this.lastInterruptId = 0;
+        this.messageCallbacks = [];
+        this.closeCallbacks = [];
+    }
+
+    async connect() {
+        const agentId = this.options.agent_id;
+        if (!agentId) {
+            throw new VoiceError('ElevenLabs Conversational AI requires an agent_id option', 'INVALID_REQUEST', { isRetryable: false });
+        }
+
+        const url = this.options.signed_url === false
+            ? `${this.config.endpoint}?agent_id=${encodeURIComponent(agentId)}`
+            : await this.getSignedUrl(agentId);
+
+        return new Promise((resolve, reject) => {
+            this.websocket = new WebSocket(url, {
+                headers: {
+                    'xi-api-key': this.apiKey
+                }
+            });
+
+            this.websocket.on('open', () => {
+                this.isConnected = true;
+                this.websocket.send(JSON.stringify(this.buildInitiationMessage()));
+            });
+
+            this.websocket.on('message', (data) => {
+                const event = this.parseSocketMessage(data);
+                if (!event) return;
+
+                if (event.type === 'conversation_initiation_metadata') {
+                    this.conversationId = event.conversation_initiation_metadata_event?.conversation_id;
+                    resolve();
+                }
+
+                this.handleEvent(event);
+            });
+
+            this.websocket.on('close', (code, reason) => {
+                this.isConnected = false;
+                if (!this.conversationId) {
+                    reject(new Error(`ElevenLabs conversation closed before start (${code}): ${reason}`));
+                }
+                this.closeCallbacks.forEach(callback => callback({ code, reason: reason.toString() }));
+            });
+
+            this.rejectOnSocketError(this.websocket, reject);
+        });
+    }
+
+    /**
+     * Private agents require a short-lived signed URL
+     */
+    async getSignedUrl(agentId) {
+        const response = await this.fetch(`${this.config.signedUrlEndpoint}?agent_id=${encodeURIComponent(agentId)}`, {
+            headers: {
+                'xi-api-key': this.apiKey
+            }
+        });
+
+        if (!response.ok) {
+            throw await this.responseError(response, 'ElevenLabs API');
+        }
+
+        const { signed_url } = await response.json();
+        return signed_url;
+    }
+
+    buildInitiationMessage() {
+        const agent = {};
+        if (this.options.instructions) agent.prompt = { prompt: this.options.instructions };
+        if (this.options.first_message) agent.first_message = this.options.first_message;
+        if (this.options.language) agent.language = this.options.language;
+
+        const override = {};
+        if (Object.keys(agent).length) override.agent = agent;
+        if (this.options.voice_id) override.tts = { voice_id: this.options.voice_id };
+        if (this.options.text_only) override.conversation = { text_only: true };
+
+        return {
+            type: 'conversation_initiation_client_data',
+            ...(Object.keys(override).length && { conversation_config_override: override }),
+            ...(this.options.dynamic_variables && { dynamic_variables: this.options.dynamic_variables })
+        };
+    }
+
+    async disconnect() {
+        if (!this.websocket) {
+            this.isConnected = false;
+            return;
+        }
+
+        const websocket = this.websocket;
+        this.websocket = null;
+        this.isConnected = false;
+
+        if (websocket.readyState === WebSocket.CLOSED) {
+            return;
+        }
+
+        await new Promise(resolve => {
+            websocket.once('close', resolve);
+            websocket.close(1000, 'Client disconnect');
+        });
+    }
+
+    /**
+     * Send a chat message ({ role, content }), raw audio ({ audio }) or a native convai event ({ type })
+     */
+    send(message) {
+        if (!this.isConnected) {
+            throw new Error('Not connected to ElevenLabs Conversational AI');
+        }
+
+        let event;
+        if (message.type) {
+            event = message;
+        } else if (message.audio) {
+            event = { user_audio_chunk: Buffer.from(message.audio, typeof message.audio === 'string' ? 'base64' : undefined).toString('base64') };
+        } else if (message.role === 'user') {
+            event = { type: 'user_message', text: message.content };
+        } else {
+            // System and assistant history is passed as background context
+            event = { type: 'contextual_update', text: message.content };
+        }
+
+        this.websocket.send(JSON.stringify(event));
+    }
+
+    sendAudio(audioData) {
+        this.send({ audio: Buffer.from(audioData) });
+    }
+
+    onMessage(callback) {
+        this.messageCallbacks.push(callback);
+    }
+
+    onClose(callback) {
+        this.closeCallbacks.push(callback);
+    }
+
+    /**
+     * Normalize convai events; answers pings and drops audio superseded by an interruption
+     */
+    handleEvent(event) {
+        let message = null;
+
+        switch (event.type) {
+            case 'ping':
+                this.websocket?.send(JSON.stringify({ type: 'pong', event_id: event.ping_event?.event_id }));
+                return;
+
+            case 'conversation_initiation_metadata':
+                message = {
+                    type: 'conversation_started',
+                    conversation_id: this.conversationId,
+                    input_format: event.conversation_initiation_metadata_event?.user_input_audio_format,
+                    output_format: event.conversation_initiation_metadata_event?.agent_output_audio_format
+                };
+                break;
+
+            case 'user_transcript':
+                message = { type: 'user_transcript', text: event.user_transcription_event?.user_transcript };
+                break;
+
+            case 'agent_response':
+                message = { type: 'agent_response', text: event.agent_response_event?.agent_response };
+                break;
+
+            case 'agent_response_correction':
+                message = {
+                    type: 'agent_response_correction',
+                    original: event.agent_response_correction_event?.original_agent_response,
+                    text: event.agent_response_correction_event?.corrected_agent_response
+                };
+                break;
+
+            case 'audio':
+                if ((event.audio_event?.event_id || 0) <= this.lastInterruptId) {
+                    return;
+                }
+                message = {
+                    type: 'audio',
+                    audio: event.audio_event?.audio_base_64,
+                    event_id: event.audio_event?.event_id
+                };
+                break;
+
+            case 'interruption':
+                this.lastInterruptId = event.interruption_event?.event_id || this.lastInterruptId;
+                message = { type: 'interruption', event_id: this.lastInterruptId };
+                break;
+
+            case 'client_tool_call':
+                message = {
+                    type: 'tool_call',
+                    tool_name: event.client_tool_call?.tool_name,
+                    tool_call_id: event.client_tool_call?.tool_call_id,
+                    parameters: event.client_tool_call?.parameters
+                };
+                break;
+
+            default:
+                message = { type: event.type };
+        }
+
+        message.raw = event;
+        this.messageCallbacks.forEach(callback => callback(message));
+    }
+
+    /**
+     * Non-streaming turn: send the messages and resolve with the agent's next response
+     */
+    async process(messages, options = {}) {
+        if (!this.isConnected) {
+            await this.connect();
+        }
+
+        const timeout = options.response_timeout || 30000;
+        const audio = [];
+        const signal = this.signal;
+        let timer;
+        let onAbort;
+        let onTurnMessage;
+
+        const response = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new VoiceError('ElevenLabs agent response timeout', 'TIMEOUT', { provider: this.provider, timeout })), timeout);
+
+            onAbort = () => reject(signal.reason);
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            onTurnMessage = (message) => {
+                if (message.type === 'audio') {
+                    audio.push(message.audio);
+                } else if (message.type === 'agent_response') {
+                    resolve(message.text);
+                }
+            };
+            this.onMessage(onTurnMessage);
+        });
+
+        let content;
+        try {
+            [].concat(messages).forEach(message => this.send(message));
+            content = await response;
+        } finally {
+            // The session outlives this turn; drop the turn's callback so they do not pile up
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+            this.messageCallbacks = this.messageCallbacks.filter(callback => callback !== onTurnMessage);
+        }
+
+        return {
+            message: { role: 'assistant', content },
+            audio: audio.length ? Buffer.concat(audio.map(chunk => Buffer.from(chunk, 'base64'))).toString('base64') : undefined,
+            conversation_id: this.conversationId
+        };
+    }
+}
+
+/**
+ * PlayHT TTS Adapter
+ * Authenticates with a user id + secret key pair and streams audio from /tts/stream
+ */
+class PlayHTAdapter extends BaseAdapter {
+    static capabilities = ['batch-tts', 'streaming-tts'];
+
+    constructor(config, apiKey, options = {}, context = {}) {
+        super(config, apiKey, options, context);
+
+        // BYOK key may be "USER_ID:SECRET_KEY", or the secret with user_id in options
+        const [userId, secretKey] = apiKey.includes(':') ? apiKey.split(':') : [options.user_id, apiKey];
+        this.userId = options.user_id || userId;
+        this.secretKey = secretKey;
+    }
+
+    async connect() {
+        if (!this.userId) {
+            throw new VoiceError('PlayHT requires a user_id option or an api_key of the form "USER_ID:SECRET_KEY"', 'INVALID_REQUEST', { isRetryable: false });
+        }
+        // HTTP-based API, no persistent connection needed
+        this.isConnected = true;
+    }
+
+    async disconnect() {
+        this.isConnected = false;
+    }
+
+    get headers() {
+        return {
+            'AUTHORIZATION': this.secretKey,
+            'X-USER-ID': this.userId
+        };
+    }
+
+    async requestSpeech(text, options = {}) {
+        const opts = { ...this.options, ...options };
+        const formats = { mp3: 'audio/mpeg', wav: 'audio/wav', ogg: 'audio/ogg', flac: 'audio/flac', mulaw: 'audio/basic' };
+        const format = formats[opts.response_format] ? opts.response_format : 'mp3';
+
+        const body = {
+            text,
+            voice: opts.voice_id || opts.voice || 's3://voice-cloning-zero-shot/d9ff78ba-d016-47f6-b0ef-dd630f59414e/female-cs/manifest.json',
+            voice_engine: opts.model || 'PlayHT2.0-turbo',
+            output_format: format
+        };
+
+        if (opts.quality) body.quality = opts.quality;
+        if (opts.speed) body.speed = opts.speed;
+        if (opts.sample_rate) body.sample_rate = opts.sample_rate;
+        if (opts.emotion) body.emotion = opts.emotion;
+        if (opts.voice_guidance) body.voice_guidance = opts.voice_guidance;
+        if (opts.style_guidance) body.style_guidance = opts.style_guidance;
+
+        const response = await this.fetch(`${this.config.endpoint}/stream`, {
+            method: 'POST',
+            headers: {
+                ...this.headers,
+                'Accept': formats[format],
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+
+        if (!response.ok) {
+            throw await this.responseError(response, 'PlayHT API');
+        }
+
+        return response;
+    }
+
+    async process(text, options = {}) {
+        const response = await this.requestSpeech(text, options);
+        return await response.arrayBuffer();
+    }
+
+    /**
+     * Yield audio chunks as PlayHT produces them
+     */
+    async *stream(text, options = {}) {
+        const response = await this.requestSpeech(text, options);
+        for await (const chunk of response.body) {
+            yield Buffer.from(chunk);
+        }
+    }
+
+    async listVoices() {
+        const response = await this.fetch(this.config.voicesEndpoint, {
+            headers: {
+                ...this.headers,
+                'Accept': 'application/json'
+            }
+        });
+
+        if (!response.ok) {
+            throw await this.responseError(response, 'PlayHT API');
+        }
+
+        const voices = await response.json();
+
+        return voices.map(voice => ({
+            voice_id: voice.id,
+            name: voice.name,
+            language: voice.language_code || voice.language || null,
+            gender: voice.gender || null,
+            accent: voice.accent || null,
+            styles: voice.style ? [voice.style] : [],
+            preview_url: voice.sample || null
+        }));
+    }
+}
+
+/**
+ * Murf AI TTS Adapter
+ * Supports style, pitch and rate controls on the generate endpoint
+ */
+class MurfAdapter extends BaseAdapter {
+    static capabilities = ['batch-tts'];
+
+    async connect() {
+        // HTTP-based API, no persistent connection needed
+        this.isConnected = true;
+    }
+
+    async disconnect() {
+        this.isConnected = false;
+    }
+
+    async process(text, options = {}) {
+        const opts = { ...this.options, ...options };
+        const formats = { mp3: 'MP3', wav: 'WAV', flac: 'FLAC', pcm: 'PCM', ogg: 'OGG' };
+
+        const body = {
+            text,
+            voiceId: opts.voice_id || opts.voice || 'en-US-natalie',
+            format: formats[opts.response_format] || 'MP3',
+            encodeAsBase64: true
+        };
+
+        if (opts.style) body.style = opts.style;
+        // Murf accepts integer pitch and rate adjustments between -50 and 50
+        if (opts.pitch !== undefined) body.pitch = Math.max(-50, Math.min(50, Math.round(opts.pitch)));
+        if (opts.rate !== undefined) body.rate = Math.max(-50, Math.min(50, Math.round(opts.rate)));
+        if (opts.sample_rate) body.sampleRate = opts.sample_rate;
+        if (opts.variation) body.variation = opts.variation;
+        if (opts.pronunciation_dictionary) body.pronunciationDictionary = opts.pronunciation_dictionary;
+
+        const response = await this.fetch(this.config.endpoint, {
+            method: 'POST',
+            headers: {
+                'api-key': this.apiKey,
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+
+        if (!response.ok) {
+            throw await this.responseError(response, 'Murf API');
+        }
+
+        const result = await response.json();
+
+        if (result.encodedAudio) {
+            return Buffer.from(result.encodedAudio, 'base64');
+        }
+
+        // Older responses only return a hosted file URL
+        const audio = await this.fetch(result.audioFile);
+
+        if (!audio.ok) {
+            throw await this.responseError(audio, 'Murf audio download');
+        }
+
+        return await audio.arrayBuffer();
+    }
+
+    async listVoices() {
+        const response = await this.fetch(this.config.voicesEndpoint, {
+            headers: {
+                'api-key': this.apiKey,
+                'Accept': 'application/json'
+            }
+        });
+
+        if (!response.ok) {
+            throw await this.responseError(response, 'Murf API');
+        }
+
+        const voices = await response.json();
+
+        return voices.map(voice => ({
+            voice_id: voice.voiceId,
+            name: voice.displayName,
+            language: voice.locale || null,
+            gender: voice.gender || null,
+            accent: voice.accent || null,
+            styles: voice.availableStyles || []
+        }));
+    }
+}
+
+// IAM access tokens last an hour; cached per API key
+const ibmTokenCache = new Map();
+
+/**
+ * IBM Watson Speech Adapter
+ * Hybrid provider: branches on the routed request type to Speech to Text or Text to Speech
+ */
+class IBMWatsonAdapter extends BaseAdapter {
+    static capabilities = ['batch-stt', 'batch-tts'];
+
+    constructor(config, apiKey, options = {}, context = {}) {
+        super(config, apiKey, options, context);
+        this.region = options.region || 'us-south';
+    }
+
+    async connect() {
+        // HTTP-based API, no persistent connection needed
+        this.isConnected = true;
+    }
+
+    async disconnect() {
+        this.isConnected = false;
+    }
+
+    /**
+     * Exchange the IBM Cloud API key for an IAM bearer token, cached until shortly before expiry
+     */
+    async getAccessToken() {
+        const cacheKey = crypto.createHash('sha256').update(this.apiKey).digest('hex');
+        const cached = ibmTokenCache.get(cacheKey);
+
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.token;
+        }
+
+        const response = await this.fetch(this.config.tokenEndpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'Accept': 'application/json'
+            },
+            body: new URLSearchParams({
+                grant_type: 'urn:ibm:params:oauth:grant-type:apikey',
+                apikey: this.apiKey
+            })
+        });
+
+        if (!response.ok) {
+            throw await this.responseError(response, 'IBM IAM token');
+        }
+
+        const { access_token, expiration, expires_in = 3600 } = await response.json();
+        const expiresAt = expiration ? expiration * 1000 : Date.now() + expires_in * 1000;
+
+        ibmTokenCache.set(cacheKey, {
+            token: access_token,
+            expiresAt: expiresAt - 60000 // Refresh a minute early
+        });
+
+        return access_token;
+    }
+
+    /**
+     * Resolve the direction from the routed type; fall back to the input shape
+     */
+    resolveDirection(input) {
+        const directions = { 'stt': 'stt', 'speech-to-text': 'stt', 'tts': 'tts', 'text-to-speech': 'tts' };
+        return directions[this.requestType] || (typeof input === 'string' ? 'tts' : 'stt');
+    }
+
+    async process(input, options = {}) {
+        const opts = { ...this.options, ...options };
+
+        if (!opts.instance_id) {
+            throw new VoiceError('IBM Watson requires an instance_id option for the service instance', 'INVALID_REQUEST', { isRetryable: false });
+        }
+
+        return this.resolveDirection(input) === 'tts'
+            ? await this.synthesize(input, opts)
+            : await this.transcribe(input, opts);
+    }
+
+    async transcribe(audioData, options = {}) {
+        const serviceUrl = this.resolveEndpoint(this.config.sttEndpoint, { region: this.region, instance_id: options.instance_id });
+        const locale = this.toLocale(options.language);
+
+        const params = new URLSearchParams({
+            model: options.model && !this.config.models.includes(options.model) ? options.model : `${locale}_Multimedia`,
+            timestamps: 'true',
+            word_confidence: 'true',
+            smart_formatting: String(options.smart_format !== false),
+            speaker_labels: String(!!(options.speaker_labels || options.diarize))
+        });
+
+        if (options.language_customization_id) params.set('language_customization_id', options.language_customization_id);
+        if (options.acoustic_customization_id) params.set('acoustic_customization_id', options.acoustic_customization_id);
+        if (options.customization_weight) params.set('customization_weight', options.customization_weight);
+
+        const response = await this.fetch(`${serviceUrl}/v1/recognize?${params}`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${await this.getAccessToken()}`,
+                // Watson detects the format from the audio when none is given
+                'Content-Type': options.content_type || 'application/octet-stream'
+            },
+            body: Buffer.from(audioData)
+        });
+
+        if (!response.ok) {
+            throw await this.responseError(response, 'IBM Watson STT API');
+        }
+
+        const result = await response.json();
+        const alternatives = (result.results || []).map(r => r.alternatives?.[0]).filter(Boolean);
+        const speakerLabels = result.speaker_labels || [];
+
+        const words = alternatives.flatMap(alt => (alt.timestamps || []).map(([text, start, end], index) => ({
+            text,
+            start,
+            end,
+            confidence: alt.word_confidence?.[index]?.[1],
+            speaker: speakerLabels.find(label => label.from === start)?.speaker ?? null
+        })));
+
+        const confidences = alternatives.map(alt => alt.confidence).filter(c => typeof c === 'number');
+
+        return {
+            text: alternatives.map(alt => alt.transcript.trim()).join(' '),
+            language: locale,
+            duration: words.length ? words[words.length - 1].end : undefined,
+            confidence: confidences.length ? confidences.reduce((a, b) => a + b, 0) / confidences.length : undefined,
+            words,
+            speakers: [...new Set(speakerLabels.map(label => label.speaker))]
+        };
+    }
+
+    async synthesize(text, options = {}) {
+        const serviceUrl = this.resolveEndpoint(this.config.ttsEndpoint, { region: this.region, instance_id: options.instance_id });
+        const formats = {
+            mp3: 'audio/mp3',
+            wav: 'audio/wav',
+            ogg: 'audio/ogg;codecs=opus',
+            flac: 'audio/flac',
+            pcm: 'audio/l16;rate=22050'
+        };
+
+        const params = new URLSearchParams({
+            voice: options.voice_id || options.voice || 'en-US_AllisonV3Voice'
+        });
+
+        if (options.customization_id) params.set('customization_id', options.customization_id);
+
+        // SSML is accepted directly in the text field
+        const response = await this.fetch(`${serviceUrl}/v1/synthesize?${params}`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${await this.getAccessToken()}`,
+                'Content-Type': 'application/json',
+                'Accept': formats[options.response_format] || formats.mp3
+            },
+            body: JSON.stringify({ text })
+        });
+
+        if (!response.ok) {
+            throw await this.responseError(response, 'IBM Watson TTS API');
+        }
+
+        return await response.arrayBuffer();
+    }
+}
+
+/**
+ * Base for offline adapters that run a locally installed binary
+ * Binary and model locations come from the provider config or environment, never from request options
+ */
+class LocalProcessAdapter extends BaseAdapter {
+    async connect() {
+        this.isConnected = true;
+    }
+
+    async disconnect() {
+        this.isConnected = false;
+    }
+
+    get command() {
+        return process.env[this.config.local.commandEnv] || this.config.local.command;
+    }
+
+    get modelsDir() {
+        return path.resolve(process.env[this.config.local.modelsDirEnv] || this.config.local.modelsDir);
+    }
+
+    /**
+     * Resolve a model name to a file inside the models directory
+     */
+    resolveModel(model, extension) {
+        const name = model || process.env[this.config.local.modelEnv] || this.config.local.defaultModel;
+        const file = name.endsWith(extension) ? name : `${name}${extension}`;
+
+        if (path.basename(file) !== file) {
+            throw new Error(`Invalid model name "${name}"`);
+        }
+
+        return path.join(this.modelsDir, file);
+    }
+
+    /**
+     * Spawn the binary, optionally feeding stdin; yields stdout chunks as they arrive
+     */
+    async *spawnProcess(args, input, options = {}) {
+        // Aborting the request kills the binary
+        const child = spawn(this.command, args, {
+            stdio: ['pipe', 'pipe', 'pipe'],
+            signal: this.signal ?? undefined,
+            killSignal: 'SIGKILL'
+        });
+        const stderr = [];
+        const timeout = options.timeout || 120000;
+
+        const exited = new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                child.kill('SIGKILL');
+                reject(new Error(`${this.config.name} timed out after ${timeout}ms`));
+            }, timeout);
+
+            child.on('error', (error) => {
+                clearTimeout(timer);
+                reject(error.code === 'ENOENT'
+                    ? new Error(`${this.config.name} binary "${this.command}" not found; set ${this.config.local.commandEnv}`)
+                    : error);
+            });
+
+            child.on('close', (code) => {
+                clearTimeout(timer);
+                if (code === 0) {
+                    resolve();
+                } else {
+                    reject(new Error(`${this.config.name} exited with code ${code}: ${Buffer.concat(stderr).toString().trim().slice(-500)}`));
+                }
+            });
+        });
+
+        // Surface spawn failures even if stdout never produces data
+        exited.catch(() => {});
+
+        child.stderr.on('data', chunk => stderr.push(chunk));
+        child.stdin.on('error', () => {});
+        child.stdin.end(input);
+
+        try {
+            for await (const chunk of child.stdout) {
+                yield chunk;
+            }
+            await exited;
+        } finally {
+            if (child.exitCode === null) {
+                child.kill();
+            }
+        }
+    }
+
+    async runProcess(args, input, options = {}) {
+        const chunks = [];
+        for await (const chunk of this.spawnProcess(args, input, options)) {
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks);
+    }
+}
+
+/**
+ * Local Whisper STT Adapter (whisper.cpp)
+ * Audio is piped to whisper-cli on stdin; expects 16 kHz mono WAV input
+ */
+class LocalWhisperAdapter extends LocalProcessAdapter {
+    static capabilities = ['batch-stt'];
+
+    async process(audioData, options = {}) {
+        const opts = { ...this.options, ...options };
+        const audio = Buffer.from(audioData);
+
+        if (audio.subarray(0, 4).toString() !== 'RIFF') {
+            throw new Error('Local Whisper expects 16 kHz mono WAV audio');
+        }
+
+        // whisper.cpp writes JSON output to a file prefix rather than stdout
+        const outputPrefix = path.join(os.tmpdir(), `whisper-${crypto.randomUUID()}`);
+
+        const args = [
+            '-m', this.resolveModel(opts.model && `ggml-${opts.model.replace(/^ggml-/, '')}`, '.bin'),
+            '-f', '-',
+            '-l', opts.detect_language ? 'auto' : (opts.language || 'en'),
+            '-oj',
+            '-of', outputPrefix,
+            '-np'
+        ];
+
+        if (opts.translate) args.push('-tr');
+        if (opts.prompt) args.push('--prompt', opts.prompt);
+        if (opts.threads) args.push('-t', String(parseInt(opts.threads, 10)));
+
+        try {
+            await this.runProcess(args, audio, opts);
+            const output = JSON.parse(await fs.readFile(`${outputPrefix}.json`, 'utf8'));
+            const segments = (output.transcription || []).map(segment => ({
+                text: segment.text.trim(),
+                start: segment.offsets.from / 1000,
+                end: segment.offsets.to / 1000
+            }));
+
+            return {
+                text: segments.map(segment => segment.text).join(' ').trim(),
+                language: output.result?.language || opts.language || 'en',
+                duration: segments.length ? segments[segments.length - 1].end : 0,
+                segments,
+                words: []
+            };
+        } finally {
+            await fs.rm(`${outputPrefix}.json`, { force: true });
+        }
+    }
+}
+
+/**
+ * Local Piper TTS Adapter
+ * Text is piped to piper on stdin and raw PCM is read from stdout, then wrapped as WAV
+ */
+class LocalPiperAdapter extends LocalProcessAdapter {
+    static capabilities = ['batch-tts', 'streaming-tts'];
+
+    buildArgs(options = {}) {
+        const args = ['--model', this.resolveModel(options.voice_id || options.voice || options.model, '.onnx'), '--output-raw'];
+
+        if (options.speaker !== undefined) args.push('--speaker', String(parseInt(options.speaker, 10)));
+        // Piper's length_scale is the inverse of speaking speed
+        if (options.speed) args.push('--length_scale', String(1 / Number(options.speed)));
+        if (options.sentence_silence) args.push('--sentence_silence', String(Number(options.sentence_silence)));
+
+        return args;
+    }
+
+    /**
+     * Voice sample rate from the model's .onnx.json config
+     */
+    async getSampleRate(options = {}) {
+        try {
+            const modelPath = this.resolveModel(options.voice_id || options.voice || options.model, '.onnx');
+            const modelConfig = JSON.parse(await fs.readFile(`${modelPath}.json`, 'utf8'));
+            return modelConfig.audio?.sample_rate || 22050;
+        } catch (error) {
+            return 22050;
+        }
+    }
+
+    async process(text, options = {}) {
+        const opts = { ...this.options, ...options };
+        const pcm = await this.runProcess(this.buildArgs(opts), `${text}\n`, opts);
+
+        if (opts.response_format === 'pcm') {
+            return pcm;
+        }
+
+        return Buffer.concat([createWavHeader(await this.getSampleRate(opts), 1, 16, pcm.length), pcm]);
+    }
+
+    /**
+     * Yield raw 16-bit PCM chunks as Piper renders them
+     */
+    async *stream(text, options = {}) {
+        const opts = { ...this.options, ...options };
+        yield* this.spawnProcess(this.buildArgs(opts), `${text}\n`, opts);
+    }
+
+    async listVoices() {
+        const files = await fs.readdir(this.modelsDir).catch(() => []);
+
+        return files
+            .filter(file => file.endsWith('.onnx'))
+            .map(file => {
+                const voiceId = file.replace(/\.onnx$/, '');
+                return {
+                    voice_id: voiceId,
+                    name: voiceId,
+                    language: voiceId.split('-')[0] || null,
+                    gender: null
+                };
+            });
+    }
+}
+
+const MOCK_TRANSCRIPT = 'This is a mock transcription.';
+
+// Simulated failures for the mock provider, keyed by HTTP status
+const MOCK_ERROR_MESSAGES = {
+    401: 'Invalid API key (unauthorized)',
+    403: 'Access forbidden',
+    429: 'Too many requests (rate limit exceeded)',
+    500: 'Internal server error',
+    502: 'Bad gateway',
+    503: 'Service unavailable'
+};
+
+/**
+ * Mock Adapter
+ * Deterministic, network-free provider for end-to-end tests of routing, fallback and error handling.
+ * Behaviour is scripted through options: mock_latency, mock_error, mock_failures, mock_drop,
+ * mock_retry_after (seconds, sent with mock_error), mock_transcript and mock_response.
+ */
+class MockAdapter extends BaseAdapter {
+    static capabilities = ['batch-stt', 'streaming-stt', 'batch-tts', 'streaming-tts', 'duplex-realtime'];
+
+    constructor(config, apiKey, options = {}, context = {}) {
+        super(config, apiKey, options, context);
+        this.messageCallbacks = [];
+        this.closeCallbacks = [];
+        this.transcriptionCallbacks = [];
+        this.audioChunks = 0;
+        this.pendingResponse = null;
+        this.history = [];
+        // mock_failures fails only the first N calls, so retries against the same adapter recover
+        this.failuresRemaining = options.mock_failures ?? (options.mock_error ? Infinity : 0);
+    }
+
+    async connect() {
+        await this.simulate();
+        this.isConnected = true;
+    }
+
+    async disconnect() {
+        clearTimeout(this.pendingResponse);
+        if (this.isConnected) {
+            this.isConnected = false;
+            this.closeCallbacks.forEach(callback => callback());
+        }
+    }
+
+    /**
+     * A cancelled request gets no scripted reply
+     */
+    abort() {
+        clearTimeout(this.pendingResponse);
+    }
+
+    /**
+     * Apply scripted latency, then any scripted failure
+     */
+    async simulate(options = this.options) {
+        if (options.mock_latency) {
+            await this.wait(Number(options.mock_latency));
+        }
+
+        if (options.mock_drop) {
+            throw Object.assign(new Error('Mock connection dropped (ECONNRESET)'), { code: 'ECONNRESET' });
+        }
+
+        if (this.failuresRemaining > 0) {
+            this.failuresRemaining--;
+            const status = Number(options.mock_error) || 503;
+            const message = MOCK_ERROR_MESSAGES[status] || 'Simulated failure';
+            throw new ProviderError(`Mock API error (${status}): ${message}`, {
+                provider: this.provider || 'mock',
+                status,
+                providerMessage: message,
+                retryAfter: options.mock_retry_after ? Number(options.mock_retry_after) * 1000 : null,
+                requestId: `mock-${crypto.randomUUID()}`
+            });
+        }
+    }
+
+    resolveDirection(input) {
+        if (['stt', 'tts', 'conversational'].includes(this.requestType)) {
+            return this.requestType;
+        }
+        if (typeof input === 'string') return 'tts';
+        return Array.isArray(input) ? 'conversational' : 'stt';
+    }
+
+    async process(input, options = {}) {
+        const opts = { ...this.options, ...options };
+        await this.simulate(opts);
+
+        switch (this.resolveDirection(input)) {
+            case 'tts':
+                return this.synthesize(input, opts);
+            case 'conversational':
+                return this.respond(input, opts);
+            default:
+                return this.transcribe(input, opts);
+        }
+    }
+
+    /**
+     * Canned transcript; duration assumes 16 kHz 16-bit mono audio
+     */
+    transcribe(audioData, options = {}) {
+        const audio = typeof audioData === 'string' ? Buffer.from(audioData) : Buffer.from(audioData || []);
+        const text = options.mock_transcript || MOCK_TRANSCRIPT;
+        const duration = Math.round(audio.length / 32000 * 100) / 100;
+        const tokens = text.split(/\s+/).filter(Boolean);
+        const step = tokens.length ? duration / tokens.length : 0;
+
+        return {
+            id: `mock-${crypto.createHash('sha256').update(audio).digest('hex').slice(0, 12)}`,
+            text,
+            language: options.language || 'en',
+            duration,
+            confidence: 1,
+            words: tokens.map((token, index) => ({
+                text: token,
+                start: Math.round(index * step * 100) / 100,
+                end: Math.round((index + 1) * step * 100) / 100,
+                confidence: 1,
+                speaker: null
+            }))
+        };
+    }
+
+    /**
+     * Silent 16 kHz WAV, 50ms per character of input
+     */
+    synthesize(text, options = {}) {
+        const pcm = Buffer.alloc(text.length * 1600);
+
+        if (options.response_format === 'pcm') {
+            return pcm;
+        }
+
+        return Buffer.concat([createWavHeader(16000, 1, 16, pcm.length), pcm]);
+    }
+
+    /**
+     * Streaming transcription: each audio chunk reveals one more word of the transcript
+     */
+    sendAudio(audioData) {
+        if (!this.isConnected) {
+            throw new Error('Not connected to mock provider');
+        }
+
+        const words = (this.options.mock_transcript || MOCK_TRANSCRIPT).split(/\s+/);
+        const chunk = ++this.audioChunks;
+        const result = {
+            text: words.slice(0, chunk).join(' '),
+            is_final: chunk >= words.length,
+            confidence: 1,
+            words: [],
+            raw: { chunk, bytes: Buffer.from(audioData).length }
+        };
+
+        setImmediate(() => this.transcriptionCallbacks.forEach(callback => callback(result)));
+    }
+
+    onTranscription(callback) {
+        this.transcriptionCallbacks.push(callback);
+    }
+
+    async *stream(text, options = {}) {
+        const opts = { ...this.options, ...options };
+        await this.simulate(opts);
+
+        const pcm = this.synthesize(text, { ...opts, response_format: 'pcm' });
+        for (let offset = 0; offset < pcm.length; offset += 3200) {
+            yield pcm.subarray(offset, offset + 3200);
+        }
+    }
+
+    respond(messages, options = {}) {
+        const lastUser = [].concat(messages).filter(message => message.role === 'user').pop();
+        const content = options.mock_response || `Mock response to: ${lastUser?.content || ''}`;
+
+        return {
+            message: { role: 'assistant', content },
+            usage: { input_messages: [].concat(messages).length, output_characters: content.length }
+        };
+    }
+
+    /**
+     * Streaming chat: replies once to the latest message, as text deltas, then closes
+     */
+    send(message) {
+        if (!this.isConnected) {
+            throw new Error('Not connected to mock provider');
+        }
+
+        this.history.push(message);
+        clearTimeout(this.pendingResponse);
+
+        this.pendingResponse = setTimeout(() => {
+            if (this.options.mock_drop) {
+                this.disconnect();
+                return;
+            }
+
+            const { content } = this.respond(this.history, this.options).message;
+            content.split(/(?<= )/).forEach(delta => this.emit({ type: 'response.text.delta', delta }));
+            this.emit({ type: 'response.done', text: content });
+            this.disconnect();
+        }, Number(this.options.mock_latency) || 0);
+    }
+
+    emit(message) {
+        this.messageCallbacks.forEach(callback => callback(message));
+    }
+
+    onMessage(callback) {
+        this.messageCallbacks.push(callback);
+    }
+
+    onClose(callback) {
+        this.closeCallbacks.push(callback);
+    }
+
+    async listVoices() {
+        return [{ voice_id: 'mock-voice', name: 'Mock Voice', language: 'en', gender: null }];
+    }
+}
+
+/**
+ * Capabilities an adapter can declare (static capabilities) and the methods each requires
+ *   batch-stt        process(audio) resolves to { text, ... }
+ *   streaming-stt    sendAudio(chunk) after connect(); onTranscription(cb) receives { text, is_final, raw }
+ *   batch-tts        process(text) resolves to audio bytes
+ *   streaming-tts    stream(text) async-iterates audio chunks
+ *   duplex-realtime  send({ role, content } or a native event) after connect(); onMessage(cb) receives
+ *                    provider events; process(messages) resolves to { message: { role, content } }
+ */
+export const ADAPTER_CAPABILITIES = {
+    'batch-stt': ['process'],
+    'streaming-stt': ['sendAudio', 'onTranscription'],
+    'batch-tts': ['process'],
+    'streaming-tts': ['stream'],
+    'duplex-realtime': ['send', 'onMessage', 'process']
+};
+
+/**
+ * What a provider plugin must provide to be registered
+ */
+export const ADAPTER_CONTRACT = {
+    config: ['name', 'type', 'capabilities', 'models', 'auth'],
+    methods: ['connect', 'disconnect']
+};
+
+/**
+ * Check a provider id, catalog entry and adapter class against ADAPTER_CONTRACT and the
+ * methods required by each capability the adapter declares
+ * @returns {string[]} Contract violations (empty when valid)
+ */
+export function validateAdapterContract(id, config, AdapterClass) {
+    const errors = [];
+
+    if (typeof id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(id)) {
+        errors.push('id must be lowercase letters, digits and dashes');
+    }
+
+    if (!config || typeof config !== 'object') {
+        return [...errors, 'config must be an object'];
+    }
+
+    ADAPTER_CONTRACT.config
+        .filter(field => config[field] === undefined)
+        .forEach(field => errors.push(`config.${field} is required`));
+
+    ['capabilities', 'models'].forEach(field => {
+        if (config[field] !== undefined && !Array.isArray(config[field])) {
+            errors.push(`config.${field} must be an array`);
+        }
+    });
+
+    if (typeof AdapterClass !== 'function' || !AdapterClass.prototype) {
+        return [...errors, 'Adapter must be a class'];
+    }
+
+    const capabilities = AdapterClass.capabilities || [];
+
+    if (!capabilities.length) {
+        errors.push(`Adapter must declare static capabilities (${Object.keys(ADAPTER_CAPABILITIES).join(', ')})`);
+    }
+
+    capabilities
+        .filter(capability => !ADAPTER_CAPABILITIES[capability])
+        .forEach(capability => errors.push(`Unknown capability "${capability}"`));
+
+    const methods = new Set([
+        ...ADAPTER_CONTRACT.methods,
+        ...capabilities.flatMap(capability => ADAPTER_CAPABILITIES[capability] || [])
+    ]);
+
+    // Methods inherited from BaseAdapter only throw, so they must be overridden
+    [...methods]
+        .filter(method => typeof AdapterClass.prototype[method] !== 'function' ||
+            AdapterClass.prototype[method] === BaseAdapter.prototype[method])
+        .forEach(method => errors.push(`Adapter must implement ${method}()`));
+
+    return errors;
+}
+
+/**
+ * Guess an audio container from its magic bytes (defaults to wav)
+ */
+function detectAudioFormat(audio) {
+    if (!audio || audio instanceof Blob) return 'wav';
+
+    const bytes = Buffer.from(audio).subarray(0, 12);
+    const ascii = bytes.toString('latin1');
+
+    if (ascii.startsWith('RIFF')) return 'wav';
+    if (ascii.startsWith('ID3') || (bytes[0] === 0xff && (bytes[1] & 0xe0) === 0xe0)) return 'mp3';
+    if (ascii.startsWith('OggS')) return 'ogg';
+    if (ascii.startsWith('fLaC')) return 'flac';
+    if (bytes[0] === 0x1a && bytes[1] === 0x45 && bytes[2] === 0xdf && bytes[3] === 0xa3) return 'webm';
+    if (ascii.slice(4, 8) === 'ftyp') return 'm4a';
+
+    return 'wav';
+}
+
+/**
+ * Parse a server-sent events body into JSON events
+ */
+async function* parseServerSentEvents(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of body) {
+        buffer += decoder.decode(chunk, { stream: true });
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const block = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+
+            const data = block
+                .split('\n')
+                .filter(line => line.startsWith('data:'))
+                .map(line => line.slice(5).trim())
+                .join('\n');
+
+            if (data && data !== '[DONE]') {
+                yield JSON.parse(data);
+            }
+        }
+    }
+}
+
+/**
+ * Parse protobuf duration strings such as "1.300s" into seconds
+ */
+function parseDuration(value) {
+    if (value === undefined || value === null) return undefined;
+    if (typeof value === 'object') return Number(value.seconds || 0) + (value.nanos || 0) / 1e9;
+    return parseFloat(value);
+}
+
+function escapeXml(value) {
+    return value
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Build a PCM WAV header; dataLength 0 marks an open-ended stream
+ */
+function createWavHeader(sampleRate = 16000, channels = 1, bitsPerSample = 16, dataLength = 0) {
+    const header = Buffer.alloc(44);
+    const byteRate = sampleRate * channels * bitsPerSample / 8;
+
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + dataLength, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(channels, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(byteRate, 28);
+    header.writeUInt16LE(channels * bitsPerSample / 8, 32);
+    header.writeUInt16LE(bitsPerSample, 34);
+    header.write('data', 36);
+    header.writeUInt32LE(dataLength, 40);
+
+    return header;
+}
+
+// Adapters for the built-in provider catalog
+const BUILT_IN_ADAPTERS = {
+    'openai-realtime': OpenAIRealtimeAdapter,
+    'deepgram': DeepgramAdapter,
+    'assemblyai': AssemblyAIAdapter,
+    'whisper': WhisperAdapter,
+    'openai-transcribe': OpenAITranscribeAdapter,
+    'openai-tts': OpenAITTSAdapter,
+    'elevenlabs': ElevenLabsAdapter,
+    'playht': PlayHTAdapter,
+    'google-stt': GoogleSTTAdapter,
+    'google-tts': GoogleTTSAdapter,
+    'azure-stt': AzureSTTAdapter,
+    'azure-tts': AzureTTSAdapter,
+    'amazon-polly': AmazonPollyAdapter,
+    'murf': MurfAdapter,
+    'elevenlabs-conversational': ElevenLabsConversationalAdapter,
+    'ibm-watson': IBMWatsonAdapter,
+    'local-whisper': LocalWhisperAdapter,
+    'local-piper': LocalPiperAdapter,
+    'mock': MockAdapter
+};
+
+export {
+    BaseAdapter,
+    OpenAIRealtimeAdapter,
+    ElevenLabsAdapter,
+    DeepgramAdapter,
+    WhisperAdapter,
+    OpenAITranscribeAdapter,
+    OpenAITTSAdapter,
+    AssemblyAIAdapter,
+    AmazonPollyAdapter,
+    AzureSTTAdapter,
+    AzureTTSAdapter,
+    GoogleSTTAdapter,
+    GoogleTTSAdapter,
+    ElevenLabsConversationalAdapter,
+    PlayHTAdapter,
+    MurfAdapter,
+    IBMWatsonAdapter,
+    LocalWhisperAdapter,
+    LocalPiperAdapter,
+    MockAdapter,
+    createWavHeader
+};
+
 export default VoiceRouter;
\ No newline at end of file
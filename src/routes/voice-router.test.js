@@ -0,0 +1,414 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { setTimeout as delay } from 'timers/promises';
+import { VoiceRouter, BaseAdapter, ElevenLabsConversationalAdapter } from './voice-router.js';
+import { VOICE_PROVIDERS } from '../config/voice-providers-config.js';
+import { VoiceError, ProviderError } from '../utils/error-handler.js';
+
+// The router logs fallbacks, pool activity and plugin loading; keep the test output to the results
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+
+const synthesize = (router, config) => router.routeWithFallback({
+    provider: 'mock',
+    type: 'tts',
+    execute: (adapter, options) => adapter.process('Hello there.', options),
+    ...config
+});
+
+test('routeWithFallback stops the provider call when the request is cancelled and frees its rate limit slot', async () => {
+    const router = new VoiceRouter({ rateLimits: { provider: { mock: { concurrency: 1 } } } });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(new VoiceError('Client disconnected', 'CANCELLED')), 20);
+    const started = Date.now();
+
+    await assert.rejects(
+        synthesize(router, { options: { mock_latency: 5000 }, signal: controller.signal }),
+        error => error.type === 'CANCELLED'
+    );
+
+    assert.ok(Date.now() - started < 1000, `${Date.now() - started}ms`);
+    assert.equal(router.rateLimiter.getState('mock').provider.active, 0);
+    assert.equal(router.getErrorStats('mock').stats.cancelled, 1);
+    assert.equal(router.isProviderAvailable('mock'), true);
+});
+
+test('routeWithFallback reports a request that runs out of time as DEADLINE_EXCEEDED', async () => {
+    const router = new VoiceRouter();
+    const controller = new AbortController();
+    const deadline = Date.now() + 30;
+    setTimeout(() => controller.abort(new VoiceError('Request deadline exceeded', 'DEADLINE_EXCEEDED')), deadline - Date.now());
+
+    await assert.rejects(
+        synthesize(router, { options: { mock_latency: 5000 }, signal: controller.signal, deadline }),
+        error => error.type === 'DEADLINE_EXCEEDED'
+    );
+});
+
+test('routeRequest rejects malformed Amazon Polly JSON credentials as a non-retryable authentication error', async () => {
+    const router = new VoiceRouter({ rateLimits: { provider: { 'amazon-polly': { concurrency: 1 } } } });
+
+    await assert.rejects(
+        router.routeRequest({ provider: 'amazon-polly', apiKey: '{"accessKeyId": "AKIA', type: 'tts' }),
+        error => error.type === 'AUTHENTICATION_ERROR' && error.isRetryable === false && /not valid JSON/.test(error.message)
+    );
+    assert.equal(router.rateLimiter.getState('amazon-polly').provider.active, 0);
+});
+
+test('routeRequest reports caller mistakes as non-retryable errors that leave the breaker closed', async () => {
+    const router = new VoiceRouter();
+    const rejections = [
+        [{ provider: 'no-such-provider', type: 'tts' }, 'NOT_FOUND'],
+        [{ provider: 'elevenlabs', type: 'tts' }, 'INVALID_REQUEST'],
+        [{ provider: 'mock', type: 'tts', capability: 'no-such-capability' }, 'INVALID_REQUEST'],
+        [{ provider: 'deepgram', apiKey: 'dg-key', type: 'tts' }, 'INVALID_REQUEST']
+    ];
+
+    for (const [config, type] of rejections) {
+        await assert.rejects(router.routeRequest(config), { type, isRetryable: false });
+    }
+
+    // Through the fallback path each one releases the breaker slot instead of recording a failure
+    for (let i = 0; i < 10; i++) {
+        await assert.rejects(synthesize(router, { capability: 'no-such-capability', retries: 0 }));
+    }
+    assert.equal(router.getErrorStats('mock').circuitBreaker.state, 'CLOSED');
+});
+
+/**
+ * ElevenLabs agent session over a fake socket; each send is answered with the given agent events
+ */
+function createAgentSession(...replies) {
+    const adapter = new ElevenLabsConversationalAdapter(VOICE_PROVIDERS['elevenlabs-conversational'], 'sk-test', { agent_id: 'agent' }, { provider: 'elevenlabs-conversational' });
+    adapter.isConnected = true;
+    adapter.websocket = {
+        send: () => {
+            const reply = replies.shift();
+            if (reply) setImmediate(() => adapter.handleEvent(reply));
+        }
+    };
+    return adapter;
+}
+
+test('ElevenLabs Conversational process drops each turn\'s message callback once the turn ends', async () => {
+    const reply = text => ({ type: 'agent_response', agent_response_event: { agent_response: text } });
+    const adapter = createAgentSession(reply('Hello.'), reply('Goodbye.'));
+
+    assert.equal((await adapter.process({ role: 'user', content: 'Hi' })).message.content, 'Hello.');
+    assert.equal((await adapter.process({ role: 'user', content: 'Bye' })).message.content, 'Goodbye.');
+    assert.equal(adapter.messageCallbacks.length, 0);
+});
+
+test('ElevenLabs Conversational process times out with a TIMEOUT error', async () => {
+    const adapter = createAgentSession();
+
+    await assert.rejects(
+        adapter.process({ role: 'user', content: 'Hi' }, { response_timeout: 20 }),
+        error => error instanceof VoiceError && error.type === 'TIMEOUT' && error.metadata.provider === 'elevenlabs-conversational'
+    );
+    assert.equal(adapter.messageCallbacks.length, 0);
+});
+
+const PLUGIN_CONFIG = { name: 'In-house TTS', type: 'tts', capabilities: ['text-to-speech'], models: ['house-1'], auth: 'none' };
+
+class InHouseAdapter extends BaseAdapter {
+    static capabilities = ['batch-tts'];
+    async connect() { this.isConnected = true; }
+    async disconnect() { this.isConnected = false; }
+    async process(text) { return Buffer.from(text); }
+}
+
+test('registerProvider wires a valid adapter into routing and notifies listeners', async () => {
+    const router = new VoiceRouter();
+    const registered = [];
+    router.onProviderRegistered(id => registered.push(id));
+
+    router.registerProvider('in-house', PLUGIN_CONFIG, InHouseAdapter);
+
+    assert.deepEqual(registered, ['in-house']);
+    assert.equal(router.getAdapterClass('in-house'), InHouseAdapter);
+    assert.equal(router.isProviderAvailable('in-house'), true);
+    assert.equal(String((await synthesize(router, { provider: 'in-house' })).result), 'Hello there.');
+});
+
+test('registerProvider rejects adapters that break the contract, listing every violation', () => {
+    const router = new VoiceRouter();
+    class Incomplete extends BaseAdapter {
+        static capabilities = ['batch-tts', 'telepathy'];
+        async connect() {}
+    }
+
+    assert.throws(
+        () => router.registerProvider('Bad_Id', { name: 'Bad', type: 'tts', capabilities: 'tts' }, Incomplete),
+        error => [
+            'id must be lowercase letters, digits and dashes',
+            'config.models is required',
+            'config.auth is required',
+            'config.capabilities must be an array',
+            'Unknown capability "telepathy"',
+            'Adapter must implement disconnect()',
+            'Adapter must implement process()'
+        ].every(violation => error.message.includes(violation))
+    );
+    assert.throws(() => router.registerProvider('no-class', PLUGIN_CONFIG, {}), /Adapter must be a class/);
+    assert.equal(router.providers['Bad_Id'], undefined);
+    assert.throws(() => router.getAdapterClass('no-class'), /No adapter available/);
+});
+
+test('registerProvider refuses to shadow a built-in provider', () => {
+    const router = new VoiceRouter();
+    const BuiltIn = router.getAdapterClass('mock');
+
+    assert.throws(() => router.registerProvider('mock', PLUGIN_CONFIG, InHouseAdapter), /"mock" is already registered/);
+    assert.equal(router.getAdapterClass('mock'), BuiltIn);
+    assert.notEqual(router.providers.mock.name, PLUGIN_CONFIG.name);
+});
+
+test('loadPlugins registers valid plugins from a directory and skips broken ones', async (t) => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'voice-plugins-'));
+    t.after(() => fs.rm(directory, { recursive: true, force: true }));
+
+    const plugin = (id, body = 'async process(text) { return Buffer.from(text); }') => `
+        export default ({ BaseAdapter }) => ({
+            id: '${id}',
+            config: ${JSON.stringify(PLUGIN_CONFIG)},
+            Adapter: class extends BaseAdapter {
+                static capabilities = ['batch-tts'];
+                async connect() {}
+                async disconnect() {}
+                ${body}
+            }
+        });`;
+
+    await fs.writeFile(path.join(directory, 'a-in-house.mjs'), plugin('in-house'));
+    await fs.writeFile(path.join(directory, 'b-incomplete.mjs'), plugin('incomplete', ''));
+    await fs.writeFile(path.join(directory, 'c-shadow.mjs'), plugin('elevenlabs'));
+    await fs.writeFile(path.join(directory, 'd-empty.js'), 'export const unrelated = 1;');
+    await fs.writeFile(path.join(directory, 'README.md'), '# not a plugin');
+
+    const router = new VoiceRouter();
+    const BuiltIn = router.getAdapterClass('elevenlabs');
+    const { loaded, failed } = await router.loadPlugins({ directory });
+
+    assert.deepEqual(loaded, ['in-house']);
+    assert.deepEqual(failed.map(({ source, error }) => [path.basename(new URL(source).pathname), error]), [
+        ['b-incomplete.mjs', 'Provider "incomplete" does not satisfy the adapter contract: Adapter must implement process()'],
+        ['c-shadow.mjs', 'Provider "elevenlabs" is already registered'],
+        ['d-empty.js', 'Module does not export a provider plugin']
+    ]);
+    assert.equal(router.getAdapterClass('elevenlabs'), BuiltIn);
+    assert.equal(String((await synthesize(router, { provider: 'in-house' })).result), 'Hello there.');
+
+    assert.deepEqual(await router.loadPlugins({ directory: path.join(directory, 'missing') }), { loaded: [], failed: [] });
+});
+
+/**
+ * Register a provider whose synthesis answers (or fails) after `ms`, stopping early when its request is aborted
+ */
+function registerTimedProvider(router, id, ms, failure = null) {
+    const MockAdapter = router.getAdapterClass('mock');
+
+    router.registerProvider(id, { ...VOICE_PROVIDERS.mock, name: id }, class extends MockAdapter {
+        process() {
+            const signal = this.signal;
+            return new Promise((resolve, reject) => {
+                const timer = setTimeout(() => failure ? reject(failure) : resolve(Buffer.from(id)), ms);
+                signal?.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    reject(signal.reason);
+                }, { once: true });
+            });
+        }
+    });
+}
+
+/**
+ * Hedged synthesis from `provider` with `backup` as the only fallback; records when each attempt started
+ */
+function hedgedSynthesis(router, provider, backup, hedgeAfter) {
+    const started = {};
+    const signals = {};
+    const startTime = Date.now();
+
+    const served = router.routeWithHedge({
+        provider,
+        fallbackProviders: [backup],
+        type: 'tts',
+        capability: 'batch-tts',
+        hedgeAfter,
+        execute: (adapter, options, current, attempt) => {
+            started[current] = Date.now() - startTime;
+            signals[current] = attempt.signal;
+            return adapter.process('Hello there.', options);
+        }
+    });
+
+    return { served, started, signals };
+}
+
+test('routeWithHedge starts the backup only once the first-byte budget has passed', async () => {
+    const router = new VoiceRouter();
+    registerTimedProvider(router, 'quick-primary', 10);
+    registerTimedProvider(router, 'slow-primary', 300);
+    registerTimedProvider(router, 'backup', 10);
+
+    const quick = hedgedSynthesis(router, 'quick-primary', 'backup', 100);
+    const quickServed = await quick.served;
+    assert.equal(quickServed.provider, 'quick-primary');
+    assert.equal(quickServed.hedged, false);
+    assert.deepEqual(Object.keys(quick.started), ['quick-primary']);
+
+    const slow = hedgedSynthesis(router, 'slow-primary', 'backup', 100);
+    const slowServed = await slow.served;
+    assert.equal(slowServed.provider, 'backup');
+    assert.equal(slowServed.hedged, true);
+    assert.ok(slow.started.backup >= 95, `backup started after ${slow.started.backup}ms`);
+});
+
+test('routeWithHedge aborts the losing attempt and releases its breaker slot', async () => {
+    const router = new VoiceRouter();
+    registerTimedProvider(router, 'slow-primary', 5000);
+    registerTimedProvider(router, 'backup', 10);
+    const released = mock.method(router.errorHandler, 'releaseCircuitBreaker');
+    const started = Date.now();
+
+    const { served, signals } = hedgedSynthesis(router, 'slow-primary', 'backup', 20);
+    const { provider, attempts } = await served;
+
+    assert.equal(provider, 'backup');
+    assert.ok(Date.now() - started < 1000, `${Date.now() - started}ms`);
+    assert.equal(signals['slow-primary'].aborted, true);
+    assert.deepEqual(attempts.map(({ provider, role, outcome }) => [provider, role, outcome]), [
+        ['slow-primary', 'primary', 'aborted'],
+        ['backup', 'hedge', 'won']
+    ]);
+    assert.deepEqual(released.mock.calls.map(call => call.arguments[0]), ['slow-primary']);
+    assert.equal(router.getErrorStats('slow-primary').circuitBreaker.state, 'CLOSED');
+});
+
+test('routeWithHedge reports the primary\'s error when both attempts fail', async () => {
+    const router = new VoiceRouter();
+    // The backup fires at 20ms and fails last, after the primary
+    registerTimedProvider(router, 'failing-primary', 60, new ProviderError('Voice not found', { provider: 'failing-primary', status: 404 }));
+    registerTimedProvider(router, 'backup', 120, new ProviderError('Unavailable', { provider: 'backup', status: 503 }));
+
+    await assert.rejects(
+        hedgedSynthesis(router, 'failing-primary', 'backup', 20).served,
+        error => error.type === 'ALL_PROVIDERS_FAILED' &&
+            error.metadata.lastError.type === 'NOT_FOUND' &&
+            error.metadata.attempts.map(attempt => attempt.outcome).join() === 'failed,failed' &&
+            /Primary failing-primary error: Voice not found/.test(error.message)
+    );
+});
+
+/**
+ * Router with a poolable copy of the mock provider; counts connects and lets a test fail its health pings
+ */
+function createPooledRouter(pool) {
+    const router = new VoiceRouter({ pool });
+    const MockAdapter = router.getAdapterClass('mock');
+    const connects = [];
+
+    router.registerProvider('pooled-mock', { ...VOICE_PROVIDERS.mock, name: 'Pooled mock' }, class extends MockAdapter {
+        static poolable = true;
+        pingHealthy = true;
+
+        async connect() {
+            await super.connect();
+            connects.push(this);
+        }
+
+        async ping() {
+            return this.pingHealthy && this.isHealthy();
+        }
+    });
+
+    const acquire = () => router.acquireAdapter({ provider: 'pooled-mock', type: 'tts' });
+    return { router, connects, acquire };
+}
+
+test('a released pooled connection is reused by the next lease', async (t) => {
+    const { router, connects, acquire } = createPooledRouter();
+    t.after(() => router.closeConnections());
+
+    const first = await acquire();
+    await router.releaseAdapter(first);
+    const second = await acquire();
+
+    assert.equal(second, first);
+    assert.equal(connects.length, 1);
+    assert.equal(second.isConnected, true);
+
+    // A discarded connection is closed, and the next lease opens a fresh one
+    await router.releaseAdapter(second, { discard: true });
+    assert.equal(second.isConnected, false);
+
+    const third = await acquire();
+    assert.notEqual(third, first);
+    assert.equal(connects.length, 2);
+    await router.releaseAdapter(third);
+});
+
+test('idle pooled connections are closed once the idle timeout passes', async () => {
+    const { router, acquire } = createPooledRouter({ idleTimeout: 30 });
+
+    const adapter = await acquire();
+    await router.releaseAdapter(adapter);
+    assert.equal(adapter.isConnected, true);
+
+    await delay(80);
+
+    assert.equal(adapter.isConnected, false);
+    assert.equal(router.activeConnections.size, 0);
+    assert.deepEqual(router.getPoolStats(), {});
+});
+
+test('a failed health ping drops the idle connection from the pool', async () => {
+    const { router, connects, acquire } = createPooledRouter({ pingInterval: 20 });
+
+    const adapter = await acquire();
+    await router.releaseAdapter(adapter);
+    adapter.pingHealthy = false;
+
+    await delay(80);
+
+    assert.equal(adapter.isConnected, false);
+    assert.equal(router.activeConnections.size, 0);
+
+    const replacement = await acquire();
+    assert.notEqual(replacement, adapter);
+    assert.equal(connects.length, 2);
+    await router.releaseAdapter(replacement, { discard: true });
+});
+
+test('activeConnections tracks leased and idle connections and drops empty pools', async () => {
+    const { router, acquire } = createPooledRouter({ maxSize: 2 });
+    const stats = () => router.getPoolStats()['pooled-mock'];
+
+    const [first, second] = await Promise.all([acquire(), acquire()]);
+    assert.notEqual(first, second);
+    assert.equal(router.activeConnections.size, 1);
+    assert.deepEqual(stats(), { pools: 1, idle: 0, leased: 2, waiting: 0 });
+
+    // A full pool queues the next lease until a connection comes back
+    const waiting = acquire();
+    await delay(10);
+    assert.deepEqual(stats(), { pools: 1, idle: 0, leased: 2, waiting: 1 });
+
+    await router.releaseAdapter(first);
+    assert.equal(await waiting, first);
+    assert.deepEqual(stats(), { pools: 1, idle: 0, leased: 2, waiting: 0 });
+
+    // Releasing twice is a no-op
+    await router.releaseAdapter(first);
+    await router.releaseAdapter(first);
+    await router.releaseAdapter(second, { discard: true });
+    assert.deepEqual(stats(), { pools: 1, idle: 1, leased: 0, waiting: 0 });
+
+    assert.equal(await router.closeConnections(), 1);
+    assert.equal(first.isConnected, false);
+    assert.equal(router.activeConnections.size, 0);
+});
@@ -10,6 +10,9 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Typical speaking rate, used to put per-character TTS pricing on a per-minute scale
+const CHARACTERS_PER_MINUTE = 900;
+
 export class AnalyticsTracker {
     constructor(options = {}) {
         this.analyticsFile = path.join(__dirname, '../../data/voice-analytics.json');
@@ -29,9 +32,19 @@ export class AnalyticsTracker {
             requestsByHour: new Map(),
             averageResponseTime: 0,
             peakConcurrentSessions: 0,
-            currentConcurrentSessions: 0
+            currentConcurrentSessions: 0,
+            cacheHits: 0,
+            avoidedCost: 0,
+            circuitBreakerTransitions: 0,
+            cancelledRequests: 0
         };
 
+        // Synthesis requests answered from the audio cache, kept for period reports
+        this.cacheHits = [];
+
+        // Circuit breaker state changes, kept for period reports
+        this.breakerEvents = [];
+
         // Cost calculation tables (per provider)
         this.costTables = {
             'openai-realtime': {
@@ -57,20 +70,53 @@ export class AnalyticsTracker {
                 cost: 0.006,  // $0.006 per minute
                 currency: 'USD'
             },
+            'openai-transcribe': {
+                type: 'per-minute',
+                cost: 0.006,  // $0.006 per minute
+                modelCosts: {
+                    'gpt-4o-transcribe': 0.006,
+                    'gpt-4o-mini-transcribe': 0.003
+                },
+                currency: 'USD'
+            },
             'elevenlabs': {
                 type: 'per-character',
                 creatorCost: 0.0003,  // $0.30 per 1k characters
                 proCost: 0.00024,     // $0.24 per 1k characters
                 currency: 'USD'
             },
+            'openai-tts': {
+                type: 'per-character',
+                cost: 0.000015,  // $15.00 per 1M characters
+                modelCosts: {
+                    'tts-1': 0.000015,
+                    'tts-1-hd': 0.00003,
+                    'gpt-4o-mini-tts': 0.000015 // Estimated from ~$0.015 per minute of audio
+                },
+                currency: 'USD'
+            },
             'playht': {
                 type: 'per-character',
                 estimatedCost: 0.0002, // Estimated based on usage-based pricing
                 currency: 'USD'
             },
+            'local-whisper': {
+                type: 'free',    // Runs locally
+                currency: 'USD'
+            },
+            'local-piper': {
+                type: 'free',    // Runs locally
+                currency: 'USD'
+            },
+            'mock': {
+                type: 'free',    // Test provider
+                currency: 'USD'
+            },
             'amazon-polly': {
                 type: 'per-character',
-                neuralCost: 0.000004, // $4.00 per 1M characters
+                standardCost: 0.000004,  // $4.00 per 1M characters
+                neuralCost: 0.000016,    // $16.00 per 1M characters
+                longFormCost: 0.0001,    // $100.00 per 1M characters
                 currency: 'USD'
             }
         };
@@ -94,6 +140,18 @@ export class AnalyticsTracker {
         console.log('📊 Analytics tracker initialized');
     }
 
+    /**
+     * Add or replace the cost table for a provider registered at runtime
+     * @param {string} provider - Provider id
+     * @param {Object} costTable - Cost table in the same format as the built-in tables
+     */
+    registerCostTable(provider, costTable) {
+        if (!costTable?.type) {
+            throw new Error(`Cost table for provider "${provider}" requires a type`);
+        }
+        this.costTables[provider] = { currency: 'USD', ...costTable };
+    }
+
     /**
      * Track the start of a voice operation
      * @param {string} sessionId - Unique session identifier
@@ -105,6 +163,7 @@ export class AnalyticsTracker {
             provider: metadata.provider,
             operation: metadata.operation, // 'transcribe', 'synthesize', 'chat', 'realtime'
             model: metadata.model,
+            experiment: metadata.experiment || null, // { name, arm } when routed by a policy split
             startTime: Date.now(),
             endTime: null,
             duration: null,
@@ -159,6 +218,13 @@ export class AnalyticsTracker {
             session.usage = { ...session.usage, ...result.usage };
         }
 
+        // Attribute cost to the provider that actually served a fallback request
+        if (result.provider && result.provider !== session.provider) {
+            session.metadata.requestedProvider = session.provider;
+            session.provider = result.provider;
+            session.model = result.model;
+        }
+
         // Calculate cost
         session.cost = this.calculateCost(session);
 
@@ -205,6 +271,185 @@ export class AnalyticsTracker {
         this.metrics.errorsByProvider.set(provider, errorMap);
     }
 
+    /**
+     * Track an operation stopped because the client disconnected or its deadline passed.
+     * Counted apart from errors, since it says nothing about the provider; what the provider
+     * had done before it was stopped is not known, so no cost is recorded.
+     * @param {string} sessionId - Session identifier
+     * @param {Object} cancellation - { type: 'CANCELLED' | 'DEADLINE_EXCEEDED', message }
+     */
+    trackCancellation(sessionId, cancellation) {
+        this.metrics.cancelledRequests++;
+
+        const session = this.sessions.get(sessionId);
+        if (!session) {
+            return;
+        }
+
+        session.success = false;
+        session.cancelled = {
+            type: cancellation.type || 'CANCELLED',
+            message: cancellation.message,
+            timestamp: Date.now()
+        };
+        session.endTime = Date.now();
+        session.duration = session.endTime - session.startTime;
+
+        this.updateMetrics(session);
+        this.metrics.currentConcurrentSessions--;
+    }
+
+    /**
+     * Record the attempt of a hedged request that did not serve it, so its cost and
+     * errors are counted. Aborted attempts are billed but kept out of latency percentiles.
+     * @param {string} parentSessionId - Session of the request the attempt belongs to
+     * @param {Object} attempt - { provider, role, model, outcome: 'aborted' | 'failed', startTime, endTime, error }
+     * @param {Object} usage - Usage sent to the provider (e.g. characters or minutes)
+     */
+    trackHedgeAttempt(parentSessionId, attempt, usage = {}) {
+        const parent = this.sessions.get(parentSessionId);
+        const endTime = attempt.endTime || Date.now();
+        const session = {
+            sessionId: `${parentSessionId}:${attempt.role}`,
+            provider: attempt.provider,
+            operation: parent?.operation,
+            model: attempt.model,
+            experiment: null,
+            hedge: { parentSessionId, role: attempt.role, outcome: attempt.outcome },
+            startTime: attempt.startTime,
+            endTime,
+            duration: endTime - attempt.startTime,
+            success: attempt.outcome !== 'failed',
+            cost: 0,
+            usage: {
+                inputTokens: 0,
+                outputTokens: 0,
+                characters: 0,
+                minutes: 0,
+                requests: 1,
+                ...usage
+            },
+            metadata: { ...parent?.metadata, provider: attempt.provider, hedgeOf: parentSessionId }
+        };
+
+        // Failed requests are not billed
+        if (session.success) {
+            session.cost = this.calculateCost(session);
+        } else {
+            session.error = {
+                type: 'HEDGE_ATTEMPT_FAILED',
+                message: attempt.error,
+                timestamp: endTime
+            };
+
+            const errorMap = this.metrics.errorsByProvider.get(attempt.provider) || new Map();
+            errorMap.set(session.error.type, (errorMap.get(session.error.type) || 0) + 1);
+            this.metrics.errorsByProvider.set(attempt.provider, errorMap);
+        }
+
+        this.sessions.set(session.sessionId, session);
+        this.metrics.totalRequests++;
+        this.updateMetrics(session);
+
+        return session;
+    }
+
+    /**
+     * Track a synthesis request served from the audio cache
+     * @param {Object} hit
+     * @param {string} hit.provider - Provider whose audio was reused
+     * @param {string} hit.model - Model the audio was synthesized with
+     * @param {number} hit.characters - Characters that were not re-synthesized
+     * @returns {Object} Recorded hit, including the avoided cost in USD
+     */
+    trackCacheHit({ provider, model, characters }) {
+        const hit = {
+            provider,
+            model,
+            characters,
+            timestamp: Date.now(),
+            // What the provider would have charged for the same request
+            avoidedCost: this.calculateCost({ provider, model, duration: 0, usage: { characters }, metadata: {} })
+        };
+
+        this.cacheHits.push(hit);
+        if (this.cacheHits.length > this.maxMemoryEntries) {
+            this.cacheHits.shift();
+        }
+
+        this.metrics.cacheHits++;
+        this.metrics.avoidedCost += hit.avoidedCost;
+
+        return hit;
+    }
+
+    /**
+     * Track a circuit breaker state change
+     * @param {Object} event - { provider, scope, from, to, reason, requests, failureRate, timestamp }
+     */
+    trackCircuitBreakerEvent(event) {
+        this.breakerEvents.push({ ...event, time: Date.parse(event.timestamp) || Date.now() });
+        if (this.breakerEvents.length > this.maxMemoryEntries) {
+            this.breakerEvents.shift();
+        }
+
+        this.metrics.circuitBreakerTransitions++;
+    }
+
+    /**
+     * Summarize circuit breaker transitions
+     * @param {Object} options - { provider, since } where since is a start time in ms
+     * @returns {Object} { transitions, opened, byProvider: { provider: { opened, halfOpened, closed } }, recent }
+     */
+    getCircuitBreakerSummary({ provider = null, since = 0 } = {}) {
+        const events = this.breakerEvents.filter(event => event.time >= since && (!provider || event.provider === provider));
+        const counters = { OPEN: 'opened', HALF_OPEN: 'halfOpened', CLOSED: 'closed' };
+        const byProvider = {};
+
+        for (const event of events) {
+            const counts = byProvider[event.provider] || { opened: 0, halfOpened: 0, closed: 0 };
+            counts[counters[event.to]]++;
+            byProvider[event.provider] = counts;
+        }
+
+        return {
+            transitions: events.length,
+            opened: events.filter(event => event.to === 'OPEN').length,
+            byProvider,
+            recent: events.slice(-20).map(({ time, ...event }) => event)
+        };
+    }
+
+    /**
+     * Summarize cache hits since a point in time
+     * @param {number} since - Start time in ms
+     * @returns {Object} { hits, characters, avoidedCost, byProvider }
+     */
+    getCacheSavings(since = 0) {
+        const savings = { hits: 0, characters: 0, avoidedCost: 0, byProvider: {} };
+
+        for (const hit of this.cacheHits) {
+            if (hit.timestamp < since) continue;
+
+            const providerSavings = savings.byProvider[hit.provider] || { hits: 0, characters: 0, avoidedCost: 0 };
+            providerSavings.hits++;
+            providerSavings.characters += hit.characters;
+            providerSavings.avoidedCost += hit.avoidedCost;
+            savings.byProvider[hit.provider] = providerSavings;
+
+            savings.hits++;
+            savings.characters += hit.characters;
+            savings.avoidedCost += hit.avoidedCost;
+        }
+
+        savings.avoidedCost = Math.round(savings.avoidedCost * 100000) / 100000;
+        Object.values(savings.byProvider).forEach(providerSavings => {
+            providerSavings.avoidedCost = Math.round(providerSavings.avoidedCost * 100000) / 100000;
+        });
+
+        return savings;
+    }
+
     /**
      * Calculate cost for a session
      * @param {Object} session - Session data
@@ -230,7 +475,7 @@ export class AnalyticsTracker {
                     const isStreaming = session.operation === 'realtime';
                     cost = minutes * (isStreaming ? costTable.streamingCost : costTable.preRecordedCost);
                 } else {
-                    cost = minutes * (costTable.cost || 0);
+                    cost = minutes * (costTable.modelCosts?.[session.model] || costTable.cost || 0);
                 }
                 break;
 
@@ -242,12 +487,7 @@ export class AnalyticsTracker {
 
             case 'per-character':
                 const characters = usage.characters || session.metadata.textLength || 0;
-                if (session.provider === 'elevenlabs') {
-                    // Assume Pro tier pricing as default
-                    cost = characters * costTable.proCost;
-                } else {
-                    cost = characters * (costTable.cost || costTable.estimatedCost || costTable.neuralCost || 0);
-                }
+                cost = characters * this.getCharacterRate(session.provider, session.model);
                 break;
 
             default:
@@ -257,6 +497,100 @@ export class AnalyticsTracker {
         return Math.round(cost * 100000) / 100000; // Round to 5 decimal places
     }
 
+    /**
+     * Per-character rate for a per-character cost table
+     * @param {string} provider - Provider id
+     * @param {string} model - Model (or Polly engine) used
+     * @returns {number} Cost in USD per character
+     */
+    getCharacterRate(provider, model) {
+        const costTable = this.costTables[provider];
+
+        if (provider === 'elevenlabs') {
+            // Assume Pro tier pricing as default
+            return costTable.proCost;
+        }
+
+        if (provider === 'amazon-polly') {
+            const engineCosts = {
+                'standard': costTable.standardCost,
+                'neural': costTable.neuralCost,
+                'long-form': costTable.longFormCost
+            };
+            return engineCosts[model] || costTable.standardCost;
+        }
+
+        return costTable.modelCosts?.[model] || costTable.cost || costTable.estimatedCost || costTable.neuralCost || 0;
+    }
+
+    /**
+     * Estimate what one minute of audio costs with a provider, for comparing providers
+     * priced per minute, per hour and per character on one scale
+     * @param {string} provider - Provider id
+     * @param {Object} options
+     * @param {string} options.operation - 'realtime' selects streaming rates where they differ
+     * @param {string} options.model - Model used, for per-model pricing
+     * @returns {number|null} Cost in USD per minute, or null when the provider has no cost table
+     */
+    estimateCostPerMinute(provider, { operation, model } = {}) {
+        const costTable = this.costTables[provider];
+        if (!costTable) {
+            return null;
+        }
+
+        const isRealtime = operation === 'realtime';
+
+        switch (costTable.type) {
+            case 'free':
+                return 0;
+
+            case 'per-minute':
+                if (provider === 'openai-realtime') {
+                    return costTable.inputCost + costTable.outputCost;
+                }
+                if (provider === 'deepgram') {
+                    return isRealtime ? costTable.streamingCost : costTable.preRecordedCost;
+                }
+                return costTable.modelCosts?.[model] ?? costTable.cost ?? null;
+
+            case 'per-hour':
+                return (isRealtime ? costTable.realtimeCost : costTable.asyncCost) / 60;
+
+            case 'per-character':
+                return this.getCharacterRate(provider, model) * CHARACTERS_PER_MINUTE;
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Latency percentile over recent successful operations for a provider
+     * @param {string} provider - Provider id
+     * @param {number} percentile - Percentile to return, e.g. 95
+     * @param {Object} options
+     * @param {string} options.operation - Only count this operation (e.g. 'transcribe')
+     * @param {number} options.timeRange - Window in minutes
+     * @returns {number|null} Latency in ms, or null when there are no samples
+     */
+    getLatencyPercentile(provider, percentile = 95, { operation, timeRange = 60 } = {}) {
+        const since = Date.now() - timeRange * 60000;
+        const durations = Array.from(this.sessions.values())
+            .filter(session => session.provider === provider &&
+                session.success &&
+                session.hedge?.outcome !== 'aborted' &&
+                session.endTime >= since &&
+                (!operation || session.operation === operation))
+            .map(session => session.duration)
+            .sort((a, b) => a - b);
+
+        if (durations.length === 0) {
+            return null;
+        }
+
+        return durations[Math.min(Math.ceil(durations.length * percentile / 100) - 1, durations.length - 1)];
+    }
+
     /**
      * Update global metrics
      * @param {Object} session - Session data
@@ -267,6 +601,7 @@ export class AnalyticsTracker {
             this.metrics.providerStats.set(session.provider, {
                 requests: 0,
                 successfulRequests: 0,
+                cancelledRequests: 0,
                 totalDuration: 0,
                 totalCost: 0,
                 averageResponseTime: 0,
@@ -282,9 +617,15 @@ export class AnalyticsTracker {
         if (session.success) {
             providerStats.successfulRequests++;
         }
+        if (session.cancelled) {
+            // Stats saved before cancellations were tracked lack the counter
+            providerStats.cancelledRequests = (providerStats.cancelledRequests || 0) + 1;
+        }
         
+        // Cancelled requests neither succeeded nor failed
+        const completed = providerStats.requests - (providerStats.cancelledRequests || 0);
         providerStats.averageResponseTime = providerStats.totalDuration / providerStats.requests;
-        providerStats.errorRate = 1 - (providerStats.successfulRequests / providerStats.requests);
+        providerStats.errorRate = completed > 0 ? 1 - (providerStats.successfulRequests / completed) : 0;
 
         // Update cost tracking
         this.metrics.costByProvider.set(session.provider, 
@@ -305,7 +646,8 @@ export class AnalyticsTracker {
         const { 
             provider = null, 
             timeRange = null, 
-            operation = null 
+            operation = null,
+            experiment = null
         } = options;
 
         let filteredSessions = Array.from(this.sessions.values());
@@ -319,6 +661,10 @@ export class AnalyticsTracker {
             filteredSessions = filteredSessions.filter(s => s.operation === operation);
         }
 
+        if (experiment) {
+            filteredSessions = filteredSessions.filter(s => s.experiment?.name === experiment);
+        }
+
         if (timeRange) {
             const now = Date.now();
             const cutoff = now - (timeRange * 60 * 1000); // timeRange in minutes
@@ -330,6 +676,7 @@ export class AnalyticsTracker {
             summary: {
                 totalSessions: filteredSessions.length,
                 successfulSessions: filteredSessions.filter(s => s.success).length,
+                cancelledSessions: filteredSessions.filter(s => s.cancelled).length,
                 totalCost: filteredSessions.reduce((sum, s) => sum + s.cost, 0),
                 totalDuration: filteredSessions.reduce((sum, s) => sum + (s.duration || 0), 0),
                 averageResponseTime: 0,
@@ -339,16 +686,22 @@ export class AnalyticsTracker {
             },
             byProvider: {},
             byOperation: {},
+            byExperiment: {},
             byHour: Object.fromEntries(this.metrics.requestsByHour),
             costBreakdown: Object.fromEntries(this.metrics.costByProvider),
             errors: this.getErrorSummary(),
+            circuitBreakers: this.getCircuitBreakerSummary({
+                provider,
+                since: timeRange ? Date.now() - timeRange * 60 * 1000 : 0
+            }),
             performance: this.getPerformanceMetrics(filteredSessions)
         };
 
         // Calculate derived metrics
         if (analytics.summary.totalSessions > 0) {
+            const completed = analytics.summary.totalSessions - analytics.summary.cancelledSessions;
             analytics.summary.averageResponseTime = analytics.summary.totalDuration / analytics.summary.totalSessions;
-            analytics.summary.errorRate = 1 - (analytics.summary.successfulSessions / analytics.summary.totalSessions);
+            analytics.summary.errorRate = completed > 0 ? 1 - (analytics.summary.successfulSessions / completed) : 0;
         }
 
         // Group by provider
@@ -377,6 +730,27 @@ export class AnalyticsTracker {
             analytics.byOperation[operation] = this.calculateGroupMetrics(sessions);
         });
 
+        // Group by experiment and arm
+        const experimentGroups = {};
+        filteredSessions.filter(session => session.experiment).forEach(session => {
+            const { name, arm } = session.experiment;
+            experimentGroups[name] = experimentGroups[name] || {};
+            experimentGroups[name][arm] = experimentGroups[name][arm] || [];
+            experimentGroups[name][arm].push(session);
+        });
+
+        Object.entries(experimentGroups).forEach(([name, arms]) => {
+            analytics.byExperiment[name] = {};
+            Object.entries(arms).forEach(([arm, sessions]) => {
+                const durations = sessions.map(s => s.duration || 0).sort((a, b) => a - b);
+                analytics.byExperiment[name][arm] = {
+                    ...this.calculateGroupMetrics(sessions),
+                    providers: [...new Set(sessions.map(s => s.provider))],
+                    p95ResponseTime: durations[Math.floor(durations.length * 0.95)]
+                };
+            });
+        });
+
         return analytics;
     }
 
@@ -385,13 +759,16 @@ export class AnalyticsTracker {
      */
     calculateGroupMetrics(sessions) {
         const successful = sessions.filter(s => s.success);
+        const cancelled = sessions.filter(s => s.cancelled);
+        const completed = sessions.length - cancelled.length;
         const totalCost = sessions.reduce((sum, s) => sum + s.cost, 0);
         const totalDuration = sessions.reduce((sum, s) => sum + (s.duration || 0), 0);
 
         return {
             sessions: sessions.length,
             successful: successful.length,
-            errorRate: 1 - (successful.length / sessions.length),
+            cancelled: cancelled.length,
+            errorRate: completed > 0 ? 1 - (successful.length / completed) : 0,
             totalCost,
             averageCost: totalCost / sessions.length,
             totalDuration,
@@ -472,11 +849,12 @@ export class AnalyticsTracker {
             endTime: now.toISOString(),
             totalCost: analytics.summary.totalCost,
             costByProvider: analytics.costBreakdown,
-            topProviders: Object.entries(analytics.costByProvider)
+            topProviders: Object.entries(analytics.costBreakdown)
                 .sort(([,a], [,b]) => b - a)
                 .slice(0, 5),
             sessions: analytics.summary.totalSessions,
-            estimatedMonthlyCost: analytics.summary.totalCost * (30 * 24 * 60 * 60 * 1000) / (now.getTime() - startTime.getTime())
+            estimatedMonthlyCost: analytics.summary.totalCost * (30 * 24 * 60 * 60 * 1000) / (now.getTime() - startTime.getTime()),
+            cacheSavings: this.getCacheSavings(startTime.getTime())
         };
     }
 
@@ -494,7 +872,9 @@ export class AnalyticsTracker {
                     ...this.metrics,
                     ...parsed.metrics,
                     providerStats: new Map(parsed.metrics.providerStats || []),
-                    errorsByProvider: new Map(parsed.metrics.errorsByProvider || []),
+                    // Per-provider error counts are Maps too; older files stored them as empty objects
+                    errorsByProvider: new Map((parsed.metrics.errorsByProvider || []).map(([provider, errors]) =>
+                        [provider, new Map(Array.isArray(errors) ? errors : Object.entries(errors || {}))])),
                     costByProvider: new Map(parsed.metrics.costByProvider || []),
                     requestsByHour: new Map(parsed.metrics.requestsByHour || [])
                 };
@@ -521,7 +901,7 @@ export class AnalyticsTracker {
                 metrics: {
                     ...this.metrics,
                     providerStats: Array.from(this.metrics.providerStats),
-                    errorsByProvider: Array.from(this.metrics.errorsByProvider),
+                    errorsByProvider: Array.from(this.metrics.errorsByProvider, ([provider, errors]) => [provider, Array.from(errors)]),
                     costByProvider: Array.from(this.metrics.costByProvider),
                     requestsByHour: Array.from(this.metrics.requestsByHour)
                 }
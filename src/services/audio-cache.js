@@ -0,0 +1,276 @@
+/**
+ * Audio Cache for Text-to-Speech
+ * Content-addressed, disk-backed store of synthesized audio, so repeated prompts
+ * ("Please hold", menu options) are served without paying the provider again.
+ *
+ * Entries are keyed by a hash of everything that shapes the audio: provider, model,
+ * voice, voice settings, format and the normalized text, plus a fingerprint of the API
+ * key that paid for it, so a request cannot read audio with a key the provider never
+ * accepted. Each entry is one file; an index beside them records sizes and access
+ * times for TTL and size eviction.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { credentialFingerprint } from '../utils/circuit-breaker.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Request fields that are hashed on their own rather than as voice settings
+const KEYED_OPTIONS = ['model', 'voice', 'response_format'];
+
+export class AudioCache {
+    /**
+     * @param {Object} options
+     * @param {string} options.directory - Where entries and the index are stored
+     * @param {number} options.maxBytes - Total audio kept before least recently used entries are evicted
+     * @param {number} options.ttl - Entry lifetime in ms
+     * @param {boolean} options.enabled - Turn the cache off entirely
+     */
+    constructor(options = {}) {
+        this.directory = options.directory || path.join(__dirname, '../../data/audio-cache');
+        this.indexFile = path.join(this.directory, 'index.json');
+        this.maxBytes = options.maxBytes ?? 500 * 1024 * 1024; // 500 MB
+        this.ttl = options.ttl ?? 7 * 24 * 60 * 60 * 1000;    // 7 days
+        this.enabled = options.enabled !== false;
+
+        this.entries = new Map();
+        this.totalBytes = 0;
+        this.stats = { hits: 0, misses: 0, evictions: 0 };
+        this.saving = null;
+    }
+
+    async init() {
+        if (!this.enabled) return;
+
+        await fs.mkdir(this.directory, { recursive: true });
+
+        try {
+            const index = JSON.parse(await fs.readFile(this.indexFile, 'utf8'));
+            for (const [key, entry] of Object.entries(index.entries || {})) {
+                this.entries.set(key, entry);
+                this.totalBytes += entry.size;
+            }
+            console.log(`🗄️  Loaded audio cache (${this.entries.size} entries)`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('❌ Failed to load audio cache index:', error.message);
+            }
+        }
+
+        await this.evict();
+    }
+
+    /**
+     * Cache key for a synthesis request
+     * @param {Object} request
+     * @param {string} request.provider - Provider id
+     * @param {string} request.credential - API key the audio is synthesized with; only its fingerprint is hashed
+     * @param {string} request.model - Model
+     * @param {string} request.voice - Voice
+     * @param {string} request.format - Audio format, e.g. 'mp3'
+     * @param {string} request.text - Text to synthesize
+     * @param {Object} request.options - Remaining provider options (voice settings such as stability or speed)
+     * @returns {string} Hex sha256 digest
+     */
+    getKey({ provider, credential, model, voice, format, text, options = {} }) {
+        const settings = Object.fromEntries(
+            Object.entries(options)
+                .filter(([name, value]) => value !== undefined && !KEYED_OPTIONS.includes(name))
+                .sort(([a], [b]) => a.localeCompare(b))
+        );
+
+        return crypto.createHash('sha256')
+            .update(JSON.stringify([
+                provider,
+                credential ? credentialFingerprint(credential) : null,
+                model || null,
+                voice || null,
+                format || null,
+                settings,
+                normalizeText(text)
+            ]))
+            .digest('hex');
+    }
+
+    /**
+     * Look up cached audio
+     * @param {string} key - From getKey()
+     * @returns {Promise<Object|null>} { audio, entry } or null on a miss
+     */
+    async get(key) {
+        const entry = this.enabled && this.entries.get(key);
+
+        if (!entry || this.isExpired(entry)) {
+            if (entry) await this.remove(key);
+            this.stats.misses++;
+            return null;
+        }
+
+        try {
+            const audio = await fs.readFile(this.getEntryPath(key));
+            entry.lastAccess = Date.now();
+            entry.hits++;
+            this.stats.hits++;
+            this.scheduleSave();
+            return { audio, entry };
+        } catch (error) {
+            // Entry file removed from under us; forget it
+            await this.remove(key);
+            this.stats.misses++;
+            return null;
+        }
+    }
+
+    /**
+     * Store synthesized audio
+     * @param {string} key - From getKey()
+     * @param {Buffer} audio - Audio to store
+     * @param {Object} metadata - { provider, model, voice, format, characters }
+     */
+    async set(key, audio, metadata = {}) {
+        if (!this.enabled || !audio?.length || audio.length > this.maxBytes) return;
+
+        await fs.writeFile(this.getEntryPath(key), audio);
+
+        const previous = this.entries.get(key);
+        if (previous) this.totalBytes -= previous.size;
+
+        const now = Date.now();
+        this.entries.set(key, {
+            ...metadata,
+            size: audio.length,
+            createdAt: now,
+            lastAccess: now,
+            hits: 0
+        });
+        this.totalBytes += audio.length;
+
+        await this.evict();
+        this.scheduleSave();
+    }
+
+    /**
+     * Drop expired entries, then least recently used ones until the cache fits maxBytes
+     * @returns {Promise<number>} Entries evicted
+     */
+    async evict() {
+        let evicted = 0;
+
+        for (const [key, entry] of this.entries) {
+            if (this.isExpired(entry)) {
+                await this.remove(key);
+                evicted++;
+            }
+        }
+
+        if (this.totalBytes > this.maxBytes) {
+            const byAccess = [...this.entries].sort(([, a], [, b]) => a.lastAccess - b.lastAccess);
+            for (const [key] of byAccess) {
+                if (this.totalBytes <= this.maxBytes) break;
+                await this.remove(key);
+                evicted++;
+            }
+        }
+
+        if (evicted > 0) {
+            this.stats.evictions += evicted;
+            this.scheduleSave();
+            console.log(`🧹 Evicted ${evicted} audio cache entries`);
+        }
+
+        return evicted;
+    }
+
+    /**
+     * Remove every entry
+     * @returns {Promise<number>} Entries removed
+     */
+    async clear() {
+        const keys = [...this.entries.keys()];
+        for (const key of keys) {
+            await this.remove(key);
+        }
+        await this.saveIndex();
+        return keys.length;
+    }
+
+    async remove(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return;
+
+        this.entries.delete(key);
+        this.totalBytes -= entry.size;
+        await fs.unlink(this.getEntryPath(key)).catch(() => {});
+    }
+
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+
+        return {
+            enabled: this.enabled,
+            entries: this.entries.size,
+            bytes: this.totalBytes,
+            maxBytes: this.maxBytes,
+            ttl: this.ttl,
+            ...this.stats,
+            hitRate: lookups > 0 ? this.stats.hits / lookups : 0
+        };
+    }
+
+    isExpired(entry) {
+        return Date.now() - entry.createdAt > this.ttl;
+    }
+
+    getEntryPath(key) {
+        return path.join(this.directory, `${key}.audio`);
+    }
+
+    /**
+     * Coalesce index writes; lookups on a hot prompt should not each rewrite the index
+     */
+    scheduleSave() {
+        if (this.saving) return;
+
+        this.saving = setTimeout(() => {
+            this.saving = null;
+            this.saveIndex().catch(console.error);
+        }, 1000);
+        this.saving.unref?.();
+    }
+
+    async saveIndex() {
+        if (!this.enabled) return;
+
+        const index = {
+            version: '1.0.0',
+            lastSaved: new Date().toISOString(),
+            entries: Object.fromEntries(this.entries)
+        };
+
+        await fs.writeFile(this.indexFile, JSON.stringify(index, null, 2));
+    }
+
+    /**
+     * Write the index and stop pending saves
+     */
+    async stop() {
+        if (this.saving) {
+            clearTimeout(this.saving);
+            this.saving = null;
+        }
+        await this.saveIndex();
+    }
+}
+
+/**
+ * Prompts that differ only in surrounding or repeated whitespace produce the same audio
+ */
+export function normalizeText(text) {
+    return String(text).normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+export default AudioCache;
@@ -0,0 +1,106 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { AudioCache } from './audio-cache.js';
+
+// Loads and evictions are logged; keep the test output to the results
+mock.method(console, 'log', () => {});
+
+const REQUEST = { provider: 'elevenlabs', credential: 'sk-a', model: 'eleven_turbo_v2', voice: 'rachel', format: 'mp3', text: 'Please hold.' };
+
+/**
+ * Cache in a fresh temp directory, removed after the test
+ */
+async function createCache(t, options = {}) {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'audio-cache-'));
+    t.after(() => fs.rm(directory, { recursive: true, force: true }));
+
+    const cache = new AudioCache({ directory, ...options });
+    await cache.init();
+    return cache;
+}
+
+const exists = file => fs.access(file).then(() => true, () => false);
+
+test('getKey is stable across whitespace and option order, and separates what shapes the audio', () => {
+    const cache = new AudioCache({ enabled: false });
+    const key = cache.getKey({ ...REQUEST, options: { stability: 0.5, speed: 1.1 } });
+
+    assert.match(key, /^[0-9a-f]{64}$/);
+    assert.equal(cache.getKey({ ...REQUEST, text: '  Please\n  hold. ', options: { speed: 1.1, stability: 0.5, style: undefined } }), key);
+    // Model, voice and format are keyed on their own, so repeating them in options changes nothing
+    assert.equal(cache.getKey({ ...REQUEST, options: { speed: 1.1, stability: 0.5, voice: 'rachel', response_format: 'mp3' } }), key);
+
+    for (const change of [{ provider: 'openai-tts' }, { credential: 'sk-b' }, { voice: 'adam' }, { format: 'wav' }, { text: 'Please hold!' }, { options: { stability: 0.6, speed: 1.1 } }]) {
+        assert.notEqual(cache.getKey({ ...REQUEST, options: { stability: 0.5, speed: 1.1 }, ...change }), key, JSON.stringify(change));
+    }
+});
+
+test('get misses on an expired entry and removes its file', async (t) => {
+    let now = 1_000_000;
+    t.mock.method(Date, 'now', () => now);
+    const cache = await createCache(t, { ttl: 1000 });
+    const key = cache.getKey(REQUEST);
+
+    await cache.set(key, Buffer.from('audio'), { provider: 'elevenlabs' });
+    now += 1000;
+    assert.deepEqual((await cache.get(key)).audio, Buffer.from('audio'));
+
+    now += 1;
+    assert.equal(await cache.get(key), null);
+    assert.equal(await exists(cache.getEntryPath(key)), false);
+    assert.deepEqual(
+        (({ entries, bytes, hits, misses }) => ({ entries, bytes, hits, misses }))(cache.getStats()),
+        { entries: 0, bytes: 0, hits: 1, misses: 1 }
+    );
+    await cache.stop();
+});
+
+test('set evicts the least recently used entries once the cache is over maxBytes', async (t) => {
+    let now = 1_000_000;
+    t.mock.method(Date, 'now', () => now);
+    const cache = await createCache(t, { maxBytes: 10 });
+    const [first, second, third] = ['First.', 'Second.', 'Third.'].map(text => cache.getKey({ ...REQUEST, text }));
+
+    await cache.set(first, Buffer.alloc(4));
+    now += 10;
+    await cache.set(second, Buffer.alloc(4));
+    now += 10;
+    await cache.get(first); // Now more recently used than the second entry
+    now += 10;
+    await cache.set(third, Buffer.alloc(4));
+
+    assert.deepEqual([...cache.entries.keys()].sort(), [first, third].sort());
+    assert.equal(cache.totalBytes, 8);
+    assert.equal(cache.getStats().evictions, 1);
+    assert.equal(await exists(cache.getEntryPath(second)), false);
+
+    // Audio larger than the whole cache is not stored at all
+    await cache.set(second, Buffer.alloc(11));
+    assert.equal(cache.entries.has(second), false);
+    await cache.stop();
+});
+
+test('lookups on a hot entry coalesce into one index write, which a new cache loads', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const cache = await createCache(t);
+    const key = cache.getKey(REQUEST);
+    await cache.set(key, Buffer.from('audio'), { provider: 'elevenlabs' });
+
+    const saveIndex = t.mock.method(cache, 'saveIndex');
+    for (let i = 0; i < 5; i++) {
+        await cache.get(key);
+    }
+    assert.equal(saveIndex.mock.callCount(), 0);
+
+    t.mock.timers.tick(1000);
+    assert.equal(saveIndex.mock.callCount(), 1);
+    await saveIndex.mock.calls[0].result;
+
+    const reloaded = new AudioCache({ directory: cache.directory });
+    await reloaded.init();
+    assert.equal(reloaded.entries.get(key).hits, 5);
+    assert.deepEqual((await reloaded.get(key)).audio, Buffer.from('audio'));
+});
@@ -0,0 +1,187 @@
+/**
+ * Chunked Synthesizer
+ * Renders long text as a series of sentence-aligned chunks, several at a time,
+ * and joins the audio into one file. Keeps each request within the provider's
+ * character limit and gets the first audio back sooner than one long request.
+ */
+
+import { splitText } from '../utils/text-chunker.js';
+import { AudioStitcher, stitchAudio } from '../utils/audio-stitch.js';
+import { VoiceError } from '../utils/error-handler.js';
+
+// Chunk size when the caller does not choose one: about a minute of speech
+export const DEFAULT_CHUNK_CHARACTERS = 1000;
+// Smallest max_characters a request may ask for; smaller chunks break sentences and multiply requests
+export const MIN_CHUNK_CHARACTERS = 100;
+export const DEFAULT_CHUNK_CONCURRENCY = 3;
+
+export class ChunkedSynthesizer {
+    /**
+     * @param {Object} options
+     * @param {VoiceRouter} options.voiceRouter - Routes each chunk and provides the catalog limits
+     */
+    constructor({ voiceRouter }) {
+        this.voiceRouter = voiceRouter;
+    }
+
+    /**
+     * Longest text a provider accepts in one request, or null when the catalog sets no limit
+     */
+    getCharacterLimit(provider) {
+        return this.voiceRouter.providers[provider]?.maxCharacters ?? null;
+    }
+
+    /**
+     * Chunk size for a request, or null when it should go to the provider in one piece
+     * @param {string} provider - Provider id
+     * @param {string} text - Text to synthesize
+     * @param {boolean|Object} chunking - Request setting: false never chunks, true or { max_characters } always does;
+     *   left unset, text over the provider's limit is chunked
+     * @returns {number|null}
+     * @throws {VoiceError} INVALID_REQUEST when chunking is malformed or max_characters is not a whole
+     *   number of at least MIN_CHUNK_CHARACTERS
+     */
+    getChunkSize(provider, text, chunking) {
+        if (chunking != null && typeof chunking !== 'boolean' && (typeof chunking !== 'object' || Array.isArray(chunking))) {
+            throw invalidRequest('chunking must be true, false or an object');
+        }
+
+        const requested = chunking?.max_characters === undefined ? DEFAULT_CHUNK_CHARACTERS : toInteger(chunking.max_characters);
+        if (!(requested >= MIN_CHUNK_CHARACTERS)) {
+            throw invalidRequest(`chunking.max_characters must be a whole number of at least ${MIN_CHUNK_CHARACTERS}`);
+        }
+
+        const limit = this.getCharacterLimit(provider);
+
+        if (chunking === false || (!chunking && !(limit && text.length > limit))) {
+            return null;
+        }
+
+        return limit ? Math.min(requested, limit) : requested;
+    }
+
+    /**
+     * Chunks a request renders at once
+     * @param {boolean|Object} chunking - Request setting, as for getChunkSize
+     * @returns {number}
+     * @throws {VoiceError} INVALID_REQUEST when chunking.concurrency is not a positive whole number
+     */
+    getConcurrency(chunking) {
+        if (chunking?.concurrency === undefined) {
+            return DEFAULT_CHUNK_CONCURRENCY;
+        }
+
+        const concurrency = toInteger(chunking.concurrency);
+        if (!(concurrency >= 1)) {
+            throw invalidRequest('chunking.concurrency must be a positive whole number');
+        }
+        return concurrency;
+    }
+
+    /**
+     * Synthesize text chunk by chunk
+     * The first chunk follows the fallback chain; the rest are pinned to whichever provider
+     * served it, with the same options, so the voice does not change partway through.
+     * @param {Object} config - As for VoiceRouter.routeWithFallback, without execute, plus:
+     * @param {string} config.text - Text or SSML to synthesize
+     * @param {number} config.maxCharacters - Chunk size
+     * @param {number} config.concurrency - Chunks rendered at once
+     * @param {Function} config.onChunk - (audio, index) => void, called in order as chunks complete
+     * @returns {Promise<Object>} { result: { audio }, provider, model, options, fallback, chunks }
+     */
+    async synthesize(config) {
+        const {
+            text,
+            maxCharacters,
+            concurrency = DEFAULT_CHUNK_CONCURRENCY,
+            onChunk,
+            execute,
+            ...routeConfig
+        } = config;
+        const format = routeConfig.options?.response_format || 'mp3';
+
+        if (!Number.isInteger(concurrency) || concurrency < 1) {
+            throw invalidRequest(`concurrency must be a positive whole number, got ${concurrency}`);
+        }
+
+        // Fail before paying for any audio that could not be joined
+        new AudioStitcher(format);
+
+        const chunks = splitText(text, {
+            maxCharacters,
+            ssml: routeConfig.options?.text_type === 'ssml' || undefined
+        });
+
+        const render = (routing, index) => this.voiceRouter.routeWithFallback({
+            ...routing,
+            execute: async (adapter, options) => Buffer.from(await adapter.process(chunks[index], options))
+        });
+
+        const first = await render(routeConfig, 0);
+        const pinned = {
+            ...routeConfig,
+            provider: first.provider,
+            apiKey: first.fallback ? routeConfig.resolveApiKey?.(first.provider) : routeConfig.apiKey,
+            options: first.options,
+            fallbackProviders: []
+        };
+
+        const pieces = [first.result];
+        let emitted = 0;
+        const emit = () => {
+            while (emitted < chunks.length && pieces[emitted]) {
+                onChunk?.(pieces[emitted], emitted);
+                emitted++;
+            }
+        };
+        emit();
+
+        let next = 1;
+        let failed = false;
+        const worker = async () => {
+            while (next < chunks.length && !failed) {
+                const index = next++;
+                try {
+                    pieces[index] = (await render(pinned, index)).result;
+                } catch (error) {
+                    failed = true;
+                    throw error;
+                }
+                emit();
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(concurrency, chunks.length - 1) }, worker));
+
+        // A gap would silently drop speech from the joined audio
+        const missing = chunks.findIndex((chunk, index) => !pieces[index]);
+        if (missing !== -1) {
+            throw new VoiceError(`Chunk ${missing + 1} of ${chunks.length} was not synthesized`, 'UNKNOWN_ERROR', { isRetryable: false });
+        }
+
+        console.log(`🧩 Synthesized ${chunks.length} chunks with ${first.provider}`);
+
+        return {
+            result: { audio: stitchAudio(pieces, format) },
+            provider: first.provider,
+            model: first.model,
+            options: first.options,
+            fallback: first.fallback,
+            chunks: chunks.length
+        };
+    }
+}
+
+/**
+ * Whole number from a request field, accepting numeric strings; null for anything else
+ */
+function toInteger(value) {
+    const number = typeof value === 'string' && value.trim() ? Number(value) : value;
+    return Number.isInteger(number) ? number : null;
+}
+
+function invalidRequest(message) {
+    return new VoiceError(message, 'INVALID_REQUEST', { isRetryable: false });
+}
+
+export default ChunkedSynthesizer;
@@ -0,0 +1,137 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VOICE_PROVIDERS } from '../config/voice-providers-config.js';
+import { VoiceRouter } from '../routes/voice-router.js';
+import { VoiceError } from '../utils/error-handler.js';
+import { ChunkedSynthesizer, DEFAULT_CHUNK_CHARACTERS, DEFAULT_CHUNK_CONCURRENCY, MIN_CHUNK_CHARACTERS } from './chunked-synthesizer.js';
+
+// The mock provider renders 50ms of 16 kHz 16-bit silence per character, after a 44 byte WAV header
+const BYTES_PER_CHARACTER = 1600;
+const WAV_HEADER_LENGTH = 44;
+
+const TEXT = 'First sentence here. Second sentence here. Third sentence here.';
+
+test('getChunkSize honours the request setting within the provider limit', () => {
+    const synthesizer = new ChunkedSynthesizer({ voiceRouter: new VoiceRouter() });
+    const long = 'x'.repeat(VOICE_PROVIDERS['openai-tts'].maxCharacters + 1);
+
+    assert.equal(synthesizer.getChunkSize('openai-tts', TEXT, undefined), null);
+    assert.equal(synthesizer.getChunkSize('openai-tts', long, undefined), DEFAULT_CHUNK_CHARACTERS);
+    assert.equal(synthesizer.getChunkSize('openai-tts', long, false), null);
+    assert.equal(synthesizer.getChunkSize('openai-tts', TEXT, { max_characters: '250' }), 250);
+    assert.equal(synthesizer.getChunkSize('openai-tts', TEXT, { max_characters: 100000 }), VOICE_PROVIDERS['openai-tts'].maxCharacters);
+});
+
+test('getChunkSize rejects malformed chunking settings as invalid requests', () => {
+    const synthesizer = new ChunkedSynthesizer({ voiceRouter: new VoiceRouter() });
+
+    for (const chunking of ['yes', [500], { max_characters: MIN_CHUNK_CHARACTERS - 1 }, { max_characters: 'abc' }, { max_characters: 150.5 }, { max_characters: null }]) {
+        assert.throws(
+            () => synthesizer.getChunkSize('mock', TEXT, chunking),
+            error => error instanceof VoiceError && error.type === 'INVALID_REQUEST' && !error.isRetryable,
+            JSON.stringify(chunking)
+        );
+    }
+});
+
+test('getConcurrency accepts positive whole numbers and rejects anything else', () => {
+    const synthesizer = new ChunkedSynthesizer({ voiceRouter: new VoiceRouter() });
+
+    assert.equal(synthesizer.getConcurrency(undefined), DEFAULT_CHUNK_CONCURRENCY);
+    assert.equal(synthesizer.getConcurrency(true), DEFAULT_CHUNK_CONCURRENCY);
+    assert.equal(synthesizer.getConcurrency({ concurrency: '2' }), 2);
+
+    for (const concurrency of [0, -1, 1.5, 'two', '', null, NaN]) {
+        assert.throws(() => synthesizer.getConcurrency({ concurrency }), { type: 'INVALID_REQUEST' }, String(concurrency));
+    }
+});
+
+test('synthesize renders sentence-aligned chunks and joins them in order', async () => {
+    const synthesizer = new ChunkedSynthesizer({ voiceRouter: new VoiceRouter() });
+    const emitted = [];
+
+    const served = await synthesizer.synthesize({
+        provider: 'mock',
+        type: 'tts',
+        options: { response_format: 'wav' },
+        text: TEXT,
+        maxCharacters: 25,
+        concurrency: 2,
+        onChunk: (audio, index) => emitted.push({ index, length: audio.length })
+    });
+
+    const characters = 'First sentence here.'.length + 'Second sentence here.'.length + 'Third sentence here.'.length;
+
+    assert.equal(served.chunks, 3);
+    assert.equal(served.provider, 'mock');
+    assert.deepEqual(emitted.map(({ index }) => index), [0, 1, 2]);
+    assert.equal(served.result.audio.length, WAV_HEADER_LENGTH + characters * BYTES_PER_CHARACTER);
+    assert.equal(served.result.audio.readUInt32LE(40), characters * BYTES_PER_CHARACTER);
+});
+
+test('synthesize pins the remaining chunks to the provider that served the first', async () => {
+    const voiceRouter = new VoiceRouter();
+    const MockAdapter = voiceRouter.adapters.get('mock');
+    let outageCalls = 0;
+
+    voiceRouter.registerProvider('mock-outage', { ...VOICE_PROVIDERS.mock, name: 'Mock Outage' }, class extends MockAdapter {
+        async process() {
+            outageCalls++;
+            throw new VoiceError('Mock outage', 'SERVER_ERROR', { provider: 'mock-outage' });
+        }
+    });
+
+    const served = await new ChunkedSynthesizer({ voiceRouter }).synthesize({
+        provider: 'mock-outage',
+        fallbackProviders: ['mock'],
+        retries: 0,
+        type: 'tts',
+        options: { response_format: 'wav' },
+        text: TEXT,
+        maxCharacters: 25
+    });
+
+    assert.equal(served.provider, 'mock');
+    assert.equal(served.fallback, true);
+    assert.equal(served.chunks, 3);
+    assert.equal(outageCalls, 1);
+});
+
+test('synthesize refuses formats it cannot join before rendering anything', async () => {
+    const voiceRouter = new VoiceRouter();
+    let routed = false;
+    voiceRouter.routeWithFallback = async () => { routed = true; };
+
+    await assert.rejects(
+        new ChunkedSynthesizer({ voiceRouter }).synthesize({ provider: 'mock', options: { response_format: 'flac' }, text: TEXT, maxCharacters: 25 }),
+        /Cannot join flac audio/
+    );
+    assert.equal(routed, false);
+});
+
+test('synthesize rejects a concurrency that is not a positive whole number before rendering anything', async () => {
+    const voiceRouter = new VoiceRouter();
+    let routed = false;
+    voiceRouter.routeWithFallback = async () => { routed = true; };
+
+    await assert.rejects(
+        new ChunkedSynthesizer({ voiceRouter }).synthesize({ provider: 'mock', options: { response_format: 'wav' }, text: TEXT, maxCharacters: 25, concurrency: 'many' }),
+        { type: 'INVALID_REQUEST' }
+    );
+    assert.equal(routed, false);
+});
+
+test('synthesize refuses to join audio with a chunk missing', async () => {
+    const voiceRouter = new VoiceRouter();
+    let calls = 0;
+    voiceRouter.routeWithFallback = async ({ provider, options }) => ({
+        result: ++calls === 2 ? undefined : Buffer.alloc(WAV_HEADER_LENGTH),
+        provider,
+        options
+    });
+
+    await assert.rejects(
+        new ChunkedSynthesizer({ voiceRouter }).synthesize({ provider: 'mock', options: { response_format: 'wav' }, text: TEXT, maxCharacters: 25 }),
+        /Chunk 2 of 3 was not synthesized/
+    );
+});
@@ -0,0 +1,226 @@
+/**
+ * Provider Selector
+ * Resolves `provider: "auto"` by scoring candidate providers on live latency, price and health,
+ * after filtering out those that cannot satisfy the request or the caller's constraints.
+ */
+
+import { VoiceError } from '../utils/error-handler.js';
+
+// Relative weight of each score component; callers may override per request
+export const DEFAULT_SELECTION_WEIGHTS = {
+    latency: 0.4,
+    cost: 0.4,
+    reliability: 0.2
+};
+
+// Catalog feature flags that satisfy a required feature
+const FEATURE_ALIASES = {
+    diarization: ['speakerLabels', 'diarization'],
+    speaker_labels: ['speakerLabels', 'diarization'],
+    ssml: ['ssml'],
+    streaming: ['streaming'],
+    translation: ['translation'],
+    timestamps: ['timestamped', 'speechmarks']
+};
+
+// Score given to a component the selector has no data for
+const NEUTRAL_SCORE = 0.5;
+
+export class ProviderSelector {
+    /**
+     * @param {Object} options
+     * @param {VoiceRouter} options.voiceRouter - Provides the catalog, adapter capabilities and breaker state
+     * @param {AnalyticsTracker} options.analyticsTracker - Provides observed latency and cost tables
+     * @param {Object} options.weights - Default score weights
+     * @param {number} options.percentile - Latency percentile to score on
+     */
+    constructor({ voiceRouter, analyticsTracker, weights = {}, percentile = 95 }) {
+        this.voiceRouter = voiceRouter;
+        this.analyticsTracker = analyticsTracker;
+        this.weights = { ...DEFAULT_SELECTION_WEIGHTS, ...weights };
+        this.percentile = percentile;
+    }
+
+    /**
+     * Pick the best provider for a request
+     * @param {Object} request
+     * @param {string[]} request.candidates - Providers to choose among
+     * @param {string} request.type - Request type ('stt', 'tts', 'conversational')
+     * @param {string} request.capability - Adapter capability the request needs
+     * @param {string} request.operation - Analytics operation ('transcribe', 'synthesize', 'chat')
+     * @param {string} request.language - Requested language, e.g. 'en' or 'en-US'
+     * @param {string} request.model - Requested model, for per-model pricing
+     * @param {Object} request.constraints - { max_cost_per_minute, max_latency_ms, required_features, weights }
+     * @param {Function} request.resolveApiKey - (provider) => key the request would use; breakers are kept per key
+     * @returns {Object} { provider, ranking: [{ provider, score, ... }], excluded: [{ provider, reason }] }
+     */
+    select({ candidates = [], type, capability, operation, language, model, constraints = {}, resolveApiKey = () => null }) {
+        const excluded = [];
+        const eligible = [];
+
+        for (const provider of new Set(candidates)) {
+            const candidate = this.describe(provider, { operation, model, apiKey: resolveApiKey(provider) });
+            const reason = this.getExclusionReason(candidate, { type, capability, language, constraints });
+
+            if (reason) {
+                excluded.push({ provider, reason });
+            } else {
+                eligible.push(candidate);
+            }
+        }
+
+        if (eligible.length === 0) {
+            const reasons = excluded.map(({ provider, reason }) => `${provider}: ${reason}`).join('; ');
+            throw new VoiceError(`No configured provider satisfies the request${reasons ? ` (${reasons})` : ''}`, 'NO_PROVIDER_AVAILABLE', {
+                excluded,
+                isRetryable: false
+            });
+        }
+
+        const weights = { ...this.weights, ...constraints.weights };
+        const ranking = this.score(eligible, weights).sort((a, b) => b.score - a.score);
+
+        return { provider: ranking[0].provider, ranking, excluded };
+    }
+
+    /**
+     * Gather the live figures used for filtering and scoring one provider
+     */
+    describe(provider, { operation, model, apiKey }) {
+        const config = this.voiceRouter.providers[provider];
+        const observed = this.analyticsTracker.getLatencyPercentile(provider, this.percentile, { operation });
+        const { stats } = this.voiceRouter.getErrorStats(provider);
+        const scope = this.voiceRouter.getBreakerScope(apiKey, { model });
+
+        return {
+            provider,
+            config,
+            latency: observed ?? parseCatalogLatency(config?.latency),
+            latencySource: observed !== null ? 'observed' : 'catalog',
+            cost: this.analyticsTracker.estimateCostPerMinute(provider, { operation, model }),
+            available: this.voiceRouter.isProviderAvailable(provider, scope),
+            breaker: this.voiceRouter.getCircuitBreakerState(provider, scope),
+            errorRate: stats?.errorRate || 0
+        };
+    }
+
+    /**
+     * Why a candidate cannot serve the request, or null when it can
+     */
+    getExclusionReason(candidate, { type, capability, language, constraints }) {
+        const { provider, config } = candidate;
+
+        if (!config) {
+            return 'unknown provider';
+        }
+        if (type && !this.voiceRouter.supportsType(config, type)) {
+            return `does not support ${type} requests`;
+        }
+        if (capability && !this.voiceRouter.getCapabilities(provider).includes(capability)) {
+            return `adapter does not support ${capability}`;
+        }
+        if (!candidate.available) {
+            return 'circuit breaker is open';
+        }
+        if (language && !supportsLanguage(config, language)) {
+            return `does not support language ${language}`;
+        }
+
+        const missing = (constraints.required_features || []).filter(feature => !hasFeature(config, feature));
+        if (missing.length) {
+            return `missing required features: ${missing.join(', ')}`;
+        }
+
+        if (constraints.max_cost_per_minute !== undefined) {
+            if (candidate.cost === null) {
+                return 'price unknown';
+            }
+            if (candidate.cost > constraints.max_cost_per_minute) {
+                return `cost ${round(candidate.cost)}/min exceeds ${constraints.max_cost_per_minute}`;
+            }
+        }
+
+        if (constraints.max_latency_ms !== undefined) {
+            if (candidate.latency === null) {
+                return 'latency unknown';
+            }
+            if (candidate.latency > constraints.max_latency_ms) {
+                return `p${this.percentile} latency ${candidate.latency}ms exceeds ${constraints.max_latency_ms}ms`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Weighted score in [0, 1]; latency and cost are scored relative to the other candidates
+     */
+    score(candidates, weights) {
+        const latencies = candidates.map(c => c.latency).filter(value => value !== null);
+        const costs = candidates.map(c => c.cost).filter(value => value !== null);
+        const minLatency = Math.min(...latencies);
+        const maxCost = Math.max(...costs);
+        const totalWeight = (weights.latency + weights.cost + weights.reliability) || 1;
+
+        return candidates.map(candidate => {
+            const latencyScore = candidate.latency === null ? NEUTRAL_SCORE : minLatency / Math.max(candidate.latency, 1);
+            const costScore = candidate.cost === null ? NEUTRAL_SCORE : (maxCost > 0 ? 1 - candidate.cost / maxCost : 1);
+            // A half-open breaker is still being probed, so prefer healthy providers
+            const reliabilityScore = (1 - candidate.errorRate) * (candidate.breaker === 'HALF_OPEN' ? 0.5 : 1);
+
+            const score = (latencyScore * weights.latency +
+                costScore * weights.cost +
+                reliabilityScore * weights.reliability) / totalWeight;
+
+            return {
+                provider: candidate.provider,
+                score: round(score),
+                [`p${this.percentile}_latency_ms`]: candidate.latency,
+                latency_source: candidate.latencySource,
+                cost_per_minute: candidate.cost === null ? null : round(candidate.cost),
+                breaker: candidate.breaker,
+                error_rate: candidate.errorRate
+            };
+        });
+    }
+}
+
+/**
+ * Parse a catalog latency such as '~500ms', '<300ms with Turbo' or '~1-3s' into its upper bound in ms
+ */
+export function parseCatalogLatency(latency) {
+    const match = /(\d+(?:\.\d+)?)(?:\s*-\s*(\d+(?:\.\d+)?))?\s*(ms|s)\b/.exec(latency || '');
+    if (!match) {
+        return null;
+    }
+
+    const value = parseFloat(match[2] || match[1]);
+    return match[3] === 's' ? value * 1000 : value;
+}
+
+/**
+ * Only explicit language-code lists exclude a provider; descriptive entries
+ * ('100+ languages', 'many_more') mean support cannot be ruled out
+ */
+function supportsLanguage(config, language) {
+    const languages = config.features?.languages || [];
+    const codes = languages.filter(entry => /^[a-z]{2,3}(-[A-Za-z]{2,4})?$/.test(entry));
+
+    if (codes.length === 0 || codes.length < languages.length) {
+        return true;
+    }
+
+    const base = language.split('-')[0].toLowerCase();
+    return codes.some(code => code.toLowerCase() === language.toLowerCase() || code.split('-')[0] === base);
+}
+
+function hasFeature(config, feature) {
+    const flags = FEATURE_ALIASES[feature] || [feature];
+    return flags.some(flag => config.features?.[flag] === true) || (config.capabilities || []).includes(feature);
+}
+
+function round(value) {
+    return Math.round(value * 100000) / 100000;
+}
+
+export default ProviderSelector;
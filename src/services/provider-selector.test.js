@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VoiceRouter } from '../routes/voice-router.js';
+import { ProviderSelector, parseCatalogLatency } from './provider-selector.js';
+
+/**
+ * Selector over the built-in catalog, with observed latency and price fixed per provider
+ */
+function createSelector({ latency = {}, cost = {} } = {}) {
+    const voiceRouter = new VoiceRouter();
+    const analyticsTracker = {
+        getLatencyPercentile: provider => latency[provider] ?? null,
+        estimateCostPerMinute: provider => cost[provider] ?? null
+    };
+
+    return { voiceRouter, selector: new ProviderSelector({ voiceRouter, analyticsTracker }) };
+}
+
+test('select ranks eligible providers by the weighted score', () => {
+    const { selector } = createSelector({
+        latency: { 'openai-tts': 400, 'elevenlabs': 200 },
+        cost: { 'openai-tts': 0.015, 'elevenlabs': 0.3 }
+    });
+    const request = { candidates: ['openai-tts', 'elevenlabs'], type: 'tts', capability: 'batch-tts' };
+
+    const cheapest = selector.select({ ...request, constraints: { weights: { latency: 0, cost: 1, reliability: 0 } } });
+    const fastest = selector.select({ ...request, constraints: { weights: { latency: 1, cost: 0, reliability: 0 } } });
+
+    assert.equal(cheapest.provider, 'openai-tts');
+    assert.equal(fastest.provider, 'elevenlabs');
+    assert.deepEqual(fastest.ranking.map(entry => entry.provider), ['elevenlabs', 'openai-tts']);
+    assert.equal(fastest.ranking[0].latency_source, 'observed');
+});
+
+test('select excludes providers of the wrong type or language, saying why', () => {
+    const { selector } = createSelector();
+
+    const { provider, excluded } = selector.select({
+        candidates: ['openai-tts', 'assemblyai', 'deepgram'],
+        type: 'stt',
+        language: 'fr-FR'
+    });
+
+    assert.equal(provider, 'deepgram');
+    assert.deepEqual(excluded, [
+        { provider: 'openai-tts', reason: 'does not support stt requests' },
+        { provider: 'assemblyai', reason: 'does not support language fr-FR' }
+    ]);
+});
+
+test('select excludes providers whose circuit breaker is open', () => {
+    const { voiceRouter, selector } = createSelector();
+    voiceRouter.errorHandler.getCircuitBreaker('elevenlabs').transition('OPEN', 'test');
+
+    const { provider, excluded } = selector.select({ candidates: ['elevenlabs', 'openai-tts'], type: 'tts' });
+
+    assert.equal(provider, 'openai-tts');
+    assert.deepEqual(excluded, [{ provider: 'elevenlabs', reason: 'circuit breaker is open' }]);
+});
+
+test('select applies cost and latency ceilings, excluding providers with unknown figures', () => {
+    const { selector } = createSelector({
+        latency: { 'openai-tts': 900, 'elevenlabs': 200 },
+        cost: { 'openai-tts': 0.015, 'elevenlabs': 0.3 }
+    });
+
+    const { provider, excluded } = selector.select({
+        candidates: ['openai-tts', 'elevenlabs', 'murf'],
+        type: 'tts',
+        constraints: { max_cost_per_minute: 0.1 }
+    });
+
+    assert.equal(provider, 'openai-tts');
+    assert.deepEqual(excluded.map(entry => entry.provider), ['elevenlabs', 'murf']);
+    assert.equal(excluded[1].reason, 'price unknown');
+
+    assert.throws(
+        () => selector.select({ candidates: ['openai-tts'], type: 'tts', constraints: { max_latency_ms: 500 } }),
+        error => error.type === 'NO_PROVIDER_AVAILABLE' && error.isRetryable === false && /p95 latency 900ms exceeds 500ms/.test(error.message)
+    );
+});
+
+test('parseCatalogLatency reads the upper bound of catalog latencies', () => {
+    assert.equal(parseCatalogLatency('~500ms'), 500);
+    assert.equal(parseCatalogLatency('<300ms with Turbo'), 300);
+    assert.equal(parseCatalogLatency('~1-3s'), 3000);
+    assert.equal(parseCatalogLatency('Scriptable'), null);
+});
@@ -0,0 +1,617 @@
+/**
+ * Local Voice Provider Simulator
+ * Mimics the HTTP and WebSocket shapes of OpenAI Realtime, Deepgram, ElevenLabs and Whisper
+ * so VoiceRouter and VoiceErrorHandler can be exercised end to end without keys or network.
+ *
+ * Run standalone with `npm run simulator [scenarios.json]`, then start the main server with
+ * VOICE_SIMULATOR_URL=http://localhost:4010 to send provider traffic to it.
+ */
+
+import express from 'express';
+import { createServer, STATUS_CODES } from 'http';
+import { WebSocketServer } from 'ws';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { VOICE_PROVIDERS } from '../config/voice-providers-config.js';
+
+export const SIMULATOR_TARGETS = ['openai-realtime', 'deepgram', 'elevenlabs', 'whisper'];
+
+const DEFAULT_TRANSCRIPT = 'This is a simulated transcription.';
+const DEFAULT_RESPONSE = 'This is a simulated response.';
+const MAX_LOGGED_REQUESTS = 1000;
+
+// 16 kHz, 16-bit mono PCM
+const BYTES_PER_SECOND = 32000;
+
+/**
+ * Point the simulated providers of a catalog at a running simulator
+ * @param {string} baseUrl - Simulator base URL (e.g. http://localhost:4010)
+ * @param {Object} providers - Provider catalog to override
+ * @returns {Object} Provider catalog for new VoiceRouter({ providers })
+ */
+export function simulatorProviders(baseUrl, providers = VOICE_PROVIDERS) {
+    const http = baseUrl.replace(/\/$/, '');
+    const ws = http.replace(/^http/, 'ws');
+
+    return {
+        ...providers,
+        'openai-realtime': { ...providers['openai-realtime'], endpoint: `${ws}/v1/realtime` },
+        'deepgram': { ...providers.deepgram, endpoint: `${ws}/v1/listen`, restEndpoint: `${http}/v1/listen` },
+        'elevenlabs': {
+            ...providers.elevenlabs,
+            endpoint: `${http}/v1/text-to-speech`,
+            voicesEndpoint: `${http}/v1/voices`
+        },
+        'whisper': { ...providers.whisper, endpoint: `${http}/v1/audio/transcriptions` },
+        'openai-transcribe': { ...providers['openai-transcribe'], endpoint: `${http}/v1/audio/transcriptions` }
+    };
+}
+
+export class VoiceSimulator {
+    /**
+     * @param {Object} options
+     * @param {string} options.transcript - Default canned transcript
+     * @param {string} options.response - Default canned realtime reply
+     * @param {Object} options.scenarios - Initial scenarios keyed by target
+     */
+    constructor(options = {}) {
+        this.transcript = options.transcript || DEFAULT_TRANSCRIPT;
+        this.response = options.response || DEFAULT_RESPONSE;
+        this.scenarios = new Map();
+        this.requests = [];
+        this.url = null;
+
+        Object.entries(options.scenarios || {}).forEach(([target, scenario]) => this.script(target, scenario));
+
+        this.app = express();
+        this.server = createServer(this.app);
+        this.wss = new WebSocketServer({ noServer: true });
+
+        this.setupRoutes();
+        this.server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+    }
+
+    /**
+     * Script the next requests to a target
+     * @param {string} target - One of SIMULATOR_TARGETS
+     * @param {Object} scenario
+     * @param {number} scenario.latency - Delay in ms before responding (or accepting the socket)
+     * @param {number} scenario.status - Error status to return (401, 429, 5xx)
+     * @param {string} scenario.message - Error message
+     * @param {number} scenario.retry_after - Retry-After seconds for 429/503 (default 1)
+     * @param {boolean} scenario.drop - Destroy HTTP connections without a response; close sockets on the first client message
+     * @param {string} scenario.transcript - Canned transcript
+     * @param {string} scenario.response - Canned realtime reply
+     * @param {number} scenario.times - Apply to the next N requests only (default: until cleared)
+     */
+    script(target, scenario = {}) {
+        if (!SIMULATOR_TARGETS.includes(target)) {
+            throw new Error(`Unknown simulator target "${target}". Available: ${SIMULATOR_TARGETS.join(', ')}`);
+        }
+
+        this.scenarios.set(target, { ...scenario });
+        return this;
+    }
+
+    /**
+     * Clear scenarios for one target, or all of them
+     */
+    clear(target = null) {
+        if (target) {
+            this.scenarios.delete(target);
+        } else {
+            this.scenarios.clear();
+        }
+        return this;
+    }
+
+    /**
+     * Scenario for the current request, consuming one use of a `times`-limited scenario
+     */
+    takeScenario(target) {
+        const scenario = this.scenarios.get(target);
+
+        if (scenario?.times !== undefined) {
+            scenario.times--;
+            if (scenario.times <= 0) {
+                this.scenarios.delete(target);
+            }
+        }
+
+        return {
+            transcript: this.transcript,
+            response: this.response,
+            ...scenario
+        };
+    }
+
+    /**
+     * Start listening; port 0 picks a free port
+     * @returns {Promise<string>} Base URL of the simulator
+     */
+    async start(port = 0, host = '127.0.0.1') {
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, resolve);
+        });
+
+        this.url = `http://${host}:${this.server.address().port}`;
+        return this.url;
+    }
+
+    async stop() {
+        this.wss.clients.forEach(client => client.terminate());
+        this.server.closeAllConnections?.();
+        await new Promise(resolve => this.server.close(() => resolve()));
+        this.url = null;
+    }
+
+    /**
+     * Provider catalog pointing at this simulator
+     */
+    providers(providers = VOICE_PROVIDERS) {
+        if (!this.url) {
+            throw new Error('Simulator is not running');
+        }
+        return simulatorProviders(this.url, providers);
+    }
+
+    logRequest(target, req, status) {
+        this.requests.push({
+            target,
+            method: req.method,
+            path: req.url,
+            status,
+            timestamp: new Date().toISOString()
+        });
+
+        if (this.requests.length > MAX_LOGGED_REQUESTS) {
+            this.requests.shift();
+        }
+    }
+
+    setupRoutes() {
+        const raw = express.raw({ type: () => true, limit: '50mb' });
+
+        // Control API, for scripting a simulator running in another process
+        this.app.get('/__simulator/requests', (req, res) => res.json({ requests: this.requests }));
+        this.app.post('/__simulator/scenarios/:target', express.json(), (req, res) => {
+            try {
+                this.script(req.params.target, req.body);
+                res.json({ target: req.params.target, scenario: this.scenarios.get(req.params.target) });
+            } catch (error) {
+                res.status(400).json({ error: error.message });
+            }
+        });
+        this.app.delete('/__simulator/scenarios/:target?', (req, res) => {
+            this.clear(req.params.target);
+            this.requests = [];
+            res.json({ cleared: req.params.target || 'all' });
+        });
+
+        this.app.post('/v1/audio/transcriptions', raw, this.simulate('whisper', this.whisperTranscription));
+        this.app.post('/v1/listen', raw, this.simulate('deepgram', this.deepgramTranscription));
+        this.app.post('/v1/text-to-speech/:voiceId', raw, this.simulate('elevenlabs', this.elevenLabsSpeech));
+        this.app.get('/v1/voices', this.simulate('elevenlabs', this.elevenLabsVoices));
+    }
+
+    /**
+     * Wrap a provider handler with auth checks and scripted latency, errors and drops
+     */
+    simulate(target, handler) {
+        return async (req, res) => {
+            const scenario = this.takeScenario(target);
+
+            if (scenario.latency) {
+                await delay(scenario.latency);
+            }
+
+            if (scenario.drop) {
+                this.logRequest(target, req, 'dropped');
+                req.socket.destroy();
+                return;
+            }
+
+            const status = scenario.status || (hasCredentials(target, req.headers) ? null : 401);
+
+            if (status) {
+                this.logRequest(target, req, status);
+                if (status === 429 || status === 503) {
+                    res.set('Retry-After', String(scenario.retry_after ?? 1));
+                }
+                res.status(status).json(errorBody(target, status, scenario.message));
+                return;
+            }
+
+            try {
+                await handler.call(this, req, res, scenario);
+                this.logRequest(target, req, res.statusCode);
+            } catch (error) {
+                this.logRequest(target, req, 400);
+                res.status(400).json(errorBody(target, 400, error.message));
+            }
+        };
+    }
+
+    /**
+     * Whisper / gpt-4o-transcribe: multipart upload, JSON, text or SSE response
+     */
+    async whisperTranscription(req, res, scenario) {
+        const form = await new Response(req.body, {
+            headers: { 'Content-Type': req.headers['content-type'] || '' }
+        }).formData();
+
+        const file = form.get('file');
+        if (!file) {
+            throw new Error('Missing required parameter: file');
+        }
+
+        const text = scenario.transcript;
+        const duration = file.size / BYTES_PER_SECOND;
+
+        if (form.get('stream') === 'true') {
+            res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+            text.split(/(?<= )/).forEach(delta => {
+                res.write(`data: ${JSON.stringify({ type: 'transcript.text.delta', delta })}\n\n`);
+            });
+            res.end(`data: ${JSON.stringify({ type: 'transcript.text.done', text })}\n\n`);
+            return;
+        }
+
+        switch (form.get('response_format')) {
+            case 'text':
+                res.type('text/plain').send(text);
+                break;
+            case 'verbose_json':
+                res.json({
+                    task: 'transcribe',
+                    language: form.get('language') || 'english',
+                    duration,
+                    text,
+                    words: spreadWords(text, duration).map(({ word, start, end }) => ({ word, start, end }))
+                });
+                break;
+            default:
+                res.json({ text });
+        }
+    }
+
+    /**
+     * Deepgram pre-recorded: raw audio body or { url }
+     */
+    async deepgramTranscription(req, res, scenario) {
+        const isJson = (req.headers['content-type'] || '').includes('application/json');
+        const duration = isJson ? 0 : req.body.length / BYTES_PER_SECOND;
+        const words = spreadWords(scenario.transcript, duration);
+        const requestId = crypto.randomUUID();
+
+        res.set('dg-request-id', requestId).json({
+            metadata: {
+                request_id: requestId,
+                duration,
+                channels: 1,
+                models: [req.query.model || 'nova-3']
+            },
+            results: {
+                channels: [{
+                    ...(req.query.detect_language === 'true' && { detected_language: 'en' }),
+                    alternatives: [{
+                        transcript: scenario.transcript,
+                        confidence: 1,
+                        words: words.map(word => ({
+                            ...word,
+                            punctuated_word: word.word,
+                            ...(req.query.diarize === 'true' && { speaker: 0 })
+                        }))
+                    }]
+                }],
+                ...(req.query.utterances === 'true' && {
+                    utterances: [{
+                        speaker: 0,
+                        transcript: scenario.transcript,
+                        start: 0,
+                        end: duration,
+                        confidence: 1
+                    }]
+                })
+            }
+        });
+    }
+
+    /**
+     * ElevenLabs TTS: deterministic MPEG frames, one per ten characters
+     */
+    async elevenLabsSpeech(req, res) {
+        const { text } = JSON.parse(req.body.toString() || '{}');
+        if (!text) {
+            throw new Error('text is required');
+        }
+
+        const frame = Buffer.alloc(417);
+        frame.set([0xFF, 0xFB, 0x90, 0x64]);
+        const audio = Buffer.concat(Array(Math.ceil(text.length / 10)).fill(frame));
+
+        res.set({
+            'Content-Type': 'audio/mpeg',
+            'request-id': crypto.randomUUID(),
+            'x-character-count': String(text.length)
+        }).send(audio);
+    }
+
+    async elevenLabsVoices(req, res) {
+        res.json({
+            voices: [{
+                voice_id: 'sim-voice-1',
+                name: 'Simulated Voice',
+                category: 'premade',
+                labels: { language: 'en', gender: 'female' },
+                preview_url: null
+            }]
+        });
+    }
+
+    /**
+     * WebSocket upgrades for OpenAI Realtime (/v1/realtime) and Deepgram live (/v1/listen)
+     */
+    async handleUpgrade(req, socket, head) {
+        const pathname = new URL(req.url, 'http://localhost').pathname;
+        const target = { '/v1/realtime': 'openai-realtime', '/v1/listen': 'deepgram' }[pathname];
+
+        if (!target) {
+            socket.destroy();
+            return;
+        }
+
+        const scenario = this.takeScenario(target);
+
+        if (scenario.latency) {
+            await delay(scenario.latency);
+        }
+
+        const status = scenario.status || (hasCredentials(target, req.headers) ? null : 401);
+
+        if (status) {
+            this.logRequest(target, req, status);
+            const body = JSON.stringify(errorBody(target, status, scenario.message));
+            const retryAfter = status === 429 || status === 503 ? `Retry-After: ${scenario.retry_after ?? 1}\r\n` : '';
+            socket.end(
+                `HTTP/1.1 ${status} ${STATUS_CODES[status]}\r\n` +
+                `Content-Type: application/json\r\n${retryAfter}` +
+                `Content-Length: ${Buffer.byteLength(body)}\r\nConnection: close\r\n\r\n${body}`
+            );
+            return;
+        }
+
+        this.wss.handleUpgrade(req, socket, head, (ws) => {
+            this.logRequest(target, req, 101);
+
+            if (scenario.drop) {
+                ws.once('message', () => ws.terminate());
+                return;
+            }
+
+            if (target === 'openai-realtime') {
+                this.handleRealtime(ws, req, scenario);
+            } else {
+                this.handleDeepgramLive(ws, req, scenario);
+            }
+        });
+    }
+
+    handleRealtime(ws, req, scenario) {
+        const url = new URL(req.url, 'http://localhost');
+        const send = (event) => ws.send(JSON.stringify({ event_id: `event_${crypto.randomUUID()}`, ...event }));
+        let session = {
+            id: `sess_${crypto.randomUUID()}`,
+            object: 'realtime.session',
+            model: url.searchParams.get('model') || 'gpt-4o-realtime-preview-2024-12-17',
+            modalities: ['text', 'audio'],
+            voice: 'alloy'
+        };
+        let audioBytes = 0;
+        const items = new Set();
+
+        send({ type: 'session.created', session });
+
+        ws.on('message', (data) => {
+            let event;
+            try {
+                event = JSON.parse(data.toString());
+            } catch (error) {
+                send({ type: 'error', error: { type: 'invalid_request_error', message: 'Invalid JSON' } });
+                return;
+            }
+
+            switch (event.type) {
+                case 'session.update':
+                    session = { ...session, ...event.session };
+                    send({ type: 'session.updated', session });
+                    break;
+
+                case 'input_audio_buffer.append':
+                    audioBytes += Buffer.from(event.audio || '', 'base64').length;
+                    break;
+
+                case 'input_audio_buffer.commit': {
+                    const itemId = `item_${crypto.randomUUID()}`;
+                    send({ type: 'input_audio_buffer.committed', item_id: itemId, audio_bytes: audioBytes });
+                    send({
+                        type: 'conversation.item.input_audio_transcription.completed',
+                        item_id: itemId,
+                        content_index: 0,
+                        transcript: scenario.transcript
+                    });
+                    audioBytes = 0;
+                    break;
+                }
+
+                case 'conversation.item.create': {
+                    const item = { id: `item_${crypto.randomUUID()}`, ...event.item };
+                    items.add(item.id);
+                    send({ type: 'conversation.item.created', item });
+                    break;
+                }
+
+                case 'conversation.item.delete':
+                    if (!items.delete(event.item_id)) {
+                        send({ type: 'error', error: { type: 'invalid_request_error', message: `Item "${event.item_id}" does not exist` } });
+                        break;
+                    }
+                    send({ type: 'conversation.item.deleted', item_id: event.item_id });
+                    break;
+
+                case 'response.create': {
+                    const responseId = `resp_${crypto.randomUUID()}`;
+                    const itemId = `item_${crypto.randomUUID()}`;
+                    items.add(itemId);
+                    send({ type: 'response.created', response: { id: responseId, status: 'in_progress' } });
+                    send({ type: 'conversation.item.created', item: { id: itemId, type: 'message', role: 'assistant', content: [] } });
+                    scenario.response.split(/(?<= )/).forEach(delta => {
+                        send({ type: 'response.text.delta', response_id: responseId, item_id: itemId, delta });
+                    });
+                    send({ type: 'response.text.done', response_id: responseId, item_id: itemId, text: scenario.response });
+                    send({
+                        type: 'response.done',
+                        response: {
+                            id: responseId,
+                            status: 'completed',
+                            output: [{ id: itemId, type: 'message', role: 'assistant', content: [{ type: 'text', text: scenario.response }] }],
+                            usage: { output_tokens: scenario.response.split(/\s+/).length }
+                        }
+                    });
+                    break;
+                }
+
+                default:
+                    send({ type: 'error', error: { type: 'invalid_request_error', message: `Unsupported event type "${event.type}"` } });
+            }
+        });
+    }
+
+    handleDeepgramLive(ws, req, scenario) {
+        const requestId = crypto.randomUUID();
+        const words = scenario.transcript.split(/\s+/).filter(Boolean);
+        let audioBytes = 0;
+        let segmentStart = 0; // Finalize ends a segment; timings are relative to the start of the stream
+        let chunks = 0;
+
+        const results = (isFinal) => ({
+            type: 'Results',
+            channel_index: [0, 1],
+            start: segmentStart,
+            duration: audioBytes / BYTES_PER_SECOND - segmentStart,
+            is_final: isFinal,
+            speech_final: isFinal,
+            channel: {
+                alternatives: [{
+                    // Interim results reveal one more word per audio chunk
+                    transcript: isFinal ? scenario.transcript : words.slice(0, chunks).join(' '),
+                    confidence: 1,
+                    words: []
+                }]
+            },
+            metadata: { request_id: requestId }
+        });
+
+        ws.on('message', (data, isBinary) => {
+            if (isBinary) {
+                audioBytes += data.length;
+                chunks++;
+                ws.send(JSON.stringify(results(false)));
+                return;
+            }
+
+            const message = JSON.parse(data.toString());
+
+            if (message.type === 'Finalize') {
+                ws.send(JSON.stringify({ ...results(true), from_finalize: true }));
+                segmentStart = audioBytes / BYTES_PER_SECOND;
+                chunks = 0;
+            } else if (message.type === 'CloseStream') {
+                ws.send(JSON.stringify(results(true)));
+                ws.send(JSON.stringify({
+                    type: 'Metadata',
+                    request_id: requestId,
+                    duration: audioBytes / BYTES_PER_SECOND,
+                    channels: 1
+                }));
+                ws.close(1000);
+            }
+        });
+    }
+}
+
+/**
+ * Whether the request carries the provider's auth header
+ */
+function hasCredentials(target, headers) {
+    switch (target) {
+        case 'elevenlabs':
+            return !!headers['xi-api-key'];
+        case 'deepgram':
+            return /^Token \S+/.test(headers.authorization || '');
+        default:
+            return /^Bearer \S+/.test(headers.authorization || '');
+    }
+}
+
+/**
+ * Error payload in each provider's own format
+ */
+function errorBody(target, status, message = STATUS_CODES[status]) {
+    const code = status === 401 ? 'invalid_api_key' : status === 429 ? 'rate_limit_exceeded' : status >= 500 ? 'server_error' : 'invalid_request';
+
+    switch (target) {
+        case 'deepgram':
+            return {
+                err_code: { 401: 'INVALID_AUTH', 429: 'TOO_MANY_REQUESTS' }[status] || (status >= 500 ? 'INTERNAL_SERVER_ERROR' : 'Bad Request'),
+                err_msg: message,
+                request_id: crypto.randomUUID()
+            };
+        case 'elevenlabs':
+            return { detail: { status: code, message } };
+        default:
+            return { error: { message, type: status >= 500 ? 'server_error' : 'invalid_request_error', code } };
+    }
+}
+
+/**
+ * Evenly spaced word timings across a duration
+ */
+function spreadWords(text, duration) {
+    const words = text.split(/\s+/).filter(Boolean);
+    const step = words.length ? duration / words.length : 0;
+
+    return words.map((word, index) => ({
+        word,
+        start: index * step,
+        end: (index + 1) * step,
+        confidence: 1
+    }));
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Standalone: node src/services/voice-simulator.js [scenarios.json]
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const scenarioFile = process.argv[2];
+    const scenarios = scenarioFile ? JSON.parse(await fs.readFile(scenarioFile, 'utf8')) : {};
+    const simulator = new VoiceSimulator({ scenarios });
+    const url = await simulator.start(Number(process.env.VOICE_SIMULATOR_PORT) || 4010, process.env.VOICE_SIMULATOR_HOST || '127.0.0.1');
+
+    console.log(`🧪 Voice provider simulator running on ${url}`);
+    console.log(`   Simulating: ${SIMULATOR_TARGETS.join(', ')}`);
+    console.log(`   Script scenarios: POST ${url}/__simulator/scenarios/:target`);
+    console.log(`   Use it from the router: VOICE_SIMULATOR_URL=${url} npm start`);
+
+    process.on('SIGINT', async () => {
+        await simulator.stop();
+        process.exit(0);
+    });
+}
+
+export default VoiceSimulator;
@@ -0,0 +1,181 @@
+/**
+ * Adapter Conformance Suite
+ * Exercises every capability an adapter declares against ADAPTER_CAPABILITIES.
+ * Point the provider config at VoiceSimulator (or use the mock provider) to run it offline.
+ */
+
+import { validateAdapterContract, createWavHeader } from '../routes/voice-router.js';
+
+const SAMPLE_TEXT = 'Conformance check for voice adapters.';
+
+// Built-in providers the suite can exercise offline: VoiceSimulator's targets plus the mock provider
+export const OFFLINE_CONFORMANCE_PROVIDERS = ['openai-realtime', 'deepgram', 'whisper', 'openai-transcribe', 'elevenlabs', 'mock'];
+
+// Request type each capability is routed as
+const CAPABILITY_REQUEST_TYPES = {
+    'batch-stt': 'stt',
+    'streaming-stt': 'stt',
+    'batch-tts': 'tts',
+    'streaming-tts': 'tts',
+    'duplex-realtime': 'conversational'
+};
+
+/**
+ * Silent 16 kHz mono WAV used as the default STT fixture
+ */
+export function createSampleAudio(seconds = 1) {
+    const pcm = Buffer.alloc(Math.round(seconds * 32000));
+    return Buffer.concat([createWavHeader(16000, 1, 16, pcm.length), pcm]);
+}
+
+/**
+ * Checks per capability; each receives a fresh, unconnected adapter
+ */
+const CAPABILITY_CHECKS = {
+    'batch-stt': [
+        ['process(audio) resolves to { text }', async (adapter, fixtures) => {
+            await adapter.connect();
+            const result = await adapter.process(fixtures.audio);
+            assert(typeof result?.text === 'string', `expected a text string, got ${describe(result?.text)}`);
+        }]
+    ],
+
+    'streaming-stt': [
+        ['sendAudio() produces { text, is_final } transcription events', async (adapter, fixtures) => {
+            await adapter.connect();
+
+            const event = new Promise(resolve => adapter.onTranscription(resolve));
+            for (let offset = 0; offset < fixtures.audio.length; offset += 3200) {
+                adapter.sendAudio(fixtures.audio.subarray(offset, offset + 3200));
+            }
+
+            const result = await event;
+            assert(typeof result?.text === 'string', `expected a text string, got ${describe(result?.text)}`);
+            assert(typeof result.is_final === 'boolean', `expected a boolean is_final, got ${describe(result.is_final)}`);
+        }]
+    ],
+
+    'batch-tts': [
+        ['process(text) resolves to audio bytes', async (adapter, fixtures) => {
+            await adapter.connect();
+            const audio = await adapter.process(fixtures.text);
+            assert(byteLength(audio) > 0, `expected non-empty audio, got ${describe(audio)}`);
+        }]
+    ],
+
+    'streaming-tts': [
+        ['stream(text) yields audio chunks', async (adapter, fixtures) => {
+            await adapter.connect();
+
+            let chunks = 0;
+            for await (const chunk of adapter.stream(fixtures.text)) {
+                assert(byteLength(chunk) > 0, `expected non-empty audio chunks, got ${describe(chunk)}`);
+                chunks++;
+            }
+            assert(chunks > 0, 'stream() yielded no chunks');
+        }]
+    ],
+
+    'duplex-realtime': [
+        ['send({ role, content }) produces events on onMessage()', async (adapter, fixtures) => {
+            await adapter.connect();
+
+            const event = new Promise(resolve => adapter.onMessage(resolve));
+            adapter.send({ role: 'user', content: fixtures.text });
+
+            const message = await event;
+            assert(message && typeof message === 'object', `expected an event object, got ${describe(message)}`);
+        }],
+        ['process(messages) resolves to { message: { role, content } }', async (adapter, fixtures) => {
+            await adapter.connect();
+            const result = await adapter.process([{ role: 'user', content: fixtures.text }]);
+            assert(typeof result?.message?.content === 'string', `expected message content, got ${describe(result?.message)}`);
+        }]
+    ]
+};
+
+/**
+ * Run the conformance suite for one adapter
+ * @param {Function} AdapterClass - Adapter to verify
+ * @param {Object} options
+ * @param {string} options.id - Provider id (used in the report and contract check)
+ * @param {Object} options.config - Provider catalog entry, e.g. from VoiceSimulator.providers()
+ * @param {string} options.apiKey - Key passed to the adapter (simulator accepts any)
+ * @param {Object} options.options - Adapter options
+ * @param {number} options.timeout - Per-check timeout in ms
+ * @param {Buffer} options.audio - STT fixture (defaults to one second of silent WAV)
+ * @param {string} options.text - TTS / chat fixture
+ * @returns {Promise<Object>} { provider, passed, results: [{ capability, check, passed, duration, error }] }
+ */
+export async function runConformanceSuite(AdapterClass, {
+    id,
+    config,
+    apiKey = 'conformance-test-key',
+    options = {},
+    timeout = 10000,
+    audio = createSampleAudio(),
+    text = SAMPLE_TEXT
+} = {}) {
+    const results = [];
+    const contractErrors = validateAdapterContract(id, config, AdapterClass);
+
+    results.push({
+        capability: 'contract',
+        check: 'declares capabilities and implements their methods',
+        passed: contractErrors.length === 0,
+        duration: 0,
+        error: contractErrors.length ? contractErrors.join('; ') : null
+    });
+
+    for (const capability of AdapterClass.capabilities || []) {
+        for (const [check, run] of CAPABILITY_CHECKS[capability] || []) {
+            const adapterOptions = capability === 'streaming-stt' ? { ...options, streaming: true } : options;
+            const adapter = new AdapterClass(config, apiKey, adapterOptions, { type: CAPABILITY_REQUEST_TYPES[capability], provider: id });
+            const startTime = Date.now();
+            let error = null;
+
+            try {
+                await withTimeout(run(adapter, { audio, text }), timeout, check);
+            } catch (err) {
+                error = err.message;
+            } finally {
+                await adapter.disconnect().catch(() => {});
+            }
+
+            results.push({ capability, check, passed: !error, duration: Date.now() - startTime, error });
+        }
+    }
+
+    return {
+        provider: id,
+        capabilities: AdapterClass.capabilities || [],
+        passed: results.every(result => result.passed),
+        results
+    };
+}
+
+function withTimeout(promise, timeout, check) {
+    let timer;
+    return Promise.race([
+        promise,
+        new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error(`timed out after ${timeout}ms: ${check}`)), timeout);
+        })
+    ]).finally(() => clearTimeout(timer));
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function byteLength(audio) {
+    return audio?.byteLength ?? audio?.length ?? 0;
+}
+
+function describe(value) {
+    return value === undefined ? 'undefined' : JSON.stringify(value)?.slice(0, 80);
+}
+
+export default runConformanceSuite;
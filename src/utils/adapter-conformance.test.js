@@ -0,0 +1,56 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { VOICE_PROVIDERS } from '../config/voice-providers-config.js';
+import { VoiceRouter, BaseAdapter, validateAdapterContract } from '../routes/voice-router.js';
+import { VoiceSimulator } from '../services/voice-simulator.js';
+import { runConformanceSuite, OFFLINE_CONFORMANCE_PROVIDERS } from './adapter-conformance.js';
+
+// Adapters and the simulator log connections; keep the test output to the results
+mock.method(console, 'log', () => {});
+
+const failedChecks = report => report.results
+    .filter(result => !result.passed)
+    .map(result => `[${result.capability}] ${result.check}: ${result.error}`);
+
+test('every built-in provider has an adapter that satisfies the contract', () => {
+    const router = new VoiceRouter();
+
+    for (const [id, config] of Object.entries(VOICE_PROVIDERS)) {
+        assert.deepEqual(validateAdapterContract(id, config, router.getAdapterClass(id)), [], id);
+    }
+});
+
+test('offline providers pass every check for the capabilities they declare', async (t) => {
+    const simulator = new VoiceSimulator();
+    await simulator.start();
+    t.after(() => simulator.stop());
+
+    const router = new VoiceRouter({ providers: simulator.providers() });
+
+    for (const provider of OFFLINE_CONFORMANCE_PROVIDERS) {
+        await t.test(provider, async () => {
+            const AdapterClass = router.getAdapterClass(provider);
+            const report = await runConformanceSuite(AdapterClass, { id: provider, config: router.providers[provider] });
+
+            assert.deepEqual(failedChecks(report), []);
+            assert.deepEqual(
+                [...new Set(report.results.map(result => result.capability))],
+                ['contract', ...AdapterClass.capabilities]
+            );
+        });
+    }
+});
+
+test('runConformanceSuite fails an adapter that breaks a declared capability', async () => {
+    class SilentAdapter extends BaseAdapter {
+        static capabilities = ['batch-tts'];
+        async connect() {}
+        async disconnect() {}
+        async process() { return Buffer.alloc(0); }
+    }
+
+    const report = await runConformanceSuite(SilentAdapter, { id: 'silent', config: VOICE_PROVIDERS.mock });
+
+    assert.equal(report.passed, false);
+    assert.deepEqual(failedChecks(report), ['[batch-tts] process(text) resolves to audio bytes: expected non-empty audio, got {"type":"Buffer","data":[]}']);
+});
@@ -0,0 +1,191 @@
+/**
+ * Audio Stitching
+ * Joins separately synthesized pieces of audio into one continuous file.
+ * MP3 pieces lose their per-file ID3 tags and Xing/Info header frames (which would
+ * otherwise report the length of the first piece only); WAV pieces are merged under
+ * a single RIFF header. Raw PCM, ADTS AAC and Ogg Opus pieces join as they are
+ * (consecutive Ogg streams form a valid chained stream).
+ */
+
+export const STITCHABLE_FORMATS = ['mp3', 'wav', 'pcm', 'aac', 'opus'];
+
+// Layer III bitrates (kbps) by version, indexed by the header's bitrate bits
+const MP3_BITRATES = {
+    1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const MP3_SAMPLE_RATES = {
+    3: [44100, 48000, 32000], // MPEG 1
+    2: [22050, 24000, 16000], // MPEG 2
+    0: [11025, 12000, 8000]   // MPEG 2.5
+};
+
+// Largest size a RIFF header can state; used while the final length is unknown
+const WAV_STREAMING_SIZE = 0xFFFFFFFF;
+
+/**
+ * Incrementally joins pieces of audio, for writing to a client as each piece arrives
+ */
+export class AudioStitcher {
+    /**
+     * @param {string} format - Audio format of every piece, e.g. 'mp3'
+     */
+    constructor(format) {
+        if (!STITCHABLE_FORMATS.includes(format)) {
+            throw new Error(`Cannot join ${format} audio; chunked synthesis supports ${STITCHABLE_FORMATS.join(', ')}`);
+        }
+
+        this.format = format;
+        this.pieces = 0;
+        this.wavFormat = null;
+    }
+
+    /**
+     * Bytes to emit for the next piece. A streamed WAV states an open-ended length,
+     * since the header is sent before later pieces exist.
+     * @param {Buffer} audio - Next piece, in order
+     * @returns {Buffer}
+     */
+    append(audio) {
+        const first = this.pieces++ === 0;
+
+        switch (this.format) {
+            case 'mp3':
+                return stripMp3Headers(audio, { keepId3: first });
+
+            case 'wav': {
+                const { fmt, data } = parseWav(audio);
+                if (!first) {
+                    this.checkWavFormat(fmt);
+                    return data;
+                }
+                this.wavFormat = fmt;
+                return Buffer.concat([wavHeader(fmt, WAV_STREAMING_SIZE), data]);
+            }
+
+            default:
+                return audio;
+        }
+    }
+
+    checkWavFormat(fmt) {
+        if (!fmt.equals(this.wavFormat)) {
+            throw new Error('Cannot join WAV pieces with different sample formats');
+        }
+    }
+}
+
+/**
+ * Join pieces of audio into one file
+ * @param {Buffer[]} pieces - Audio pieces in order
+ * @param {string} format - Audio format of every piece
+ * @returns {Buffer}
+ */
+export function stitchAudio(pieces, format) {
+    const stitcher = new AudioStitcher(format);
+
+    if (format !== 'wav') {
+        return Buffer.concat(pieces.map(piece => stitcher.append(Buffer.from(piece))));
+    }
+
+    const parsed = pieces.map(piece => parseWav(Buffer.from(piece)));
+    stitcher.wavFormat = parsed[0].fmt;
+    parsed.slice(1).forEach(({ fmt }) => stitcher.checkWavFormat(fmt));
+
+    const data = Buffer.concat(parsed.map(({ data }) => data));
+    return Buffer.concat([wavHeader(stitcher.wavFormat, data.length), data]);
+}
+
+/**
+ * Remove the ID3 tags and VBR header frame from one MP3 file
+ */
+function stripMp3Headers(audio, { keepId3 = false } = {}) {
+    let id3End = 0;
+    let end = audio.length;
+
+    if (audio.length >= 10 && audio.toString('latin1', 0, 3) === 'ID3') {
+        // Syncsafe size, plus the 10 byte header and optional footer
+        const size = (audio[6] << 21) | (audio[7] << 14) | (audio[8] << 7) | audio[9];
+        id3End = Math.min(10 + size + (audio[5] & 0x10 ? 10 : 0), audio.length);
+    }
+
+    if (end - id3End >= 128 && audio.toString('latin1', end - 128, end - 125) === 'TAG') {
+        end -= 128;
+    }
+
+    let start = id3End;
+    const frameLength = mp3FrameLength(audio, start);
+    if (frameLength && /Xing|Info|VBRI/.test(audio.toString('latin1', start + 4, Math.min(start + 40, end)))) {
+        start += frameLength;
+    }
+
+    const frames = audio.subarray(start, end);
+    return keepId3 && id3End ? Buffer.concat([audio.subarray(0, id3End), frames]) : frames;
+}
+
+/**
+ * Length in bytes of the Layer III frame starting at offset, or null if there is none
+ */
+function mp3FrameLength(audio, offset) {
+    if (audio.length < offset + 4 || audio[offset] !== 0xFF || (audio[offset + 1] & 0xE0) !== 0xE0) {
+        return null;
+    }
+
+    const version = (audio[offset + 1] >> 3) & 0x03;
+    const layer = (audio[offset + 1] >> 1) & 0x03;
+    const bitrate = MP3_BITRATES[version === 3 ? 1 : 2][audio[offset + 2] >> 4];
+    const sampleRate = MP3_SAMPLE_RATES[version]?.[(audio[offset + 2] >> 2) & 0x03];
+    const padding = (audio[offset + 2] >> 1) & 0x01;
+
+    if (layer !== 1 || !bitrate || !sampleRate) {
+        return null;
+    }
+
+    return Math.floor((version === 3 ? 144 : 72) * bitrate * 1000 / sampleRate) + padding;
+}
+
+/**
+ * Format description and sample data of a RIFF/WAVE file
+ */
+function parseWav(audio) {
+    if (audio.length < 12 || audio.toString('latin1', 0, 4) !== 'RIFF' || audio.toString('latin1', 8, 12) !== 'WAVE') {
+        throw new Error('Expected WAV audio with a RIFF header');
+    }
+
+    let fmt = null;
+    let data = null;
+
+    for (let offset = 12; offset + 8 <= audio.length;) {
+        const id = audio.toString('latin1', offset, offset + 4);
+        const declared = audio.readUInt32LE(offset + 4);
+        // Streamed WAVs may declare an open-ended data length
+        const size = Math.min(declared, audio.length - offset - 8);
+
+        if (id === 'fmt ') fmt = audio.subarray(offset + 8, offset + 8 + size);
+        if (id === 'data') data = audio.subarray(offset + 8, offset + 8 + size);
+
+        offset += 8 + size + (size % 2);
+    }
+
+    if (!fmt || !data) {
+        throw new Error('WAV audio is missing its fmt or data chunk');
+    }
+
+    return { fmt, data };
+}
+
+function wavHeader(fmt, dataLength) {
+    const header = Buffer.alloc(20 + fmt.length + 8);
+    const riffSize = dataLength === WAV_STREAMING_SIZE ? WAV_STREAMING_SIZE : 4 + 8 + fmt.length + 8 + dataLength;
+
+    header.write('RIFF', 0, 'latin1');
+    header.writeUInt32LE(riffSize, 4);
+    header.write('WAVE', 8, 'latin1');
+    header.write('fmt ', 12, 'latin1');
+    header.writeUInt32LE(fmt.length, 16);
+    fmt.copy(header, 20);
+    header.write('data', 20 + fmt.length, 'latin1');
+    header.writeUInt32LE(dataLength, 24 + fmt.length);
+
+    return header;
+}
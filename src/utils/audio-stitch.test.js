@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AudioStitcher, stitchAudio } from './audio-stitch.js';
+
+// MPEG 1 Layer III, 128 kbps, 44.1 kHz: 417 byte frames
+const MP3_FRAME_HEADER = [0xFF, 0xFB, 0x90, 0x64];
+const MP3_FRAME_LENGTH = 417;
+
+function mp3Frame(fill, marker = null) {
+    const frame = Buffer.alloc(MP3_FRAME_LENGTH, fill);
+    Buffer.from(MP3_FRAME_HEADER).copy(frame);
+    if (marker) frame.write(marker, 36, 'latin1');
+    return frame;
+}
+
+/**
+ * One MP3 file: ID3v2 tag, Xing header frame, audio frame, ID3v1 tag
+ */
+function mp3File(fill) {
+    const id3 = Buffer.from([0x49, 0x44, 0x33, 4, 0, 0, 0, 0, 0, 2, 0xAA, 0xAA]);
+    const id3v1 = Buffer.alloc(128, 0x20);
+    id3v1.write('TAG', 0, 'latin1');
+
+    return Buffer.concat([id3, mp3Frame(0x00, 'Xing'), mp3Frame(fill), id3v1]);
+}
+
+function wavFile(samples, { sampleRate = 16000 } = {}) {
+    const fmt = Buffer.alloc(16);
+    fmt.writeUInt16LE(1, 0);
+    fmt.writeUInt16LE(1, 2);
+    fmt.writeUInt32LE(sampleRate, 4);
+    fmt.writeUInt32LE(sampleRate * 2, 8);
+    fmt.writeUInt16LE(2, 12);
+    fmt.writeUInt16LE(16, 14);
+
+    const data = Buffer.from(samples);
+    const header = Buffer.alloc(12);
+    header.write('RIFF', 0, 'latin1');
+    header.writeUInt32LE(4 + 24 + 8 + data.length, 4);
+    header.write('WAVE', 8, 'latin1');
+
+    const chunk = (id, body) => {
+        const head = Buffer.alloc(8);
+        head.write(id, 0, 'latin1');
+        head.writeUInt32LE(body.length, 4);
+        return Buffer.concat([head, body]);
+    };
+
+    return Buffer.concat([header, chunk('fmt ', fmt), chunk('data', data)]);
+}
+
+test('stitchAudio keeps the first ID3 tag and drops per-file Xing frames and ID3v1 tags', () => {
+    const first = mp3File(0x11);
+    const stitched = stitchAudio([first, mp3File(0x22)], 'mp3');
+
+    assert.deepEqual(stitched, Buffer.concat([first.subarray(0, 12), mp3Frame(0x11), mp3Frame(0x22)]));
+});
+
+test('stitchAudio merges WAV pieces under one RIFF header with the combined length', () => {
+    const stitched = stitchAudio([wavFile([1, 2, 3, 4]), wavFile([5, 6])], 'wav');
+
+    assert.deepEqual(stitched, wavFile([1, 2, 3, 4, 5, 6]));
+});
+
+test('stitchAudio refuses WAV pieces with different sample formats', () => {
+    assert.throws(
+        () => stitchAudio([wavFile([1, 2]), wavFile([3, 4], { sampleRate: 24000 })], 'wav'),
+        /different sample formats/
+    );
+});
+
+test('AudioStitcher streams a WAV with an open-ended header, then bare samples', () => {
+    const stitcher = new AudioStitcher('wav');
+    const head = stitcher.append(wavFile([1, 2]));
+    const tail = stitcher.append(wavFile([3, 4]));
+
+    assert.equal(head.readUInt32LE(4), 0xFFFFFFFF);
+    assert.equal(head.readUInt32LE(40), 0xFFFFFFFF);
+    assert.deepEqual(head.subarray(44), Buffer.from([1, 2]));
+    assert.deepEqual(tail, Buffer.from([3, 4]));
+});
+
+test('AudioStitcher passes raw formats through and rejects formats it cannot join', () => {
+    assert.deepEqual(stitchAudio([Buffer.from([1]), Buffer.from([2])], 'pcm'), Buffer.from([1, 2]));
+    assert.throws(() => new AudioStitcher('flac'), /Cannot join flac audio/);
+});
@@ -0,0 +1,134 @@
+/**
+ * AWS Signature Version 4 request signing
+ * Signs HTTP requests for AWS-hosted voice providers without pulling in the AWS SDK
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Sign a request with AWS SigV4
+ * @param {Object} request - Request to sign
+ * @param {string} request.method - HTTP method
+ * @param {string} request.url - Fully qualified request URL
+ * @param {string} request.service - AWS service name (e.g., 'polly')
+ * @param {string} request.region - AWS region (e.g., 'us-east-1')
+ * @param {Object} request.credentials - { accessKeyId, secretAccessKey, sessionToken }
+ * @param {Object} request.headers - Headers to include in the signature
+ * @param {string} request.body - Request payload
+ * @param {Date} request.date - Signing time (defaults to now)
+ * @returns {Object} Headers to send, including Authorization and X-Amz-Date
+ */
+export function signAwsRequest({
+    method = 'GET',
+    url,
+    service,
+    region,
+    credentials,
+    headers = {},
+    body = '',
+    date = new Date()
+}) {
+    const { accessKeyId, secretAccessKey, sessionToken } = credentials || {};
+
+    if (!accessKeyId || !secretAccessKey) {
+        throw new Error('AWS credentials require an access key id and a secret access key');
+    }
+
+    const parsedUrl = new URL(url);
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const payloadHash = sha256Hex(body);
+
+    const signedHeaderValues = {
+        ...lowercaseKeys(headers),
+        'host': parsedUrl.host,
+        'x-amz-date': amzDate
+    };
+
+    if (sessionToken) {
+        signedHeaderValues['x-amz-security-token'] = sessionToken;
+    }
+
+    const headerNames = Object.keys(signedHeaderValues).sort();
+    const canonicalHeaders = headerNames
+        .map(name => `${name}:${String(signedHeaderValues[name]).trim().replace(/\s+/g, ' ')}\n`)
+        .join('');
+    const signedHeaders = headerNames.join(';');
+
+    const canonicalRequest = [
+        method.toUpperCase(),
+        canonicalPath(parsedUrl.pathname),
+        canonicalQuery(parsedUrl.searchParams),
+        canonicalHeaders,
+        signedHeaders,
+        payloadHash
+    ].join('\n');
+
+    const credentialScope = `${dateStamp}/${region}/${service}/aws4_request`;
+    const stringToSign = [
+        'AWS4-HMAC-SHA256',
+        amzDate,
+        credentialScope,
+        sha256Hex(canonicalRequest)
+    ].join('\n');
+
+    const signingKey = deriveSigningKey(secretAccessKey, dateStamp, region, service);
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign, 'utf8').digest('hex');
+
+    // fetch() sets Host itself, so it is signed but not returned
+    const { host, ...outgoingHeaders } = signedHeaderValues;
+
+    return {
+        ...outgoingHeaders,
+        'authorization': `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${credentialScope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+    };
+}
+
+/**
+ * Derive the SigV4 signing key for a date/region/service scope
+ */
+function deriveSigningKey(secretAccessKey, dateStamp, region, service) {
+    const kDate = hmac(`AWS4${secretAccessKey}`, dateStamp);
+    const kRegion = hmac(kDate, region);
+    const kService = hmac(kRegion, service);
+    return hmac(kService, 'aws4_request');
+}
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data, 'utf8').digest();
+}
+
+function sha256Hex(data) {
+    return crypto.createHash('sha256').update(data || '').digest('hex');
+}
+
+function lowercaseKeys(headers) {
+    return Object.fromEntries(
+        Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])
+    );
+}
+
+/**
+ * RFC 3986 encoding as required by SigV4
+ */
+function uriEncode(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function canonicalPath(pathname) {
+    if (!pathname) return '/';
+    return pathname
+        .split('/')
+        .map(segment => uriEncode(decodeURIComponent(segment)))
+        .join('/');
+}
+
+function canonicalQuery(searchParams) {
+    return Array.from(searchParams.entries())
+        .map(([key, value]) => [uriEncode(key), uriEncode(value)])
+        .sort(([a, av], [b, bv]) => (a === b ? (av < bv ? -1 : 1) : (a < b ? -1 : 1)))
+        .map(([key, value]) => `${key}=${value}`)
+        .join('&');
+}
+
+export default signAwsRequest;
@@ -0,0 +1,266 @@
+/**
+ * Circuit Breakers
+ * One breaker per provider and scope (by default the credential, so one user's revoked key
+ * cannot lock everyone else out of a provider). A breaker opens when the failure rate over a
+ * sliding time window crosses its threshold, stays open for a cool-down, then half-opens and
+ * admits a few probe requests: if they succeed it closes, if one fails it opens again.
+ *
+ * CLOSED ──failure rate ≥ threshold──▶ OPEN ──openDuration elapsed──▶ HALF_OPEN
+ *   ▲                                   ▲                                 │
+ *   └────────probes succeed─────────────┼──────────probe fails────────────┘
+ */
+
+import crypto from 'crypto';
+
+// Request attributes a breaker can be scoped by, besides the provider
+export const BREAKER_SCOPES = ['credential', 'region', 'model'];
+
+export const DEFAULT_CIRCUIT_BREAKER_OPTIONS = {
+    window: 60000,              // Failure rate is measured over the last this many ms
+    buckets: 10,                // Window resolution: outcomes are counted per window / buckets
+    minimumRequests: 5,         // Calls in the window before the failure rate can open the breaker
+    failureRateThreshold: 0.5,  // Open at or above this share of failed calls
+    openDuration: 30000,        // Reject calls for this long before probing
+    halfOpenProbes: 1,          // Probes admitted at once while half-open; this many successes close the breaker
+    scope: ['credential']       // Attributes breakers are keyed by (see BREAKER_SCOPES)
+};
+
+/**
+ * Short stable identifier for an API key; the key itself is never stored or shown
+ */
+export function credentialFingerprint(apiKey) {
+    return crypto.createHash('sha256').update(String(apiKey ?? '')).digest('hex').slice(0, 16);
+}
+
+/**
+ * Breaker scope for a request, limited to the configured attributes
+ * @param {Object} request - { credential, region, model } where credential is the API key
+ * @param {string[]} dimensions - Attributes to keep (options.scope)
+ * @returns {Object} Scope with the credential replaced by its fingerprint
+ */
+export function breakerScope(request = {}, dimensions = DEFAULT_CIRCUIT_BREAKER_OPTIONS.scope) {
+    const scope = {};
+
+    for (const dimension of dimensions) {
+        const value = request[dimension];
+        if (value) {
+            scope[dimension] = dimension === 'credential' ? credentialFingerprint(value) : String(value);
+        }
+    }
+
+    return scope;
+}
+
+/**
+ * Map key for a provider's breaker in a scope, e.g. 'elevenlabs|credential=3f2a…|region=eu'
+ */
+export function breakerKey(provider, scope = {}) {
+    return [provider, ...BREAKER_SCOPES.filter(dimension => scope[dimension]).map(dimension => `${dimension}=${scope[dimension]}`)].join('|');
+}
+
+export class CircuitBreaker {
+    /**
+     * @param {string} provider - Provider id
+     * @param {Object} scope - From breakerScope()
+     * @param {Object} options - As DEFAULT_CIRCUIT_BREAKER_OPTIONS
+     * @param {Function} onTransition - (event) => void, called on every state change
+     */
+    constructor(provider, scope = {}, options = DEFAULT_CIRCUIT_BREAKER_OPTIONS, onTransition = () => {}) {
+        this.provider = provider;
+        this.scope = scope;
+        this.options = options;
+        this.onTransition = onTransition;
+
+        this.state = 'CLOSED'; // CLOSED, OPEN, HALF_OPEN
+        this.buckets = [];     // { start, successes, failures }, oldest first
+        this.probes = [];      // Start times of probes in flight
+        this.probeSuccesses = 0;
+        this.lastFailureTime = null;
+        this.nextAttemptTime = null;
+        this.lastActivity = Date.now();
+    }
+
+    /**
+     * Whether a call would be admitted now; does not take a probe slot
+     */
+    isAvailable() {
+        this.refresh();
+
+        switch (this.state) {
+            case 'OPEN':
+                return false;
+            case 'HALF_OPEN':
+                return this.activeProbes().length < this.options.halfOpenProbes;
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Admit a call, taking a probe slot when half-open
+     * @returns {boolean} False when the call must not be made
+     */
+    tryAcquire() {
+        if (!this.isAvailable()) {
+            return false;
+        }
+
+        if (this.state === 'HALF_OPEN') {
+            this.probes.push(Date.now());
+        }
+        this.lastActivity = Date.now();
+        return true;
+    }
+
+    recordSuccess() {
+        this.lastActivity = Date.now();
+
+        if (this.state === 'HALF_OPEN') {
+            this.probes.shift();
+            if (++this.probeSuccesses >= this.options.halfOpenProbes) {
+                this.transition('CLOSED', 'probes succeeded');
+            }
+            return;
+        }
+
+        this.currentBucket().successes++;
+    }
+
+    recordFailure() {
+        const now = Date.now();
+        this.lastActivity = now;
+        this.lastFailureTime = now;
+
+        if (this.state === 'HALF_OPEN') {
+            this.probes.shift();
+            this.transition('OPEN', 'probe failed');
+            return;
+        }
+
+        if (this.state === 'OPEN') {
+            return;
+        }
+
+        this.currentBucket().failures++;
+
+        const { requests, failureRate } = this.getWindow();
+        if (requests >= this.options.minimumRequests && failureRate >= this.options.failureRateThreshold) {
+            this.transition('OPEN', `failure rate ${Math.round(failureRate * 100)}% over ${requests} calls`);
+        }
+    }
+
+    /**
+     * End a call whose outcome says nothing about the provider's health
+     * (an aborted hedge, or an error caused by the request itself), freeing its probe slot
+     */
+    release() {
+        if (this.state === 'HALF_OPEN') {
+            this.probes.shift();
+        }
+    }
+
+    reset(reason = 'manual reset') {
+        this.transition('CLOSED', reason);
+    }
+
+    /**
+     * Calls and failures in the sliding window
+     */
+    getWindow() {
+        this.pruneBuckets();
+
+        const successes = this.buckets.reduce((sum, bucket) => sum + bucket.successes, 0);
+        const failures = this.buckets.reduce((sum, bucket) => sum + bucket.failures, 0);
+        const requests = successes + failures;
+
+        return { requests, failures, failureRate: requests ? failures / requests : 0 };
+    }
+
+    /**
+     * Whether the breaker holds no state worth keeping
+     */
+    isIdle() {
+        return this.state === 'CLOSED' && this.getWindow().requests === 0;
+    }
+
+    toJSON() {
+        const { requests, failures, failureRate } = this.getWindow();
+
+        return {
+            provider: this.provider,
+            scope: this.scope,
+            state: this.state,
+            failures,
+            requests,
+            failureRate,
+            probesInFlight: this.state === 'HALF_OPEN' ? this.activeProbes().length : 0,
+            lastFailureTime: this.lastFailureTime,
+            nextAttemptTime: this.nextAttemptTime
+        };
+    }
+
+    /**
+     * Move an open breaker to half-open once its cool-down has passed
+     */
+    refresh() {
+        if (this.state === 'OPEN' && Date.now() >= this.nextAttemptTime) {
+            this.transition('HALF_OPEN', 'cool-down elapsed');
+        }
+    }
+
+    /**
+     * Probes still in flight; a probe that never reported back stops holding its slot after openDuration
+     */
+    activeProbes() {
+        const cutoff = Date.now() - this.options.openDuration;
+        this.probes = this.probes.filter(start => start > cutoff);
+        return this.probes;
+    }
+
+    transition(state, reason) {
+        const from = this.state;
+        const { requests, failureRate } = this.getWindow();
+
+        this.state = state;
+        this.probes = [];
+        this.probeSuccesses = 0;
+        this.nextAttemptTime = state === 'OPEN' ? Date.now() + this.options.openDuration : null;
+        if (state === 'CLOSED') {
+            this.buckets = [];
+        }
+
+        if (from !== state) {
+            this.onTransition({
+                provider: this.provider,
+                scope: this.scope,
+                from,
+                to: state,
+                reason,
+                requests,
+                failureRate,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    currentBucket() {
+        const width = this.options.window / this.options.buckets;
+        const start = Math.floor(Date.now() / width) * width;
+        const last = this.buckets[this.buckets.length - 1];
+
+        if (last?.start === start) {
+            return last;
+        }
+
+        const bucket = { start, successes: 0, failures: 0 };
+        this.buckets.push(bucket);
+        this.pruneBuckets();
+        return bucket;
+    }
+
+    pruneBuckets() {
+        const cutoff = Date.now() - this.options.window;
+        const width = this.options.window / this.options.buckets;
+        this.buckets = this.buckets.filter(bucket => bucket.start + width > cutoff);
+    }
+}
@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CircuitBreaker, DEFAULT_CIRCUIT_BREAKER_OPTIONS, breakerScope, breakerKey, credentialFingerprint } from './circuit-breaker.js';
+
+const OPTIONS = {
+    ...DEFAULT_CIRCUIT_BREAKER_OPTIONS,
+    window: 10000,
+    buckets: 10,
+    minimumRequests: 4,
+    failureRateThreshold: 0.5,
+    openDuration: 5000,
+    halfOpenProbes: 2
+};
+
+/**
+ * Breaker on a clock the test moves by hand; transitions are collected as "from>to"
+ */
+function createBreaker(t, options = OPTIONS) {
+    const clock = { now: 1_000_000 };
+    t.mock.method(Date, 'now', () => clock.now);
+
+    const transitions = [];
+    const breaker = new CircuitBreaker('elevenlabs', {}, options, event => transitions.push(`${event.from}>${event.to}`));
+
+    return { breaker, clock, transitions };
+}
+
+test('CircuitBreaker stays closed until minimumRequests calls are in the window', (t) => {
+    const { breaker } = createBreaker(t);
+
+    breaker.recordFailure();
+    breaker.recordFailure();
+    breaker.recordFailure();
+    assert.equal(breaker.state, 'CLOSED');
+
+    breaker.recordFailure();
+    assert.equal(breaker.state, 'OPEN');
+    assert.equal(breaker.isAvailable(), false);
+});
+
+test('CircuitBreaker opens on the failure rate, not a run of failures', (t) => {
+    const { breaker } = createBreaker(t);
+
+    // 2 of 5 failed: 40% stays under the 50% threshold
+    [true, true, false, true, false].forEach(ok => ok ? breaker.recordSuccess() : breaker.recordFailure());
+    assert.equal(breaker.state, 'CLOSED');
+
+    // 3 of 6: 50% opens it
+    breaker.recordFailure();
+    assert.equal(breaker.state, 'OPEN');
+});
+
+test('CircuitBreaker forgets calls that slide out of the window', (t) => {
+    const { breaker, clock } = createBreaker(t);
+
+    breaker.recordFailure();
+    breaker.recordFailure();
+    breaker.recordFailure();
+    clock.now += 11000;
+
+    assert.deepEqual(breaker.getWindow(), { requests: 0, failures: 0, failureRate: 0 });
+    breaker.recordFailure();
+    assert.equal(breaker.state, 'CLOSED');
+    assert.equal(breaker.isIdle(), false);
+});
+
+test('CircuitBreaker half-opens after the cool-down and closes once its probes succeed', (t) => {
+    const { breaker, clock, transitions } = createBreaker(t);
+    [1, 2, 3, 4].forEach(() => breaker.recordFailure());
+
+    clock.now += 4999;
+    assert.equal(breaker.tryAcquire(), false);
+
+    clock.now += 1;
+    assert.equal(breaker.tryAcquire(), true);
+    assert.equal(breaker.tryAcquire(), true);
+    assert.equal(breaker.tryAcquire(), false, 'only halfOpenProbes calls are admitted at once');
+    assert.equal(breaker.state, 'HALF_OPEN');
+
+    breaker.recordSuccess();
+    assert.equal(breaker.state, 'HALF_OPEN');
+    breaker.recordSuccess();
+    assert.equal(breaker.state, 'CLOSED');
+    assert.deepEqual(transitions, ['CLOSED>OPEN', 'OPEN>HALF_OPEN', 'HALF_OPEN>CLOSED']);
+    assert.deepEqual(breaker.getWindow(), { requests: 0, failures: 0, failureRate: 0 });
+});
+
+test('CircuitBreaker reopens when a probe fails, and release() frees a probe slot', (t) => {
+    const { breaker, clock, transitions } = createBreaker(t);
+    [1, 2, 3, 4].forEach(() => breaker.recordFailure());
+    clock.now += 5000;
+
+    breaker.tryAcquire();
+    breaker.tryAcquire();
+    breaker.release();
+    assert.equal(breaker.isAvailable(), true);
+
+    breaker.recordFailure();
+    assert.equal(breaker.state, 'OPEN');
+    assert.equal(breaker.nextAttemptTime, clock.now + 5000);
+    assert.deepEqual(transitions, ['CLOSED>OPEN', 'OPEN>HALF_OPEN', 'HALF_OPEN>OPEN']);
+});
+
+test('CircuitBreaker drops a probe that never reported back after openDuration', (t) => {
+    const { breaker, clock } = createBreaker(t, { ...OPTIONS, halfOpenProbes: 1 });
+    [1, 2, 3, 4].forEach(() => breaker.recordFailure());
+    clock.now += 5000;
+
+    assert.equal(breaker.tryAcquire(), true);
+    assert.equal(breaker.isAvailable(), false);
+
+    clock.now += 5001;
+    assert.equal(breaker.isAvailable(), true);
+});
+
+test('breakerScope keeps only the configured attributes and never the raw key', () => {
+    const scope = breakerScope({ credential: 'sk-secret', region: 'eu', model: 'tts-1' }, ['credential', 'region']);
+
+    assert.deepEqual(scope, { credential: credentialFingerprint('sk-secret'), region: 'eu' });
+    assert.equal(scope.credential.length, 16);
+    assert.notEqual(credentialFingerprint('sk-secret'), credentialFingerprint('sk-other'));
+    assert.equal(breakerKey('elevenlabs', scope), `elevenlabs|credential=${scope.credential}|region=eu`);
+    assert.equal(breakerKey('elevenlabs'), 'elevenlabs');
+});
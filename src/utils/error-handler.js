@@ -3,16 +3,56 @@
  * Provides comprehensive error handling, retry logic, and fallback mechanisms
  */
 
+import { VOICE_PROVIDERS } from '../config/voice-providers-config.js';
+import { DEFAULT_RETRY_POLICY, resolveRetryPolicy, planRetry, backoffDelay } from './retry-policy.js';
+import { CircuitBreaker, DEFAULT_CIRCUIT_BREAKER_OPTIONS, breakerScope, breakerKey } from './circuit-breaker.js';
+
+// Scoped breakers kept before idle ones are dropped, and breaker transitions kept for health reports
+const MAX_CIRCUIT_BREAKERS = 1000;
+const MAX_BREAKER_EVENTS = 100;
+
+// Error types that reflect the request or the caller's credentials rather than the provider's health
+// (RATE_LIMITED is the router's own rate limiter turning a request away before it reaches the provider;
+// CANCELLED and DEADLINE_EXCEEDED are the client leaving or its deadline passing)
+const CALLER_ERROR_TYPES = ['INVALID_REQUEST', 'AUTHENTICATION_ERROR', 'AUTHORIZATION_ERROR', 'NOT_FOUND', 'QUOTA_EXCEEDED', 'PAYLOAD_TOO_LARGE', 'RATE_LIMITED', 'CANCELLED', 'DEADLINE_EXCEEDED'];
+
+// Socket and DNS failures reported by Node (error.code, or error.cause.code for fetch)
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT', 'EPIPE', 'EHOSTUNREACH', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'];
+
+// Provider error codes that mean the account is out of credit rather than briefly throttled
+const QUOTA_ERROR_CODES = ['insufficient_quota', 'quota_exceeded', 'billing_hard_limit_reached', 'payment_required'];
+// Throttling some providers report without a 429 (Amazon Polly answers 400 ThrottlingException)
+const RATE_LIMIT_ERROR_CODES = ['throttlingexception', 'throttling', 'toomanyrequestsexception'];
+
 export class VoiceErrorHandler {
     constructor(options = {}) {
+        this.providers = options.providers || Object.keys(VOICE_PROVIDERS);
         this.maxRetries = options.maxRetries || 3;
         this.retryDelay = options.retryDelay || 1000;
         this.fallbackProviders = options.fallbackProviders || [];
         this.circuitBreakerThreshold = options.circuitBreakerThreshold || 5;
         this.circuitBreakerTimeout = options.circuitBreakerTimeout || 30000;
+
+        // Retry policy for every provider, and per-provider overrides keyed by provider id or "*"
+        this.retryPolicy = {
+            ...DEFAULT_RETRY_POLICY,
+            maxAttempts: this.maxRetries + 1,
+            baseDelay: this.retryDelay,
+            ...options.retryPolicy
+        };
+        this.retryPolicies = options.retryPolicies || {};
+
+        this.circuitBreakerOptions = {
+            ...DEFAULT_CIRCUIT_BREAKER_OPTIONS,
+            minimumRequests: this.circuitBreakerThreshold,
+            openDuration: this.circuitBreakerTimeout,
+            ...options.circuitBreaker
+        };
         
-        // Circuit breaker state per provider
+        // Circuit breakers keyed by provider and scope (see breakerKey), recent transitions and their listeners
         this.circuitBreakers = new Map();
+        this.breakerEvents = [];
+        this.breakerListeners = [];
         
         // Error statistics
         this.errorStats = new Map();
@@ -21,112 +61,154 @@ export class VoiceErrorHandler {
     }
 
     initializeCircuitBreakers() {
-        // Initialize circuit breaker for each provider
-        const providers = [
-            'openai-realtime', 'deepgram', 'assemblyai', 'whisper',
-            'elevenlabs', 'playht', 'google-stt', 'google-tts',
-            'azure-stt', 'azure-tts', 'amazon-polly', 'murf',
-            'elevenlabs-conversational', 'ibm-watson'
-        ];
-
-        providers.forEach(provider => {
-            this.circuitBreakers.set(provider, {
-                state: 'CLOSED', // CLOSED, OPEN, HALF_OPEN
-                failures: 0,
-                lastFailureTime: null,
-                nextAttemptTime: null
-            });
+        // Initialize circuit breaker for each provider in the catalog
+        this.providers.forEach(provider => this.registerProvider(provider));
+    }
 
-            this.errorStats.set(provider, {
-                totalRequests: 0,
-                totalErrors: 0,
-                errorRate: 0,
-                lastError: null,
-                errorTypes: {},
-                avgResponseTime: 0
-            });
+    /**
+     * Set up circuit breaker and error stats for a provider (no-op if already tracked)
+     */
+    registerProvider(provider) {
+        if (this.errorStats.has(provider)) {
+            return;
+        }
+
+        // The unscoped breaker, used by requests without a credential (local providers, server keys)
+        this.getCircuitBreaker(provider);
+
+        this.errorStats.set(provider, {
+            totalRequests: 0,
+            totalErrors: 0,
+            errorRate: 0,
+            lastError: null,
+            errorTypes: {},
+            errorStatuses: {}, // HTTP status -> count
+            errorCodes: {},    // Provider error code -> count
+            retries: {
+                total: 0,
+                waited: 0,            // ms spent waiting before retries
+                retryAfterHonored: 0, // Retries timed by the provider's Retry-After
+                stopped: {}           // Why failed attempts were not retried -> count
+            },
+            cancelled: 0, // Attempts stopped because the request was cancelled or ran out of time
+            avgResponseTime: 0
         });
     }
 
     /**
      * Execute request with error handling and fallback
-     * @param {Function} operation - The operation to execute
+     * Each provider in the chain is tried as its retry policy allows: failures the policy does not
+     * retry, a Retry-After beyond its limit or a spent retry budget move on to the next provider.
+     * When the request's signal aborts, the attempt in flight is aborted and nothing else is tried.
+     * @param {Function} operation - The operation to execute; called with the provider being attempted
+     *   and an AbortSignal that fires when the attempt times out or the request is aborted
      * @param {Object} config - Configuration for error handling
+     * @param {string} config.provider - Primary provider
+     * @param {string[]} config.fallbackProviders - Providers to try after it, in order
+     * @param {number} config.retries - Retries per provider, unless a retry policy sets maxAttempts
+     * @param {Object} config.retryPolicies - Request's retry policies, keyed by provider id or "*"
+     * @param {number} config.timeout - Timeout per attempt in ms
+     * @param {Function} config.getScope - (provider) => { credential, region, model } selecting the circuit breaker
+     * @param {AbortSignal} config.signal - Request's signal (client disconnect or deadline)
+     * @param {number} config.deadline - Request's deadline (epoch ms); retries that would wait past it are not made
      * @returns {Promise} Result or throws error
      */
     async executeWithFallback(operation, config = {}) {
         const {
             provider,
             fallbackProviders = [],
-            retries = this.maxRetries,
-            timeout = 30000
+            retries,
+            retryPolicies = {},
+            timeout = 30000,
+            getScope = () => ({}),
+            signal = null,
+            deadline = null
         } = config;
 
         const startTime = Date.now();
+        const budget = this.getRetryPolicy(provider, retryPolicies, retries).budget;
         let lastError = null;
-        let attempt = 0;
-
-        // Check circuit breaker
-        if (!this.isProviderAvailable(provider)) {
-            throw new VoiceError(
-                `Provider ${provider} is currently unavailable (circuit breaker open)`,
-                'PROVIDER_UNAVAILABLE',
-                { provider, circuitBreaker: true }
-            );
-        }
+        let attempts = 0;
+        let waited = 0;
 
-        // Primary provider attempts
-        for (attempt = 0; attempt <= retries; attempt++) {
-            try {
-                this.recordRequest(provider);
-                
-                const result = await this.executeWithTimeout(operation, timeout);
-                
-                // Success - reset circuit breaker
-                this.recordSuccess(provider, Date.now() - startTime);
-                return result;
+        for (const current of [provider, ...fallbackProviders]) {
+            const scope = getScope(current);
 
-            } catch (error) {
-                lastError = this.createVoiceError(error, provider, attempt);
-                this.recordError(provider, lastError, Date.now() - startTime);
+            // Check circuit breaker
+            if (!this.isProviderAvailable(current, scope)) {
+                continue;
+            }
+            if (current !== provider) {
+                console.log(`🔄 Falling back to provider: ${current}`);
+            }
 
-                // Check if we should trigger circuit breaker
-                this.updateCircuitBreaker(provider, lastError);
+            const policy = this.getRetryPolicy(current, retryPolicies, retries);
 
-                // If this is not the last attempt, wait before retry
-                if (attempt < retries) {
-                    await this.delay(this.calculateRetryDelay(attempt));
+            for (let attempt = 1; ; attempt++) {
+                if (signal?.aborted) {
+                    throw this.createVoiceError(signal.reason, current, attempt - 1);
                 }
 
-                // If provider is now unavailable, break out of retry loop
-                if (!this.isProviderAvailable(provider)) {
+                // A half-open breaker admits only a few probes at a time
+                if (!this.acquireCircuitBreaker(current, scope)) {
                     break;
                 }
+                attempts++;
+
+                try {
+                    this.recordRequest(current);
+
+                    const result = await this.executeWithTimeout(attemptSignal => operation(current, attemptSignal), timeout, signal);
+
+                    // Success - reset circuit breaker
+                    this.recordSuccess(current, Date.now() - startTime, scope);
+                    return result;
+
+                } catch (error) {
+                    // The attempt was stopped on the request's behalf; the provider is not to blame
+                    if (signal?.aborted) {
+                        this.recordCancellation(current);
+                        this.releaseCircuitBreaker(current, scope);
+                        throw this.createVoiceError(signal.reason, current, attempt - 1);
+                    }
+
+                    lastError = this.createVoiceError(error, current, attempt - 1);
+                    this.recordError(current, lastError, Date.now() - startTime);
+
+                    // Check if we should trigger circuit breaker
+                    this.updateCircuitBreaker(current, lastError, scope);
+
+                    const remaining = deadline ? Math.min(budget - waited, deadline - Date.now()) : budget - waited;
+                    const plan = planRetry(policy, { error: lastError, attempt, budget: remaining });
+                    if (!plan.retry || !this.isProviderAvailable(current, scope)) {
+                        this.recordRetryStop(current, plan.reason || 'CIRCUIT_OPEN');
+                        if (current !== provider) {
+                            console.log(`❌ Fallback provider ${current} also failed:`, lastError.message);
+                        }
+                        break;
+                    }
+
+                    this.recordRetry(current, plan);
+                    waited += plan.delay;
+                    await this.delay(plan.delay, signal).catch(reason => {
+                        throw this.createVoiceError(reason, current, attempt);
+                    });
+
+                    // If provider is now unavailable, move on to the next one
+                    if (!this.isProviderAvailable(current, scope)) {
+                        break;
+                    }
+                }
             }
         }
 
-        // Try fallback providers
-        for (const fallbackProvider of fallbackProviders) {
-            if (!this.isProviderAvailable(fallbackProvider)) {
-                continue;
-            }
-
-            try {
-                console.log(`🔄 Falling back to provider: ${fallbackProvider}`);
-                
-                this.recordRequest(fallbackProvider);
-                const result = await this.executeWithTimeout(operation, timeout);
-                
-                this.recordSuccess(fallbackProvider, Date.now() - startTime);
-                return result;
-
-            } catch (error) {
-                const fallbackError = this.createVoiceError(error, fallbackProvider, 0);
-                this.recordError(fallbackProvider, fallbackError, Date.now() - startTime);
-                this.updateCircuitBreaker(fallbackProvider, fallbackError);
-                
-                console.log(`❌ Fallback provider ${fallbackProvider} also failed:`, error.message);
-            }
+        // Every breaker in the chain was open
+        if (!lastError) {
+            throw new VoiceError(
+                `Provider ${provider} is currently unavailable (circuit breaker open)`,
+                'PROVIDER_UNAVAILABLE',
+                { provider, fallbackProviders, circuitBreaker: true }
+            );
         }
 
         // All providers failed
@@ -136,98 +218,179 @@ export class VoiceErrorHandler {
             {
                 provider,
                 fallbackProviders,
-                attempts: attempt + 1,
+                attempts,
+                retryWait: waited,
                 lastError: lastError.toJSON()
             }
         );
     }
 
+    /**
+     * Effective retry policy for a provider: the router's defaults, the request's legacy
+     * `retries` count, the router's per-provider policies, then the request's own
+     * @param {string} provider - Provider id
+     * @param {Object} retryPolicies - Request's retry policies, keyed by provider id or "*"
+     * @param {number} retries - Request's retry count (maxAttempts - 1)
+     * @returns {Object} Complete retry policy
+     */
+    getRetryPolicy(provider, retryPolicies = {}, retries = undefined) {
+        const base = retries === undefined ? this.retryPolicy : { ...this.retryPolicy, maxAttempts: retries + 1 };
+        return resolveRetryPolicy(provider, retryPolicies, resolveRetryPolicy(provider, this.retryPolicies, base));
+    }
+
     /**
      * Execute operation with timeout
+     * The operation is given an AbortSignal that fires on the timeout or when `signal` aborts, so the
+     * provider work behind it stops instead of running on after its result is no longer wanted.
+     * @param {Function} operation - (signal) => Promise
+     * @param {number} timeout - ms before the operation is aborted with TIMEOUT
+     * @param {AbortSignal} signal - Request's signal; its abort reason rejects the operation
      */
-    async executeWithTimeout(operation, timeout) {
-        return new Promise((resolve, reject) => {
-            const timer = setTimeout(() => {
-                reject(new VoiceError('Operation timed out', 'TIMEOUT', { timeout }));
-            }, timeout);
-
-            Promise.resolve(operation())
-                .then(result => {
-                    clearTimeout(timer);
-                    resolve(result);
-                })
-                .catch(error => {
-                    clearTimeout(timer);
-                    reject(error);
-                });
-        });
+    async executeWithTimeout(operation, timeout, signal = null) {
+        if (signal?.aborted) {
+            throw signal.reason;
+        }
+
+        const controller = new AbortController();
+        const abort = () => controller.abort(signal.reason);
+        const timer = setTimeout(() => {
+            controller.abort(new VoiceError('Operation timed out', 'TIMEOUT', { timeout }));
+        }, timeout);
+        signal?.addEventListener('abort', abort, { once: true });
+
+        try {
+            return await new Promise((resolve, reject) => {
+                controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+                Promise.resolve().then(() => operation(controller.signal)).then(resolve, reject);
+            });
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', abort);
+        }
     }
 
     /**
-     * Check if provider is available (circuit breaker check)
+     * Circuit breaker for a provider in a scope, created on first use
+     * @param {string} provider - Provider id
+     * @param {Object} request - { credential, region, model }; only the configured scope dimensions are used
+     * @returns {CircuitBreaker}
      */
-    isProviderAvailable(provider) {
-        const breaker = this.circuitBreakers.get(provider);
-        if (!breaker) return true;
+    getCircuitBreaker(provider, request = {}) {
+        const scope = breakerScope(request, this.circuitBreakerOptions.scope);
+        const key = breakerKey(provider, scope);
+        let breaker = this.circuitBreakers.get(key);
+
+        if (!breaker) {
+            if (this.circuitBreakers.size >= MAX_CIRCUIT_BREAKERS) {
+                this.pruneCircuitBreakers();
+            }
 
-        switch (breaker.state) {
-            case 'CLOSED':
-                return true;
-            
-            case 'OPEN':
-                // Check if we should try half-open
-                if (Date.now() >= breaker.nextAttemptTime) {
-                    breaker.state = 'HALF_OPEN';
-                    return true;
-                }
-                return false;
-            
-            case 'HALF_OPEN':
-                return true;
-            
-            default:
-                return true;
+            breaker = new CircuitBreaker(provider, scope, this.circuitBreakerOptions, event => this.emitBreakerEvent(event));
+            this.circuitBreakers.set(key, breaker);
         }
+
+        return breaker;
+    }
+
+    /**
+     * Drop scoped breakers with nothing to remember (closed, no calls in the window)
+     */
+    pruneCircuitBreakers() {
+        for (const [key, breaker] of this.circuitBreakers) {
+            if (Object.keys(breaker.scope).length && breaker.isIdle()) {
+                this.circuitBreakers.delete(key);
+            }
+        }
+    }
+
+    /**
+     * All breakers for a provider, the unscoped one first
+     */
+    getCircuitBreakers(provider) {
+        return [...this.circuitBreakers.values()]
+            .filter(breaker => breaker.provider === provider)
+            .sort((a, b) => Object.keys(a.scope).length - Object.keys(b.scope).length);
+    }
+
+    /**
+     * Check if provider is available (circuit breaker check); does not take a half-open probe slot
+     * @param {string} provider - Provider id
+     * @param {Object} scope - { credential, region, model } of the request
+     */
+    isProviderAvailable(provider, scope = {}) {
+        return this.getCircuitBreaker(provider, scope).isAvailable();
+    }
+
+    /**
+     * Admit a call through the provider's breaker, taking a probe slot when it is half-open.
+     * The call must end in recordSuccess, updateCircuitBreaker or releaseCircuitBreaker.
+     * @returns {boolean} False when the breaker rejects the call
+     */
+    acquireCircuitBreaker(provider, scope = {}) {
+        return this.getCircuitBreaker(provider, scope).tryAcquire();
+    }
+
+    /**
+     * End an admitted call without an outcome (e.g. a hedge that lost the race)
+     */
+    releaseCircuitBreaker(provider, scope = {}) {
+        this.getCircuitBreaker(provider, scope).release();
     }
 
     /**
      * Update circuit breaker state based on error
      */
-    updateCircuitBreaker(provider, error) {
-        const breaker = this.circuitBreakers.get(provider);
-        if (!breaker) return;
+    updateCircuitBreaker(provider, error, scope = {}) {
+        const breaker = this.getCircuitBreaker(provider, scope);
 
-        breaker.failures++;
-        breaker.lastFailureTime = Date.now();
+        // A rejected key or malformed request says nothing about the provider's health
+        if (CALLER_ERROR_TYPES.includes(error?.type)) {
+            breaker.release();
+            return;
+        }
 
-        // Check if we should open the circuit
-        if (breaker.failures >= this.circuitBreakerThreshold && breaker.state === 'CLOSED') {
-            breaker.state = 'OPEN';
-            breaker.nextAttemptTime = Date.now() + this.circuitBreakerTimeout;
-            
-            console.log(`🚨 Circuit breaker OPENED for provider: ${provider} (${breaker.failures} failures)`);
-        } else if (breaker.state === 'HALF_OPEN') {
-            // Half-open failed, go back to open
-            breaker.state = 'OPEN';
-            breaker.nextAttemptTime = Date.now() + this.circuitBreakerTimeout;
-            
-            console.log(`🚨 Circuit breaker back to OPEN for provider: ${provider}`);
+        breaker.recordFailure();
+    }
+
+    /**
+     * Listen for circuit breaker state changes
+     * @param {Function} callback - (event) => void with { provider, scope, from, to, reason, requests, failureRate, timestamp }
+     */
+    onCircuitBreakerTransition(callback) {
+        this.breakerListeners.push(callback);
+    }
+
+    /**
+     * Most recent circuit breaker transitions, newest last
+     */
+    getCircuitBreakerEvents(provider = null) {
+        return provider ? this.breakerEvents.filter(event => event.provider === provider) : [...this.breakerEvents];
+    }
+
+    emitBreakerEvent(event) {
+        const scope = Object.entries(event.scope).map(([dimension, value]) => `${dimension}=${value}`).join(', ');
+        const icon = { OPEN: '🚨', HALF_OPEN: '🔍', CLOSED: '✅' }[event.to];
+        console.log(`${icon} Circuit breaker ${event.to} for provider: ${event.provider}${scope ? ` (${scope})` : ''}: ${event.reason}`);
+
+        this.breakerEvents.push(event);
+        if (this.breakerEvents.length > MAX_BREAKER_EVENTS) {
+            this.breakerEvents.shift();
         }
+
+        this.breakerListeners.forEach(callback => {
+            try {
+                callback(event);
+            } catch (error) {
+                console.error('Circuit breaker listener failed:', error);
+            }
+        });
     }
 
     /**
      * Record successful operation
      */
-    recordSuccess(provider, responseTime) {
-        const breaker = this.circuitBreakers.get(provider);
-        if (breaker) {
-            breaker.failures = 0;
-            
-            if (breaker.state === 'HALF_OPEN') {
-                breaker.state = 'CLOSED';
-                console.log(`✅ Circuit breaker CLOSED for provider: ${provider}`);
-            }
-        }
+    recordSuccess(provider, responseTime, scope = {}) {
+        this.getCircuitBreaker(provider, scope).recordSuccess();
 
         const stats = this.errorStats.get(provider);
         if (stats) {
@@ -247,6 +410,40 @@ export class VoiceErrorHandler {
         }
     }
 
+    /**
+     * Record an attempt stopped because its request was cancelled or passed its deadline
+     */
+    recordCancellation(provider) {
+        const stats = this.errorStats.get(provider);
+        if (stats) {
+            stats.cancelled++;
+        }
+    }
+
+    /**
+     * Record a retry and how long it waited
+     */
+    recordRetry(provider, { delay, retryAfter }) {
+        const stats = this.errorStats.get(provider);
+        if (stats) {
+            stats.retries.total++;
+            stats.retries.waited += Math.round(delay);
+            if (retryAfter) {
+                stats.retries.retryAfterHonored++;
+            }
+        }
+    }
+
+    /**
+     * Record why a failed attempt was not retried (e.g. NOT_RETRYABLE, BUDGET_EXHAUSTED)
+     */
+    recordRetryStop(provider, reason) {
+        const stats = this.errorStats.get(provider);
+        if (stats) {
+            stats.retries.stopped[reason] = (stats.retries.stopped[reason] || 0) + 1;
+        }
+    }
+
     /**
      * Record error
      */
@@ -257,6 +454,9 @@ export class VoiceErrorHandler {
             stats.lastError = {
                 message: error.message,
                 type: error.type,
+                status: error.status ?? null,
+                code: error.code ?? null,
+                requestId: error.requestId ?? null,
                 timestamp: new Date().toISOString()
             };
             stats.errorRate = stats.totalErrors / stats.totalRequests;
@@ -264,69 +464,76 @@ export class VoiceErrorHandler {
             // Track error types
             const errorType = error.type || 'UNKNOWN';
             stats.errorTypes[errorType] = (stats.errorTypes[errorType] || 0) + 1;
+
+            // And what the provider actually answered, when it answered
+            if (error.status) {
+                stats.errorStatuses[error.status] = (stats.errorStatuses[error.status] || 0) + 1;
+            }
+            if (error instanceof ProviderError && error.code) {
+                stats.errorCodes[error.code] = (stats.errorCodes[error.code] || 0) + 1;
+            }
         }
     }
 
     /**
      * Create standardized voice error
+     * Provider responses arrive as ProviderError, already classified from their HTTP status and
+     * error body; anything else is classified from the error's code and name, never its message.
      */
     createVoiceError(error, provider, attempt) {
         if (error instanceof VoiceError) {
             return error;
         }
 
+        const code = error?.code || error?.cause?.code;
         let type = 'UNKNOWN_ERROR';
-        let isRetryable = true;
 
-        // Categorize errors
-        if (error.message.includes('timeout') || error.message.includes('TIMEOUT')) {
+        if (error?.name === 'TimeoutError' || code === 'ETIMEDOUT') {
             type = 'TIMEOUT';
-        } else if (error.message.includes('401') || error.message.includes('unauthorized')) {
-            type = 'AUTHENTICATION_ERROR';
-            isRetryable = false;
-        } else if (error.message.includes('403') || error.message.includes('forbidden')) {
-            type = 'AUTHORIZATION_ERROR';
-            isRetryable = false;
-        } else if (error.message.includes('404') || error.message.includes('not found')) {
-            type = 'NOT_FOUND';
-            isRetryable = false;
-        } else if (error.message.includes('429') || error.message.includes('rate limit')) {
-            type = 'RATE_LIMIT_ERROR';
-        } else if (error.message.includes('500') || error.message.includes('502') || error.message.includes('503')) {
-            type = 'SERVER_ERROR';
-        } else if (error.message.includes('ENOTFOUND') || error.message.includes('ECONNREFUSED')) {
+        } else if (error?.name === 'AbortError') {
+            type = 'CANCELLED';
+        } else if (NETWORK_ERROR_CODES.includes(code) || (error?.name === 'TypeError' && error.cause)) {
+            // fetch() rejects with a TypeError whose cause is the socket error
             type = 'NETWORK_ERROR';
-        } else if (error.message.includes('JSON') || error.message.includes('parse')) {
+        } else if (error?.name === 'SyntaxError') {
             type = 'PARSE_ERROR';
         }
 
-        return new VoiceError(error.message, type, {
+        return new VoiceError(error?.message || String(error), type, {
             provider,
             attempt,
-            isRetryable,
-            originalError: error.name || 'Error'
+            code,
+            originalError: error?.name || 'Error'
         });
     }
 
     /**
-     * Calculate retry delay with exponential backoff
+     * Calculate retry delay with the default policy's backoff
      */
     calculateRetryDelay(attempt) {
-        const baseDelay = this.retryDelay;
-        const maxDelay = 30000; // 30 seconds max
-        
-        // Exponential backoff with jitter
-        const exponentialDelay = baseDelay * Math.pow(2, attempt);
-        const jitter = Math.random() * 1000;
-        
-        return Math.min(exponentialDelay + jitter, maxDelay);
+        return backoffDelay(this.retryPolicy, attempt + 1);
     }
 
     /**
-     * Delay utility
+     * Delay utility; rejects with the abort reason if `signal` aborts first
      */
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    delay(ms, signal = null) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(signal.reason);
+                return;
+            }
+
+            const abort = () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', abort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', abort, { once: true });
+        });
     }
 
     /**
@@ -337,7 +544,9 @@ export class VoiceErrorHandler {
             return {
                 provider,
                 stats: this.errorStats.get(provider),
-                circuitBreaker: this.circuitBreakers.get(provider)
+                circuitBreaker: this.getCircuitBreaker(provider).toJSON(),
+                circuitBreakers: this.getActiveCircuitBreakers(provider),
+                retryPolicy: this.getRetryPolicy(provider)
             };
         }
 
@@ -345,7 +554,9 @@ export class VoiceErrorHandler {
         for (const [provider, stats] of this.errorStats) {
             allStats[provider] = {
                 stats,
-                circuitBreaker: this.circuitBreakers.get(provider)
+                circuitBreaker: this.getCircuitBreaker(provider).toJSON(),
+                circuitBreakers: this.getActiveCircuitBreakers(provider),
+                retryPolicy: this.getRetryPolicy(provider)
             };
         }
 
@@ -353,16 +564,22 @@ export class VoiceErrorHandler {
     }
 
     /**
-     * Reset circuit breaker for a provider
+     * Snapshots of a provider's breakers that are not idle (the unscoped one always included)
+     */
+    getActiveCircuitBreakers(provider) {
+        return this.getCircuitBreakers(provider)
+            .filter(breaker => !Object.keys(breaker.scope).length || !breaker.isIdle())
+            .map(breaker => breaker.toJSON());
+    }
+
+    /**
+     * Reset every circuit breaker for a provider, across credentials and other scopes
      */
     resetCircuitBreaker(provider) {
-        const breaker = this.circuitBreakers.get(provider);
-        if (breaker) {
-            breaker.state = 'CLOSED';
-            breaker.failures = 0;
-            breaker.lastFailureTime = null;
-            breaker.nextAttemptTime = null;
-            
+        const breakers = this.getCircuitBreakers(provider);
+        breakers.forEach(breaker => breaker.reset());
+
+        if (breakers.length) {
             console.log(`🔄 Circuit breaker manually reset for provider: ${provider}`);
         }
     }
@@ -383,14 +600,18 @@ export class VoiceErrorHandler {
         let totalErrors = 0;
 
         for (const [provider, stats] of this.errorStats) {
-            const breaker = this.circuitBreakers.get(provider);
+            const breaker = this.getCircuitBreaker(provider).toJSON();
+            const breakers = this.getActiveCircuitBreakers(provider);
+            // Breakers that have seen calls; a provider is down when all of them are open
+            const tracked = breakers.filter(entry => entry.state !== 'CLOSED' || entry.requests > 0);
+            const open = tracked.filter(entry => entry.state === 'OPEN').length;
             
             let providerStatus = 'healthy';
-            if (breaker.state === 'OPEN') {
+            if (tracked.length && open === tracked.length) {
                 providerStatus = 'down';
-            } else if (breaker.state === 'HALF_OPEN') {
+            } else if (tracked.some(entry => entry.state === 'HALF_OPEN')) {
                 providerStatus = 'recovering';
-            } else if (stats.errorRate > 0.5) {
+            } else if (open > 0 || stats.errorRate > 0.5) {
                 providerStatus = 'degraded';
             }
 
@@ -399,6 +620,8 @@ export class VoiceErrorHandler {
                 errorRate: stats.errorRate,
                 circuitBreakerState: breaker.state,
                 failures: breaker.failures,
+                openCircuitBreakers: open,
+                circuitBreakers: breakers,
                 lastError: stats.lastError
             };
 
@@ -409,6 +632,7 @@ export class VoiceErrorHandler {
         health.totalRequests = totalRequests;
         health.totalErrors = totalErrors;
         health.globalErrorRate = totalRequests > 0 ? totalErrors / totalRequests : 0;
+        health.circuitBreakerEvents = this.getCircuitBreakerEvents();
 
         // Determine overall system status
         const downProviders = Object.values(health.providers).filter(p => p.status === 'down').length;
@@ -449,4 +673,85 @@ export class VoiceError extends Error {
     }
 }
 
+/**
+ * Error returned by a provider's API, with what the provider said about it
+ */
+export class ProviderError extends VoiceError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} details
+     * @param {string} details.provider - Provider id
+     * @param {number} details.status - HTTP status, if the provider answered over HTTP
+     * @param {string} details.code - Provider's own error code, e.g. 'rate_limit_exceeded' or 'INVALID_AUTH'
+     * @param {string} details.providerMessage - Provider's own error message
+     * @param {number} details.retryAfter - Milliseconds the provider asked us to wait (Retry-After)
+     * @param {string} details.requestId - Provider's request id, for support tickets
+     * @param {string} details.type - Classification; derived from status and code when omitted
+     */
+    constructor(message, { provider, status = null, code = null, providerMessage = null, retryAfter = null, requestId = null, type } = {}) {
+        const classification = type
+            ? { type, isRetryable: !CALLER_ERROR_TYPES.includes(type) }
+            : classifyProviderError(status, code);
+
+        super(message, classification.type, {
+            provider,
+            status,
+            code,
+            providerMessage,
+            retryAfter,
+            requestId,
+            isRetryable: classification.isRetryable
+        });
+
+        this.name = 'ProviderError';
+        this.provider = provider;
+        this.status = status;
+        this.code = code;
+        this.providerMessage = providerMessage;
+        this.retryAfter = retryAfter;
+        this.requestId = requestId;
+    }
+}
+
+/**
+ * Classify a provider error from its HTTP status and provider error code
+ * @param {number} status - HTTP status
+ * @param {string} code - Provider error code
+ * @returns {Object} { type, isRetryable }
+ */
+export function classifyProviderError(status, code) {
+    if (QUOTA_ERROR_CODES.includes(String(code).toLowerCase()) || status === 402) {
+        return { type: 'QUOTA_EXCEEDED', isRetryable: false };
+    }
+
+    if (RATE_LIMIT_ERROR_CODES.includes(String(code).toLowerCase())) {
+        return { type: 'RATE_LIMIT_ERROR', isRetryable: true };
+    }
+
+    switch (status) {
+        case 400:
+        case 409:
+        case 422:
+            return { type: 'INVALID_REQUEST', isRetryable: false };
+        case 401:
+            return { type: 'AUTHENTICATION_ERROR', isRetryable: false };
+        case 403:
+            return { type: 'AUTHORIZATION_ERROR', isRetryable: false };
+        case 404:
+            return { type: 'NOT_FOUND', isRetryable: false };
+        case 408:
+            return { type: 'TIMEOUT', isRetryable: true };
+        case 413:
+            return { type: 'PAYLOAD_TOO_LARGE', isRetryable: false };
+        case 429:
+            return { type: 'RATE_LIMIT_ERROR', isRetryable: true };
+    }
+
+    if (status >= 500) {
+        return { type: 'SERVER_ERROR', isRetryable: status !== 501 };
+    }
+
+    return { type: status ? 'INVALID_REQUEST' : 'UNKNOWN_ERROR', isRetryable: !status };
+}
+
 export default VoiceErrorHandler;
\ No newline at end of file
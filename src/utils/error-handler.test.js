@@ -0,0 +1,151 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { VoiceErrorHandler, VoiceError, ProviderError } from './error-handler.js';
+
+// The handler logs every fallback; keep the test output to the results
+mock.method(console, 'log', () => {});
+
+// Retries without waiting, so the tests run in real time
+const FAST_RETRIES = { '*': { baseDelay: 1, jitter: 0 } };
+
+function createHandler(options = {}) {
+    return new VoiceErrorHandler({ providers: ['openai-tts', 'elevenlabs'], ...options });
+}
+
+/**
+ * Operation that fails with the given errors in turn, then succeeds; records each provider tried
+ */
+function scripted(...failures) {
+    const calls = [];
+    const operation = async (provider) => {
+        calls.push(provider);
+        const failure = failures.shift();
+        if (failure) throw failure;
+        return `served by ${provider}`;
+    };
+    return { calls, operation };
+}
+
+const serverError = (provider = 'openai-tts') => new ProviderError('Unavailable', { provider, status: 503 });
+
+test('executeWithFallback retries retryable failures on the same provider', async () => {
+    const handler = createHandler();
+    const { calls, operation } = scripted(serverError(), serverError());
+
+    const result = await handler.executeWithFallback(operation, { provider: 'openai-tts', fallbackProviders: ['elevenlabs'], retryPolicies: FAST_RETRIES });
+
+    assert.equal(result, 'served by openai-tts');
+    assert.deepEqual(calls, ['openai-tts', 'openai-tts', 'openai-tts']);
+});
+
+test('executeWithFallback moves straight to the fallback on caller and unclassified errors', async () => {
+    for (const failure of [new ProviderError('Bad voice', { provider: 'openai-tts', status: 400 }), new Error('instance_id is undefined')]) {
+        const { calls, operation } = scripted(failure);
+
+        const result = await createHandler().executeWithFallback(operation, { provider: 'openai-tts', fallbackProviders: ['elevenlabs'], retryPolicies: FAST_RETRIES });
+
+        assert.equal(result, 'served by elevenlabs');
+        assert.deepEqual(calls, ['openai-tts', 'elevenlabs'], failure.message);
+    }
+});
+
+test('executeWithFallback reports every attempt once the chain is exhausted', async () => {
+    const { calls, operation } = scripted(serverError(), serverError(), serverError('elevenlabs'));
+
+    await assert.rejects(
+        createHandler().executeWithFallback(operation, {
+            provider: 'openai-tts',
+            fallbackProviders: ['elevenlabs'],
+            retryPolicies: { ...FAST_RETRIES, 'elevenlabs': { maxAttempts: 1 } },
+            retries: 1
+        }),
+        error => error.type === 'ALL_PROVIDERS_FAILED' && error.metadata.attempts === 3 && error.metadata.lastError.type === 'SERVER_ERROR'
+    );
+    assert.deepEqual(calls, ['openai-tts', 'openai-tts', 'elevenlabs']);
+});
+
+test('executeWithFallback stops retrying once the retry budget is spent', async () => {
+    const throttled = new ProviderError('Slow down', { provider: 'openai-tts', status: 429, retryAfter: 50 });
+    const { calls, operation } = scripted(throttled, throttled, throttled);
+
+    await assert.rejects(
+        createHandler().executeWithFallback(operation, { provider: 'openai-tts', retryPolicies: { '*': { budget: 120 } } }),
+        error => error.type === 'ALL_PROVIDERS_FAILED' && error.metadata.retryWait === 100
+    );
+    assert.equal(calls.length, 3);
+});
+
+test('executeWithFallback keeps a breaker per credential, so one bad key does not lock out others', async () => {
+    const handler = createHandler({ circuitBreaker: { minimumRequests: 2, failureRateThreshold: 0.5 } });
+    const run = (credential, operation) => handler.executeWithFallback(operation, {
+        provider: 'openai-tts',
+        retries: 0,
+        getScope: () => ({ credential })
+    });
+
+    await assert.rejects(run('sk-revoked', scripted(serverError()).operation));
+    await assert.rejects(run('sk-revoked', scripted(serverError()).operation));
+
+    await assert.rejects(run('sk-revoked', scripted().operation), error => error.type === 'PROVIDER_UNAVAILABLE');
+    assert.equal(await run('sk-healthy', scripted().operation), 'served by openai-tts');
+    assert.equal(handler.isProviderAvailable('openai-tts', { credential: 'sk-revoked' }), false);
+    assert.equal(handler.isProviderAvailable('openai-tts'), true);
+});
+
+test('executeWithFallback does not count caller errors against the breaker', async () => {
+    const handler = createHandler({ circuitBreaker: { minimumRequests: 2 } });
+    const rejected = () => new ProviderError('Invalid API key', { provider: 'openai-tts', status: 401 });
+
+    for (let i = 0; i < 3; i++) {
+        await assert.rejects(handler.executeWithFallback(scripted(rejected()).operation, { provider: 'openai-tts' }));
+    }
+
+    assert.equal(handler.isProviderAvailable('openai-tts'), true);
+});
+
+test('executeWithFallback aborts the attempt in flight when the request is cancelled, without blaming the provider', async () => {
+    const handler = createHandler({ circuitBreaker: { minimumRequests: 1 } });
+    const controller = new AbortController();
+    const calls = [];
+    let attemptSignal = null;
+
+    const pending = handler.executeWithFallback((provider, signal) => {
+        calls.push(provider);
+        attemptSignal = signal;
+        return new Promise(() => {});
+    }, { provider: 'openai-tts', fallbackProviders: ['elevenlabs'], signal: controller.signal });
+
+    setTimeout(() => controller.abort(new VoiceError('Client disconnected', 'CANCELLED')), 10);
+
+    await assert.rejects(pending, error => error.type === 'CANCELLED');
+    assert.equal(attemptSignal.aborted, true);
+    assert.deepEqual(calls, ['openai-tts']);
+    assert.equal(handler.isProviderAvailable('openai-tts'), true);
+});
+
+test('executeWithFallback does not wait to retry past the request deadline', async () => {
+    const throttled = new ProviderError('Slow down', { provider: 'openai-tts', status: 429, retryAfter: 500 });
+    const { calls, operation } = scripted(throttled);
+
+    const result = await createHandler().executeWithFallback(operation, {
+        provider: 'openai-tts',
+        fallbackProviders: ['elevenlabs'],
+        deadline: Date.now() + 200
+    });
+
+    assert.equal(result, 'served by elevenlabs');
+    assert.deepEqual(calls, ['openai-tts', 'elevenlabs']);
+});
+
+test('executeWithTimeout aborts the operation with TIMEOUT when it runs too long', async () => {
+    let operationSignal = null;
+
+    await assert.rejects(
+        createHandler().executeWithTimeout(signal => {
+            operationSignal = signal;
+            return new Promise(() => {});
+        }, 20),
+        error => error.type === 'TIMEOUT'
+    );
+    assert.equal(operationSignal.reason.type, 'TIMEOUT');
+});
@@ -0,0 +1,250 @@
+/**
+ * Provider Error Parsing
+ * Turns a provider's failed HTTP response into a ProviderError carrying the status,
+ * the provider's own error code and message, Retry-After and the request id.
+ * Each provider reports errors in its own body format; unknown providers (including
+ * plugins) fall back to a parser that understands the common shapes.
+ */
+
+import { ProviderError } from './error-handler.js';
+
+// Headers providers use to identify a request, in order of preference
+const REQUEST_ID_HEADERS = [
+    'x-request-id',
+    'request-id',
+    'dg-request-id',
+    'x-amzn-requestid',
+    'apim-request-id',
+    'x-requestid',
+    'x-global-transaction-id',
+    'x-goog-request-id'
+];
+
+// Longest provider message kept on an error; HTML error pages can be large
+const MAX_MESSAGE_LENGTH = 500;
+
+const openAIError = (body) => ({
+    code: body?.error?.code || body?.error?.type,
+    message: body?.error?.message
+});
+
+const googleError = (body) => ({
+    code: body?.error?.status || body?.error?.code,
+    message: body?.error?.message
+});
+
+/**
+ * Error body parsers keyed by provider: (body, headers) => { code, message, requestId }
+ */
+export const PROVIDER_ERROR_PARSERS = {
+    'openai-realtime': openAIError,
+    'whisper': openAIError,
+    'openai-transcribe': openAIError,
+    'openai-tts': openAIError,
+
+    // { err_code, err_msg, request_id }
+    'deepgram': (body) => ({
+        code: body?.err_code,
+        message: body?.err_msg,
+        requestId: body?.request_id
+    }),
+
+    // { error: "message" } or { status: "error", error: "message" }
+    'assemblyai': (body) => ({
+        message: typeof body?.error === 'string' ? body.error : undefined
+    }),
+
+    // { detail: { status, message } }, { detail: "message" } or validation errors { detail: [{ msg }] }
+    'elevenlabs': (body) => {
+        const detail = body?.detail;
+        if (Array.isArray(detail)) {
+            return { code: 'validation_error', message: detail.map(item => item.msg).filter(Boolean).join('; ') };
+        }
+        return typeof detail === 'string'
+            ? { message: detail }
+            : { code: detail?.status, message: detail?.message };
+    },
+
+    'google-stt': googleError,
+    'google-tts': googleError,
+
+    // { error: { code, message } }; the TTS endpoint often sends no body at all
+    'azure-stt': (body) => ({ code: body?.error?.code, message: body?.error?.message }),
+    'azure-tts': (body) => ({ code: body?.error?.code, message: body?.error?.message }),
+
+    // { message } with the exception name in x-amzn-errortype, e.g. 'ThrottlingException:http://...'
+    'amazon-polly': (body, headers) => ({
+        code: headers.get('x-amzn-errortype')?.split(':')[0] || body?.__type?.split('#').pop(),
+        message: body?.message || body?.Message
+    }),
+
+    // { error_message, error_id }
+    'playht': (body) => ({ code: body?.error_id, message: body?.error_message }),
+
+    // { errorMessage, errorCode }
+    'murf': (body) => ({ code: body?.errorCode, message: body?.errorMessage }),
+
+    // { error, code, code_description }; the IAM token endpoint sends { errorCode, errorMessage }
+    'ibm-watson': (body) => ({
+        code: body?.code_description || body?.errorCode,
+        message: typeof body?.error === 'string' ? body.error : body?.errorMessage
+    }),
+
+    // OAuth 2.0 token endpoints (RFC 6749): { error, error_description }
+    'oauth': (body) => ({ code: body?.error, message: body?.error_description })
+};
+
+/**
+ * Build a ProviderError from a failed fetch() response
+ * @param {Response} response - Non-ok response
+ * @param {Object} context
+ * @param {string} context.provider - Provider id
+ * @param {string} context.label - Message prefix, e.g. 'ElevenLabs API'
+ * @param {string} context.format - Body parser to use (a PROVIDER_ERROR_PARSERS key), defaults to the provider's
+ * @returns {Promise<ProviderError>}
+ */
+export async function providerErrorFromResponse(response, { provider, label, format }) {
+    const text = await response.text().catch(() => '');
+    return providerErrorFromBody(text, {
+        provider,
+        label,
+        format,
+        status: response.status,
+        headers: response.headers
+    });
+}
+
+/**
+ * Build a ProviderError from an error response's raw parts
+ * (used where the response is not a fetch() Response, e.g. a rejected WebSocket handshake)
+ * @param {string} text - Response body
+ * @param {Object} context - { provider, label, format, status, headers } where headers is a Headers instance
+ * @returns {ProviderError}
+ */
+export function providerErrorFromBody(text, { provider, label, format = provider, status, headers = new Headers() }) {
+    let body = null;
+    try {
+        body = text ? JSON.parse(text) : null;
+    } catch {
+        // Not JSON; the raw text is the message
+    }
+
+    const parser = PROVIDER_ERROR_PARSERS[format] || parseCommonError;
+    const parsed = body ? { ...parseCommonError(body), ...stripEmpty(parser(body, headers)) } : {};
+    const providerMessage = truncate(parsed.message || text || `HTTP ${status}`);
+
+    return new ProviderError(`${label} error (${status}): ${providerMessage}`, {
+        provider,
+        status,
+        code: parsed.code != null ? String(parsed.code) : null,
+        providerMessage,
+        retryAfter: parseRetryAfter(headers) ?? (status === 429 ? parseRateLimitReset(headers) : null),
+        requestId: parsed.requestId || REQUEST_ID_HEADERS.map(name => headers.get(name)).find(Boolean) || null
+    });
+}
+
+/**
+ * Build a ProviderError from an error event sent over a provider's WebSocket,
+ * e.g. OpenAI Realtime's { type: 'error', error: { type, code, message } }
+ * @param {Object} error - The event's error object
+ * @param {Object} context - { provider, label }
+ * @returns {ProviderError}
+ */
+export function providerErrorFromEvent(error, { provider, label }) {
+    const code = error?.code || error?.type || null;
+    const providerMessage = truncate(error?.message || 'Unknown error');
+    // Realtime APIs report failures in-band; map the codes that carry a meaning
+    const status = /rate_limit/.test(code) ? 429 : /invalid_request|invalid_value/.test(code) ? 400 : /server_error/.test(code) ? 500 : null;
+
+    return new ProviderError(`${label} error: ${providerMessage}`, {
+        provider,
+        status,
+        code,
+        providerMessage,
+        requestId: error?.event_id || null
+    });
+}
+
+/**
+ * Retry-After as milliseconds, from seconds or an HTTP date; OpenAI also sends retry-after-ms
+ */
+export function parseRetryAfter(headers) {
+    const milliseconds = Number(headers.get('retry-after-ms'));
+    if (milliseconds > 0) {
+        return milliseconds;
+    }
+
+    const value = headers.get('retry-after');
+    if (!value) {
+        return null;
+    }
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+        return Math.max(seconds * 1000, 0);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Milliseconds until an exhausted rate limit resets, for providers that throttle without Retry-After:
+ * OpenAI's x-ratelimit-reset-{requests,tokens} durations ("1s", "6m0s"), and the IETF draft's
+ * ratelimit-reset or x-ratelimit-reset in seconds (or as an epoch timestamp)
+ */
+export function parseRateLimitReset(headers) {
+    const windows = ['requests', 'tokens']
+        .filter(window => headers.get(`x-ratelimit-reset-${window}`))
+        .map(window => ({
+            exhausted: headers.get(`x-ratelimit-remaining-${window}`) === '0',
+            delay: parseDuration(headers.get(`x-ratelimit-reset-${window}`))
+        }))
+        .filter(({ delay }) => delay != null);
+
+    if (windows.length) {
+        const exhausted = windows.filter(window => window.exhausted);
+        return Math.max(...(exhausted.length ? exhausted : windows).map(({ delay }) => delay));
+    }
+
+    const seconds = Number(headers.get('ratelimit-reset') || headers.get('x-ratelimit-reset'));
+    if (!(seconds > 0)) {
+        return null;
+    }
+
+    // Large values are Unix timestamps rather than a number of seconds to wait
+    return seconds > 1e9 ? Math.max(seconds * 1000 - Date.now(), 0) : seconds * 1000;
+}
+
+/**
+ * Go-style duration ("1h2m3.5s", "20ms") in milliseconds
+ */
+function parseDuration(value) {
+    const units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+    const parts = [...String(value).matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)];
+
+    return parts.length ? parts.reduce((total, [, amount, unit]) => total + Number(amount) * units[unit], 0) : null;
+}
+
+/**
+ * Shapes most providers use: { error: { message, code } }, { error: "..." }, { message, code }, { detail }
+ */
+function parseCommonError(body) {
+    const error = body?.error;
+
+    return {
+        code: (typeof error === 'object' ? error?.code || error?.type || error?.status : undefined) || body?.code || body?.error_code,
+        message: (typeof error === 'object' ? error?.message : error) || body?.message || body?.detail?.message ||
+            (typeof body?.detail === 'string' ? body.detail : undefined),
+        requestId: body?.request_id || body?.requestId
+    };
+}
+
+function stripEmpty(parsed) {
+    return Object.fromEntries(Object.entries(parsed || {}).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+}
+
+function truncate(message) {
+    const text = String(message).trim();
+    return text.length > MAX_MESSAGE_LENGTH ? `${text.slice(0, MAX_MESSAGE_LENGTH)}…` : text;
+}
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { providerErrorFromResponse, providerErrorFromBody, providerErrorFromEvent, parseRetryAfter, parseRateLimitReset } from './provider-errors.js';
+import { classifyProviderError } from './error-handler.js';
+
+test('classifyProviderError maps HTTP statuses onto retryable and caller error types', () => {
+    assert.deepEqual(classifyProviderError(400), { type: 'INVALID_REQUEST', isRetryable: false });
+    assert.deepEqual(classifyProviderError(401), { type: 'AUTHENTICATION_ERROR', isRetryable: false });
+    assert.deepEqual(classifyProviderError(402), { type: 'QUOTA_EXCEEDED', isRetryable: false });
+    assert.deepEqual(classifyProviderError(429), { type: 'RATE_LIMIT_ERROR', isRetryable: true });
+    assert.deepEqual(classifyProviderError(503), { type: 'SERVER_ERROR', isRetryable: true });
+    assert.deepEqual(classifyProviderError(501), { type: 'SERVER_ERROR', isRetryable: false });
+});
+
+test('classifyProviderError lets provider codes override the status', () => {
+    // OpenAI reports an exhausted balance as a 429, Amazon Polly throttles with a 400
+    assert.deepEqual(classifyProviderError(429, 'insufficient_quota'), { type: 'QUOTA_EXCEEDED', isRetryable: false });
+    assert.deepEqual(classifyProviderError(400, 'ThrottlingException'), { type: 'RATE_LIMIT_ERROR', isRetryable: true });
+});
+
+test('providerErrorFromResponse reads the provider body format, Retry-After and request id', async () => {
+    const response = new Response(JSON.stringify({ err_code: 'INSUFFICIENT_PERMISSIONS', err_msg: 'Key lacks scope', request_id: 'dg-1' }), {
+        status: 403,
+        headers: { 'retry-after': '2' }
+    });
+
+    const error = await providerErrorFromResponse(response, { provider: 'deepgram', label: 'Deepgram API' });
+
+    assert.equal(error.message, 'Deepgram API error (403): Key lacks scope');
+    assert.equal(error.type, 'AUTHORIZATION_ERROR');
+    assert.equal(error.isRetryable, false);
+    assert.deepEqual(
+        { status: error.status, code: error.code, retryAfter: error.retryAfter, requestId: error.requestId },
+        { status: 403, code: 'INSUFFICIENT_PERMISSIONS', retryAfter: 2000, requestId: 'dg-1' }
+    );
+});
+
+test('providerErrorFromBody falls back to common shapes and raw text', () => {
+    const plugin = providerErrorFromBody('{"error":{"message":"Model overloaded","code":"overloaded"}}', {
+        provider: 'in-house',
+        label: 'In-house TTS',
+        status: 503,
+        headers: new Headers({ 'x-request-id': 'req-9' })
+    });
+    const html = providerErrorFromBody('<html>Bad Gateway</html>', { provider: 'murf', label: 'Murf API', status: 502 });
+
+    assert.equal(plugin.providerMessage, 'Model overloaded');
+    assert.equal(plugin.code, 'overloaded');
+    assert.equal(plugin.requestId, 'req-9');
+    assert.equal(html.providerMessage, '<html>Bad Gateway</html>');
+    assert.equal(html.type, 'SERVER_ERROR');
+});
+
+test('providerErrorFromBody takes the Amazon Polly exception from its header', () => {
+    const error = providerErrorFromBody('{"message":"Rate exceeded"}', {
+        provider: 'amazon-polly',
+        label: 'Amazon Polly',
+        status: 400,
+        headers: new Headers({ 'x-amzn-errortype': 'ThrottlingException:http://internal.amazon.com/coral/' })
+    });
+
+    assert.equal(error.code, 'ThrottlingException');
+    assert.equal(error.type, 'RATE_LIMIT_ERROR');
+});
+
+test('providerErrorFromEvent maps in-band realtime error codes to statuses', () => {
+    const error = providerErrorFromEvent({ type: 'invalid_request_error', code: 'invalid_value', message: 'Bad voice', event_id: 'ev_1' }, {
+        provider: 'openai-realtime',
+        label: 'OpenAI Realtime API'
+    });
+
+    assert.equal(error.status, 400);
+    assert.equal(error.type, 'INVALID_REQUEST');
+    assert.equal(error.requestId, 'ev_1');
+});
+
+test('parseRetryAfter reads milliseconds, seconds and HTTP dates', () => {
+    assert.equal(parseRetryAfter(new Headers({ 'retry-after-ms': '750', 'retry-after': '5' })), 750);
+    assert.equal(parseRetryAfter(new Headers({ 'retry-after': '3' })), 3000);
+    assert.equal(parseRetryAfter(new Headers()), null);
+
+    const date = parseRetryAfter(new Headers({ 'retry-after': new Date(Date.now() + 10000).toUTCString() }));
+    assert.ok(date > 8000 && date <= 10000, String(date));
+});
+
+test('parseRateLimitReset prefers the exhausted window and reads Go-style durations', () => {
+    const headers = new Headers({
+        'x-ratelimit-remaining-requests': '0',
+        'x-ratelimit-reset-requests': '1m30s',
+        'x-ratelimit-remaining-tokens': '500',
+        'x-ratelimit-reset-tokens': '6m0s'
+    });
+
+    assert.equal(parseRateLimitReset(headers), 90000);
+    assert.equal(parseRateLimitReset(new Headers({ 'ratelimit-reset': '12' })), 12000);
+    assert.equal(parseRateLimitReset(new Headers()), null);
+});
@@ -0,0 +1,338 @@
+/**
+ * Rate Limits and Bulkheads
+ * Token buckets cap how fast requests reach a provider and bulkheads cap how many run at once,
+ * at three levels: the provider as a whole, each API key, and each caller. A request has to pass
+ * every level with a limit. When one is exhausted the request waits its turn for up to
+ * queueTimeout ms, or with queueTimeout 0 is rejected at once with how long to wait.
+ *
+ * {
+ *   "provider": { "*": { "rate": 50, "burst": 100 }, "elevenlabs": { "rate": 5, "concurrency": 4 } },
+ *   "key": { "*": { "rate": 10, "concurrency": 5 } },
+ *   "caller": { "*": { "rate": 2, "burst": 10, "concurrency": 2 } },
+ *   "queueTimeout": 5000,
+ *   "maxQueue": 100
+ * }
+ *
+ * Each level is keyed by provider, with "*" for providers without their own entry; key and caller
+ * limits apply to every key or caller of that provider separately. rate is requests per second,
+ * burst the bucket size (defaults to the rate, at least 1) and concurrency the requests in flight.
+ */
+
+import { VoiceError } from './error-handler.js';
+import { credentialFingerprint } from './circuit-breaker.js';
+
+export const LIMIT_LEVELS = ['provider', 'key', 'caller'];
+
+export const DEFAULT_RATE_LIMIT_OPTIONS = {
+    provider: {},
+    key: {},
+    caller: {},
+    queueTimeout: 0, // ms a request may wait for a slot; 0 rejects immediately
+    maxQueue: 100    // Requests waiting on one limit before more are rejected
+};
+
+// Retry-After suggested when a concurrency limit rejects; there is no refill time to report
+const CONCURRENCY_RETRY_AFTER = 1000;
+
+// Limit entries kept before idle ones are dropped
+const MAX_LIMIT_ENTRIES = 1000;
+
+/**
+ * Wait ms for a token bucket to refill, or until signal aborts
+ */
+function waitForRefill(ms, signal = null) {
+    return new Promise(resolve => {
+        const done = () => {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', done);
+            resolve();
+        };
+        const timer = setTimeout(done, ms);
+        signal?.addEventListener('abort', done, { once: true });
+    });
+}
+
+/**
+ * Check a rate limit configuration
+ * @param {Object} config - As DEFAULT_RATE_LIMIT_OPTIONS
+ * @returns {string[]} Problems found; empty when the configuration is valid
+ */
+export function validateRateLimits(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        return ['rate limits must be an object'];
+    }
+
+    const errors = [];
+
+    for (const level of LIMIT_LEVELS) {
+        for (const [provider, limit] of Object.entries(config[level] || {})) {
+            const where = `${level}.${provider}`;
+
+            if (!limit || typeof limit !== 'object') {
+                errors.push(`${where} must be an object`);
+                continue;
+            }
+            ['rate', 'burst', 'concurrency']
+                .filter(field => limit[field] !== undefined && !(typeof limit[field] === 'number' && limit[field] > 0))
+                .forEach(field => errors.push(`${where}.${field} must be a positive number`));
+        }
+    }
+
+    ['queueTimeout', 'maxQueue']
+        .filter(field => config[field] !== undefined && !(typeof config[field] === 'number' && config[field] >= 0))
+        .forEach(field => errors.push(`${field} must be a non-negative number`));
+
+    return errors;
+}
+
+/**
+ * One limited subject (a provider, or one key or caller of a provider): a token bucket
+ * and/or a bulkhead, plus the requests queued on it
+ */
+class Limit {
+    constructor({ rate, burst, concurrency }) {
+        this.rate = rate || null;
+        this.burst = rate ? burst || Math.max(rate, 1) : null;
+        this.tokens = this.burst;
+        this.refilledAt = Date.now();
+        this.concurrency = concurrency || null;
+        this.active = 0;
+        this.queued = 0;
+        this.waiters = [];
+    }
+
+    refill() {
+        if (!this.rate) return;
+
+        const now = Date.now();
+        this.tokens = Math.min(this.burst, this.tokens + (now - this.refilledAt) / 1000 * this.rate);
+        this.refilledAt = now;
+    }
+
+    /**
+     * What stops a request right now: { kind: 'rate', wait } with ms until the next token,
+     * { kind: 'concurrency' } until a request finishes, or null when it may proceed
+     */
+    blocker() {
+        this.refill();
+
+        if (this.concurrency && this.active >= this.concurrency) {
+            return { kind: 'concurrency', wait: null };
+        }
+        if (this.rate && this.tokens < 1) {
+            return { kind: 'rate', wait: Math.ceil((1 - this.tokens) / this.rate * 1000) };
+        }
+        return null;
+    }
+
+    take() {
+        if (this.rate) this.tokens -= 1;
+        if (this.concurrency) this.active++;
+    }
+
+    release() {
+        if (!this.concurrency) return;
+
+        this.active = Math.max(this.active - 1, 0);
+        this.waiters.shift()?.();
+    }
+
+    /**
+     * Wait for a running request to finish, for timeout ms, or until signal aborts
+     */
+    waitForRelease(timeout, signal = null) {
+        return new Promise(resolve => {
+            const waiter = () => {
+                clearTimeout(timer);
+                signal?.removeEventListener('abort', giveUp);
+                resolve();
+            };
+            const giveUp = () => {
+                clearTimeout(timer);
+                signal?.removeEventListener('abort', giveUp);
+                this.waiters = this.waiters.filter(other => other !== waiter);
+                resolve();
+            };
+            const timer = setTimeout(giveUp, timeout);
+            signal?.addEventListener('abort', giveUp, { once: true });
+            this.waiters.push(waiter);
+        });
+    }
+
+    isIdle() {
+        this.refill();
+        return this.active === 0 && this.queued === 0 && this.tokens === this.burst;
+    }
+
+    toJSON() {
+        this.refill();
+
+        return {
+            rate: this.rate,
+            burst: this.burst,
+            tokens: this.rate ? Math.floor(this.tokens * 100) / 100 : null,
+            concurrency: this.concurrency,
+            active: this.active,
+            queued: this.queued
+        };
+    }
+}
+
+export class RateLimiter {
+    /**
+     * @param {Object} options - As DEFAULT_RATE_LIMIT_OPTIONS
+     */
+    constructor(options = {}) {
+        const errors = validateRateLimits({ ...DEFAULT_RATE_LIMIT_OPTIONS, ...options });
+        if (errors.length) {
+            throw new Error(`Invalid rate limits: ${errors.join('; ')}`);
+        }
+
+        this.options = { ...DEFAULT_RATE_LIMIT_OPTIONS, ...options };
+        this.limits = new Map(); // 'level|provider|subject' -> Limit
+        this.stats = new Map();  // provider -> { admitted, queued, rejected: { level: count } }
+    }
+
+    /**
+     * Wait for (or fail to get) a slot at every level that limits the request
+     * @param {Object} request
+     * @param {string} request.provider - Provider id
+     * @param {string} request.apiKey - Key the request will use
+     * @param {string} request.caller - Caller identity, e.g. the user id
+     * @param {AbortSignal} request.signal - Stops waiting in the queue when the request is aborted
+     * @param {string[]} request.levels - Levels to check, e.g. only 'caller' for a request the provider never sees
+     * @returns {Promise<Object>} Permit whose release() must be called when the request finishes
+     * @throws {VoiceError} RATE_LIMITED, with metadata.retryAfter in ms; the abort reason once signal aborts
+     */
+    async acquire({ provider, apiKey, caller, signal = null, levels = LIMIT_LEVELS }) {
+        const limits = this.getLimits(provider, { apiKey, caller }).filter(({ level }) => levels.includes(level));
+        const stats = this.getStats(provider);
+        const deadline = Date.now() + this.options.queueTimeout;
+        let waiting = null;
+
+        try {
+            for (;;) {
+                signal?.throwIfAborted();
+
+                const blocked = limits
+                    .map(entry => ({ ...entry, blocker: entry.limit.blocker() }))
+                    .find(entry => entry.blocker);
+
+                if (!blocked) {
+                    limits.forEach(({ limit }) => limit.take());
+                    stats.admitted++;
+                    return this.createPermit(limits);
+                }
+
+                const { level, limit, blocker } = blocked;
+                const remaining = deadline - Date.now();
+
+                if (remaining <= 0 || blocker.wait > remaining || (waiting !== limit && limit.queued >= this.options.maxQueue)) {
+                    stats.rejected[level] = (stats.rejected[level] || 0) + 1;
+                    throw new VoiceError(
+                        `${level === 'provider' ? 'Provider' : `Per-${level}`} ${blocker.kind} limit reached for ${provider}`,
+                        'RATE_LIMITED',
+                        { provider, level, limit: blocker.kind, retryAfter: blocker.wait ?? CONCURRENCY_RETRY_AFTER }
+                    );
+                }
+
+                if (waiting !== limit) {
+                    if (waiting) waiting.queued--;
+                    else stats.queued++;
+                    waiting = limit;
+                    limit.queued++;
+                }
+
+                await (blocker.wait !== null
+                    ? waitForRefill(blocker.wait, signal)
+                    : limit.waitForRelease(remaining, signal));
+            }
+        } finally {
+            if (waiting) waiting.queued--;
+        }
+    }
+
+    createPermit(limits) {
+        let released = false;
+
+        return {
+            release: () => {
+                if (released) return;
+                released = true;
+                limits.forEach(({ limit }) => limit.release());
+            }
+        };
+    }
+
+    /**
+     * Limits that apply to a request, by level
+     */
+    getLimits(provider, { apiKey, caller }) {
+        const subjects = {
+            provider: provider,
+            key: apiKey ? credentialFingerprint(apiKey) : null,
+            caller: caller || null
+        };
+
+        return LIMIT_LEVELS
+            .filter(level => subjects[level])
+            .map(level => {
+                const config = this.options[level][provider] || this.options[level]['*'];
+                return config && { level, limit: this.getLimit(`${level}|${provider}|${subjects[level]}`, config) };
+            })
+            .filter(Boolean);
+    }
+
+    getLimit(id, config) {
+        let limit = this.limits.get(id);
+
+        if (!limit) {
+            if (this.limits.size >= MAX_LIMIT_ENTRIES) {
+                this.prune();
+            }
+            limit = new Limit(config);
+            this.limits.set(id, limit);
+        }
+
+        return limit;
+    }
+
+    /**
+     * Drop key and caller limits with nothing in flight, queued or spent
+     */
+    prune() {
+        for (const [id, limit] of this.limits) {
+            if (!id.startsWith('provider|') && limit.isIdle()) {
+                this.limits.delete(id);
+            }
+        }
+    }
+
+    getStats(provider) {
+        if (!this.stats.has(provider)) {
+            this.stats.set(provider, { admitted: 0, queued: 0, rejected: {} });
+        }
+        return this.stats.get(provider);
+    }
+
+    /**
+     * Configured limits, live bucket and bulkhead state, and admission counts for a provider
+     * @returns {Object} { limits: { provider, key, caller }, provider, keys, callers, queueTimeout, stats }
+     */
+    getState(provider) {
+        const subjects = (level) => [...this.limits]
+            .filter(([id]) => id.startsWith(`${level}|${provider}|`))
+            .map(([id, limit]) => ({ [level]: id.slice(`${level}|${provider}|`.length), ...limit.toJSON() }));
+
+        return {
+            limits: Object.fromEntries(LIMIT_LEVELS.map(level => [level, this.options[level][provider] || this.options[level]['*'] || null])),
+            provider: subjects('provider')[0] || null,
+            keys: subjects('key'),
+            callers: subjects('caller'),
+            queueTimeout: this.options.queueTimeout,
+            stats: this.getStats(provider)
+        };
+    }
+}
+
+export default RateLimiter;
@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RateLimiter, validateRateLimits } from './rate-limiter.js';
+import { credentialFingerprint } from './circuit-breaker.js';
+
+const rateLimited = (level, limit) => error =>
+    error.type === 'RATE_LIMITED' && error.metadata.level === level && error.metadata.limit === limit;
+
+test('acquire spends the burst, then rejects with the wait until the next token', async (t) => {
+    let now = 1_000_000;
+    t.mock.method(Date, 'now', () => now);
+    const limiter = new RateLimiter({ provider: { '*': { rate: 2, burst: 3 } } });
+
+    for (let i = 0; i < 3; i++) {
+        await limiter.acquire({ provider: 'elevenlabs' });
+    }
+    await assert.rejects(
+        limiter.acquire({ provider: 'elevenlabs' }),
+        error => rateLimited('provider', 'rate')(error) && error.metadata.retryAfter === 500
+    );
+
+    now += 500;
+    await limiter.acquire({ provider: 'elevenlabs' });
+    assert.deepEqual(limiter.getState('elevenlabs').stats, { admitted: 4, queued: 0, rejected: { provider: 1 } });
+});
+
+test('acquire limits each caller and key separately under a shared provider limit', async () => {
+    const limiter = new RateLimiter({
+        provider: { 'elevenlabs': { rate: 3 } },
+        key: { '*': { rate: 2 } },
+        caller: { '*': { rate: 1 } }
+    });
+
+    await limiter.acquire({ provider: 'elevenlabs', apiKey: 'sk-a', caller: 'alice' });
+    await assert.rejects(limiter.acquire({ provider: 'elevenlabs', apiKey: 'sk-a', caller: 'alice' }), rateLimited('caller', 'rate'));
+
+    await limiter.acquire({ provider: 'elevenlabs', apiKey: 'sk-a', caller: 'bob' });
+    await assert.rejects(limiter.acquire({ provider: 'elevenlabs', apiKey: 'sk-a', caller: 'carol' }), rateLimited('key', 'rate'));
+
+    await limiter.acquire({ provider: 'elevenlabs', apiKey: 'sk-b', caller: 'carol' });
+    await assert.rejects(limiter.acquire({ provider: 'elevenlabs', apiKey: 'sk-c', caller: 'dave' }), rateLimited('provider', 'rate'));
+
+    // Other providers fall back to "*" for key and caller limits, and have no provider limit
+    await limiter.acquire({ provider: 'openai-tts', apiKey: 'sk-a', caller: 'alice' });
+});
+
+test('acquire checks only the requested levels', async () => {
+    const limiter = new RateLimiter({ provider: { '*': { rate: 1 } }, caller: { '*': { rate: 2 } } });
+
+    await limiter.acquire({ provider: 'elevenlabs', caller: 'alice' });
+    await limiter.acquire({ provider: 'elevenlabs', caller: 'alice', levels: ['caller'] });
+    await assert.rejects(limiter.acquire({ provider: 'elevenlabs', caller: 'alice', levels: ['caller'] }), rateLimited('caller', 'rate'));
+    await assert.rejects(limiter.acquire({ provider: 'elevenlabs', caller: 'bob' }), rateLimited('provider', 'rate'));
+});
+
+test('acquire tracks keys by fingerprint, never the key itself', async () => {
+    const limiter = new RateLimiter({ key: { '*': { concurrency: 2 } } });
+    await limiter.acquire({ provider: 'deepgram', apiKey: 'sk-secret' });
+
+    const { keys } = limiter.getState('deepgram');
+    assert.equal(keys.length, 1);
+    assert.equal(keys[0].key, credentialFingerprint('sk-secret'));
+    assert.equal(keys[0].active, 1);
+    assert.ok(!JSON.stringify(limiter.getState('deepgram')).includes('sk-secret'));
+});
+
+test('a bulkhead rejects past its concurrency, and a released permit frees the slot once', async () => {
+    const limiter = new RateLimiter({ caller: { '*': { concurrency: 1 } } });
+    const permit = await limiter.acquire({ provider: 'mock', caller: 'alice' });
+
+    await assert.rejects(
+        limiter.acquire({ provider: 'mock', caller: 'alice' }),
+        error => rateLimited('caller', 'concurrency')(error) && error.metadata.retryAfter === 1000
+    );
+
+    permit.release();
+    permit.release();
+    const next = await limiter.acquire({ provider: 'mock', caller: 'alice' });
+    assert.equal(limiter.getState('mock').callers[0].active, 1);
+    next.release();
+});
+
+test('acquire queues for up to queueTimeout for a slot or a token', async () => {
+    const limiter = new RateLimiter({ provider: { '*': { rate: 20, burst: 1, concurrency: 1 } }, queueTimeout: 1000 });
+    const first = await limiter.acquire({ provider: 'mock' });
+
+    setTimeout(() => first.release(), 30);
+    const started = Date.now();
+    const second = await limiter.acquire({ provider: 'mock' });
+
+    // Admitted once the first request finished and the bucket refilled (one token per 50ms)
+    assert.ok(Date.now() - started >= 45, `${Date.now() - started}ms`);
+    assert.equal(limiter.getState('mock').stats.queued, 1);
+    second.release();
+});
+
+test('acquire rejects once the queue is full or the queue timeout passes', async () => {
+    const limiter = new RateLimiter({ provider: { '*': { concurrency: 1 } }, queueTimeout: 100, maxQueue: 1 });
+    const first = await limiter.acquire({ provider: 'mock' });
+
+    const queued = limiter.acquire({ provider: 'mock' });
+    await assert.rejects(limiter.acquire({ provider: 'mock' }), rateLimited('provider', 'concurrency'));
+    await assert.rejects(queued, rateLimited('provider', 'concurrency'));
+
+    first.release();
+    assert.equal(limiter.getState('mock').provider.queued, 0);
+});
+
+test('acquire stops waiting in the queue as soon as the request is aborted', async () => {
+    for (const limits of [{ concurrency: 1 }, { rate: 0.2 }]) {
+        const limiter = new RateLimiter({ provider: { '*': limits }, queueTimeout: 20000 });
+        await limiter.acquire({ provider: 'mock' });
+
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(new Error('Client disconnected')), 20);
+        const started = Date.now();
+
+        await assert.rejects(limiter.acquire({ provider: 'mock', signal: controller.signal }), /Client disconnected/);
+        assert.ok(Date.now() - started < 1000, `${JSON.stringify(limits)} waited ${Date.now() - started}ms`);
+        assert.equal(limiter.getState('mock').provider.queued, 0);
+    }
+});
+
+test('validateRateLimits reports malformed limits', () => {
+    assert.deepEqual(validateRateLimits({ provider: { '*': { rate: 5 } }, queueTimeout: 0 }), []);
+    assert.deepEqual(validateRateLimits({ key: { '*': { rate: 0, concurrency: 'two' } }, caller: { 'x': null }, maxQueue: -1 }), [
+        'key.*.rate must be a positive number',
+        'key.*.concurrency must be a positive number',
+        'caller.x must be an object',
+        'maxQueue must be a non-negative number'
+    ]);
+    assert.throws(() => new RateLimiter({ provider: { '*': { rate: -1 } } }), /Invalid rate limits/);
+});
@@ -0,0 +1,135 @@
+/**
+ * Retry Policies
+ * How many times a provider is tried before the request falls back, how long to wait between
+ * attempts and which failures are worth retrying at all. Policies are keyed by provider,
+ * with "*" applying to providers without their own:
+ *
+ * {
+ *   "*": { "maxAttempts": 3, "budget": 20000 },
+ *   "elevenlabs": { "maxAttempts": 5, "backoff": "linear", "baseDelay": 500, "retryOn": ["RATE_LIMIT_ERROR", "SERVER_ERROR"] },
+ *   "deepgram": { "maxAttempts": 1 }
+ * }
+ *
+ * A provider's Retry-After (or rate limit reset) replaces the computed backoff when it is known.
+ * The budget caps the total time one request spends waiting between attempts, across the
+ * primary and its fallbacks; once spent, each remaining provider gets a single attempt.
+ */
+
+export const BACKOFF_CURVES = ['exponential', 'linear', 'constant'];
+
+// Failures that can succeed on a second try; the rest go straight to the next fallback.
+// UNKNOWN_ERROR is left out: an unclassified error is usually a local bug, which a retry only repeats
+export const RETRYABLE_ERROR_TYPES = ['TIMEOUT', 'NETWORK_ERROR', 'RATE_LIMIT_ERROR', 'SERVER_ERROR'];
+
+export const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 4,          // First attempt plus three retries
+    backoff: 'exponential',
+    baseDelay: 1000,         // ms before the first retry
+    maxDelay: 30000,         // Longest wait between two attempts
+    jitter: 1000,            // Up to this many ms added at random, so clients do not retry in step
+    retryOn: RETRYABLE_ERROR_TYPES,
+    respectRetryAfter: true,
+    maxRetryAfter: 60000,    // A longer Retry-After falls back instead of waiting
+    budget: 60000            // Total ms a request may spend waiting to retry
+};
+
+const POLICY_FIELDS = Object.keys(DEFAULT_RETRY_POLICY);
+const DURATION_FIELDS = ['baseDelay', 'maxDelay', 'jitter', 'maxRetryAfter', 'budget'];
+
+/**
+ * Check a set of retry policies
+ * @param {Object} policies - Policies keyed by provider id or "*"
+ * @param {Object} providers - Provider catalog the keys must exist in
+ * @returns {string[]} Problems found; empty when the policies are valid
+ */
+export function validateRetryPolicies(policies, providers) {
+    if (!policies || typeof policies !== 'object' || Array.isArray(policies)) {
+        return ['retryPolicies must be an object keyed by provider'];
+    }
+
+    return Object.entries(policies).flatMap(([provider, policy]) => {
+        const where = `retryPolicies.${provider}`;
+
+        if (provider !== '*' && !providers[provider]) {
+            return [`${where}: unknown provider`];
+        }
+        if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+            return [`${where} must be an object`];
+        }
+
+        const errors = Object.keys(policy)
+            .filter(field => !POLICY_FIELDS.includes(field))
+            .map(field => `${where}.${field} is not a retry policy setting`);
+
+        if (policy.maxAttempts !== undefined && !(Number.isInteger(policy.maxAttempts) && policy.maxAttempts >= 1)) {
+            errors.push(`${where}.maxAttempts must be an integer of at least 1`);
+        }
+        if (policy.backoff !== undefined && !BACKOFF_CURVES.includes(policy.backoff)) {
+            errors.push(`${where}.backoff must be one of: ${BACKOFF_CURVES.join(', ')}`);
+        }
+        DURATION_FIELDS
+            .filter(field => policy[field] !== undefined && !(typeof policy[field] === 'number' && policy[field] >= 0))
+            .forEach(field => errors.push(`${where}.${field} must be a number of milliseconds`));
+        if (policy.retryOn !== undefined && !(Array.isArray(policy.retryOn) && policy.retryOn.every(type => typeof type === 'string'))) {
+            errors.push(`${where}.retryOn must be an array of error types`);
+        }
+        if (policy.respectRetryAfter !== undefined && typeof policy.respectRetryAfter !== 'boolean') {
+            errors.push(`${where}.respectRetryAfter must be a boolean`);
+        }
+
+        return errors;
+    });
+}
+
+/**
+ * Effective policy for a provider: its own settings over "*" over the defaults
+ * @param {string} provider - Provider id
+ * @param {Object} policies - Policies keyed by provider id or "*"
+ * @param {Object} defaults - Base policy (DEFAULT_RETRY_POLICY unless the router was configured otherwise)
+ * @returns {Object} Complete policy
+ */
+export function resolveRetryPolicy(provider, policies = {}, defaults = DEFAULT_RETRY_POLICY) {
+    return { ...defaults, ...policies?.['*'], ...policies?.[provider] };
+}
+
+/**
+ * Decide whether a failed attempt is retried, and after how long
+ * @param {Object} policy - Resolved policy
+ * @param {Object} context
+ * @param {VoiceError} context.error - The attempt's classified error
+ * @param {number} context.attempt - Attempts made so far on this provider, from 1
+ * @param {number} context.budget - Wait time the request has left
+ * @returns {Object} { retry: true, delay, retryAfter } or { retry: false, reason }
+ */
+export function planRetry(policy, { error, attempt, budget }) {
+    if (attempt >= policy.maxAttempts) {
+        return { retry: false, reason: 'MAX_ATTEMPTS' };
+    }
+    if (error?.isRetryable === false || !policy.retryOn.includes(error?.type)) {
+        return { retry: false, reason: 'NOT_RETRYABLE' };
+    }
+
+    const retryAfter = policy.respectRetryAfter ? error?.retryAfter ?? error?.metadata?.retryAfter : null;
+
+    if (retryAfter != null && retryAfter > policy.maxRetryAfter) {
+        return { retry: false, reason: 'RETRY_AFTER_TOO_LONG' };
+    }
+
+    const delay = retryAfter ?? backoffDelay(policy, attempt);
+
+    if (delay > budget) {
+        return { retry: false, reason: 'BUDGET_EXHAUSTED' };
+    }
+
+    return { retry: true, delay, retryAfter: retryAfter != null };
+}
+
+/**
+ * Wait before retry number `attempt` (from 1), following the policy's curve
+ */
+export function backoffDelay(policy, attempt) {
+    const steps = { exponential: Math.pow(2, attempt - 1), linear: attempt, constant: 1 }[policy.backoff];
+    const jitter = Math.random() * policy.jitter;
+
+    return Math.min(policy.baseDelay * steps + jitter, policy.maxDelay);
+}
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VOICE_PROVIDERS } from '../config/voice-providers-config.js';
+import { VoiceError } from './error-handler.js';
+import { DEFAULT_RETRY_POLICY, validateRetryPolicies, resolveRetryPolicy, planRetry, backoffDelay } from './retry-policy.js';
+
+const POLICY = { ...DEFAULT_RETRY_POLICY, jitter: 0 };
+
+const failure = (type, metadata = {}) => new VoiceError('failed', type, metadata);
+
+test('planRetry retries transient failures with exponential backoff', () => {
+    assert.deepEqual(planRetry(POLICY, { error: failure('SERVER_ERROR'), attempt: 1, budget: 60000 }), { retry: true, delay: 1000, retryAfter: false });
+    assert.deepEqual(planRetry(POLICY, { error: failure('TIMEOUT'), attempt: 3, budget: 60000 }), { retry: true, delay: 4000, retryAfter: false });
+});
+
+test('planRetry does not retry caller errors, unclassified errors or errors marked not retryable', () => {
+    for (const type of ['INVALID_REQUEST', 'AUTHENTICATION_ERROR', 'UNKNOWN_ERROR']) {
+        assert.deepEqual(planRetry(POLICY, { error: failure(type), attempt: 1, budget: 60000 }), { retry: false, reason: 'NOT_RETRYABLE' }, type);
+    }
+    assert.equal(planRetry(POLICY, { error: failure('SERVER_ERROR', { isRetryable: false }), attempt: 1, budget: 60000 }).retry, false);
+});
+
+test('planRetry stops at maxAttempts and when the wait would exceed the budget', () => {
+    assert.deepEqual(planRetry(POLICY, { error: failure('SERVER_ERROR'), attempt: 4, budget: 60000 }), { retry: false, reason: 'MAX_ATTEMPTS' });
+    assert.deepEqual(planRetry(POLICY, { error: failure('SERVER_ERROR'), attempt: 2, budget: 1500 }), { retry: false, reason: 'BUDGET_EXHAUSTED' });
+});
+
+test('planRetry waits for the provider Retry-After instead of the backoff, within maxRetryAfter', () => {
+    const throttled = failure('RATE_LIMIT_ERROR', { retryAfter: 7000 });
+
+    assert.deepEqual(planRetry(POLICY, { error: throttled, attempt: 1, budget: 60000 }), { retry: true, delay: 7000, retryAfter: true });
+    assert.deepEqual(planRetry({ ...POLICY, maxRetryAfter: 5000 }, { error: throttled, attempt: 1, budget: 60000 }), { retry: false, reason: 'RETRY_AFTER_TOO_LONG' });
+    assert.equal(planRetry({ ...POLICY, respectRetryAfter: false }, { error: throttled, attempt: 1, budget: 60000 }).delay, 1000);
+});
+
+test('backoffDelay follows the policy curve, capped at maxDelay', () => {
+    const delays = curve => [1, 2, 3, 4].map(attempt => backoffDelay({ ...POLICY, backoff: curve, baseDelay: 500, maxDelay: 3000 }, attempt));
+
+    assert.deepEqual(delays('exponential'), [500, 1000, 2000, 3000]);
+    assert.deepEqual(delays('linear'), [500, 1000, 1500, 2000]);
+    assert.deepEqual(delays('constant'), [500, 500, 500, 500]);
+
+    const jittered = backoffDelay({ ...POLICY, jitter: 200 }, 1);
+    assert.ok(jittered >= 1000 && jittered < 1200, String(jittered));
+});
+
+test('resolveRetryPolicy layers provider settings over "*" over the defaults', () => {
+    const policy = resolveRetryPolicy('elevenlabs', {
+        '*': { maxAttempts: 2, budget: 5000 },
+        'elevenlabs': { maxAttempts: 5 }
+    });
+
+    assert.equal(policy.maxAttempts, 5);
+    assert.equal(policy.budget, 5000);
+    assert.equal(policy.backoff, 'exponential');
+});
+
+test('validateRetryPolicies reports unknown providers and malformed settings', () => {
+    assert.deepEqual(validateRetryPolicies({ '*': { maxAttempts: 3 }, 'deepgram': { maxAttempts: 1 } }, VOICE_PROVIDERS), []);
+    assert.deepEqual(validateRetryPolicies({
+        'nope': {},
+        'elevenlabs': { maxAttempts: 0, backoff: 'fibonacci', baseDelay: -1, retryOn: 'SERVER_ERROR', retries: 2 }
+    }, VOICE_PROVIDERS), [
+        'retryPolicies.nope: unknown provider',
+        'retryPolicies.elevenlabs.retries is not a retry policy setting',
+        'retryPolicies.elevenlabs.maxAttempts must be an integer of at least 1',
+        'retryPolicies.elevenlabs.backoff must be one of: exponential, linear, constant',
+        'retryPolicies.elevenlabs.baseDelay must be a number of milliseconds',
+        'retryPolicies.elevenlabs.retryOn must be an array of error types'
+    ]);
+});
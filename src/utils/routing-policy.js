@@ -0,0 +1,247 @@
+/**
+ * Routing Policies
+ * Declarative rules that choose the provider (and options) for a request before it is routed:
+ * weighted splits, sticky-by-user assignment, per-language overrides and time-of-day rules.
+ *
+ * {
+ *   "type": "tts",
+ *   "experiment": "tts-rollout",
+ *   "sticky": "user",
+ *   "split": [
+ *     { "arm": "control", "provider": "elevenlabs", "weight": 80 },
+ *     { "arm": "candidate", "provider": "openai-tts", "weight": 20, "options": { "voice": "nova" } }
+ *   ],
+ *   "rules": [
+ *     { "when": { "language": ["es", "pt"] }, "provider": "azure-tts" },
+ *     { "when": { "hours": [22, 6], "timezone": "America/New_York" }, "provider": "local-piper" }
+ *   ]
+ * }
+ *
+ * Rules are checked in order and the first match wins; otherwise the policy's own
+ * provider or split applies. Requests routed through a split are tagged with the
+ * experiment name and the arm they were assigned.
+ */
+
+import crypto from 'crypto';
+
+export const POLICY_NAME_PATTERN = /^[a-zA-Z0-9][\w.-]*$/;
+
+const REQUEST_TYPES = ['stt', 'tts', 'conversational'];
+const STICKY_MODES = ['user', 'request'];
+const CONDITIONS = ['language', 'hours', 'days', 'timezone'];
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Check a policy against the provider catalog
+ * @param {Object} policy - Policy definition
+ * @param {Object} providers - Provider catalog the policy's targets must exist in
+ * @returns {string[]} Problems found; empty when the policy is valid
+ */
+export function validateRoutingPolicy(policy, providers) {
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+        return ['policy must be an object'];
+    }
+
+    const errors = [];
+
+    if (policy.type !== undefined && !REQUEST_TYPES.includes(policy.type)) {
+        errors.push(`type must be one of: ${REQUEST_TYPES.join(', ')}`);
+    }
+    if (policy.sticky !== undefined && !STICKY_MODES.includes(policy.sticky)) {
+        errors.push(`sticky must be one of: ${STICKY_MODES.join(', ')}`);
+    }
+    if (policy.experiment !== undefined && typeof policy.experiment !== 'string') {
+        errors.push('experiment must be a string');
+    }
+
+    errors.push(...validateTarget(policy, 'policy', providers));
+
+    if (policy.rules !== undefined && !Array.isArray(policy.rules)) {
+        errors.push('rules must be an array');
+    }
+
+    (Array.isArray(policy.rules) ? policy.rules : []).forEach((rule, index) => {
+        const where = `rules[${index}]`;
+
+        if (!rule?.when || typeof rule.when !== 'object') {
+            errors.push(`${where}.when must be an object`);
+            return;
+        }
+
+        errors.push(...validateConditions(rule.when, `${where}.when`));
+        errors.push(...validateTarget(rule, where, providers));
+    });
+
+    return errors;
+}
+
+/**
+ * Choose the provider for one request
+ * @param {string} name - Policy name (default experiment name and sticky hash salt)
+ * @param {Object} policy - Validated policy definition
+ * @param {Object} context
+ * @param {string} context.userId - Used for sticky assignment
+ * @param {string} context.language - Requested language, e.g. 'es' or 'es-MX'
+ * @param {Date} context.now - Evaluation time
+ * @returns {Object} { provider, options, rule, experiment: { name, arm } | undefined }
+ */
+export function evaluateRoutingPolicy(name, policy, { userId, language, now = new Date() } = {}) {
+    const rules = policy.rules || [];
+    const ruleIndex = rules.findIndex(rule => matchesConditions(rule.when, { language, now }));
+    const target = ruleIndex === -1 ? policy : rules[ruleIndex];
+
+    const decision = {
+        policy: name,
+        rule: ruleIndex === -1 ? null : ruleIndex,
+        provider: target.provider,
+        options: target.options || {},
+        experiment: undefined
+    };
+
+    if (target.split) {
+        const experiment = policy.experiment || name;
+        const arm = pickArm(target.split, policy.sticky === 'user' && userId
+            ? bucket(`${experiment}:${userId}`)
+            : Math.random());
+
+        decision.provider = arm.provider;
+        decision.options = { ...decision.options, ...arm.options };
+        decision.experiment = { name: experiment, arm: arm.arm || arm.provider };
+    }
+
+    return decision;
+}
+
+function validateTarget(target, where, providers) {
+    const errors = [];
+
+    if (!target.provider === !target.split) {
+        return [`${where} needs exactly one of provider or split`];
+    }
+
+    if (target.provider && !providers[target.provider]) {
+        errors.push(`${where}.provider "${target.provider}" is not a known provider`);
+    }
+
+    if (target.split) {
+        if (!Array.isArray(target.split) || target.split.length === 0) {
+            return [`${where}.split must be a non-empty array`];
+        }
+
+        const arms = new Set();
+        target.split.forEach((arm, index) => {
+            if (!providers[arm?.provider]) {
+                errors.push(`${where}.split[${index}].provider "${arm?.provider}" is not a known provider`);
+            }
+            if (typeof arm?.weight !== 'number' || !(arm.weight > 0)) {
+                errors.push(`${where}.split[${index}].weight must be a positive number`);
+            }
+
+            const armName = arm?.arm || arm?.provider;
+            if (arms.has(armName)) {
+                errors.push(`${where}.split[${index}] repeats arm "${armName}"; name arms that share a provider`);
+            }
+            arms.add(armName);
+        });
+    }
+
+    return errors;
+}
+
+function validateConditions(when, where) {
+    const errors = Object.keys(when)
+        .filter(key => !CONDITIONS.includes(key))
+        .map(key => `${where}.${key} is not a supported condition (${CONDITIONS.join(', ')})`);
+
+    if (when.language !== undefined) {
+        const codes = [].concat(when.language);
+        if (!codes.length || !codes.every(code => typeof code === 'string' && code.length > 0)) {
+            errors.push(`${where}.language must be a language code or an array of codes`);
+        }
+    }
+
+    if (when.hours !== undefined) {
+        const valid = Array.isArray(when.hours) && when.hours.length === 2 &&
+            when.hours.every(hour => Number.isInteger(hour) && hour >= 0 && hour <= 24);
+        if (!valid) {
+            errors.push(`${where}.hours must be [from, to] in whole hours 0-24`);
+        }
+    }
+
+    if (when.days !== undefined && !(Array.isArray(when.days) && when.days.every(day => WEEKDAYS.includes(day)))) {
+        errors.push(`${where}.days must list days as ${WEEKDAYS.join(', ')}`);
+    }
+
+    if (when.timezone !== undefined) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: when.timezone });
+        } catch {
+            errors.push(`${where}.timezone "${when.timezone}" is not a valid IANA time zone`);
+        }
+    }
+
+    return errors;
+}
+
+function matchesConditions(when, { language, now }) {
+    if (when.language !== undefined) {
+        const wanted = [].concat(when.language).map(code => code.toLowerCase());
+        const requested = (language || '').toLowerCase();
+        if (!wanted.some(code => requested === code || requested.split('-')[0] === code)) {
+            return false;
+        }
+    }
+
+    if (when.hours || when.days) {
+        const { hour, day } = localTime(now, when.timezone);
+
+        if (when.days && !when.days.includes(day)) {
+            return false;
+        }
+
+        if (when.hours) {
+            // [from, to) in local hours; a window like [22, 6] wraps past midnight
+            const [from, to] = when.hours;
+            const inWindow = from <= to ? hour >= from && hour < to : hour >= from || hour < to;
+            if (from !== to && !inWindow) {
+                return false;
+            }
+        }
+    }
+
+    return true;
+}
+
+function localTime(now, timezone = 'UTC') {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone, hour: 'numeric', hourCycle: 'h23', weekday: 'short' })
+            .formatToParts(now)
+            .map(part => [part.type, part.value])
+    );
+
+    return { hour: Number(parts.hour), day: parts.weekday.toLowerCase() };
+}
+
+/**
+ * Stable position in [0, 1) for a key, so a user keeps their arm while the split is unchanged.
+ * Arms take cumulative slices of that range in split order. Growing one arm of a two-arm split
+ * only moves users into it; with three or more arms every boundary shifts, so users can also
+ * move between arms whose weights did not change.
+ */
+function bucket(key) {
+    return crypto.createHash('sha256').update(key).digest().readUInt32BE(0) / 0x100000000;
+}
+
+function pickArm(split, position) {
+    const total = split.reduce((sum, arm) => sum + arm.weight, 0);
+    let cumulative = 0;
+
+    for (const arm of split) {
+        cumulative += arm.weight / total;
+        if (position < cumulative) {
+            return arm;
+        }
+    }
+
+    return split[split.length - 1];
+}
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VOICE_PROVIDERS } from '../config/voice-providers-config.js';
+import { validateRoutingPolicy, evaluateRoutingPolicy } from './routing-policy.js';
+
+const POLICY = {
+    type: 'tts',
+    experiment: 'tts-rollout',
+    sticky: 'user',
+    split: [
+        { arm: 'control', provider: 'elevenlabs', weight: 80 },
+        { arm: 'candidate', provider: 'openai-tts', weight: 20, options: { voice: 'nova' } }
+    ],
+    rules: [
+        { when: { language: ['es', 'pt'] }, provider: 'azure-tts' },
+        { when: { hours: [22, 6], timezone: 'America/New_York' }, provider: 'local-piper' }
+    ]
+};
+
+// 15:00 in New York, outside the night rule
+const AFTERNOON = new Date('2026-03-10T19:00:00Z');
+
+test('validateRoutingPolicy accepts a well-formed policy', () => {
+    assert.deepEqual(validateRoutingPolicy(POLICY, VOICE_PROVIDERS), []);
+});
+
+test('validateRoutingPolicy reports unknown providers, bad weights and bad conditions', () => {
+    const errors = validateRoutingPolicy({
+        split: [{ provider: 'nope', weight: 1 }, { provider: 'openai-tts', weight: 0 }],
+        rules: [{ when: { hours: [3], weekday: 'mon', timezone: 'Mars/Base' }, provider: 'openai-tts' }]
+    }, VOICE_PROVIDERS);
+
+    assert.deepEqual(errors, [
+        'policy.split[0].provider "nope" is not a known provider',
+        'policy.split[1].weight must be a positive number',
+        'rules[0].when.weekday is not a supported condition (language, hours, days, timezone)',
+        'rules[0].when.hours must be [from, to] in whole hours 0-24',
+        'rules[0].when.timezone "Mars/Base" is not a valid IANA time zone'
+    ]);
+    assert.deepEqual(validateRoutingPolicy({ provider: 'openai-tts', split: [] }, VOICE_PROVIDERS), ['policy needs exactly one of provider or split']);
+});
+
+test('validateRoutingPolicy requires languages to be codes, so evaluation cannot throw on them', () => {
+    for (const language of [42, ['es', 7], [], ['']]) {
+        assert.deepEqual(
+            validateRoutingPolicy({ provider: 'openai-tts', rules: [{ when: { language }, provider: 'azure-tts' }] }, VOICE_PROVIDERS),
+            ['rules[0].when.language must be a language code or an array of codes'],
+            JSON.stringify(language)
+        );
+    }
+    assert.deepEqual(validateRoutingPolicy({ provider: 'openai-tts', rules: [{ when: { language: 'es' }, provider: 'azure-tts' }] }, VOICE_PROVIDERS), []);
+});
+
+test('evaluateRoutingPolicy lets the first matching rule override the split', () => {
+    const decision = evaluateRoutingPolicy('tts', POLICY, { userId: 'u1', language: 'pt-BR', now: AFTERNOON });
+
+    assert.equal(decision.provider, 'azure-tts');
+    assert.equal(decision.rule, 0);
+    assert.equal(decision.experiment, undefined);
+});
+
+test('evaluateRoutingPolicy matches hour windows that wrap past midnight in the rule time zone', () => {
+    // 23:30 and 05:30 in New York are inside [22, 6); 06:30 is not
+    const at = time => evaluateRoutingPolicy('tts', POLICY, { userId: 'u1', language: 'en', now: new Date(time) });
+
+    assert.equal(at('2026-03-11T03:30:00Z').provider, 'local-piper');
+    assert.equal(at('2026-03-11T09:30:00Z').provider, 'local-piper');
+    assert.equal(at('2026-03-11T10:30:00Z').rule, null);
+});
+
+test('evaluateRoutingPolicy keeps a user on the same arm and tags the experiment', () => {
+    const first = evaluateRoutingPolicy('tts', POLICY, { userId: 'user-42', language: 'en', now: AFTERNOON });
+
+    for (let i = 0; i < 20; i++) {
+        assert.deepEqual(evaluateRoutingPolicy('tts', POLICY, { userId: 'user-42', language: 'en', now: AFTERNOON }), first);
+    }
+    assert.equal(first.experiment.name, 'tts-rollout');
+    assert.ok(['control', 'candidate'].includes(first.experiment.arm));
+});
+
+test('evaluateRoutingPolicy splits users roughly by weight and merges arm options', () => {
+    const decisions = Array.from({ length: 2000 }, (_, i) =>
+        evaluateRoutingPolicy('tts', POLICY, { userId: `user-${i}`, language: 'en', now: AFTERNOON }));
+    const candidates = decisions.filter(decision => decision.experiment.arm === 'candidate');
+
+    assert.ok(candidates.length > 300 && candidates.length < 500, `${candidates.length} of 2000 in the 20% arm`);
+    assert.deepEqual(candidates[0].options, { voice: 'nova' });
+    assert.equal(candidates[0].provider, 'openai-tts');
+});
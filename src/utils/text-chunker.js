@@ -0,0 +1,170 @@
+/**
+ * Text Chunking for Long-Form Synthesis
+ * Splits text into pieces a TTS provider accepts in one request, breaking at sentence
+ * boundaries where possible. SSML is split between top-level elements, and every piece
+ * is wrapped in the original <speak> element so each one is a complete document.
+ */
+
+import { VoiceError } from './error-handler.js';
+
+const SPEAK_PATTERN = /^\s*(<speak\b[^>]*>)([\s\S]*)<\/speak>\s*$/;
+const TAG_PATTERN = /<[^>]*>|[^<]+/g;
+
+/**
+ * Check whether text is an SSML document
+ */
+export function isSsml(text) {
+    return /^\s*<speak[\s>]/.test(text);
+}
+
+/**
+ * Split text into chunks of at most maxCharacters
+ * @param {string} text - Plain text or SSML
+ * @param {Object} options
+ * @param {number} options.maxCharacters - Longest chunk the provider accepts
+ * @param {boolean} options.ssml - Treat the text as SSML (detected from a leading <speak> by default)
+ * @returns {string[]} Chunks in order
+ * @throws {VoiceError} INVALID_REQUEST when the text cannot be split to fit
+ */
+export function splitText(text, { maxCharacters, ssml = isSsml(text) } = {}) {
+    if (!(maxCharacters > 0)) {
+        throw invalidRequest('maxCharacters must be a positive number');
+    }
+
+    if (!ssml) {
+        return packUnits(splitSentences(text, maxCharacters), maxCharacters)
+            .map(chunk => chunk.trim())
+            .filter(Boolean);
+    }
+
+    const [, open = '<speak>', body = text] = SPEAK_PATTERN.exec(text) || [];
+    const close = '</speak>';
+    const limit = maxCharacters - open.length - close.length;
+
+    if (limit <= 0) {
+        throw invalidRequest(`maxCharacters ${maxCharacters} is too small to hold the <speak> element`);
+    }
+
+    return splitSsmlBody(body, limit)
+        .filter(chunk => chunk.trim())
+        .map(chunk => `${open}${chunk}${close}`);
+}
+
+/**
+ * Split SSML content into pieces of at most limit characters. Elements that do not fit
+ * are split inside and each piece is wrapped in the element's own tags.
+ */
+function splitSsmlBody(body, limit) {
+    const units = [];
+
+    for (const unit of ssmlUnits(body)) {
+        if (unit.length <= limit) {
+            units.push(unit);
+            continue;
+        }
+
+        const element = /^(<([\w:-]+)\b[^>]*>)([\s\S]*)(<\/\2\s*>)$/.exec(unit);
+        if (!element) {
+            // Plain text between elements
+            units.push(...splitSentences(unit, limit));
+            continue;
+        }
+
+        const [, open, name, inner, close] = element;
+        const innerLimit = limit - open.length - close.length;
+        if (innerLimit <= 0) {
+            throw invalidRequest(`SSML <${name}> element cannot be split to fit ${limit} characters`);
+        }
+
+        units.push(...splitSsmlBody(inner, innerLimit).map(piece => `${open}${piece}${close}`));
+    }
+
+    return packUnits(units, limit);
+}
+
+/**
+ * Top-level pieces of SSML content: whole elements, self-closing tags and sentences of bare text
+ */
+function ssmlUnits(body) {
+    const units = [];
+    let element = '';
+    let depth = 0;
+
+    for (const [token] of body.matchAll(TAG_PATTERN)) {
+        const isTag = token.startsWith('<');
+        const isClosing = isTag && token.startsWith('</');
+        const isStandalone = isTag && (token.endsWith('/>') || token.startsWith('<!') || token.startsWith('<?'));
+
+        if (depth === 0 && !isTag) {
+            units.push(...sentences(token));
+            continue;
+        }
+
+        element += token;
+
+        if (isClosing) {
+            depth--;
+        } else if (isTag && !isStandalone) {
+            depth++;
+        }
+
+        if (depth <= 0) {
+            units.push(element);
+            element = '';
+            depth = 0;
+        }
+    }
+
+    if (element) {
+        throw invalidRequest('SSML has an unclosed element');
+    }
+
+    return units;
+}
+
+/**
+ * Sentences of text, breaking over-long sentences at word and then character boundaries
+ */
+function splitSentences(text, limit) {
+    return sentences(text).flatMap(sentence => {
+        if (sentence.length <= limit) return [sentence];
+
+        return sentence.split(/(?<=\s)/).flatMap(word => {
+            const pieces = [];
+            for (let start = 0; start < word.length; start += limit) {
+                pieces.push(word.slice(start, start + limit));
+            }
+            return pieces;
+        });
+    });
+}
+
+function sentences(text) {
+    return Array.from(new Intl.Segmenter(undefined, { granularity: 'sentence' }).segment(text), ({ segment }) => segment);
+}
+
+/**
+ * Join consecutive units into chunks without exceeding the limit
+ */
+function packUnits(units, limit) {
+    const chunks = [];
+    let current = '';
+
+    for (const unit of units) {
+        if (current && (current + unit).length > limit) {
+            chunks.push(current);
+            current = '';
+        }
+        current += unit;
+    }
+
+    if (current) {
+        chunks.push(current);
+    }
+
+    return chunks;
+}
+
+function invalidRequest(message) {
+    return new VoiceError(message, 'INVALID_REQUEST', { isRetryable: false });
+}
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitText, isSsml } from './text-chunker.js';
+
+test('splitText packs whole sentences into chunks under the limit', () => {
+    const text = 'The first sentence is here. A second one follows. Then a third. And the last.';
+    const chunks = splitText(text, { maxCharacters: 50 });
+
+    assert.deepEqual(chunks, ['The first sentence is here. A second one follows.', 'Then a third. And the last.']);
+});
+
+test('splitText breaks an over-long sentence at words, and an over-long word by characters', () => {
+    const chunks = splitText('one two three supercalifragilistic four', { maxCharacters: 10 });
+
+    assert.ok(chunks.every(chunk => chunk.length <= 10), JSON.stringify(chunks));
+    assert.equal(chunks.join('').replace(/\s/g, ''), 'onetwothreesupercalifragilisticfour');
+    assert.deepEqual(chunks.slice(0, 2), ['one two', 'three']);
+});
+
+test('splitText wraps every SSML chunk in the original speak element', () => {
+    const text = '<speak version="1.0"><p>First paragraph.</p><break time="1s"/><p>Second paragraph.</p></speak>';
+    const chunks = splitText(text, { maxCharacters: 75 });
+
+    assert.deepEqual(chunks, [
+        '<speak version="1.0"><p>First paragraph.</p><break time="1s"/></speak>',
+        '<speak version="1.0"><p>Second paragraph.</p></speak>'
+    ]);
+});
+
+test('splitText splits an SSML element that does not fit, repeating its tags', () => {
+    const chunks = splitText('<speak><prosody rate="slow">One sentence. Two sentence.</prosody></speak>', { maxCharacters: 70 });
+
+    assert.deepEqual(chunks, [
+        '<speak><prosody rate="slow">One sentence. </prosody></speak>',
+        '<speak><prosody rate="slow">Two sentence.</prosody></speak>'
+    ]);
+});
+
+test('splitText rejects limits that cannot hold the markup and unclosed SSML', () => {
+    assert.throws(() => splitText('Hello.', { maxCharacters: 0 }), { type: 'INVALID_REQUEST', message: /maxCharacters must be a positive number/ });
+    assert.throws(() => splitText('<speak>Hello.</speak>', { maxCharacters: 10 }), /too small to hold the <speak> element/);
+    assert.throws(() => splitText('<speak><p>Hello.</speak>', { maxCharacters: 100 }), /unclosed element/);
+});
+
+test('isSsml detects a leading speak element', () => {
+    assert.equal(isSsml('  <speak>Hi</speak>'), true);
+    assert.equal(isSsml('<speaker>Hi</speaker>'), false);
+    assert.equal(isSsml('Say <speak> aloud'), false);
+});